@@ -0,0 +1,731 @@
+/**
+ * TSF Audio Inspector - Reads audio headers in the browser before upload
+ *
+ * MP3: parses the ID3v2 tag, the first MPEG frame header and the Xing/Info/VBRI
+ * header, plus the ID3v1 tag at the end. WAV/AIFF: walks the RIFF/IFF chunks.
+ * FLAC: reads STREAMINFO, Vorbis comments and PICTURE blocks. Builds a report
+ * shaped like TSF_MP3_Analyzer's so the same UI can show it.
+ *
+ * Requires tsf-i18n.js (TSFI18n) for its messages.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+const TSFAudioInspector = {
+    // How far past the ID3v2 tag we look for the first frame sync
+    FRAME_SCAN_BYTES: 64 * 1024,
+
+    // Tags larger than this are treated as corrupt
+    MAX_TAG_BYTES: 20 * 1024 * 1024,
+
+    // Kbps, indexed by [MPEG1 ? 0 : 1][layer - 1][bitrate index]
+    BITRATES: [
+        [
+            [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+            [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+            [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+        ],
+        [
+            [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+            [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+            [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+        ]
+    ],
+
+    // Hz, indexed by MPEG version bits (00 = 2.5, 10 = 2, 11 = 1)
+    SAMPLE_RATES: {
+        0: [11025, 12000, 8000],
+        2: [22050, 24000, 16000],
+        3: [44100, 48000, 32000]
+    },
+
+    CHANNEL_MODES: ['stereo', 'joint stereo', 'dual channel', 'mono'],
+
+    // Supported formats (mirrors TSF_MP3_Analyzer::FORMATS)
+    FORMATS: {
+        mp3: { label: 'MP3', extensions: ['mp3'] },
+        wav: { label: 'WAV', extensions: ['wav'] },
+        flac: { label: 'FLAC', extensions: ['flac'] },
+        aiff: { label: 'AIFF', extensions: ['aif', 'aiff'] }
+    },
+
+    // Magic bytes of unsupported formats that are commonly renamed
+    FOREIGN_SIGNATURES: [
+        { bytes: 'OggS', name: 'Ogg' },
+        { bytes: 'ftyp', offset: 4, name: 'AAC/M4A' }
+    ],
+
+    /**
+     * Inspect a File
+     * @param {File} file - File selected by the user
+     * @returns {Promise<{valid: boolean, error: string, report: Object|null}>}
+     */
+    async inspect(file) {
+        if (!file || file.size === 0) {
+            return this.fail(TSFI18n.__('The file is empty'));
+        }
+
+        const head = await this.readBytes(file, 0, 12);
+        const foreign = this.detectForeignFormat(head);
+        if (foreign) {
+            return this.fail(TSFI18n.__('{format} files are not accepted - please export MP3, WAV, FLAC or AIFF', { format: foreign }));
+        }
+
+        const format = this.detectFormat(head);
+        const expected = this.formatForExtension(file.name);
+        if (expected && format !== expected) {
+            const extension = this.FORMATS[format].extensions[0];
+            return this.fail(TSFI18n.__('This file is {format} audio with a .{extension} extension - rename it to .{expected}', {
+                format: this.FORMATS[format].label,
+                extension: file.name.split('.').pop(),
+                expected: extension
+            }));
+        }
+
+        let parsed;
+        if (format === 'wav') {
+            parsed = await this.inspectWav(file);
+        } else if (format === 'aiff') {
+            parsed = await this.inspectAiff(file);
+        } else if (format === 'flac') {
+            parsed = await this.inspectFlac(file);
+        } else {
+            parsed = await this.inspectMp3(file, head);
+        }
+
+        if (parsed.error) {
+            return this.fail(parsed.error);
+        }
+
+        if (parsed.audio.duration_seconds < 1) {
+            return this.fail(TSFI18n.__('The audio is shorter than one second - the file looks truncated'));
+        }
+
+        const report = { metadata: parsed.metadata, audio: parsed.audio, provisional: true };
+        this.calculateQualityScore(report);
+
+        return { valid: true, error: '', report };
+    },
+
+    detectFormat(head) {
+        const container = this.ascii(head, 0, 4);
+        const type = this.ascii(head, 8, 12);
+
+        if (container === 'RIFF' && type === 'WAVE') return 'wav';
+        if (container === 'FORM' && (type === 'AIFF' || type === 'AIFC')) return 'aiff';
+        if (container === 'fLaC') return 'flac';
+        return 'mp3';
+    },
+
+    formatForExtension(name) {
+        const extension = String(name).split('.').pop().toLowerCase();
+        return Object.keys(this.FORMATS).find(format => this.FORMATS[format].extensions.includes(extension)) || null;
+    },
+
+    async inspectMp3(file, head) {
+        let metadata = this.emptyMetadata();
+        let audioStart = 0;
+
+        if (this.ascii(head, 0, 3) === 'ID3') {
+            const tagSize = this.syncsafe(head, 6) + 10 + ((head[5] & 0x10) ? 10 : 0);
+            if (tagSize > file.size || tagSize > this.MAX_TAG_BYTES) {
+                return { error: TSFI18n.__('The ID3 tag is corrupt or the file is truncated') };
+            }
+
+            const tag = await this.readBytes(file, 0, tagSize);
+            metadata = this.parseID3v2(tag);
+            audioStart = tagSize;
+        }
+
+        const scan = await this.readBytes(file, audioStart, this.FRAME_SCAN_BYTES);
+        const frame = this.findFirstFrame(scan);
+        if (!frame) {
+            return { error: TSFI18n.__('No MP3 audio frames were found - the file looks damaged') };
+        }
+
+        // ID3v1 fills the gaps left by a missing or partial ID3v2 tag
+        let tailSize = 0;
+        if (file.size >= 128) {
+            const tail = await this.readBytes(file, file.size - 128, 128);
+            if (this.ascii(tail, 0, 3) === 'TAG') {
+                tailSize = 128;
+                const v1 = this.parseID3v1(tail);
+                Object.keys(v1).forEach(key => {
+                    if (!metadata[key]) metadata[key] = v1[key];
+                });
+            }
+        }
+
+        const audioBytes = file.size - audioStart - frame.offset - tailSize;
+        return { metadata, audio: this.describeAudio(frame, audioBytes, file.size) };
+    },
+
+    fail(error) {
+        return { valid: false, error, report: null };
+    },
+
+    async readBytes(file, start, length) {
+        const buffer = await file.slice(start, Math.min(file.size, start + length)).arrayBuffer();
+        return new Uint8Array(buffer);
+    },
+
+    detectForeignFormat(bytes) {
+        const match = this.FOREIGN_SIGNATURES.find(sig => {
+            const offset = sig.offset || 0;
+            return this.ascii(bytes, offset, offset + sig.bytes.length) === sig.bytes;
+        });
+        return match ? match.name : '';
+    },
+
+    // ==================== LOSSLESS CONTAINERS ====================
+
+    // How much of a WAV/AIFF file we read to find the header chunks
+    CHUNK_SCAN_BYTES: 256 * 1024,
+
+    async inspectWav(file) {
+        const metadata = this.emptyMetadata();
+        let fmt = null;
+        let dataSize = -1;
+        let pos = 12;
+
+        while (pos + 8 <= file.size) {
+            const header = await this.readBytes(file, pos, 8);
+            const id = this.ascii(header, 0, 4);
+            const size = this.uint32le(header, 4);
+            const bodyStart = pos + 8;
+
+            if (id === 'fmt ') {
+                const body = await this.readBytes(file, bodyStart, Math.min(size, 40));
+                fmt = {
+                    channels: body[2] | (body[3] << 8),
+                    sampleRate: this.uint32le(body, 4),
+                    byteRate: this.uint32le(body, 8),
+                    bitsPerSample: body[14] | (body[15] << 8)
+                };
+            } else if (id === 'data') {
+                dataSize = size;
+                if (bodyStart + size > file.size) {
+                    return { error: TSFI18n.__('The WAV file is truncated - the audio data is incomplete') };
+                }
+            } else if (id === 'LIST' && size <= this.CHUNK_SCAN_BYTES) {
+                const body = await this.readBytes(file, bodyStart, size);
+                if (this.ascii(body, 0, 4) === 'INFO') {
+                    this.mergeMetadata(metadata, this.parseRiffInfo(body.subarray(4)));
+                }
+            } else if ((id === 'id3 ' || id === 'ID3 ') && size <= this.MAX_TAG_BYTES) {
+                this.mergeMetadata(metadata, this.parseID3v2(await this.readBytes(file, bodyStart, size)));
+            }
+
+            // Chunks are word aligned
+            pos = bodyStart + size + (size & 1);
+        }
+
+        if (!fmt || dataSize < 0) {
+            return { error: TSFI18n.__('The WAV file has no audio format or data chunk - the file looks damaged') };
+        }
+
+        return {
+            metadata,
+            audio: this.describeLossless('wav', {
+                channels: fmt.channels,
+                sampleRate: fmt.sampleRate,
+                bitsPerSample: fmt.bitsPerSample,
+                duration: fmt.byteRate > 0 ? dataSize / fmt.byteRate : 0
+            }, file.size)
+        };
+    },
+
+    parseRiffInfo(bytes) {
+        const map = { INAM: 'title', IART: 'artist', IPRD: 'album', ICRD: 'year', IGNR: 'genre', ICMT: 'comment' };
+        const metadata = {};
+        let pos = 0;
+
+        while (pos + 8 <= bytes.length) {
+            const id = this.ascii(bytes, pos, pos + 4);
+            const size = this.uint32le(bytes, pos + 4);
+            if (map[id]) {
+                metadata[map[id]] = this.decodeText(bytes.subarray(pos + 8, pos + 8 + size), 3).replace(/\u0000+$/, '').trim();
+            }
+            pos += 8 + size + (size & 1);
+        }
+
+        if (metadata.year) metadata.year = metadata.year.substring(0, 4);
+        return metadata;
+    },
+
+    async inspectAiff(file) {
+        const metadata = this.emptyMetadata();
+        let comm = null;
+        let hasSound = false;
+        let pos = 12;
+
+        while (pos + 8 <= file.size) {
+            const header = await this.readBytes(file, pos, 8);
+            const id = this.ascii(header, 0, 4);
+            const size = this.uint32(header, 4);
+            const bodyStart = pos + 8;
+
+            if (id === 'COMM') {
+                const body = await this.readBytes(file, bodyStart, 18);
+                comm = {
+                    channels: (body[0] << 8) | body[1],
+                    frames: this.uint32(body, 2),
+                    bitsPerSample: (body[6] << 8) | body[7],
+                    sampleRate: this.extended80(body, 8)
+                };
+            } else if (id === 'SSND') {
+                hasSound = true;
+                if (bodyStart + size > file.size) {
+                    return { error: TSFI18n.__('The AIFF file is truncated - the audio data is incomplete') };
+                }
+            } else if ((id === 'NAME' || id === 'AUTH') && size <= this.CHUNK_SCAN_BYTES) {
+                const text = this.decodeText(await this.readBytes(file, bodyStart, size), 0).replace(/\u0000+$/, '').trim();
+                const key = id === 'NAME' ? 'title' : 'artist';
+                if (!metadata[key]) metadata[key] = text;
+            } else if (id === 'ID3 ' && size <= this.MAX_TAG_BYTES) {
+                this.mergeMetadata(metadata, this.parseID3v2(await this.readBytes(file, bodyStart, size)));
+            }
+
+            pos = bodyStart + size + (size & 1);
+        }
+
+        if (!comm || !hasSound) {
+            return { error: TSFI18n.__('The AIFF file has no audio format or sound chunk - the file looks damaged') };
+        }
+
+        return {
+            metadata,
+            audio: this.describeLossless('aiff', {
+                channels: comm.channels,
+                sampleRate: comm.sampleRate,
+                bitsPerSample: comm.bitsPerSample,
+                duration: comm.sampleRate > 0 ? comm.frames / comm.sampleRate : 0
+            }, file.size)
+        };
+    },
+
+    async inspectFlac(file) {
+        const metadata = this.emptyMetadata();
+        let stream = null;
+        let pos = 4;
+        let last = false;
+
+        while (!last && pos + 4 <= file.size) {
+            const header = await this.readBytes(file, pos, 4);
+            last = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const size = (header[1] << 16) | (header[2] << 8) | header[3];
+            const bodyStart = pos + 4;
+
+            if (type === 0) {
+                // STREAMINFO: rate (20 bits), channels - 1 (3), bits - 1 (5), total samples (36)
+                const b = await this.readBytes(file, bodyStart, 34);
+                const sampleRate = (b[10] << 12) | (b[11] << 4) | (b[12] >> 4);
+                const totalSamples = (b[13] & 0x0F) * 4294967296 + this.uint32(b, 14);
+                stream = {
+                    sampleRate,
+                    channels: ((b[12] >> 1) & 0x07) + 1,
+                    bitsPerSample: (((b[12] & 0x01) << 4) | (b[13] >> 4)) + 1,
+                    duration: sampleRate > 0 ? totalSamples / sampleRate : 0
+                };
+            } else if (type === 4 && size <= this.MAX_TAG_BYTES) {
+                this.mergeMetadata(metadata, this.parseVorbisComment(await this.readBytes(file, bodyStart, size)));
+            } else if (type === 6) {
+                metadata.has_artwork = size > 0;
+            } else if (type === 127) {
+                break; // Invalid block type
+            }
+
+            pos = bodyStart + size;
+        }
+
+        if (!stream) {
+            return { error: TSFI18n.__('The FLAC file has no stream information - the file looks damaged') };
+        }
+
+        return { metadata, audio: this.describeLossless('flac', stream, file.size) };
+    },
+
+    parseVorbisComment(bytes) {
+        const map = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', DATE: 'year', GENRE: 'genre', COMMENT: 'comment', DESCRIPTION: 'comment', TRACKNUMBER: 'track_number', ISRC: 'isrc' };
+        const metadata = {};
+        let pos = 4 + this.uint32le(bytes, 0); // Skip the vendor string
+        const count = this.uint32le(bytes, pos);
+        pos += 4;
+
+        for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+            const length = this.uint32le(bytes, pos);
+            const entry = this.decodeText(bytes.subarray(pos + 4, pos + 4 + length), 3);
+            const separator = entry.indexOf('=');
+            const key = map[entry.substring(0, separator).toUpperCase()];
+            if (separator > 0 && key && !metadata[key]) {
+                metadata[key] = entry.substring(separator + 1).trim();
+            }
+            pos += 4 + length;
+        }
+
+        if (metadata.year) metadata.year = metadata.year.substring(0, 4);
+        return metadata;
+    },
+
+    // Embedded tags only fill fields the container itself left empty
+    mergeMetadata(target, source) {
+        Object.keys(source).forEach(key => {
+            if (key === 'has_artwork') target.has_artwork = target.has_artwork || source.has_artwork;
+            else if (!target[key]) target[key] = source[key];
+        });
+    },
+
+    describeLossless(format, stream, fileSize) {
+        return {
+            format,
+            format_label: this.FORMATS[format].label,
+            lossless: true,
+            bits_per_sample: stream.bitsPerSample,
+            bitrate_kbps: stream.duration > 0 ? Math.round(fileSize * 8 / stream.duration / 1000) : 0,
+            bitrate_mode: 'Lossless',
+            samplerate_hz: stream.sampleRate,
+            channels: stream.channels,
+            channelmode: stream.channels === 1 ? 'mono' : 'stereo',
+            encoder: '',
+            duration_seconds: Math.round(stream.duration * 100) / 100,
+            duration_formatted: this.formatDuration(stream.duration),
+            filesize: fileSize,
+            filesize_formatted: this.formatFilesize(fileSize)
+        };
+    },
+
+    // ==================== ID3 ====================
+
+    emptyMetadata() {
+        return { title: '', artist: '', album: '', year: '', genre: '', comment: '', track_number: '', isrc: '', has_artwork: false };
+    },
+
+    parseID3v2(tag) {
+        const metadata = this.emptyMetadata();
+        const version = tag[3];
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const frameMap = version === 2
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album', TYE: 'year', TCO: 'genre', COM: 'comment', TRK: 'track_number', TRC: 'isrc', PIC: 'artwork' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album', TYER: 'year', TDRC: 'year', TCON: 'genre', COMM: 'comment', TRCK: 'track_number', TSRC: 'isrc', APIC: 'artwork' };
+
+        let pos = 10;
+
+        // Skip the extended header (v2.3 size excludes itself, v2.4 is syncsafe and includes itself)
+        if (tag[5] & 0x40) {
+            pos += version === 4 ? this.syncsafe(tag, pos) : this.uint32(tag, pos) + 4;
+        }
+
+        while (pos + headerLength <= tag.length) {
+            const id = this.ascii(tag, pos, pos + idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+            let size;
+            if (version === 2) {
+                size = (tag[pos + 3] << 16) | (tag[pos + 4] << 8) | tag[pos + 5];
+            } else if (version === 4) {
+                size = this.syncsafe(tag, pos + 4);
+            } else {
+                size = this.uint32(tag, pos + 4);
+            }
+
+            const body = tag.subarray(pos + headerLength, pos + headerLength + size);
+            const key = frameMap[id];
+
+            if (key === 'artwork') {
+                metadata.has_artwork = size > 0;
+            } else if (key === 'comment') {
+                // Encoding, 3-byte language, description, then the text
+                metadata.comment = metadata.comment || this.decodeText(body.subarray(4), body[0]).split('\u0000').pop().trim();
+            } else if (key && !metadata[key]) {
+                metadata[key] = this.decodeText(body.subarray(1), body[0]).replace(/\u0000+$/, '').trim();
+            }
+
+            pos += headerLength + size;
+        }
+
+        if (metadata.year) metadata.year = metadata.year.substring(0, 4);
+        metadata.genre = this.cleanGenre(metadata.genre);
+
+        return metadata;
+    },
+
+    parseID3v1(tail) {
+        const read = (start, end) => this.decodeText(tail.subarray(start, end), 0).replace(/\u0000.*$/, '').trim();
+        return {
+            title: read(3, 33),
+            artist: read(33, 63),
+            album: read(63, 93),
+            year: read(93, 97),
+            comment: read(97, 127)
+        };
+    },
+
+    decodeText(bytes, encoding) {
+        const labels = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+        try {
+            return new TextDecoder(labels[encoding] || 'iso-8859-1').decode(bytes);
+        } catch (e) {
+            return '';
+        }
+    },
+
+    // "(17)Rock" and "(17)" style genres keep only the readable part
+    cleanGenre(genre) {
+        const cleaned = genre.replace(/^\(\d+\)/, '').trim();
+        return cleaned || genre;
+    },
+
+    // ==================== MPEG FRAMES ====================
+
+    findFirstFrame(bytes) {
+        for (let i = 0; i + 4 <= bytes.length; i++) {
+            if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+
+            const frame = this.parseFrameHeader(bytes, i);
+            if (!frame) continue;
+
+            // A real frame is followed by another sync word (unless the window ends first)
+            const next = i + frame.length;
+            if (next + 2 <= bytes.length && (bytes[next] !== 0xFF || (bytes[next + 1] & 0xE0) !== 0xE0)) {
+                continue;
+            }
+
+            frame.offset = i;
+            Object.assign(frame, this.parseVbrHeader(bytes, frame));
+            return frame;
+        }
+        return null;
+    },
+
+    parseFrameHeader(bytes, i) {
+        const versionBits = (bytes[i + 1] >> 3) & 0x03;
+        const layerBits = (bytes[i + 1] >> 1) & 0x03;
+        const bitrateIndex = (bytes[i + 2] >> 4) & 0x0F;
+        const sampleRateIndex = (bytes[i + 2] >> 2) & 0x03;
+        const padding = (bytes[i + 2] >> 1) & 0x01;
+
+        // Reserved values mean this is not a frame header
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const isMpeg1 = versionBits === 3;
+        const layer = 4 - layerBits;
+        const bitrate = this.BITRATES[isMpeg1 ? 0 : 1][layer - 1][bitrateIndex];
+        const sampleRate = this.SAMPLE_RATES[versionBits][sampleRateIndex];
+        const channelMode = (bytes[i + 3] >> 6) & 0x03;
+
+        let samplesPerFrame = 1152;
+        if (layer === 1) samplesPerFrame = 384;
+        else if (layer === 3 && !isMpeg1) samplesPerFrame = 576;
+
+        const length = layer === 1
+            ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4
+            : Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+
+        return {
+            isMpeg1,
+            layer,
+            bitrate,
+            sampleRate,
+            channels: channelMode === 3 ? 1 : 2,
+            channelMode: this.CHANNEL_MODES[channelMode],
+            samplesPerFrame,
+            length
+        };
+    },
+
+    parseVbrHeader(bytes, frame) {
+        const mono = frame.channels === 1;
+        const sideInfo = frame.isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+        let pos = frame.offset + 4 + sideInfo;
+        const xingId = this.ascii(bytes, pos, pos + 4);
+
+        if (xingId === 'Xing' || xingId === 'Info') {
+            const flags = this.uint32(bytes, pos + 4);
+            let field = pos + 8;
+            const result = { vbr: xingId === 'Xing', frames: 0, bytes: 0, encoder: '' };
+
+            if (flags & 0x01) { result.frames = this.uint32(bytes, field); field += 4; }
+            if (flags & 0x02) { result.bytes = this.uint32(bytes, field); field += 4; }
+
+            // LAME extension follows the optional TOC (100 bytes) and quality (4 bytes)
+            const lamePos = pos + 8 + ((flags & 0x01) ? 4 : 0) + ((flags & 0x02) ? 4 : 0) + ((flags & 0x04) ? 100 : 0) + ((flags & 0x08) ? 4 : 0);
+            if (/^(LAME|Lavc|Lavf)/.test(this.ascii(bytes, lamePos, lamePos + 4))) {
+                result.encoder = this.ascii(bytes, lamePos, lamePos + 9).replace(/[^\x20-\x7E]/g, '').trim();
+            }
+
+            return result;
+        }
+
+        // Fraunhofer VBRI header sits at a fixed offset
+        pos = frame.offset + 36;
+        if (this.ascii(bytes, pos, pos + 4) === 'VBRI') {
+            return {
+                vbr: true,
+                bytes: this.uint32(bytes, pos + 10),
+                frames: this.uint32(bytes, pos + 14),
+                encoder: ''
+            };
+        }
+
+        return { vbr: false, frames: 0, bytes: 0, encoder: '' };
+    },
+
+    describeAudio(frame, audioBytes, fileSize) {
+        let duration;
+        let bitrate = frame.bitrate;
+
+        if (frame.frames > 0) {
+            duration = frame.frames * frame.samplesPerFrame / frame.sampleRate;
+            if (frame.vbr && duration > 0) {
+                bitrate = Math.round(((frame.bytes || audioBytes) * 8) / duration / 1000);
+            }
+        } else {
+            duration = (audioBytes * 8) / (frame.bitrate * 1000);
+        }
+
+        return {
+            format: 'mp3',
+            format_label: this.FORMATS.mp3.label,
+            lossless: false,
+            bits_per_sample: 0,
+            bitrate_kbps: bitrate,
+            bitrate_mode: frame.vbr ? 'VBR' : 'CBR',
+            samplerate_hz: frame.sampleRate,
+            channels: frame.channels,
+            channelmode: frame.channelMode,
+            layer: frame.layer,
+            encoder: frame.encoder,
+            duration_seconds: Math.round(duration * 100) / 100,
+            duration_formatted: this.formatDuration(duration),
+            filesize: fileSize,
+            filesize_formatted: this.formatFilesize(fileSize)
+        };
+    },
+
+    // ==================== SCORING ====================
+
+    /**
+     * Same weights and messages as TSF_MP3_Analyzer::calculate_quality_score()
+     * @param {Object} report - Report with metadata and audio keys (modified in place)
+     */
+    calculateQualityScore(report) {
+        const metadata = report.metadata;
+        const audio = report.audio;
+        const recommendations = [];
+        let metadataScore = 0;
+        let audioScore = 0;
+        let professionalScore = 0;
+
+        // ID3 Tags scoring (40 points total)
+        if (metadata.title) metadataScore += 10;
+        else recommendations.push('Add ID3 title tag');
+
+        if (metadata.artist) metadataScore += 10;
+        else recommendations.push('Add ID3 artist name');
+
+        if (metadata.album) metadataScore += 10;
+        else recommendations.push('Add ID3 album name');
+
+        if (metadata.has_artwork) metadataScore += 10;
+        else recommendations.push('Add album artwork (cover art)');
+
+        // Audio Quality scoring (30 points total)
+        if (audio.lossless) {
+            // 16-bit is already CD quality
+            if (audio.bits_per_sample >= 16) {
+                audioScore += 30;
+            } else {
+                audioScore += 10;
+                recommendations.push('Bit depth too low - use at least 16-bit, prefer 24-bit');
+            }
+        } else if (audio.bitrate_kbps >= 320) {
+            audioScore += 30;
+        } else if (audio.bitrate_kbps >= 256) {
+            audioScore += 25;
+            recommendations.push('Prefer 320 kbps CBR for best quality');
+        } else if (audio.bitrate_kbps >= 192) {
+            audioScore += 20;
+            recommendations.push('Upgrade bitrate to 320 kbps CBR');
+        } else if (audio.bitrate_kbps >= 128) {
+            audioScore += 10;
+            recommendations.push('Bitrate too low - use at least 192 kbps, prefer 320 kbps');
+        } else {
+            recommendations.push('Bitrate critically low - must be at least 192 kbps');
+        }
+
+        // Professional Quality scoring (30 points total)
+        if (audio.samplerate_hz >= 44100) {
+            professionalScore += 15;
+        } else {
+            professionalScore += 5;
+            recommendations.push('Use 44.1 kHz sample rate (CD quality)');
+        }
+
+        if (audio.channels === 2) {
+            professionalScore += 15;
+        } else if (audio.channels === 1) {
+            professionalScore += 10;
+            recommendations.push('Stereo (2 channels) preferred over mono');
+        }
+
+        if (audio.bitrate_mode === 'VBR') {
+            recommendations.push('CBR (Constant Bitrate) is preferred over VBR for streaming');
+        }
+
+        const total = Math.min(100, metadataScore + audioScore + professionalScore);
+
+        report.quality_score = total;
+        report.total_score = total;
+        report.metadata_score = metadataScore;
+        report.audio_score = audioScore;
+        report.professional_score = professionalScore;
+        report.recommendations = recommendations;
+    },
+
+    // ==================== HELPERS ====================
+
+    ascii(bytes, start, end) {
+        let text = '';
+        for (let i = start; i < end && i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    },
+
+    syncsafe(bytes, pos) {
+        return ((bytes[pos] & 0x7F) << 21) | ((bytes[pos + 1] & 0x7F) << 14) | ((bytes[pos + 2] & 0x7F) << 7) | (bytes[pos + 3] & 0x7F);
+    },
+
+    uint32le(bytes, pos) {
+        return ((bytes[pos + 3] << 24) >>> 0) + (bytes[pos + 2] << 16) + (bytes[pos + 1] << 8) + bytes[pos];
+    },
+
+    // 80-bit IEEE 754 extended float (AIFF sample rate)
+    extended80(bytes, pos) {
+        const exponent = ((bytes[pos] & 0x7F) << 8) | bytes[pos + 1];
+        const mantissa = this.uint32(bytes, pos + 2) * 4294967296 + this.uint32(bytes, pos + 6);
+        if (exponent === 0 && mantissa === 0) return 0;
+        return Math.round(mantissa * Math.pow(2, exponent - 16383 - 63));
+    },
+
+    uint32(bytes, pos) {
+        return ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3];
+    },
+
+    formatDuration(seconds) {
+        const whole = Math.floor(seconds);
+        return Math.floor(whole / 60) + ':' + String(whole % 60).padStart(2, '0');
+    },
+
+    formatFilesize(bytes) {
+        if (bytes >= 1073741824) return (bytes / 1073741824).toFixed(2) + ' GB';
+        if (bytes >= 1048576) return (bytes / 1048576).toFixed(2) + ' MB';
+        if (bytes >= 1024) return (bytes / 1024).toFixed(2) + ' KB';
+        return bytes + ' bytes';
+    }
+};
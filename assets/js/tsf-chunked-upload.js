@@ -0,0 +1,328 @@
+/**
+ * TSF Chunked Upload - Resumable uploads against the tsf/v1/uploads endpoints
+ *
+ * Protocol: POST uploads (session) -> POST uploads/{id}/chunk?offset=N (raw bytes)
+ * -> POST uploads/{id}/finalize (returns the analysis). Session IDs are kept in
+ * localStorage per file fingerprint, so picking the same file again after a
+ * reload continues where the last attempt stopped.
+ *
+ * Requires tsf-i18n.js (TSFI18n) for its messages.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+class TSFChunkedUpload {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.restUrl = options.restUrl || '';
+        this.nonce = options.nonce || '';
+        this.onProgress = options.onProgress || (() => {});
+        this.onStateChange = options.onStateChange || (() => {});
+
+        this.uploadId = null;
+        this.chunkSize = 2 * 1024 * 1024;
+        this.offset = 0;
+        this.state = 'idle';
+        this.xhr = null;
+        this.resumeWaiter = null;
+        this.networkWaiter = null;
+        this.maxRetries = 5;
+    }
+
+    static get STORAGE_KEY() {
+        return 'tsf_uploads';
+    }
+
+    /**
+     * Upload the file and resolve with the analysis data from finalize
+     * @returns {Promise<Object>}
+     */
+    async start() {
+        this.setState('uploading');
+
+        await this.openSession();
+
+        while (this.offset < this.file.size) {
+            await this.waitWhilePaused();
+            this.throwIfCancelled();
+            await this.sendNextChunk();
+        }
+
+        this.setState('finalizing');
+        const result = await this.requestRateLimited('POST', `uploads/${this.uploadId}/finalize`);
+        this.forgetSession();
+
+        if (!result.body || !result.body.success) {
+            throw new Error(result.body && result.body.message ? result.body.message : TSFI18n.__('Analysis failed'));
+        }
+
+        this.setState('done');
+        return result.body.data;
+    }
+
+    pause() {
+        if (this.state !== 'uploading' && this.state !== 'retrying') return;
+        this.setState('paused');
+        // The aborted chunk is simply sent again on resume
+        if (this.xhr) this.xhr.abort();
+        if (this.networkWaiter) this.networkWaiter();
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.setState('uploading');
+        if (this.resumeWaiter) {
+            this.resumeWaiter();
+            this.resumeWaiter = null;
+        }
+    }
+
+    cancel() {
+        const wasPaused = this.state === 'paused';
+        this.setState('cancelled');
+        if (this.xhr) this.xhr.abort();
+        if (wasPaused && this.resumeWaiter) this.resumeWaiter();
+        if (this.networkWaiter) this.networkWaiter();
+
+        if (this.uploadId) {
+            this.request('DELETE', `uploads/${this.uploadId}`).catch(() => {});
+        }
+        this.forgetSession();
+    }
+
+    // ==================== SESSION ====================
+
+    async openSession() {
+        const saved = this.getSavedSessions()[this.fingerprint()];
+
+        if (saved) {
+            const status = await this.request('GET', `uploads/${saved}`).catch(() => null);
+            // Cancelled meanwhile: cancel() did not know the session yet
+            if (this.state === 'cancelled') {
+                this.request('DELETE', `uploads/${saved}`).catch(() => {});
+                this.throwIfCancelled();
+            }
+            if (status && status.body && status.body.success) {
+                this.uploadId = saved;
+                this.chunkSize = status.body.data.chunk_size;
+                this.offset = status.body.data.received;
+                this.reportProgress(this.offset);
+                return;
+            }
+            this.forgetSession();
+        }
+
+        const created = await this.requestRateLimited('POST', 'uploads', JSON.stringify({
+            filename: this.file.name,
+            size: this.file.size
+        }), 'application/json').catch(error => {
+            // cancel() aborts the request
+            this.throwIfCancelled();
+            throw error;
+        });
+
+        if (this.state === 'cancelled') {
+            if (created.body && created.body.success) {
+                this.request('DELETE', `uploads/${created.body.data.upload_id}`).catch(() => {});
+            }
+            this.throwIfCancelled();
+        }
+
+        if (!created.body || !created.body.success) {
+            throw new Error(created.body && created.body.message ? created.body.message : TSFI18n.__('Upload could not be started'));
+        }
+
+        this.uploadId = created.body.data.upload_id;
+        this.chunkSize = created.body.data.chunk_size;
+        this.offset = 0;
+        this.rememberSession();
+    }
+
+    fingerprint() {
+        return [this.file.name, this.file.size, this.file.lastModified].join(':');
+    }
+
+    getSavedSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(TSFChunkedUpload.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    rememberSession() {
+        const sessions = this.getSavedSessions();
+        sessions[this.fingerprint()] = this.uploadId;
+        localStorage.setItem(TSFChunkedUpload.STORAGE_KEY, JSON.stringify(sessions));
+    }
+
+    forgetSession() {
+        const sessions = this.getSavedSessions();
+        delete sessions[this.fingerprint()];
+        localStorage.setItem(TSFChunkedUpload.STORAGE_KEY, JSON.stringify(sessions));
+    }
+
+    // ==================== CHUNKS ====================
+
+    async sendNextChunk() {
+        let attempt = 0;
+
+        while (true) {
+            const end = Math.min(this.file.size, this.offset + this.chunkSize);
+            const chunk = this.file.slice(this.offset, end);
+
+            try {
+                const result = await this.request(
+                    'POST',
+                    `uploads/${this.uploadId}/chunk?offset=${this.offset}`,
+                    chunk,
+                    'application/octet-stream',
+                    (loaded) => this.reportProgress(this.offset + loaded)
+                );
+
+                if (result.status === 409 && result.body && result.body.data) {
+                    // Server has a different byte count (e.g. a chunk landed before the connection dropped)
+                    this.offset = result.body.data.received;
+                    this.reportProgress(this.offset);
+                    return;
+                }
+
+                if (result.status === 404) {
+                    this.forgetSession();
+                    throw new TSFUploadError(result.body && result.body.message ? result.body.message : TSFI18n.__('Upload session expired'), false);
+                }
+
+                if (!result.body || !result.body.success) {
+                    throw new TSFUploadError(result.body && result.body.message ? result.body.message : TSFI18n.__('Upload failed'), result.status >= 500);
+                }
+
+                this.offset = result.body.data.received;
+                this.reportProgress(this.offset);
+                return;
+            } catch (error) {
+                // Pause/cancel abort the request on purpose
+                if (this.state === 'paused' || this.state === 'cancelled') return;
+
+                const retryable = !(error instanceof TSFUploadError) || error.retryable;
+                if (!retryable || attempt >= this.maxRetries) {
+                    this.setState('failed');
+                    throw error;
+                }
+
+                attempt++;
+                this.setState('retrying');
+                await this.waitForNetwork(Math.min(16000, 1000 * Math.pow(2, attempt - 1)));
+                // Paused or cancelled while waiting: the outer loop takes over
+                if (this.state !== 'retrying') return;
+                this.setState('uploading');
+            }
+        }
+    }
+
+    waitWhilePaused() {
+        if (this.state !== 'paused') return Promise.resolve();
+        return new Promise(resolve => { this.resumeWaiter = resolve; });
+    }
+
+    throwIfCancelled() {
+        if (this.state === 'cancelled') {
+            throw new TSFUploadError('Upload cancelled', false, true);
+        }
+    }
+
+    // Back off, and when the browser is offline wait for it to come back.
+    // pause() and cancel() end the wait early; callers check the state after.
+    waitForNetwork(delay) {
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                this.networkWaiter = null;
+                resolve();
+            };
+
+            this.networkWaiter = done;
+            if (navigator.onLine === false) {
+                window.addEventListener('online', done);
+            } else {
+                timer = setTimeout(done, delay);
+            }
+        });
+    }
+
+    /**
+     * Session create and finalize count against the per-IP API rate limit
+     * (chunks do not). A 429 is waited out and sent again rather than failing
+     * the file, so uploads started back to back queue behind the limit.
+     */
+    async requestRateLimited(method, path, body = null, contentType = null) {
+        for (let attempt = 0; ; attempt++) {
+            const result = await this.request(method, path, body, contentType);
+            if (result.status !== 429 || attempt >= this.maxRetries) return result;
+
+            // The limit's window is a minute
+            const previous = this.state;
+            this.setState('waiting');
+            await this.waitForNetwork(Math.min(60000, 15000 * Math.pow(2, attempt)));
+            this.throwIfCancelled();
+            this.setState(previous);
+        }
+    }
+
+    /**
+     * XHR rather than fetch: fetch has no upload progress events
+     */
+    request(method, path, body = null, contentType = null, onUploadProgress = null) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            this.xhr = xhr;
+
+            // rest_url may already carry a query string (?rest_route=) on plain permalinks
+            const [route, query] = path.split('?');
+            let url = this.restUrl + route;
+            if (query) url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+
+            xhr.open(method, url);
+            xhr.setRequestHeader('X-WP-Nonce', this.nonce);
+            if (contentType) xhr.setRequestHeader('Content-Type', contentType);
+
+            if (onUploadProgress) {
+                xhr.upload.addEventListener('progress', (e) => onUploadProgress(e.loaded));
+            }
+
+            xhr.addEventListener('load', () => {
+                let parsed = null;
+                try {
+                    parsed = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    parsed = null;
+                }
+                resolve({ status: xhr.status, body: parsed });
+            });
+            xhr.addEventListener('error', () => reject(new Error(TSFI18n.__('Network error'))));
+            xhr.addEventListener('abort', () => reject(new Error('Request aborted')));
+
+            xhr.send(body);
+        });
+    }
+
+    reportProgress(sent) {
+        this.onProgress(Math.min(sent, this.file.size), this.file.size);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onStateChange(state);
+    }
+}
+
+class TSFUploadError extends Error {
+    constructor(message, retryable = false, cancelled = false) {
+        super(message);
+        this.name = 'TSFUploadError';
+        this.retryable = retryable;
+        this.cancelled = cancelled;
+    }
+}
@@ -1,71 +1,399 @@
 /**
- * TSF Country Select - Searchable country dropdown with ISO codes
+ * TSF Country Select - Searchable country dropdown with ISO codes, localized
+ * names and accent- and alias-tolerant search
  * @package TrackSubmissionForm
  * @since 3.2.0
  */
 
-const TSF_COUNTRIES = [
-    // Priority countries (top music markets)
-    { code: 'US', name: 'United States', flag: '🇺🇸' },
-    { code: 'GB', name: 'United Kingdom', flag: '🇬🇧' },
-    { code: 'CA', name: 'Canada', flag: '🇨🇦' },
-    { code: 'AU', name: 'Australia', flag: '🇦🇺' },
-
-    // EU Countries (alphabetical)
-    { code: 'AT', name: 'Austria', flag: '🇦🇹' },
-    { code: 'BE', name: 'Belgium', flag: '🇧🇪' },
-    { code: 'BG', name: 'Bulgaria', flag: '🇧🇬' },
-    { code: 'HR', name: 'Croatia', flag: '🇭🇷' },
-    { code: 'CY', name: 'Cyprus', flag: '🇨🇾' },
-    { code: 'CZ', name: 'Czech Republic', flag: '🇨🇿' },
-    { code: 'DK', name: 'Denmark', flag: '🇩🇰' },
-    { code: 'EE', name: 'Estonia', flag: '🇪🇪' },
-    { code: 'FI', name: 'Finland', flag: '🇫🇮' },
-    { code: 'FR', name: 'France', flag: '🇫🇷' },
-    { code: 'DE', name: 'Germany', flag: '🇩🇪' },
-    { code: 'GR', name: 'Greece', flag: '🇬🇷' },
-    { code: 'HU', name: 'Hungary', flag: '🇭🇺' },
-    { code: 'IE', name: 'Ireland', flag: '🇮🇪' },
-    { code: 'IT', name: 'Italy', flag: '🇮🇹' },
-    { code: 'LV', name: 'Latvia', flag: '🇱🇻' },
-    { code: 'LT', name: 'Lithuania', flag: '🇱🇹' },
-    { code: 'LU', name: 'Luxembourg', flag: '🇱🇺' },
-    { code: 'MT', name: 'Malta', flag: '🇲🇹' },
-    { code: 'NL', name: 'Netherlands', flag: '🇳🇱' },
-    { code: 'PL', name: 'Poland', flag: '🇵🇱' },
-    { code: 'PT', name: 'Portugal', flag: '🇵🇹' },
-    { code: 'RO', name: 'Romania', flag: '🇷🇴' },
-    { code: 'SK', name: 'Slovakia', flag: '🇸🇰' },
-    { code: 'SI', name: 'Slovenia', flag: '🇸🇮' },
-    { code: 'ES', name: 'Spain', flag: '🇪🇸' },
-    { code: 'SE', name: 'Sweden', flag: '🇸🇪' },
-
-    // Other major countries (alphabetical)
-    { code: 'AR', name: 'Argentina', flag: '🇦🇷' },
-    { code: 'BR', name: 'Brazil', flag: '🇧🇷' },
-    { code: 'CL', name: 'Chile', flag: '🇨🇱' },
-    { code: 'CN', name: 'China', flag: '🇨🇳' },
-    { code: 'CO', name: 'Colombia', flag: '🇨🇴' },
-    { code: 'IN', name: 'India', flag: '🇮🇳' },
-    { code: 'ID', name: 'Indonesia', flag: '🇮🇩' },
-    { code: 'IL', name: 'Israel', flag: '🇮🇱' },
-    { code: 'JP', name: 'Japan', flag: '🇯🇵' },
-    { code: 'MY', name: 'Malaysia', flag: '🇲🇾' },
-    { code: 'MX', name: 'Mexico', flag: '🇲🇽' },
-    { code: 'NZ', name: 'New Zealand', flag: '🇳🇿' },
-    { code: 'NO', name: 'Norway', flag: '🇳🇴' },
-    { code: 'PH', name: 'Philippines', flag: '🇵🇭' },
-    { code: 'RU', name: 'Russia', flag: '🇷🇺' },
-    { code: 'SG', name: 'Singapore', flag: '🇸🇬' },
-    { code: 'ZA', name: 'South Africa', flag: '🇿🇦' },
-    { code: 'KR', name: 'South Korea', flag: '🇰🇷' },
-    { code: 'CH', name: 'Switzerland', flag: '🇨🇭' },
-    { code: 'TH', name: 'Thailand', flag: '🇹🇭' },
-    { code: 'TR', name: 'Turkey', flag: '🇹🇷' },
-    { code: 'AE', name: 'United Arab Emirates', flag: '🇦🇪' },
-    { code: 'VN', name: 'Vietnam', flag: '🇻🇳' },
+/**
+ * ISO 3166-1 alpha-2 codes, plus XK (Kosovo), which is user-assigned but
+ * used by ISRCs and the streaming platforms. Names come from Intl.DisplayNames
+ * in the page language.
+ */
+const TSF_COUNTRY_CODES = [
+    'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX', 'AZ',
+    'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY', 'BZ',
+    'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ',
+    'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ',
+    'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET',
+    'FI', 'FJ', 'FK', 'FM', 'FO', 'FR',
+    'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY',
+    'HK', 'HM', 'HN', 'HR', 'HT', 'HU',
+    'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR', 'IS', 'IT',
+    'JE', 'JM', 'JO', 'JP',
+    'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KP', 'KR', 'KW', 'KY', 'KZ',
+    'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY',
+    'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ',
+    'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ',
+    'OM',
+    'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY',
+    'QA',
+    'RE', 'RO', 'RS', 'RU', 'RW',
+    'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ',
+    'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ',
+    'UA', 'UG', 'UM', 'US', 'UY', 'UZ',
+    'VA', 'VC', 'VE', 'VG', 'VI', 'VN', 'VU',
+    'WF', 'WS',
+    'YE', 'YT',
+    'ZA', 'ZM', 'ZW',
+    'XK',
 ];
 
+// Top music markets, pinned above the alphabetical list
+const TSF_PRIORITY_COUNTRIES = ['US', 'GB', 'CA', 'AU'];
+
+// Other names people type: abbreviations, native and former names
+const TSF_COUNTRY_ALIASES = {
+    AE: ['UAE', 'Emirates'],
+    AT: ['Österreich'],
+    BE: ['Belgique', 'België', 'Belgien'],
+    BO: ['Bolivia'],
+    BR: ['Brasil'],
+    CD: ['DRC', 'DR Congo', 'Congo-Kinshasa', 'Zaire'],
+    CG: ['Congo-Brazzaville'],
+    CH: ['Schweiz', 'Suisse', 'Svizzera'],
+    CI: ['Côte d\'Ivoire', 'Ivory Coast'],
+    CN: ['PRC', '中国'],
+    CV: ['Cape Verde'],
+    CZ: ['Czech Republic', 'Česko'],
+    DE: ['Deutschland', 'Allemagne', 'Alemania'],
+    DK: ['Danmark'],
+    DZ: ['Algérie'],
+    EG: ['مصر', 'Misr'],
+    ES: ['España', 'Espagne', 'Espanya'],
+    FI: ['Suomi'],
+    GB: ['UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+    GR: ['Hellas', 'Ελλάδα'],
+    HR: ['Hrvatska'],
+    HU: ['Magyarország'],
+    IE: ['Éire'],
+    IN: ['Bharat'],
+    IT: ['Italia'],
+    JP: ['Nippon', '日本'],
+    KP: ['North Korea', 'DPRK'],
+    KR: ['South Korea', 'Korea', '한국'],
+    MA: ['Maroc', 'Morocco'],
+    MK: ['Macedonia'],
+    MM: ['Burma'],
+    MX: ['México'],
+    NL: ['Holland', 'Nederland', 'The Netherlands', 'Pays-Bas', 'Países Bajos'],
+    NO: ['Norge'],
+    PL: ['Polska'],
+    PS: ['Palestine'],
+    RU: ['Russia', 'Россия'],
+    SE: ['Sverige'],
+    SZ: ['Swaziland'],
+    TR: ['Türkiye', 'Turkey'],
+    TW: ['Taiwan'],
+    UA: ['Україна', 'Ukraina'],
+    US: ['USA', 'U.S.', 'United States of America', 'America', 'EE. UU.', 'États-Unis', 'Estados Unidos'],
+    VA: ['Vatican'],
+    VN: ['Viet Nam'],
+    ZA: ['RSA', 'Suid-Afrika'],
+};
+
+/**
+ * IANA time zones by country, from the tz database's zone.tab plus the older
+ * names some browsers still report (Asia/Calcutta, Europe/Kiev). Used to
+ * suggest a country without asking anyone where the visitor is.
+ */
+const TSF_TIME_ZONE_COUNTRIES = {
+    AD: ['Europe/Andorra'],
+    AE: ['Asia/Dubai'],
+    AF: ['Asia/Kabul'],
+    AG: ['America/Antigua'],
+    AI: ['America/Anguilla'],
+    AL: ['Europe/Tirane'],
+    AM: ['Asia/Yerevan'],
+    AO: ['Africa/Luanda'],
+    AQ: ['Antarctica/Casey', 'Antarctica/Davis', 'Antarctica/DumontDUrville', 'Antarctica/Mawson',
+        'Antarctica/McMurdo', 'Antarctica/Palmer', 'Antarctica/Rothera', 'Antarctica/Syowa', 'Antarctica/Troll',
+        'Antarctica/Vostok'],
+    AR: ['America/Argentina/Buenos_Aires', 'America/Argentina/Catamarca', 'America/Argentina/ComodRivadavia',
+        'America/Argentina/Cordoba', 'America/Argentina/Jujuy', 'America/Argentina/La_Rioja',
+        'America/Argentina/Mendoza', 'America/Argentina/Rio_Gallegos', 'America/Argentina/Salta',
+        'America/Argentina/San_Juan', 'America/Argentina/San_Luis', 'America/Argentina/Tucuman',
+        'America/Argentina/Ushuaia', 'America/Buenos_Aires', 'America/Catamarca', 'America/Cordoba', 'America/Jujuy',
+        'America/Mendoza', 'America/Rosario'],
+    AS: ['Pacific/Pago_Pago', 'Pacific/Samoa'],
+    AT: ['Europe/Vienna'],
+    AU: ['Antarctica/Macquarie', 'Australia/ACT', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Broken_Hill',
+        'Australia/Canberra', 'Australia/Currie', 'Australia/Darwin', 'Australia/Eucla', 'Australia/Hobart',
+        'Australia/LHI', 'Australia/Lindeman', 'Australia/Lord_Howe', 'Australia/Melbourne', 'Australia/NSW',
+        'Australia/North', 'Australia/Perth', 'Australia/Queensland', 'Australia/South', 'Australia/Sydney',
+        'Australia/Tasmania', 'Australia/Victoria', 'Australia/West', 'Australia/Yancowinna'],
+    AW: ['America/Aruba'],
+    AX: ['Europe/Mariehamn'],
+    AZ: ['Asia/Baku'],
+    BA: ['Europe/Sarajevo'],
+    BB: ['America/Barbados'],
+    BD: ['Asia/Dacca', 'Asia/Dhaka'],
+    BE: ['Europe/Brussels'],
+    BF: ['Africa/Ouagadougou'],
+    BG: ['Europe/Sofia'],
+    BH: ['Asia/Bahrain'],
+    BI: ['Africa/Bujumbura'],
+    BJ: ['Africa/Porto-Novo'],
+    BL: ['America/St_Barthelemy'],
+    BM: ['Atlantic/Bermuda'],
+    BN: ['Asia/Brunei'],
+    BO: ['America/La_Paz'],
+    BQ: ['America/Kralendijk'],
+    BR: ['America/Araguaina', 'America/Bahia', 'America/Belem', 'America/Boa_Vista', 'America/Campo_Grande',
+        'America/Cuiaba', 'America/Eirunepe', 'America/Fortaleza', 'America/Maceio', 'America/Manaus',
+        'America/Noronha', 'America/Porto_Acre', 'America/Porto_Velho', 'America/Recife', 'America/Rio_Branco',
+        'America/Santarem', 'America/Sao_Paulo'],
+    BS: ['America/Nassau'],
+    BT: ['Asia/Thimbu', 'Asia/Thimphu'],
+    BW: ['Africa/Gaborone'],
+    BY: ['Europe/Minsk'],
+    BZ: ['America/Belize'],
+    CA: ['America/Atikokan', 'America/Blanc-Sablon', 'America/Cambridge_Bay', 'America/Coral_Harbour', 'America/Creston',
+        'America/Dawson', 'America/Dawson_Creek', 'America/Edmonton', 'America/Fort_Nelson', 'America/Glace_Bay',
+        'America/Goose_Bay', 'America/Halifax', 'America/Inuvik', 'America/Iqaluit', 'America/Moncton',
+        'America/Montreal', 'America/Nipigon', 'America/Pangnirtung', 'America/Rainy_River', 'America/Rankin_Inlet',
+        'America/Regina', 'America/Resolute', 'America/St_Johns', 'America/Swift_Current', 'America/Thunder_Bay',
+        'America/Toronto', 'America/Vancouver', 'America/Whitehorse', 'America/Winnipeg', 'America/Yellowknife'],
+    CC: ['Indian/Cocos'],
+    CD: ['Africa/Kinshasa', 'Africa/Lubumbashi'],
+    CF: ['Africa/Bangui'],
+    CG: ['Africa/Brazzaville'],
+    CH: ['Europe/Zurich'],
+    CI: ['Africa/Abidjan'],
+    CK: ['Pacific/Rarotonga'],
+    CL: ['America/Coyhaique', 'America/Punta_Arenas', 'America/Santiago', 'Pacific/Easter'],
+    CM: ['Africa/Douala'],
+    CN: ['Asia/Chongqing', 'Asia/Chungking', 'Asia/Harbin', 'Asia/Kashgar', 'Asia/Shanghai', 'Asia/Urumqi'],
+    CO: ['America/Bogota'],
+    CR: ['America/Costa_Rica'],
+    CU: ['America/Havana'],
+    CV: ['Atlantic/Cape_Verde'],
+    CW: ['America/Curacao'],
+    CX: ['Indian/Christmas'],
+    CY: ['Asia/Famagusta', 'Asia/Nicosia', 'Europe/Nicosia'],
+    CZ: ['Europe/Prague'],
+    DE: ['Europe/Berlin', 'Europe/Busingen'],
+    DJ: ['Africa/Djibouti'],
+    DK: ['Europe/Copenhagen'],
+    DM: ['America/Dominica'],
+    DO: ['America/Santo_Domingo'],
+    DZ: ['Africa/Algiers'],
+    EC: ['America/Guayaquil', 'Pacific/Galapagos'],
+    EE: ['Europe/Tallinn'],
+    EG: ['Africa/Cairo'],
+    EH: ['Africa/El_Aaiun'],
+    ER: ['Africa/Asmara', 'Africa/Asmera'],
+    ES: ['Africa/Ceuta', 'Atlantic/Canary', 'Europe/Madrid'],
+    ET: ['Africa/Addis_Ababa'],
+    FI: ['Europe/Helsinki'],
+    FJ: ['Pacific/Fiji'],
+    FK: ['Atlantic/Stanley'],
+    FM: ['Pacific/Chuuk', 'Pacific/Kosrae', 'Pacific/Pohnpei', 'Pacific/Ponape', 'Pacific/Truk', 'Pacific/Yap'],
+    FO: ['Atlantic/Faeroe', 'Atlantic/Faroe'],
+    FR: ['Europe/Paris'],
+    GA: ['Africa/Libreville'],
+    GB: ['Europe/Belfast', 'Europe/London'],
+    GD: ['America/Grenada'],
+    GE: ['Asia/Tbilisi'],
+    GF: ['America/Cayenne'],
+    GG: ['Europe/Guernsey'],
+    GH: ['Africa/Accra'],
+    GI: ['Europe/Gibraltar'],
+    GL: ['America/Danmarkshavn', 'America/Godthab', 'America/Nuuk', 'America/Scoresbysund', 'America/Thule'],
+    GM: ['Africa/Banjul'],
+    GN: ['Africa/Conakry'],
+    GP: ['America/Guadeloupe'],
+    GQ: ['Africa/Malabo'],
+    GR: ['Europe/Athens'],
+    GS: ['Atlantic/South_Georgia'],
+    GT: ['America/Guatemala'],
+    GU: ['Pacific/Guam'],
+    GW: ['Africa/Bissau'],
+    GY: ['America/Guyana'],
+    HK: ['Asia/Hong_Kong'],
+    HN: ['America/Tegucigalpa'],
+    HR: ['Europe/Zagreb'],
+    HT: ['America/Port-au-Prince'],
+    HU: ['Europe/Budapest'],
+    ID: ['Asia/Jakarta', 'Asia/Jayapura', 'Asia/Makassar', 'Asia/Pontianak', 'Asia/Ujung_Pandang'],
+    IE: ['Europe/Dublin'],
+    IL: ['Asia/Jerusalem', 'Asia/Tel_Aviv'],
+    IM: ['Europe/Isle_of_Man'],
+    IN: ['Asia/Calcutta', 'Asia/Kolkata'],
+    IO: ['Indian/Chagos'],
+    IQ: ['Asia/Baghdad'],
+    IR: ['Asia/Tehran'],
+    IS: ['Atlantic/Reykjavik'],
+    IT: ['Europe/Rome'],
+    JE: ['Europe/Jersey'],
+    JM: ['America/Jamaica'],
+    JO: ['Asia/Amman'],
+    JP: ['Asia/Tokyo'],
+    KE: ['Africa/Nairobi'],
+    KG: ['Asia/Bishkek'],
+    KH: ['Asia/Phnom_Penh'],
+    KI: ['Pacific/Enderbury', 'Pacific/Kanton', 'Pacific/Kiritimati', 'Pacific/Tarawa'],
+    KM: ['Indian/Comoro'],
+    KN: ['America/St_Kitts'],
+    KP: ['Asia/Pyongyang'],
+    KR: ['Asia/Seoul'],
+    KW: ['Asia/Kuwait'],
+    KY: ['America/Cayman'],
+    KZ: ['Asia/Almaty', 'Asia/Aqtau', 'Asia/Aqtobe', 'Asia/Atyrau', 'Asia/Oral', 'Asia/Qostanay', 'Asia/Qyzylorda'],
+    LA: ['Asia/Vientiane'],
+    LB: ['Asia/Beirut'],
+    LC: ['America/St_Lucia'],
+    LI: ['Europe/Vaduz'],
+    LK: ['Asia/Colombo'],
+    LR: ['Africa/Monrovia'],
+    LS: ['Africa/Maseru'],
+    LT: ['Europe/Vilnius'],
+    LU: ['Europe/Luxembourg'],
+    LV: ['Europe/Riga'],
+    LY: ['Africa/Tripoli'],
+    MA: ['Africa/Casablanca'],
+    MC: ['Europe/Monaco'],
+    MD: ['Europe/Chisinau', 'Europe/Tiraspol'],
+    ME: ['Europe/Podgorica'],
+    MF: ['America/Marigot'],
+    MG: ['Indian/Antananarivo'],
+    MH: ['Pacific/Kwajalein', 'Pacific/Majuro'],
+    MK: ['Europe/Skopje'],
+    ML: ['Africa/Bamako', 'Africa/Timbuktu'],
+    MM: ['Asia/Rangoon', 'Asia/Yangon'],
+    MN: ['Asia/Choibalsan', 'Asia/Hovd', 'Asia/Ulaanbaatar', 'Asia/Ulan_Bator'],
+    MO: ['Asia/Macao', 'Asia/Macau'],
+    MP: ['Pacific/Saipan'],
+    MQ: ['America/Martinique'],
+    MR: ['Africa/Nouakchott'],
+    MS: ['America/Montserrat'],
+    MT: ['Europe/Malta'],
+    MU: ['Indian/Mauritius'],
+    MV: ['Indian/Maldives'],
+    MW: ['Africa/Blantyre'],
+    MX: ['America/Bahia_Banderas', 'America/Cancun', 'America/Chihuahua', 'America/Ciudad_Juarez', 'America/Ensenada',
+        'America/Hermosillo', 'America/Matamoros', 'America/Mazatlan', 'America/Merida', 'America/Mexico_City',
+        'America/Monterrey', 'America/Ojinaga', 'America/Santa_Isabel', 'America/Tijuana'],
+    MY: ['Asia/Kuala_Lumpur', 'Asia/Kuching'],
+    MZ: ['Africa/Maputo'],
+    NA: ['Africa/Windhoek'],
+    NC: ['Pacific/Noumea'],
+    NE: ['Africa/Niamey'],
+    NF: ['Pacific/Norfolk'],
+    NG: ['Africa/Lagos'],
+    NI: ['America/Managua'],
+    NL: ['Europe/Amsterdam'],
+    NO: ['Europe/Oslo'],
+    NP: ['Asia/Kathmandu', 'Asia/Katmandu'],
+    NR: ['Pacific/Nauru'],
+    NU: ['Pacific/Niue'],
+    NZ: ['Pacific/Auckland', 'Pacific/Chatham'],
+    OM: ['Asia/Muscat'],
+    PA: ['America/Panama'],
+    PE: ['America/Lima'],
+    PF: ['Pacific/Gambier', 'Pacific/Marquesas', 'Pacific/Tahiti'],
+    PG: ['Pacific/Bougainville', 'Pacific/Port_Moresby'],
+    PH: ['Asia/Manila'],
+    PK: ['Asia/Karachi'],
+    PL: ['Europe/Warsaw'],
+    PM: ['America/Miquelon'],
+    PN: ['Pacific/Pitcairn'],
+    PR: ['America/Puerto_Rico'],
+    PS: ['Asia/Gaza', 'Asia/Hebron'],
+    PT: ['Atlantic/Azores', 'Atlantic/Madeira', 'Europe/Lisbon'],
+    PW: ['Pacific/Palau'],
+    PY: ['America/Asuncion'],
+    QA: ['Asia/Qatar'],
+    RE: ['Indian/Reunion'],
+    RO: ['Europe/Bucharest'],
+    RS: ['Europe/Belgrade'],
+    RU: ['Asia/Anadyr', 'Asia/Barnaul', 'Asia/Chita', 'Asia/Irkutsk', 'Asia/Kamchatka', 'Asia/Khandyga',
+        'Asia/Krasnoyarsk', 'Asia/Magadan', 'Asia/Novokuznetsk', 'Asia/Novosibirsk', 'Asia/Omsk', 'Asia/Sakhalin',
+        'Asia/Srednekolymsk', 'Asia/Tomsk', 'Asia/Ust-Nera', 'Asia/Vladivostok', 'Asia/Yakutsk', 'Asia/Yekaterinburg',
+        'Europe/Astrakhan', 'Europe/Kaliningrad', 'Europe/Kirov', 'Europe/Moscow', 'Europe/Samara', 'Europe/Saratov',
+        'Europe/Ulyanovsk', 'Europe/Volgograd'],
+    RW: ['Africa/Kigali'],
+    SA: ['Asia/Riyadh'],
+    SB: ['Pacific/Guadalcanal'],
+    SC: ['Indian/Mahe'],
+    SD: ['Africa/Khartoum'],
+    SE: ['Europe/Stockholm'],
+    SG: ['Asia/Singapore'],
+    SH: ['Atlantic/St_Helena'],
+    SI: ['Europe/Ljubljana'],
+    SJ: ['Arctic/Longyearbyen'],
+    SK: ['Europe/Bratislava'],
+    SL: ['Africa/Freetown'],
+    SM: ['Europe/San_Marino'],
+    SN: ['Africa/Dakar'],
+    SO: ['Africa/Mogadishu'],
+    SR: ['America/Paramaribo'],
+    SS: ['Africa/Juba'],
+    ST: ['Africa/Sao_Tome'],
+    SV: ['America/El_Salvador'],
+    SX: ['America/Lower_Princes'],
+    SY: ['Asia/Damascus'],
+    SZ: ['Africa/Mbabane'],
+    TC: ['America/Grand_Turk'],
+    TD: ['Africa/Ndjamena'],
+    TF: ['Indian/Kerguelen'],
+    TG: ['Africa/Lome'],
+    TH: ['Asia/Bangkok'],
+    TJ: ['Asia/Dushanbe'],
+    TK: ['Pacific/Fakaofo'],
+    TL: ['Asia/Dili'],
+    TM: ['Asia/Ashgabat', 'Asia/Ashkhabad'],
+    TN: ['Africa/Tunis'],
+    TO: ['Pacific/Tongatapu'],
+    TR: ['Asia/Istanbul', 'Europe/Istanbul'],
+    TT: ['America/Port_of_Spain'],
+    TV: ['Pacific/Funafuti'],
+    TW: ['Asia/Taipei'],
+    TZ: ['Africa/Dar_es_Salaam'],
+    UA: ['Europe/Kiev', 'Europe/Kyiv', 'Europe/Simferopol', 'Europe/Uzhgorod', 'Europe/Zaporozhye'],
+    UG: ['Africa/Kampala'],
+    UM: ['Pacific/Midway', 'Pacific/Wake'],
+    US: ['America/Adak', 'America/Anchorage', 'America/Atka', 'America/Boise', 'America/Chicago', 'America/Denver',
+        'America/Detroit', 'America/Fort_Wayne', 'America/Indiana/Indianapolis', 'America/Indiana/Knox',
+        'America/Indiana/Marengo', 'America/Indiana/Petersburg', 'America/Indiana/Tell_City', 'America/Indiana/Vevay',
+        'America/Indiana/Vincennes', 'America/Indiana/Winamac', 'America/Indianapolis', 'America/Juneau',
+        'America/Kentucky/Louisville', 'America/Kentucky/Monticello', 'America/Knox_IN', 'America/Los_Angeles',
+        'America/Louisville', 'America/Menominee', 'America/Metlakatla', 'America/New_York', 'America/Nome',
+        'America/North_Dakota/Beulah', 'America/North_Dakota/Center', 'America/North_Dakota/New_Salem',
+        'America/Phoenix', 'America/Shiprock', 'America/Sitka', 'America/Yakutat', 'Pacific/Honolulu',
+        'Pacific/Johnston'],
+    UY: ['America/Montevideo'],
+    UZ: ['Asia/Samarkand', 'Asia/Tashkent'],
+    VA: ['Europe/Vatican'],
+    VC: ['America/St_Vincent'],
+    VE: ['America/Caracas'],
+    VG: ['America/Tortola'],
+    VI: ['America/St_Thomas'],
+    VN: ['Asia/Ho_Chi_Minh', 'Asia/Saigon'],
+    VU: ['Pacific/Efate'],
+    WF: ['Pacific/Wallis'],
+    WS: ['Pacific/Apia'],
+    YE: ['Asia/Aden'],
+    YT: ['Indian/Mayotte'],
+    ZA: ['Africa/Johannesburg'],
+    ZM: ['Africa/Lusaka'],
+    ZW: ['Africa/Harare']
+};
+
+/**
+ * Countries behind the region presets of the territory picker
+ */
+const TSF_TERRITORY_PRESETS = {
+    eu: ['AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'],
+    north_america: ['US', 'CA', 'MX'],
+    latam: ['AR', 'BO', 'BR', 'CL', 'CO', 'CR', 'CU', 'DO', 'EC', 'GT', 'HN', 'HT', 'MX', 'NI', 'PA', 'PE', 'PR', 'PY', 'SV', 'UY', 'VE']
+};
+
+/**
+ * One country (.tsf-country-selected), or with data-multiple a list of
+ * territories shown as chips (.tsf-territory-chips). Territories post as JSON:
+ * { worldwide: true, except: [codes] } or { countries: [codes] }.
+ */
 class TSFCountrySelect {
     constructor(element) {
         this.wrapper = element;
@@ -73,9 +401,13 @@ class TSFCountrySelect {
         this.hiddenInput = element.querySelector('.tsf-country-value');
         this.dropdown = element.querySelector('.tsf-country-dropdown');
         this.selected = element.querySelector('.tsf-country-selected');
+        this.chips = element.querySelector('.tsf-territory-chips');
+        this.multiple = element.hasAttribute('data-multiple');
+        // Countries chosen, or with worldwide the ones left out
+        this.territories = { worldwide: false, countries: [] };
         this.focusedIndex = -1;
 
-        if (!this.searchInput || !this.hiddenInput || !this.dropdown || !this.selected) {
+        if (!this.searchInput || !this.hiddenInput || !this.dropdown || !(this.multiple ? this.chips : this.selected)) {
             // VUL-22 FIX: Remove console.error from production
             return;
         }
@@ -83,10 +415,102 @@ class TSFCountrySelect {
         this.init();
     }
 
+    /**
+     * Country entries for TSF_COUNTRY_CODES, named in the page language
+     * @returns {Array<{code: string, name: string, flag: string, pinned: boolean, terms: string[]}>}
+     */
+    static buildCountryList() {
+        const locale = TSFI18n.locale;
+        const displayNames = (language) => {
+            try {
+                return new Intl.DisplayNames([language], { type: 'region' });
+            } catch (e) {
+                return null;
+            }
+        };
+        const localNames = displayNames(locale);
+        const englishNames = displayNames('en');
+
+        const countries = TSF_COUNTRY_CODES.map(code => {
+            const name = (localNames && localNames.of(code)) || code;
+            const englishName = (englishNames && englishNames.of(code)) || '';
+
+            return {
+                code,
+                name,
+                // Regional indicator symbols: "BE" -> 🇧🇪
+                flag: String.fromCodePoint(...code.split('').map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65)),
+                pinned: TSF_PRIORITY_COUNTRIES.includes(code),
+                // English names still match on a translated page
+                terms: Array.from(new Set([name, englishName].concat(TSF_COUNTRY_ALIASES[code] || [])))
+                    .filter(Boolean)
+                    .map(term => TSFCountrySelect.normalize(term))
+            };
+        });
+
+        const pinned = TSF_PRIORITY_COUNTRIES.map(code => countries.find(country => country.code === code));
+        const others = countries
+            .filter(country => !country.pinned)
+            .sort((a, b) => a.name.localeCompare(b.name, locale));
+
+        return pinned.concat(others);
+    }
+
+    /**
+     * Lowercase, without accents and punctuation: "Côte d’Ivoire" -> "cote d ivoire"
+     */
+    static normalize(text) {
+        const letters = { 'ø': 'o', 'œ': 'oe', 'æ': 'ae', 'ß': 'ss', 'ł': 'l', 'đ': 'd', 'ı': 'i' };
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[øœæßłđı]/g, letter => letters[letter])
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Countries matching a search, best matches first: the code or a whole
+     * name, then names starting with the query, then a word of the name, then
+     * anywhere in it. Pinned markets lead within each group.
+     * @param {string} query
+     * @returns {Array} Entries of TSF_COUNTRIES
+     */
+    search(query) {
+        const words = TSFCountrySelect.normalize(query);
+        const compact = words.replace(/ /g, '');
+        if (!compact) return TSF_COUNTRIES;
+
+        const rank = (country) => {
+            if (country.code.toLowerCase() === compact) return 0;
+
+            return Math.min(...country.terms.map(term => {
+                const compactTerm = term.replace(/ /g, '');
+                if (compactTerm === compact) return 0;
+                if (compactTerm.startsWith(compact)) return 1;
+                if ((' ' + term).includes(' ' + words)) return 2;
+                if (compactTerm.includes(compact)) return 3;
+                return Infinity;
+            }));
+        };
+
+        return TSF_COUNTRIES
+            .map((country, order) => ({ country, order, rank: rank(country) }))
+            .filter(match => match.rank !== Infinity)
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .map(match => match.country);
+    }
+
     init() {
         this.renderDropdown(TSF_COUNTRIES);
         this.bindEvents();
-        this.detectUserCountry();
+
+        if (this.multiple) {
+            this.renderChips();
+        } else {
+            this.detectUserCountry();
+        }
     }
 
     renderDropdown(filteredCountries) {
@@ -96,7 +520,7 @@ class TSFCountrySelect {
         if (filteredCountries.length === 0) {
             const noResults = document.createElement('div');
             noResults.className = 'tsf-country-no-results';
-            noResults.textContent = 'No countries found';
+            noResults.textContent = TSFI18n.__('No countries found');
             this.dropdown.appendChild(noResults);
             return;
         }
@@ -109,6 +533,12 @@ class TSFCountrySelect {
             option.setAttribute('role', 'option');
             option.setAttribute('tabindex', '-1');
 
+            if (this.multiple) {
+                const chosen = this.territories.countries.includes(c.code);
+                option.classList.toggle('selected', chosen);
+                option.setAttribute('aria-selected', chosen ? 'true' : 'false');
+            }
+
             const flag = document.createElement('span');
             flag.className = 'tsf-country-flag';
             flag.textContent = c.flag;
@@ -125,6 +555,12 @@ class TSFCountrySelect {
             option.appendChild(name);
             option.appendChild(code);
 
+            // Line between the pinned markets and the alphabetical list
+            const next = filteredCountries[index + 1];
+            if (c.pinned && next && !next.pinned && filteredCountries === TSF_COUNTRIES) {
+                option.classList.add('tsf-country-option-last-pinned');
+            }
+
             this.dropdown.appendChild(option);
         });
     }
@@ -132,17 +568,7 @@ class TSFCountrySelect {
     bindEvents() {
         // Search/filter
         this.searchInput.addEventListener('input', (e) => {
-            const query = e.target.value.toLowerCase().trim();
-
-            if (query === '') {
-                this.renderDropdown(TSF_COUNTRIES);
-            } else {
-                const filtered = TSF_COUNTRIES.filter(c =>
-                    c.name.toLowerCase().includes(query) ||
-                    c.code.toLowerCase().includes(query)
-                );
-                this.renderDropdown(filtered);
-            }
+            this.renderDropdown(this.search(e.target.value));
 
             this.dropdown.classList.add('open');
             this.focusedIndex = -1;
@@ -153,9 +579,10 @@ class TSFCountrySelect {
             this.dropdown.classList.add('open');
         });
 
-        // Click outside: close dropdown
+        // Click outside: close dropdown. A territory pick re-renders the
+        // option or chip that was clicked, so it is no longer in the page.
         document.addEventListener('click', (e) => {
-            if (!this.wrapper.contains(e.target)) {
+            if (!this.wrapper.contains(e.target) && e.target.isConnected) {
                 this.dropdown.classList.remove('open');
                 this.focusedIndex = -1;
             }
@@ -173,8 +600,23 @@ class TSFCountrySelect {
             }
         });
 
+        // Region presets and chip removal (territories)
+        this.wrapper.querySelectorAll('.tsf-territory-preset').forEach(button => {
+            button.addEventListener('click', () => this.applyPreset(button.dataset.preset));
+        });
+
+        if (this.chips) {
+            this.chips.addEventListener('click', (e) => {
+                const remove = e.target.closest('.tsf-territory-chip-remove');
+                if (remove) {
+                    e.preventDefault();
+                    this.removeTerritory(remove.dataset.code);
+                }
+            });
+        }
+
         // Clear selection
-        const clearBtn = this.selected.querySelector('.tsf-country-clear');
+        const clearBtn = this.selected && this.selected.querySelector('.tsf-country-clear');
         if (clearBtn) {
             clearBtn.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -230,6 +672,11 @@ class TSFCountrySelect {
     }
 
     selectCountry(country) {
+        if (this.multiple) {
+            this.toggleTerritory(country.code);
+            return;
+        }
+
         // Store ISO code in hidden input
         this.hiddenInput.value = country.code;
 
@@ -247,39 +694,280 @@ class TSFCountrySelect {
         this.dropdown.classList.remove('open');
         this.focusedIndex = -1;
 
+        if (this.suggestion) this.suggestion.hidden = true;
+
         // Trigger change event for validation
         this.hiddenInput.dispatchEvent(new Event('change', { bubbles: true }));
 
         // Update search placeholder
-        this.searchInput.placeholder = `Selected: ${country.flag} ${country.name}`;
+        this.searchInput.placeholder = TSFI18n.__('Selected: {country}', { country: `${country.flag} ${country.name}` });
     }
 
     clearSelection() {
         this.hiddenInput.value = '';
         this.selected.classList.remove('active');
         this.searchInput.value = '';
-        this.searchInput.placeholder = '🔍 Search your country...';
+        this.searchInput.placeholder = '🔍 ' + TSFI18n.__('Search your country...');
+        if (this.suggestion) this.suggestion.hidden = false;
         this.searchInput.focus();
     }
 
-    async detectUserCountry() {
-        // Optional: Auto-detect user's country via IP
-        try {
-            const response = await fetch('https://ipapi.co/json/', {
-                timeout: 3000
-            });
+    // ==================== TERRITORIES ====================
 
-            if (!response.ok) return;
+    /**
+     * Add a country to the territories, or take it off when it is already
+     * there; with worldwide the list holds the countries left out
+     */
+    toggleTerritory(code) {
+        const countries = this.territories.countries;
+        this.territories.countries = countries.includes(code)
+            ? countries.filter(c => c !== code)
+            : countries.concat(code);
 
-            const data = await response.json();
-            const country = TSF_COUNTRIES.find(c => c.code === data.country_code);
+        this.searchInput.value = '';
+        this.focusedIndex = -1;
+        this.updateTerritories();
+        this.searchInput.focus();
+    }
 
+    /**
+     * @param {string} code - Country code, or '*' for the worldwide chip
+     */
+    removeTerritory(code) {
+        if (code === '*') {
+            this.territories = { worldwide: false, countries: [] };
+        } else {
+            this.territories.countries = this.territories.countries.filter(c => c !== code);
+        }
+        this.updateTerritories();
+    }
+
+    /**
+     * @param {string} preset - worldwide, worldwide_except or a key of TSF_TERRITORY_PRESETS
+     */
+    applyPreset(preset) {
+        if (preset === 'worldwide') {
+            this.territories = { worldwide: true, countries: [] };
+        } else if (preset === 'worldwide_except') {
+            // Keep exclusions already made; the search now adds more
+            this.territories = { worldwide: true, countries: this.territories.worldwide ? this.territories.countries : [] };
+            this.searchInput.focus();
+        } else if (TSF_TERRITORY_PRESETS[preset]) {
+            // Regions add up: EU + North America
+            const current = this.territories.worldwide ? [] : this.territories.countries;
+            this.territories = {
+                worldwide: false,
+                countries: Array.from(new Set(current.concat(TSF_TERRITORY_PRESETS[preset])))
+            };
+        } else {
+            return;
+        }
+
+        this.updateTerritories();
+    }
+
+    updateTerritories() {
+        this.hiddenInput.value = this.getTerritoriesValue();
+        this.wrapper.classList.toggle('tsf-territories-worldwide', this.territories.worldwide);
+        this.searchInput.placeholder = '🔍 ' + (this.territories.worldwide
+            ? TSFI18n.__('Exclude a country...')
+            : TSFI18n.__('Add a country...'));
+
+        this.renderChips();
+        this.renderDropdown(this.search(this.searchInput.value));
+
+        // Trigger change event for validation and autosave
+        this.hiddenInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    renderChips() {
+        this.chips.textContent = '';
+
+        const chip = (code, flag, label, className) => {
+            const element = document.createElement('span');
+            element.className = 'tsf-territory-chip' + (className ? ' ' + className : '');
+
+            const flagEl = document.createElement('span');
+            flagEl.className = 'tsf-country-flag';
+            flagEl.textContent = flag;
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'tsf-territory-chip-name';
+            nameEl.textContent = label;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'tsf-territory-chip-remove';
+            remove.dataset.code = code;
+            remove.setAttribute('aria-label', TSFI18n.__('Remove {country}', { country: label }));
+            remove.textContent = '×';
+
+            element.appendChild(flagEl);
+            element.appendChild(nameEl);
+            element.appendChild(remove);
+            this.chips.appendChild(element);
+        };
+
+        const { worldwide, countries } = this.territories;
+
+        if (worldwide) {
+            chip('*', '🌍', TSFI18n.__('Worldwide'), 'tsf-territory-chip-worldwide');
+
+            if (countries.length > 0) {
+                const except = document.createElement('span');
+                except.className = 'tsf-territory-except';
+                except.textContent = TSFI18n.__('except');
+                this.chips.appendChild(except);
+            }
+        }
+
+        countries.forEach(code => {
+            const country = TSF_COUNTRIES.find(c => c.code === code);
             if (country) {
-                this.searchInput.placeholder = `🔍 Search (detected: ${country.flag} ${country.name})`;
+                chip(country.code, country.flag, country.name, worldwide ? 'tsf-territory-chip-excluded' : '');
             }
+        });
+    }
+
+    /**
+     * Value posted as territories: JSON, or empty when nothing was chosen
+     * @returns {string}
+     */
+    getTerritoriesValue() {
+        const { worldwide, countries } = this.territories;
+
+        if (worldwide) {
+            return JSON.stringify({ worldwide: true, except: countries });
+        }
+        return countries.length > 0 ? JSON.stringify({ countries }) : '';
+    }
+
+    /**
+     * Territories in words: "Worldwide except China and Russia", "Belgium, France and Spain"
+     * @returns {string} Empty when nothing was chosen
+     */
+    getTerritoriesText() {
+        const { worldwide, countries } = this.territories;
+        const names = countries
+            .map(code => TSF_COUNTRIES.find(c => c.code === code))
+            .filter(Boolean)
+            .map(country => country.name);
+
+        if (worldwide) {
+            return names.length > 0
+                ? TSFI18n.__('Worldwide except {countries}', { countries: TSFI18n.formatList(names) })
+                : TSFI18n.__('Worldwide');
+        }
+        return TSFI18n.formatList(names);
+    }
+
+    // Public method to set territories programmatically (for autosave restore)
+    setTerritories(value) {
+        let data;
+        try {
+            data = typeof value === 'string' ? JSON.parse(value) : value;
         } catch (e) {
-            // Silently fail - no big deal
+            return;
         }
+        if (!data || typeof data !== 'object') return;
+
+        const known = (list) => (Array.isArray(list) ? list : []).filter(code => TSF_COUNTRIES.some(c => c.code === code));
+
+        this.territories = data.worldwide
+            ? { worldwide: true, countries: known(data.except) }
+            : { worldwide: false, countries: known(data.countries) };
+        this.updateTerritories();
+    }
+
+    // ==================== SUGGESTION ====================
+
+    /**
+     * Offer a likely country as a "Use Belgium?" chip. It comes from the
+     * browser and the server hint; the visitor's IP is only looked up
+     * remotely when the admin turned that on.
+     */
+    async detectUserCountry() {
+        const config = typeof tsfCountryConfig === 'object' && tsfCountryConfig ? tsfCountryConfig : {};
+
+        let code = config.ipLookup ? await TSFCountrySelect.lookupCountry() : '';
+        if (!TSF_COUNTRY_CODES.includes(code)) {
+            code = TSFCountrySelect.guessCountry(config.hint);
+        }
+
+        const country = TSF_COUNTRIES.find(c => c.code === code);
+        if (country && !this.hiddenInput.value) {
+            this.showSuggestion(country);
+        }
+    }
+
+    /**
+     * Country from local signals: the server hint, then the time zone (it
+     * follows where the visitor is), then the first preferred language with
+     * a region (nl-BE)
+     * @param {string} hint - Code from the site's CDN header, if any
+     * @returns {string} Country code, or empty
+     */
+    static guessCountry(hint) {
+        if (TSF_COUNTRY_CODES.includes(hint)) return hint;
+
+        try {
+            const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const zoneCountry = Object.keys(TSF_TIME_ZONE_COUNTRIES).find(code => TSF_TIME_ZONE_COUNTRIES[code].includes(zone));
+            if (zoneCountry) return zoneCountry;
+        } catch (e) {
+            // No time zone support
+        }
+
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        for (const tag of languages) {
+            try {
+                const region = new Intl.Locale(tag).region;
+                if (TSF_COUNTRY_CODES.includes(region)) return region;
+            } catch (e) {
+                // Not a valid language tag
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Country of the visitor's IP address from ipapi.co (admin opt-in only)
+     * @returns {Promise<string>} Country code, or empty
+     */
+    static async lookupCountry() {
+        // fetch() has no timeout option, so abort a slow lookup instead
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 3000);
+
+        try {
+            const response = await fetch('https://ipapi.co/json/', { signal: controller.signal });
+            if (!response.ok) return '';
+
+            const data = await response.json();
+            return typeof data.country_code === 'string' ? data.country_code : '';
+        } catch (e) {
+            return '';
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    showSuggestion(country) {
+        if (!this.suggestion) {
+            this.suggestion = document.createElement('button');
+            this.suggestion.type = 'button';
+            this.suggestion.className = 'tsf-country-suggestion';
+            this.suggestion.addEventListener('click', () => {
+                const suggested = TSF_COUNTRIES.find(c => c.code === this.suggestion.dataset.code);
+                if (suggested) this.selectCountry(suggested);
+            });
+            this.searchInput.insertAdjacentElement('afterend', this.suggestion);
+        }
+
+        this.suggestion.dataset.code = country.code;
+        this.suggestion.textContent = TSFI18n.__('Use {country}?', { country: `${country.flag} ${country.name}` });
+        this.suggestion.hidden = false;
     }
 
     // Public method to set country programmatically (for autosave restore)
@@ -291,10 +979,15 @@ class TSFCountrySelect {
     }
 }
 
+// Every country: pinned markets first, then the rest by their name in the page language
+const TSF_COUNTRIES = TSFCountrySelect.buildCountryList();
+
 // Initialize all country selects when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     const countrySelects = document.querySelectorAll('.tsf-country-select-wrapper');
     countrySelects.forEach(element => {
-        new TSFCountrySelect(element);
+        if (element.tsfCountrySelect) return;
+        // Kept on the element so the form can restore a saved country
+        element.tsfCountrySelect = new TSFCountrySelect(element);
     });
 });
@@ -19,6 +19,15 @@
             return div.innerHTML;
         },
 
+        /**
+         * Escape text for a quoted HTML attribute (translations may contain quotes)
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped attribute value
+         */
+        escapeAttr(text) {
+            return TSFSecurity.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        },
+
         /**
          * Create element with safe text content
          * @param {string} tag - HTML tag name
@@ -34,38 +43,419 @@
         }
     };
 
+    // Message catalog lookups (see tsf-i18n.js)
+    const __ = (text, params) => TSFI18n.__(text, params);
+    const _n = (single, plural, count, params) => TSFI18n._n(single, plural, count, params);
+
     class TSFFormV2 {
         constructor() {
             this.form = document.getElementById('tsf-multi-step-form');
             if (!this.form) return;
 
             this.currentStep = 1;
-            this.totalSteps = 4;
+            this.totalSteps = 1;
             this.formData = {};
             this.autosaveTimer = null;
+            // Set once the "email me a link" panel is opened (enableServerDraft())
+            this.serverDraftEnabled = false;
 
-            // Multi-track upload state
-            this.trackCount = 1;
-            this.currentTrackUpload = 0;
-            this.uploadedTracks = {};
+            // Per-track MP3 analysis (keyed by .tsf-track-row element, so the
+            // report follows the row when tracks are removed and renumbered)
+            this.trackReports = new Map();
             this.qcReport = null;
 
+            // Analyzed File per track row, for the waveform preview
+            this.trackFiles = new Map();
+            this.audioPreview = null;
+            this.previewRow = null;
+
+            // Chunked uploads in flight, keyed by upload area / drop zone element
+            this.activeUploads = new Map();
+
+            // Verification results per canonical URL for this page session,
+            // and the controller of the verification in flight
+            this.verifyCache = new Map();
+            // Links the API answered with a 429, and until when typing leaves them alone
+            this.verifyThrottled = new Map();
+            this.verifyController = null;
+            this.autoVerifyTimer = null;
+
             this.init();
         }
 
         init() {
+            // Rules mirroring TSF_Validator; renderSchema() adds the layout's own
+            this.validator = new TSFValidationEngine({
+                rules: tsfFormData.validation_rules || {},
+                getValue: (name) => this.getFieldValue(name),
+                getNames: () => Array.from(new Set(Array.from(this.form.elements, element => element.name).filter(Boolean))),
+                // The engine's defaults, for rules the server sends without a message
+                messages: Object.fromEntries(Object.entries(TSFValidationEngine.messages).map(([rule, message]) => [rule, __(message)]))
+            });
+
+            // Text direction and language of the page locale
+            TSFI18n.applyDirection(document.getElementById('tsf-form-wrapper') || this.form);
+
+            // Fields must exist before anything binds to them
+            this.renderSchema();
             this.setupNavigation();
             this.setupValidation();
             this.setupAutosave();
-            this.checkAutosaveRestore();
+            this.setupDraftLink();
             this.setupReleaseDatePicker();
             this.setupPlatformDetection();
+            this.setupStreamingLinks();
+            this.setupReconciliation();
             this.setupConditionalLogic();
             this.setupTrackRepeater();
+            this.setupIsrcFields();
+            this.setupTrackCredits();
             this.setupTrackVerification();
             this.setupMP3Upload();
-            this.setupMultiTrackUpload();
+            this.setupAudioPreview();
+            this.setupStepHistory();
             this.updateProgress();
+
+            // Restore last: track rows, the date picker and the country select must exist.
+            // A resume link wins over the local copy. Without either, a reload or
+            // shared link still opens the step in the URL, if the ones before it are complete.
+            const restoring = this.checkDraftLink() || this.checkAutosaveRestore();
+            if (!restoring) {
+                this.goToStep(this.getStepFromUrl() || 1, 'replace');
+            }
+        }
+
+        // ==================== FORM LAYOUT ====================
+
+        /**
+         * Build the steps, progress indicators and fields from tsfFormData.form_schema
+         * (see TSF_Form_V2::get_default_form_schema()). Widgets with their own
+         * markup are cloned from the <template data-tsf-widget> elements.
+         */
+        renderSchema() {
+            const schema = tsfFormData.form_schema || {};
+            const steps = Array.isArray(schema.steps) ? schema.steps : [];
+            const container = document.getElementById('tsf-form-steps');
+            const indicators = document.querySelector('.tsf-progress-steps');
+
+            this.trackRepeater = null;
+            this.conditionalGroups = [];
+
+            if (!container) return;
+
+            steps.forEach((step, index) => {
+                const number = index + 1;
+
+                const stepEl = TSFSecurity.createElement('div', 'tsf-form-step' + (number === 1 ? ' active' : ''));
+                stepEl.dataset.step = number;
+                if (step.id) stepEl.dataset.stepId = step.id;
+                stepEl.appendChild(TSFSecurity.createElement('h2', 'tsf-step-title', step.title || ''));
+                if (step.description) {
+                    stepEl.appendChild(TSFSecurity.createElement('p', 'tsf-step-description', step.description));
+                }
+                this.renderSchemaItems(Array.isArray(step.items) ? step.items : [], stepEl);
+                container.appendChild(stepEl);
+
+                if (indicators) {
+                    const indicator = TSFSecurity.createElement('div', 'tsf-step' + (number === 1 ? ' active' : ''));
+                    indicator.dataset.step = number;
+                    indicator.appendChild(TSFSecurity.createElement('div', 'tsf-step-number', String(number)));
+                    indicator.appendChild(TSFSecurity.createElement('div', 'tsf-step-label', step.label || step.title || ''));
+                    indicators.appendChild(indicator);
+                }
+            });
+
+            this.totalSteps = Math.max(1, steps.length);
+
+            // The country script initialized before the widget was on the page
+            if (typeof TSFCountrySelect !== 'undefined') {
+                container.querySelectorAll('.tsf-country-select-wrapper').forEach(element => {
+                    if (!element.tsfCountrySelect) element.tsfCountrySelect = new TSFCountrySelect(element);
+                });
+            }
+        }
+
+        /**
+         * Append items to a step or group. Items with a width (4, 6 or 12) share
+         * grid rows; widgets without one, dividers, groups and repeaters span the step.
+         */
+        renderSchemaItems(items, parent) {
+            let row = null;
+            let rowWidth = 0;
+
+            items.forEach(item => {
+                if (!item || typeof item !== 'object') return;
+
+                const element = this.renderSchemaItem(item);
+                if (!element) return;
+
+                const isBlock = ['divider', 'group', 'repeater'].includes(item.type);
+                const width = isBlock ? 0 : (parseInt(item.width, 10) || (item.widget ? 0 : 12));
+
+                if (!width) {
+                    row = null;
+                    parent.appendChild(element);
+                    return;
+                }
+
+                if (!row || rowWidth + width > 12) {
+                    row = TSFSecurity.createElement('div', 'tsf-form-row');
+                    rowWidth = 0;
+                    parent.appendChild(row);
+                }
+
+                const col = TSFSecurity.createElement('div', 'tsf-form-col-' + width);
+                col.appendChild(element);
+                row.appendChild(col);
+                rowWidth += width;
+            });
+        }
+
+        renderSchemaItem(item) {
+            if (item.widget) {
+                return this.renderWidget(item.widget);
+            }
+
+            switch (item.type) {
+                case 'divider': {
+                    const divider = TSFSecurity.createElement('div', 'tsf-step-divider');
+                    divider.appendChild(TSFSecurity.createElement('span', '', item.label || ''));
+                    return divider;
+                }
+                case 'group':
+                    return this.renderGroup(item);
+                case 'repeater':
+                    // Only the track repeater exists; the rest of the form relies on its ids
+                    return item.name === 'tracks' && !this.trackRepeater ? this.renderTrackRepeater(item) : null;
+                default:
+                    if (!item.name) return null;
+                    this.addFieldRules(item, item.name);
+                    return this.renderField(item, item.name, 'tsf-' + item.name);
+            }
+        }
+
+        /**
+         * Register a layout field's extra rules ({ rule, value, message, when })
+         * @param {string} name - Field name, tracks[*][name] for repeater fields
+         */
+        addFieldRules(field, name) {
+            if (Array.isArray(field.rules)) {
+                this.validator.addRules({ [name]: field.rules });
+            }
+        }
+
+        /**
+         * Copy of a widget's template. Each widget can be placed once, as its
+         * markup carries ids the rest of the form looks up.
+         * @returns {DocumentFragment|null}
+         */
+        renderWidget(name) {
+            if (!/^[a-z_]+$/.test(name)) return null;
+
+            const template = document.querySelector(`template[data-tsf-widget="${name}"]`);
+            if (!template || template.dataset.used) return null;
+
+            template.dataset.used = '1';
+            return document.importNode(template.content, true);
+        }
+
+        /**
+         * A field with its label, validation feedback and hint
+         * @param {Object} field - Field definition from the form layout
+         * @param {string} name - Submitted name (tracks[n][title] inside the repeater)
+         * @param {string} id - Element id, none for repeated fields
+         */
+        renderField(field, name, id = '') {
+            const type = field.type || 'text';
+            const required = !!field.required;
+
+            const wrapper = TSFSecurity.createElement('div', 'tsf-field-wrapper');
+            wrapper.dataset.field = field.name;
+
+            // Radios and checkboxes carry their own labels
+            const grouped = type === 'radio' || type === 'checkbox';
+            const label = TSFSecurity.createElement(grouped ? 'span' : 'label', 'tsf-label', field.label || '');
+            if (id && !grouped) label.htmlFor = id;
+            if (required) {
+                label.appendChild(document.createTextNode(' '));
+                label.appendChild(TSFSecurity.createElement('span', 'tsf-required', '*'));
+            }
+            if (field.label) wrapper.appendChild(label);
+
+            const controls = [];
+            let input;
+
+            if (type === 'radio') {
+                input = TSFSecurity.createElement('div', 'tsf-radio-group');
+                this.getFieldOptions(field).forEach(([value, text]) => {
+                    const option = TSFSecurity.createElement('label', 'tsf-radio-option');
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.value = value;
+                    radio.defaultChecked = value === String(field.default);
+                    option.appendChild(radio);
+                    option.appendChild(TSFSecurity.createElement('span', '', text));
+                    input.appendChild(option);
+                    controls.push(radio);
+                });
+            } else if (type === 'checkbox') {
+                input = TSFSecurity.createElement('label', 'tsf-checkbox-option');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = '1';
+                checkbox.defaultChecked = !!field.default;
+                if (id) checkbox.id = id;
+                input.appendChild(checkbox);
+                input.appendChild(TSFSecurity.createElement('span', 'tsf-checkbox-text', field.text || field.label || ''));
+                controls.push(checkbox);
+            } else {
+                if (type === 'select') {
+                    input = TSFSecurity.createElement('select', 'tsf-input tsf-select');
+                    input.appendChild(new Option(__('Select...'), ''));
+                    this.getFieldOptions(field).forEach(([value, text]) => {
+                        input.appendChild(new Option(text, value, value === String(field.default)));
+                    });
+                } else if (type === 'textarea') {
+                    input = TSFSecurity.createElement('textarea', 'tsf-input tsf-textarea');
+                    input.rows = parseInt(field.rows, 10) || 4;
+                } else {
+                    input = TSFSecurity.createElement('input', 'tsf-input');
+                    input.type = type;
+                }
+
+                if (id) input.id = id;
+                if (field.placeholder && type !== 'select') input.placeholder = field.placeholder;
+                if (field.default !== undefined && type !== 'select') input.defaultValue = String(field.default);
+
+                // Validation rules, checked by validateField()
+                ['pattern', 'minlength', 'maxlength', 'min', 'max', 'autocomplete', 'inputmode'].forEach(attribute => {
+                    if (field[attribute] !== undefined && field[attribute] !== '' && type !== 'select') {
+                        input.setAttribute(attribute, String(field[attribute]));
+                    }
+                });
+                if (field.pattern_message) input.dataset.patternMessage = field.pattern_message;
+
+                controls.push(input);
+            }
+
+            controls.forEach(control => {
+                control.name = name;
+                control.required = required;
+                // Remembered for groups that hide and show the field
+                if (required) control.dataset.required = '1';
+            });
+
+            wrapper.appendChild(input);
+            wrapper.appendChild(TSFSecurity.createElement('div', 'tsf-validation-feedback'));
+            if (field.hint) {
+                wrapper.appendChild(TSFSecurity.createElement('div', 'tsf-field-hint', field.hint));
+            }
+
+            return wrapper;
+        }
+
+        /**
+         * Options as [value, label] pairs: a list uses each entry for both,
+         * an object maps values to labels
+         */
+        getFieldOptions(field) {
+            if (Array.isArray(field.options)) {
+                return field.options.map(option => [String(option), String(option)]);
+            }
+            if (field.options && typeof field.options === 'object') {
+                return Object.entries(field.options).map(([value, text]) => [value, String(text)]);
+            }
+            return [];
+        }
+
+        renderGroup(group) {
+            const element = TSFSecurity.createElement('div', 'tsf-field-group');
+
+            if (group.title) {
+                const header = TSFSecurity.createElement('div', 'tsf-field-group-header');
+                header.appendChild(TSFSecurity.createElement('h4', '', group.title));
+                element.appendChild(header);
+            }
+
+            const fields = TSFSecurity.createElement('div', 'tsf-field-group-fields');
+            this.renderSchemaItems(Array.isArray(group.items) ? group.items : [], fields);
+            element.appendChild(fields);
+
+            // Shown by applyConditions() once the field has the expected value
+            if (group.show_if && group.show_if.field) {
+                element.hidden = true;
+                this.conditionalGroups.push({ element, condition: group.show_if });
+            }
+
+            return element;
+        }
+
+        /**
+         * Track repeater shell; rows are added by addTrack() from repeater.fields
+         */
+        renderTrackRepeater(repeater) {
+            this.trackRepeater = repeater;
+            const max = parseInt(repeater.max, 10) || 20;
+
+            (Array.isArray(repeater.fields) ? repeater.fields : []).forEach(field => {
+                if (field && field.name) this.addFieldRules(field, `tracks[*][${field.name}]`);
+            });
+
+            const element = TSFSecurity.createElement('div', 'tsf-tracks-repeater');
+            element.id = 'tsf-tracks-repeater';
+
+            const header = TSFSecurity.createElement('div', 'tsf-tracks-repeater-header');
+            const heading = TSFSecurity.createElement('h4', '', '🎵 ' + (repeater.label || __('Tracks')) + ' ');
+            const count = TSFSecurity.createElement('span', 'tsf-track-count-badge', '1');
+            count.id = 'tsf-track-count';
+            heading.appendChild(count);
+            header.appendChild(heading);
+
+            if (repeater.description) {
+                header.appendChild(TSFSecurity.createElement('p', 'tsf-auto-classification-notice', repeater.description));
+            }
+
+            // Single / EP / Album, kept up to date by autoClassifyReleaseType()
+            const releaseType = TSFSecurity.createElement('div', 'tsf-release-type');
+            releaseType.id = 'tsf-release-type';
+            releaseType.setAttribute('aria-live', 'polite');
+            releaseType.appendChild(TSFSecurity.createElement('span', 'tsf-release-type-label', __('Release type:')));
+            releaseType.appendChild(TSFSecurity.createElement('span', 'tsf-release-type-value', __('Single')));
+            releaseType.appendChild(TSFSecurity.createElement('p', 'tsf-release-type-reason'));
+            header.appendChild(releaseType);
+            element.appendChild(header);
+
+            const container = document.createElement('div');
+            container.id = 'tsf-tracks-container';
+            element.appendChild(container);
+
+            // Announces new positions when tracks are reordered
+            const orderStatus = TSFSecurity.createElement('p', 'tsf-sr-only');
+            orderStatus.id = 'tsf-track-order-status';
+            orderStatus.setAttribute('aria-live', 'polite');
+            element.appendChild(orderStatus);
+
+            const addBtn = TSFSecurity.createElement('button', 'tsf-add-track-btn');
+            addBtn.type = 'button';
+            addBtn.id = 'tsf-add-track-btn';
+            addBtn.appendChild(TSFSecurity.createElement('span', '', '+'));
+            addBtn.appendChild(document.createTextNode(' ' + (repeater.add_label || __('Add Another Track'))));
+            element.appendChild(addBtn);
+
+            const importBtn = TSFSecurity.createElement('button', 'tsf-btn tsf-btn-secondary tsf-track-import-btn', __('Import track list'));
+            importBtn.type = 'button';
+            importBtn.id = 'tsf-track-import-btn';
+            importBtn.setAttribute('aria-expanded', 'false');
+            importBtn.setAttribute('aria-controls', 'tsf-track-import');
+            element.appendChild(importBtn);
+            element.appendChild(this.renderTrackImport());
+
+            const limitNotice = TSFSecurity.createElement('p', 'tsf-track-limit-notice', _n('Maximum {count} track allowed', 'Maximum {count} tracks allowed', max));
+            limitNotice.id = 'tsf-track-limit-notice';
+            limitNotice.style.display = 'none';
+            element.appendChild(limitNotice);
+
+            return element;
         }
 
         // ==================== NAVIGATION ====================
@@ -81,30 +471,62 @@
         }
 
         async nextStep() {
-            if (!await this.validateCurrentStep()) {
+            if (this.currentStep >= this.totalSteps) {
+                await this.validateCurrentStep();
                 return;
             }
 
-            if (this.currentStep < this.totalSteps) {
-                this.hideStep(this.currentStep);
-                this.currentStep++;
-                this.showStep(this.currentStep);
-                this.updateProgress();
-                this.updateNavigation();
+            const from = this.currentStep;
+            if (await this.goToStep(from + 1) !== from) {
                 this.autosave();
-                window.scrollTo({ top: 0, behavior: 'smooth' });
             }
         }
 
         prevStep() {
             if (this.currentStep > 1) {
-                this.hideStep(this.currentStep);
-                this.currentStep--;
-                this.showStep(this.currentStep);
+                this.goToStep(this.currentStep - 1);
+            }
+        }
+
+        /**
+         * Open a step. Going forward, every step on the way has to validate;
+         * the first one that does not opens instead, showing its errors.
+         *
+         * @param {number} step
+         * @param {string} history - push (new history entry), replace (correct
+         *                           the current entry) or none (Back/Forward already moved)
+         * @returns {Promise<number>} The step that is open afterwards
+         */
+        async goToStep(step, history = 'push') {
+            const from = this.currentStep;
+            let target = Math.min(this.totalSteps, Math.max(1, parseInt(step, 10) || 1));
+
+            for (let earlier = from; earlier < target; earlier++) {
+                if (!await this.validateStep(earlier)) {
+                    target = earlier;
+                    break;
+                }
+            }
+
+            // Another navigation finished while this one was validating
+            if (this.currentStep !== from) return this.currentStep;
+
+            if (target !== from) {
+                this.hideStep(from);
+                this.currentStep = target;
+                this.showStep(target);
                 this.updateProgress();
                 this.updateNavigation();
                 window.scrollTo({ top: 0, behavior: 'smooth' });
             }
+
+            if (history === 'push') {
+                if (target !== from) this.setStepUrl(target, 'push');
+            } else if ((this.getStepFromUrl() || 1) !== target) {
+                this.setStepUrl(target, 'replace');
+            }
+
+            return target;
         }
 
         showStep(step) {
@@ -129,8 +551,8 @@
                 }
             });
 
-            // Populate summary on step 4
-            if (step === 4) {
+            // Populate the summary on the step that shows it
+            if (stepEl && stepEl.querySelector('#tsf-summary-card')) {
                 this.populateSummary();
             }
         }
@@ -160,28 +582,78 @@
             const progressBar = document.querySelector('.tsf-progress-container');
 
             if (progressFill) progressFill.style.width = progress + '%';
-            if (progressText) progressText.textContent = Math.round(progress) + '% ' + (tsfFormData.i18n.complete || 'Complete');
+            if (progressText) {
+                progressText.textContent = __('{percent} complete', { percent: this.formatPercent(Math.round(progress)) });
+            }
             if (progressBar) progressBar.setAttribute('aria-valuenow', progress);
         }
 
+        // ==================== STEP HISTORY ====================
+
+        /**
+         * Query parameter holding the open step (?tsf_step=2), so Back/Forward
+         * move between steps and a reload or shared link reopens one
+         */
+        static get STEP_PARAM() {
+            return 'tsf_step';
+        }
+
+        setupStepHistory() {
+            // The URL already changed; goToStep() corrects it when a step is not allowed yet
+            window.addEventListener('popstate', () => {
+                this.goToStep(this.getStepFromUrl() || 1, 'none');
+            });
+        }
+
+        /**
+         * @returns {number|null} The step in the URL, if it exists
+         */
+        getStepFromUrl() {
+            const step = parseInt(new URLSearchParams(window.location.search).get(TSFFormV2.STEP_PARAM), 10);
+            return step >= 1 && step <= this.totalSteps ? step : null;
+        }
+
+        setStepUrl(step, mode) {
+            const url = new URL(window.location.href);
+            url.searchParams.set(TSFFormV2.STEP_PARAM, step);
+
+            const state = Object.assign({}, window.history.state, { tsfStep: step });
+            if (mode === 'push') {
+                window.history.pushState(state, '', url.toString());
+            } else {
+                window.history.replaceState(state, '', url.toString());
+            }
+        }
+
         // ==================== VALIDATION ====================
 
         setupValidation() {
-            const inputs = this.form.querySelectorAll('input, select, textarea');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => this.validateField(input));
-                input.addEventListener('input', () => {
-                    clearTimeout(this.validationTimer);
-                    this.validationTimer = setTimeout(() => this.validateField(input), 500);
-                });
+            // Delegated, so track rows added later are validated too
+            // (the credits editor validates its own hidden field)
+            const isField = (target) => target.matches('input, select, textarea') && !target.closest('.tsf-track-credits');
+
+            this.form.addEventListener('focusout', (e) => {
+                if (isField(e.target)) this.validateField(e.target);
+            });
+            this.form.addEventListener('input', (e) => {
+                if (!isField(e.target)) return;
+                clearTimeout(this.validationTimer);
+                this.validationTimer = setTimeout(() => this.validateField(e.target), 500);
             });
         }
 
         async validateCurrentStep() {
-            const currentStepEl = document.querySelector(`.tsf-form-step[data-step="${this.currentStep}"]`);
+            return this.validateStep(this.currentStep);
+        }
+
+        async validateStep(step) {
+            const currentStepEl = document.querySelector(`.tsf-form-step[data-step="${step}"]`);
             if (!currentStepEl) return true;
 
-            const inputs = currentStepEl.querySelectorAll('input[required], select[required], textarea[required]');
+            // Required hidden values (country, release date), hidden values with
+            // their own rules (track credits) plus every named field, as rules can
+            // come from attributes, the layout or the server
+            const inputs = currentStepEl.querySelectorAll('input[required], input[data-validate], input[name]:not([type="hidden"]):not([type="file"]), select[name], textarea[name]');
             let isValid = true;
 
             for (const input of inputs) {
@@ -200,14 +672,19 @@
             const feedback = wrapper.querySelector('.tsf-validation-feedback');
             if (!feedback) return true;
 
+            // Fields in a hidden group are not submitted as part of the answer
+            if (field.closest('[hidden]')) return true;
+
             // VUL-17 FIX: Clear previous feedback safely
             feedback.textContent = '';
             wrapper.classList.remove('tsf-field-error', 'tsf-field-success', 'tsf-field-warning');
 
-            // Check required
-            if (field.hasAttribute('required') && !field.value.trim()) {
-                const fieldName = field.closest('.tsf-field-wrapper')?.querySelector('.tsf-label')?.textContent?.replace('*', '').trim() || 'This field';
-                this.showFieldError(wrapper, feedback, `${fieldName} is required to continue`);
+            const fieldName = wrapper.querySelector('.tsf-label')?.textContent?.replace('*', '').trim() || __('This field');
+
+            // Check required (a required checkbox has to be ticked)
+            const isEmpty = field.type === 'checkbox' ? !field.checked : !field.value.trim();
+            if (isEmpty && (field.hasAttribute('required') || this.validator.isRequired(field.name))) {
+                this.showFieldError(wrapper, feedback, __('{field} is required to continue', { field: fieldName }));
 
                 // Scroll to error if not visible
                 if (!this.isElementInViewport(wrapper)) {
@@ -217,49 +694,62 @@
                 return false;
             }
 
-            // Type-specific validation
-            const type = field.type || field.tagName.toLowerCase();
-            let isValid = true;
-
-            switch(type) {
-                case 'email':
-                    isValid = this.validateEmail(field.value);
-                    if (!isValid) this.showFieldError(wrapper, feedback, 'Please enter a valid email address (e.g., you@example.com)');
-                    break;
-                case 'url':
-                    isValid = this.validateURL(field.value);
-                    if (!isValid) this.showFieldError(wrapper, feedback, 'Please enter a complete URL starting with https://');
-                    break;
-                case 'tel':
-                    if (field.value) {
-                        isValid = this.validatePhone(field.value);
-                        if (!isValid) this.showFieldError(wrapper, feedback, 'Please enter a valid phone number (at least 8 digits)');
-                    }
-                    break;
+            // Optional and left empty: nothing more to check
+            if (isEmpty) {
+                return true;
             }
 
-            if (isValid && field.value) {
-                this.showFieldSuccess(wrapper, feedback);
+            // The browser drops what it cannot parse from number inputs
+            if (field.validity && field.validity.badInput) {
+                this.showFieldError(wrapper, feedback, __('Please enter a valid number'));
+                return false;
             }
 
-            return isValid;
-        }
+            const result = await this.validator.validate(field.name, field.value, {
+                label: fieldName,
+                rules: this.getAttributeRules(field)
+            });
 
-        validateEmail(email) {
-            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-        }
+            // A newer check of this field is running and will show its result
+            if (result.stale) return true;
 
-        validateURL(url) {
-            try {
-                new URL(url);
-                return true;
-            } catch {
+            if (!result.valid) {
+                this.showFieldError(wrapper, feedback, result.message);
                 return false;
             }
+
+            this.showFieldSuccess(wrapper, feedback);
+            return true;
         }
 
-        validatePhone(phone) {
-            return /^[\d\s\+\-\(\)]{8,}$/.test(phone);
+        /**
+         * Engine rules for the field's own attributes: type, pattern, length and range
+         * @returns {Array}
+         */
+        getAttributeRules(field) {
+            const rules = [];
+            const typeRules = { email: 'email', url: 'url', tel: 'phone' };
+
+            if (typeRules[field.type]) {
+                rules.push({ rule: typeRules[field.type] });
+            }
+            if (field.pattern) {
+                rules.push({ rule: 'pattern', value: field.pattern, message: field.dataset.patternMessage });
+            }
+            if (field.minLength > 0) {
+                rules.push({ rule: 'minlength', value: field.minLength });
+            }
+            if (field.maxLength > 0) {
+                rules.push({ rule: 'maxlength', value: field.maxLength });
+            }
+            if (field.type === 'number' && field.min !== '') {
+                rules.push({ rule: 'min', value: field.min });
+            }
+            if (field.type === 'number' && field.max !== '') {
+                rules.push({ rule: 'max', value: field.max });
+            }
+
+            return rules;
         }
 
         showFieldError(wrapper, feedback, message) {
@@ -274,7 +764,7 @@
             // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
             wrapper.classList.add('tsf-field-success');
             feedback.textContent = '';
-            const span = TSFSecurity.createElement('span', 'tsf-success', '✅ Looks good!');
+            const span = TSFSecurity.createElement('span', 'tsf-success', '✅ ' + __('Looks good!'));
             feedback.appendChild(span);
         }
 
@@ -289,10 +779,8 @@
         // ==================== AUTOSAVE ====================
 
         setupAutosave() {
-            const inputs = this.form.querySelectorAll('input, select, textarea');
-            inputs.forEach(input => {
-                input.addEventListener('change', () => this.triggerAutosave());
-            });
+            // Delegated, so track rows added later are covered too
+            this.form.addEventListener('change', () => this.triggerAutosave());
         }
 
         triggerAutosave() {
@@ -300,11 +788,36 @@
             this.autosaveTimer = setTimeout(() => this.autosave(), 2000);
         }
 
+        /**
+         * Autosave format version. Bump it when the shape changes and teach
+         * migrateAutosave() how to upgrade the previous one.
+         */
+        static get AUTOSAVE_VERSION() {
+            return 2;
+        }
+
         autosave() {
             const data = {
+                version: TSFFormV2.AUTOSAVE_VERSION,
                 step: this.currentStep,
                 timestamp: Date.now(),
-                fields: {}
+                fields: {},
+                // Rows to rebuild before tracks[n][...] values can be restored
+                repeaters: {
+                    tracks: this.getTrackRows().length,
+                    links: this.getStreamingLinkRows().length
+                },
+                // Widgets whose visible state is not just an input value
+                widgets: {
+                    country: this.getFieldValue('country'),
+                    territories: this.getFieldValue('territories'),
+                    release_date: {
+                        date: this.getFieldValue('release_date'),
+                        method: this.selectedMethod || this.getFieldValue('release_date_method'),
+                        status: this.getFieldValue('release_status')
+                    }
+                },
+                analyses: this.getDraftAnalyses()
             };
 
             // Save form fields, but skip file inputs
@@ -324,87 +837,438 @@
                 }
             });
 
-            localStorage.setItem('tsf_autosave', JSON.stringify(data));
+            try {
+                localStorage.setItem('tsf_autosave', JSON.stringify(data));
+            } catch (e) {
+                // Storage full or disabled: only a server draft, if there is one, keeps it
+            }
+
+            // Once the artist asked for a resume link (or opened one), keep
+            // that server draft in sync; until then the draft stays local
+            if (this.serverDraftEnabled || this.getDraftToken()) {
+                this.queueDraftSave(data);
+            }
 
             // Show autosave indicator
             this.showAutosaveIndicator();
         }
 
-        showAutosaveIndicator() {
-            const indicator = document.getElementById('tsf-autosave-indicator');
-            if (!indicator) return;
+        // ==================== SERVER DRAFTS ====================
 
-            // Show indicator
-            indicator.classList.add('visible');
+        getDraftToken() {
+            return localStorage.getItem('tsf_draft_token') || '';
+        }
 
-            // Hide after 2 seconds
-            setTimeout(() => {
-                indicator.classList.remove('visible');
-            }, 2000);
+        /**
+         * Create the server draft behind the "email me a link" panel. Later
+         * autosaves update it.
+         */
+        enableServerDraft() {
+            if (this.serverDraftEnabled) return;
+            this.serverDraftEnabled = true;
+
+            clearTimeout(this.autosaveTimer);
+            this.autosave();
         }
 
-        checkAutosaveRestore() {
-            const saved = localStorage.getItem('tsf_autosave');
-            if (!saved) return;
+        /**
+         * Saves run one after another, so the first one's token is reused
+         * instead of creating a second draft
+         */
+        queueDraftSave(data) {
+            this.draftQueue = (this.draftQueue || Promise.resolve()).then(() => this.saveDraftRemote(data));
+            return this.draftQueue;
+        }
 
-            try {
-                const data = JSON.parse(saved);
-                const age = Date.now() - data.timestamp;
+        async saveDraftRemote(data) {
+            const payload = JSON.stringify({
+                step: data.step,
+                fields: data.fields,
+                analyses: this.getDraftAnalyses()
+            });
+            if (payload === this.lastDraftPayload) return;
 
-                // Only restore if less than 24 hours old
-                if (age > 24 * 60 * 60 * 1000) {
-                    localStorage.removeItem('tsf_autosave');
-                    return;
-                }
+            const token = this.getDraftToken();
 
-                if (confirm(tsfFormData.i18n.restore_draft || 'Restore your previous submission?')) {
-                    this.restoreFormData(data);
+            try {
+                const response = await fetch(tsfFormData.rest_url + (token ? 'drafts/' + token : 'drafts'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-WP-Nonce': tsfFormData.rest_nonce
+                    },
+                    body: payload
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    this.lastDraftPayload = payload;
+                    localStorage.setItem('tsf_draft_token', result.data.token);
+                } else if (response.status === 404 && token) {
+                    // Expired on the server: start a new draft
+                    localStorage.removeItem('tsf_draft_token');
+                    await this.saveDraftRemote(data);
                 }
-            } catch (e) {
-                // VUL-22 FIX: Remove console.error from production
+            } catch (error) {
+                // Offline: the local copy is kept and the next change tries again
             }
         }
 
-        restoreFormData(data) {
-            Object.entries(data.fields).forEach(([key, value]) => {
-                const field = this.form.querySelector(`[name="${key}"]`);
-                if (field) {
-                    // Skip file inputs - can't programmatically set file values for security reasons
-                    if (field.type === 'file') {
-                        return;
-                    }
+        discardDraftRemote() {
+            const token = this.getDraftToken();
+            this.serverDraftEnabled = false;
+            localStorage.removeItem('tsf_draft_token');
+            if (!token) return;
 
-                    if (field.type === 'checkbox') {
-                        field.checked = value === '1';
-                    } else {
-                        field.value = value;
-                    }
-                }
-            });
+            fetch(tsfFormData.rest_url + 'drafts/' + token, {
+                method: 'DELETE',
+                headers: { 'X-WP-Nonce': tsfFormData.rest_nonce }
+            }).catch(() => {});
+        }
 
-            // Go to saved step
-            if (data.step && data.step > 1) {
-                this.currentStep = data.step;
-                this.showStep(this.currentStep);
-                this.updateProgress();
-                this.updateNavigation();
-            }
+        /**
+         * Analysis reports per track number, so they can be rehydrated
+         */
+        getDraftAnalyses() {
+            return this.getTrackRows().reduce((list, row, index) => {
+                const report = this.trackReports.get(row);
+                if (report) list.push({ track: index + 1, report });
+                return list;
+            }, []);
         }
 
-        // ==================== RELEASE DATE PICKER ====================
+        setupDraftLink() {
+            const toggle = document.getElementById('tsf-draft-link-toggle');
+            const panel = document.getElementById('tsf-draft-link-panel');
+            const emailInput = document.getElementById('tsf-draft-link-email');
+            const sendBtn = document.getElementById('tsf-draft-link-send');
+            const status = document.getElementById('tsf-draft-link-status');
 
-        setupReleaseDatePicker() {
-            this.currentMonth = new Date();
-            this.selectedDate = null;
-            this.selectedMethod = null;
+            if (!toggle || !panel || !emailInput || !sendBtn || !status) return;
 
-            // Radio button listeners
-            const statusRadios = document.querySelectorAll('[name="release_status"]');
-            statusRadios.forEach(radio => {
-                radio.addEventListener('change', (e) => {
-                    this.toggleQuickSelectGroup(e.target.value);
-                });
-            });
+            toggle.addEventListener('click', () => {
+                const open = panel.hidden;
+                panel.hidden = !open;
+                toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+                const formEmail = this.form.querySelector('[name="email"]');
+                if (open && !emailInput.value && formEmail) {
+                    emailInput.value = formEmail.value;
+                }
+                if (open) {
+                    this.enableServerDraft();
+                    emailInput.focus();
+                }
+            });
+
+            sendBtn.addEventListener('click', async () => {
+                if (!emailInput.checkValidity() || !emailInput.value) {
+                    status.textContent = __('Please enter a valid email address.');
+                    return;
+                }
+
+                sendBtn.disabled = true;
+                status.textContent = __('Saving...');
+
+                try {
+                    // Make sure the link opens what is on screen now
+                    clearTimeout(this.autosaveTimer);
+                    this.autosave();
+                    await this.draftQueue;
+
+                    const token = this.getDraftToken();
+                    if (!token) throw new Error(__('Your draft could not be saved. Please try again.'));
+
+                    const pageUrl = new URL(window.location.href);
+                    pageUrl.searchParams.delete('tsf_draft');
+
+                    const response = await fetch(tsfFormData.rest_url + 'drafts/' + token + '/email', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'X-WP-Nonce': tsfFormData.rest_nonce
+                        },
+                        body: JSON.stringify({ email: emailInput.value, page_url: pageUrl.toString() })
+                    });
+                    const result = await response.json();
+
+                    if (!result.success) throw new Error(result.message || __('The email could not be sent.'));
+                    status.textContent = result.message || __('Link sent! Check your inbox.');
+                } catch (error) {
+                    status.textContent = error.message;
+                } finally {
+                    sendBtn.disabled = false;
+                }
+            });
+        }
+
+        /**
+         * Start loading the draft named in a resume link (?tsf_draft=token)
+         * @returns {boolean} Whether the page was opened from a resume link
+         */
+        checkDraftLink() {
+            const token = new URLSearchParams(window.location.search).get('tsf_draft');
+            if (!token || !/^[A-Za-z0-9]{32}$/.test(token)) return false;
+
+            this.loadDraft(token);
+            return true;
+        }
+
+        async loadDraft(token) {
+            // The token should not stay in the address bar or the history
+            const cleanUrl = new URL(window.location.href);
+            cleanUrl.searchParams.delete('tsf_draft');
+            window.history.replaceState(window.history.state, '', cleanUrl.toString());
+
+            let result;
+            try {
+                const response = await fetch(tsfFormData.rest_url + 'drafts/' + token, {
+                    headers: { 'X-WP-Nonce': tsfFormData.rest_nonce }
+                });
+                result = await response.json();
+            } catch (error) {
+                result = null;
+            }
+
+            if (!result || !result.success) {
+                this.showMessage(result && result.message ? result.message : __('Your draft could not be loaded.'), 'error');
+                return;
+            }
+
+            const draft = result.data;
+            localStorage.setItem('tsf_draft_token', token);
+
+            // Server drafts use the v1 shape, restoreFormData() migrates them
+            this.restoreFormData({ step: draft.step, fields: draft.fields, analyses: draft.analyses || [] });
+
+            if (draft.expired_analyses > 0) {
+                this.showMessage(_n(
+                    'Your draft has been restored. {count} analyzed file expired - please upload it again.',
+                    'Your draft has been restored. {count} analyzed files expired - please upload them again.',
+                    draft.expired_analyses
+                ), 'info');
+            } else {
+                this.showMessage(__('Your draft has been restored.'), 'success');
+            }
+        }
+
+        restoreDraftAnalyses(analyses) {
+            const rows = this.getTrackRows();
+
+            analyses.forEach(item => {
+                const row = rows[item.track - 1];
+                if (row && item.report) {
+                    this.storeTrackAnalysis(row, item.report);
+                }
+            });
+
+            const leadRow = rows.find(row => this.trackReports.has(row));
+            if (leadRow) {
+                this.showQualityScore(this.trackReports.get(leadRow), leadRow);
+            }
+        }
+
+        showAutosaveIndicator() {
+            const indicator = document.getElementById('tsf-autosave-indicator');
+            if (!indicator) return;
+
+            // Show indicator
+            indicator.classList.add('visible');
+
+            // Hide after 2 seconds
+            setTimeout(() => {
+                indicator.classList.remove('visible');
+            }, 2000);
+        }
+
+        /**
+         * Offer to restore the local copy
+         * @returns {boolean} Whether it was restored
+         */
+        checkAutosaveRestore() {
+            const saved = localStorage.getItem('tsf_autosave');
+            if (!saved) return false;
+
+            try {
+                const data = this.migrateAutosave(JSON.parse(saved));
+                const age = Date.now() - data.timestamp;
+
+                // Only restore if less than 24 hours old
+                if (age > 24 * 60 * 60 * 1000) {
+                    localStorage.removeItem('tsf_autosave');
+                    return false;
+                }
+
+                if (confirm(__('You have an unsaved submission. Would you like to restore it?'))) {
+                    this.restoreFormData(data);
+                    return true;
+                }
+            } catch (e) {
+                // VUL-22 FIX: Remove console.error from production
+            }
+
+            return false;
+        }
+
+        /**
+         * Upgrade a saved draft to the current autosave format
+         *
+         * v1 (no version key): { step, timestamp, fields }, plus analyses for
+         * server drafts. Row counts and widget state are derived from fields.
+         */
+        migrateAutosave(data) {
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid autosave data');
+            }
+
+            const fields = data.fields && typeof data.fields === 'object' ? data.fields : {};
+
+            if (!data.version || data.version < 2) {
+                const trackNumbers = Object.keys(fields)
+                    .map(name => /^tracks\[(\d+)\]/.exec(name))
+                    .filter(Boolean)
+                    .map(match => parseInt(match[1], 10));
+
+                data = {
+                    version: 2,
+                    step: data.step || 1,
+                    timestamp: data.timestamp || Date.now(),
+                    fields,
+                    repeaters: {
+                        tracks: Math.max(1, ...trackNumbers)
+                    },
+                    widgets: {
+                        country: fields.country || '',
+                        release_date: {
+                            date: fields.release_date || '',
+                            method: fields.release_date_method || '',
+                            status: fields.release_status || ''
+                        }
+                    },
+                    analyses: Array.isArray(data.analyses) ? data.analyses : []
+                };
+            }
+
+            return data;
+        }
+
+        restoreFormData(data) {
+            data = this.migrateAutosave(data);
+
+            // 1. Rebuild track rows so their fields exist
+            const trackRows = Math.min(this.maxTracks || 20, (data.repeaters && data.repeaters.tracks) || 1);
+            while (this.getTrackRows().length < trackRows) {
+                if (!this.addTrack()) break;
+            }
+
+            const linkRows = (data.repeaters && data.repeaters.links) || 0;
+            while (this.getStreamingLinkRows().length < linkRows) {
+                if (!this.addStreamingLink()) break;
+            }
+
+            // 2. Plain field values
+            Object.entries(data.fields).forEach(([key, value]) => {
+                // Names come from storage, keep them safe for the selector
+                if (!/^[\w\-\[\]]+$/.test(key)) return;
+
+                this.form.querySelectorAll(`[name="${key}"]`).forEach(field => {
+                    // Skip file inputs - can't programmatically set file values for security reasons
+                    if (field.type === 'file') {
+                        return;
+                    }
+
+                    if (field.type === 'checkbox') {
+                        field.checked = value === '1';
+                    } else if (field.type === 'radio') {
+                        field.checked = field.value === value;
+                    } else {
+                        field.value = value;
+                    }
+                });
+            });
+
+            // 3. Custom widgets
+            const widgets = data.widgets || {};
+
+            if (widgets.country) {
+                const wrapper = this.form.querySelector('.tsf-country-select-wrapper:not([data-multiple])');
+                if (wrapper && wrapper.tsfCountrySelect) {
+                    wrapper.tsfCountrySelect.setCountry(widgets.country);
+                }
+            }
+
+            if (widgets.territories) {
+                const wrapper = this.form.querySelector('.tsf-country-select-wrapper[data-multiple]');
+                if (wrapper && wrapper.tsfCountrySelect) {
+                    wrapper.tsfCountrySelect.setTerritories(widgets.territories);
+                }
+            }
+
+            const release = widgets.release_date || {};
+            const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(release.date || '');
+            if (dateMatch) {
+                const restored = this.confirmDate(
+                    new Date(parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10)),
+                    release.method || 'pick-date'
+                );
+                if (!restored) {
+                    // The saved date no longer fits the scheduling rules
+                    document.getElementById('tsf-release-date-hidden').value = '';
+                }
+            } else if (release.status) {
+                this.toggleQuickSelectGroup(release.status);
+            }
+
+            this.applyConditions();
+            this.form.querySelectorAll('[name$="[isrc]"]').forEach(input => this.updateIsrcBreakdown(input));
+            this.form.querySelectorAll('.tsf-track-credits-wrapper').forEach(wrapper => this.renderTrackCredits(wrapper));
+
+            // Platform badges and the statuses of the last verification
+            const urlField = this.form.querySelector('[name="track_url"]');
+            if (urlField) {
+                this.detectPlatform(urlField.value);
+                this.lastTrackUrl = urlField.value;
+                // The preview itself is not saved, verify the restored link again
+                this.scheduleAutoVerify();
+            }
+            this.setLinkStatus(null, this.getFieldValue('track_url_status'));
+            this.getStreamingLinkRows().forEach(row => {
+                this.updateStreamingLink(row);
+                this.setLinkStatus(row, row.querySelector('[data-link-field="status"]').value);
+            });
+
+            // 4. Analysis results (their files are already on the server)
+            if (data.analyses.length) {
+                this.restoreDraftAnalyses(data.analyses);
+            }
+            this.autoClassifyReleaseType();
+
+            // 5. Go to the step in the URL (a reload) or the saved one, as far as the steps before it allow
+            this.goToStep(this.getStepFromUrl() || data.step, 'replace');
+        }
+
+        getFieldValue(name) {
+            const field = this.form.querySelector(`[name="${name}"]:not([type="radio"]), [name="${name}"][type="radio"]:checked`);
+            if (field && field.type === 'checkbox') {
+                return field.checked ? field.value : '';
+            }
+            return field ? field.value : '';
+        }
+
+        // ==================== RELEASE DATE PICKER ====================
+
+        setupReleaseDatePicker() {
+            this.currentMonth = new Date();
+            this.selectedDate = null;
+            this.selectedMethod = null;
+
+            // Radio button listeners
+            const statusRadios = document.querySelectorAll('[name="release_status"]');
+            statusRadios.forEach(radio => {
+                radio.addEventListener('change', (e) => {
+                    this.toggleQuickSelectGroup(e.target.value);
+                });
+            });
 
             // Quick select button listeners
             document.querySelectorAll('.tsf-quick-btn').forEach(btn => {
@@ -443,6 +1307,7 @@
             this.closeDayPicker();
             this.closeMonthCalendar();
             this.closeDatePickerFallback();
+            this.hideDatePolicyNote();
         }
 
         handleQuickSelect(btn) {
@@ -518,7 +1383,7 @@
                 startDate.setDate(startDate.getDate() + diff);
                 endDate = new Date(startDate);
                 endDate.setDate(endDate.getDate() + 6);
-                title.textContent = 'Select a day this week';
+                title.textContent = __('Select a day this week');
             } else if (period === 'next-week') {
                 const dayOfWeek = referenceDate.getDay();
                 const diff = dayOfWeek === 0 ? 1 : 8 - dayOfWeek; // Next Monday
@@ -526,7 +1391,7 @@
                 startDate.setDate(startDate.getDate() + diff);
                 endDate = new Date(startDate);
                 endDate.setDate(endDate.getDate() + 6);
-                title.textContent = 'Select a day next week';
+                title.textContent = __('Select a day next week');
             }
 
             // VUL-17 FIX: Generate day buttons safely
@@ -537,13 +1402,13 @@
                 dayBtn.type = 'button';
                 dayBtn.className = 'tsf-day-btn';
 
-                const dayName = current.toLocaleDateString('en-US', { weekday: 'short' });
+                const dayName = TSFI18n.formatDate(current, { weekday: 'short' });
                 const dayNum = current.getDate();
                 const isToday = current.toDateString() === today.toDateString();
 
                 // VUL-17 FIX: Use safe DOM manipulation
                 const nameSpan = TSFSecurity.createElement('span', 'tsf-day-name', dayName);
-                const numSpan = TSFSecurity.createElement('span', 'tsf-day-num', dayNum.toString());
+                const numSpan = TSFSecurity.createElement('span', 'tsf-day-num', TSFI18n.formatNumber(dayNum));
                 dayBtn.appendChild(nameSpan);
                 dayBtn.appendChild(numSpan);
 
@@ -553,9 +1418,11 @@
 
                 // Store date for click handler
                 const dateToSelect = new Date(current);
+                this.applyReleasePolicy(dayBtn, dateToSelect);
                 dayBtn.addEventListener('click', () => {
-                    this.confirmDate(dateToSelect, period);
-                    this.closeDayPicker();
+                    if (this.confirmDate(dateToSelect, period)) {
+                        this.closeDayPicker();
+                    }
                 });
 
                 daysContainer.appendChild(dayBtn);
@@ -585,11 +1452,11 @@
             this.renderMonthCalendar();
 
             if (period === 'this-month') {
-                title.textContent = 'Select a day this month';
+                title.textContent = __('Select a day this month');
             } else if (period === 'last-month') {
-                title.textContent = 'Select a day last month';
+                title.textContent = __('Select a day last month');
             } else if (period === 'next-month') {
-                title.textContent = 'Select a day next month';
+                title.textContent = __('Select a day next month');
             }
 
             calendar.style.display = 'block';
@@ -620,15 +1487,15 @@
 
             const year = this.currentMonth.getFullYear();
             const month = this.currentMonth.getMonth();
-            const monthName = this.currentMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+            const monthName = TSFI18n.formatDate(this.currentMonth, { month: 'long', year: 'numeric' });
 
             title.textContent = monthName;
 
             // VUL-17 FIX: Clear grid safely
             grid.textContent = '';
 
-            // Add day headers
-            const dayHeaders = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+            // Add day headers (Monday first; 1 January 2024 was a Monday)
+            const dayHeaders = Array.from({ length: 7 }, (_, index) => TSFI18n.formatDate(new Date(2024, 0, 1 + index), { weekday: 'short' }));
             dayHeaders.forEach(day => {
                 const header = document.createElement('div');
                 header.className = 'tsf-calendar-day-header';
@@ -656,7 +1523,7 @@
                 const dayBtn = document.createElement('button');
                 dayBtn.type = 'button';
                 dayBtn.className = 'tsf-calendar-day';
-                dayBtn.textContent = day;
+                dayBtn.textContent = TSFI18n.formatNumber(day);
 
                 const dateToCheck = new Date(year, month, day);
                 if (dateToCheck.toDateString() === today.toDateString()) {
@@ -665,13 +1532,23 @@
 
                 // Store date for click handler
                 const dateToSelect = new Date(year, month, day);
+                this.applyReleasePolicy(dayBtn, dateToSelect);
                 dayBtn.addEventListener('click', () => {
-                    this.confirmDate(dateToSelect, 'calendar');
-                    this.closeMonthCalendar();
+                    if (this.confirmDate(dateToSelect, 'calendar')) {
+                        this.closeMonthCalendar();
+                    }
                 });
 
                 grid.appendChild(dayBtn);
             }
+
+            // The rules behind disabled and flagged days
+            const legend = document.getElementById('tsf-month-calendar-legend');
+            if (legend) {
+                const rules = this.getReleasePolicySummary();
+                legend.textContent = rules.join(' · ');
+                legend.hidden = rules.length === 0;
+            }
         }
 
         closeMonthCalendar() {
@@ -691,8 +1568,9 @@
             confirmBtn.onclick = () => {
                 if (input.value) {
                     const date = new Date(input.value + 'T00:00:00');
-                    this.confirmDate(date, 'pick-date');
-                    this.closeDatePickerFallback();
+                    if (this.confirmDate(date, 'pick-date')) {
+                        this.closeDatePickerFallback();
+                    }
                 }
             };
 
@@ -706,22 +1584,28 @@
             if (fallback) fallback.style.display = 'none';
         }
 
+        /**
+         * Use a date as the release date, unless the scheduling rules exclude it
+         * @param {Date} date
+         * @param {string} method - Quick select action, 'calendar' or 'pick-date'
+         * @returns {boolean} False when the date was refused (the reason is shown)
+         */
         confirmDate(date, method) {
+            const check = this.checkReleaseDate(date);
+            if (!check.allowed) {
+                this.showDatePolicyNote(check.reason, 'error');
+                return false;
+            }
+
             this.selectedDate = date;
             this.selectedMethod = method;
 
-            // Format date as YYYY-MM-DD
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const formattedDate = `${year}-${month}-${day}`;
-
             // Set hidden inputs
-            document.getElementById('tsf-release-date-hidden').value = formattedDate;
+            document.getElementById('tsf-release-date-hidden').value = this.toIsoDate(date);
             document.getElementById('tsf-release-date-method').value = method;
 
             // Update display
-            const displayText = date.toLocaleDateString('en-US', {
+            const displayText = TSFI18n.formatDate(date, {
                 weekday: 'long',
                 year: 'numeric',
                 month: 'long',
@@ -739,6 +1623,190 @@
             this.closeDayPicker();
             this.closeMonthCalendar();
             this.closeDatePickerFallback();
+
+            // Off the preferred weekday: warn, and offer the nearest one
+            if (check.warning) {
+                const preferred = this.getPreferredWeekdayDate(date);
+                this.showDatePolicyNote(check.warning, 'warning', preferred ? {
+                    label: __('Move to {date}', { date: TSFI18n.formatDate(preferred, { weekday: 'long', month: 'long', day: 'numeric' }) }),
+                    action: () => this.confirmDate(preferred, method)
+                } : null);
+            } else {
+                this.hideDatePolicyNote();
+            }
+
+            return true;
+        }
+
+        // ==================== RELEASE SCHEDULING ====================
+
+        /**
+         * Scheduling rules from the settings (TSF_Validator::get_release_date_policy())
+         */
+        getReleasePolicy() {
+            const policy = tsfFormData.release_policy || {};
+            const weekday = parseInt(policy.preferred_weekday, 10);
+
+            return {
+                minLeadDays: parseInt(policy.min_lead_days, 10) || 0,
+                preferredWeekday: weekday >= 0 && weekday <= 6 ? weekday : null,
+                blackoutDates: Array.isArray(policy.blackout_dates) ? policy.blackout_dates : [],
+                maxAgeDays: parseInt(policy.max_age_days, 10) || 0
+            };
+        }
+
+        /**
+         * Check a date against the scheduling rules. Releases from today on need
+         * the lead time and must avoid blackout dates; released ones may not be
+         * older than the maximum age. Off the preferred weekday is a warning.
+         * @param {Date} date
+         * @returns {{allowed: boolean, reason: string, warning: string}}
+         */
+        checkReleaseDate(date) {
+            const policy = this.getReleasePolicy();
+            const days = this.getDaysFromToday(date);
+            const isoDate = this.toIsoDate(date);
+            const result = { allowed: true, reason: '', warning: '' };
+
+            if (days >= 0 && days < policy.minLeadDays) {
+                result.allowed = false;
+                result.reason = _n('Upcoming releases need at least {count} day of notice for pitching', 'Upcoming releases need at least {count} days of notice for pitching', policy.minLeadDays);
+            } else if (days >= 0 && policy.blackoutDates.some(([from, to]) => isoDate >= from && isoDate <= to)) {
+                result.allowed = false;
+                result.reason = __('No releases are scheduled on this date');
+            } else if (days < 0 && policy.maxAgeDays > 0 && -days > policy.maxAgeDays) {
+                result.allowed = false;
+                result.reason = _n('Released tracks can be at most {count} day old', 'Released tracks can be at most {count} days old', policy.maxAgeDays);
+            } else if (days > 0 && policy.preferredWeekday !== null && date.getDay() !== policy.preferredWeekday) {
+                result.warning = __('Releases here usually go out on a {weekday}', {
+                    weekday: this.getWeekdayName(policy.preferredWeekday)
+                });
+            }
+
+            return result;
+        }
+
+        /**
+         * Mark a day button of the day picker or calendar. Excluded days stay
+         * focusable (aria-disabled, not disabled) so a click can explain why.
+         * @param {HTMLButtonElement} button
+         * @param {Date} date
+         */
+        applyReleasePolicy(button, date) {
+            const check = this.checkReleaseDate(date);
+
+            if (!check.allowed) {
+                button.classList.add('disabled');
+                button.setAttribute('aria-disabled', 'true');
+                button.title = check.reason;
+            } else if (check.warning) {
+                button.classList.add('warning');
+                button.title = check.warning;
+            }
+        }
+
+        /**
+         * Nearest upcoming date on the preferred weekday that the rules allow
+         * @param {Date} date
+         * @returns {Date|null}
+         */
+        getPreferredWeekdayDate(date) {
+            const { preferredWeekday } = this.getReleasePolicy();
+            if (preferredWeekday === null) return null;
+
+            const ahead = (preferredWeekday - date.getDay() + 7) % 7;
+            const shifts = [ahead, ahead - 7]
+                .sort((a, b) => Math.abs(a) - Math.abs(b))
+                .concat([ahead + 7, ahead + 14, ahead + 21]);
+
+            for (const shift of shifts) {
+                const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + shift);
+                if (this.getDaysFromToday(candidate) > 0 && this.checkReleaseDate(candidate).allowed) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * The rules in short, for the calendar legend
+         * @returns {string[]}
+         */
+        getReleasePolicySummary() {
+            const policy = this.getReleasePolicy();
+            const rules = [];
+
+            if (policy.minLeadDays > 0) {
+                rules.push(_n('Upcoming releases: at least {count} day ahead', 'Upcoming releases: at least {count} days ahead', policy.minLeadDays));
+            }
+            if (policy.preferredWeekday !== null) {
+                rules.push(__('Preferred release day: {weekday}', { weekday: this.getWeekdayName(policy.preferredWeekday) }));
+            }
+            if (policy.blackoutDates.length > 0) {
+                rules.push(__('Some dates are blocked'));
+            }
+            if (policy.maxAgeDays > 0) {
+                rules.push(_n('Released tracks: at most {count} day old', 'Released tracks: at most {count} days old', policy.maxAgeDays));
+            }
+
+            return rules;
+        }
+
+        /**
+         * @param {string} message
+         * @param {string} type - error or warning
+         * @param {{label: string, action: Function}|null} offer - Button shown with the message
+         */
+        showDatePolicyNote(message, type, offer = null) {
+            const note = document.getElementById('tsf-release-date-policy');
+            if (!note) return;
+
+            note.textContent = '';
+            note.className = `tsf-date-policy tsf-date-policy-${type}`;
+            note.appendChild(TSFSecurity.createElement('span', 'tsf-date-policy-message', (type === 'error' ? '⛔ ' : '⚠️ ') + message));
+
+            if (offer) {
+                const button = TSFSecurity.createElement('button', 'tsf-date-policy-action', offer.label);
+                button.type = 'button';
+                button.addEventListener('click', offer.action);
+                note.appendChild(button);
+            }
+
+            note.hidden = false;
+        }
+
+        hideDatePolicyNote() {
+            const note = document.getElementById('tsf-release-date-policy');
+            if (note) note.hidden = true;
+        }
+
+        /**
+         * Whole days from today to a date (negative in the past), by the visitor's calendar
+         */
+        getDaysFromToday(date) {
+            const today = new Date();
+            const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+            const end = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+            return Math.round((end - start) / 86400000);
+        }
+
+        /**
+         * @param {number} weekday - 0 = Sunday
+         */
+        getWeekdayName(weekday) {
+            // 7 January 2024 was a Sunday
+            return TSFI18n.formatDate(new Date(2024, 0, 7 + weekday), { weekday: 'long' });
+        }
+
+        /**
+         * @param {Date} date
+         * @returns {string} YYYY-MM-DD in local time
+         */
+        toIsoDate(date) {
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${year}-${month}-${day}`;
         }
 
         // ==================== CONDITIONAL LOGIC ====================
@@ -747,56 +1815,68 @@
             // Track repeater is always visible (no conditional logic needed)
             // Type is auto-determined
 
-            // Show/hide label manager fields based on label type
-            const labelField = document.querySelector('[name="label"]');
-            if (labelField) {
-                labelField.addEventListener('change', (e) => {
-                    this.toggleLabelManager(e.target.value);
-                });
-                // Initialize on page load
-                this.toggleLabelManager(labelField.value);
-            }
+            // Groups with a show_if rule follow the value of the field they name
+            this.form.addEventListener('change', (e) => {
+                if (this.conditionalGroups.some(group => group.condition.field === e.target.name)) {
+                    this.applyConditions();
+                }
+            });
+            this.applyConditions();
         }
 
-        toggleLabelManager(labelType) {
-            const section = document.getElementById('tsf-label-manager-section');
-            if (!section) return;
+        applyConditions() {
+            this.conditionalGroups.forEach(({ element, condition }) => {
+                const value = String(this.getFieldValue(condition.field) || '');
+                const visible = value.toLowerCase() === String(condition.equals || '').toLowerCase();
+                element.hidden = !visible;
 
-            const isLabel = labelType && labelType.toLowerCase() === 'label';
-            section.style.display = isLabel ? 'block' : 'none';
-
-            // Only label_manager_name and label_manager_email are required when visible
-            const requiredFields = section.querySelectorAll('[name="label_manager_name"], [name="label_manager_email"]');
-            const optionalFields = section.querySelectorAll('[name="label_manager_phone"], [name="label_manager_website"], [name="label_vat"]');
+                element.querySelectorAll('input, select, textarea').forEach(field => {
+                    if (visible) {
+                        // Required again only if the layout says so
+                        field.required = field.dataset.required === '1';
+                        return;
+                    }
 
-            if (isLabel) {
-                // Make only name and email required
-                requiredFields.forEach(field => field.setAttribute('required', 'required'));
-                // Keep others optional
-                optionalFields.forEach(field => field.removeAttribute('required'));
-            } else {
-                // Remove required from all fields when hidden
-                section.querySelectorAll('[name^="label_manager_"]').forEach(field => {
-                    field.removeAttribute('required');
-                    field.value = ''; // Clear values when hidden
+                    // Hidden fields are never required, and go back to their defaults
+                    field.required = false;
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        field.checked = field.defaultChecked;
+                    } else {
+                        field.value = field.defaultValue || '';
+                    }
                 });
-            }
+            });
         }
 
         // ==================== TRACK REPEATER ====================
 
         setupTrackRepeater() {
+            const repeater = this.trackRepeater || {};
             this.tracks = [];
             this.trackCount = 0;
-            this.maxTracks = 20;
+            this.maxTracks = parseInt(repeater.max, 10) || 20;
+            this.minTracks = Math.min(this.maxTracks, parseInt(repeater.min, 10) || 1);
 
             const addBtn = document.getElementById('tsf-add-track-btn');
             if (addBtn) {
                 addBtn.addEventListener('click', () => this.addTrack());
             }
 
-            // Always start with 1 track
-            this.addTrack();
+            // Declared durations re-classify the release as they are typed
+            const container = document.getElementById('tsf-tracks-container');
+            if (container) {
+                container.addEventListener('input', (e) => {
+                    if (e.target.matches('input[name$="[duration]"]')) this.autoClassifyReleaseType();
+                });
+                this.setupTrackReordering(container);
+            }
+
+            this.setupTrackImport();
+
+            // Start with the layout's minimum (1 track by default)
+            while (this.trackCount < this.minTracks) {
+                if (!this.addTrack()) break;
+            }
 
             // Auto-classify type on form submission (before submit)
             this.form.addEventListener('submit', (e) => {
@@ -804,62 +1884,119 @@
             });
         }
 
-        // Auto-classify release type based on track count and duration
+        /**
+         * Classify the release from every track's duration and keep the hidden
+         * type field and the release type badge in sync.
+         */
         autoClassifyReleaseType() {
-            const tracks = document.querySelectorAll('.tsf-track-row');
-            const trackCount = tracks.length;
-            let totalDuration = 0;
-
-            // Calculate total duration from all tracks
-            // Note: Duration is auto-extracted from MP3 upload
-            const durationField = document.getElementById('tsf-duration-hidden');
-            if (durationField && durationField.value) {
-                // Parse duration format "MM:SS" to seconds
-                const parts = durationField.value.split(':');
-                if (parts.length === 2) {
-                    totalDuration = (parseInt(parts[0]) * 60) + parseInt(parts[1]);
-                }
-            }
-
-            const totalDurationMinutes = totalDuration / 60;
-            let releaseType = 'Single'; // Default
-
-            /**
-             * Classification Rules:
-             * SINGLE: 1 track, total < 30 minutes
-             * EP:
-             *   - Case 1: 1-3 tracks with at least one ≥10min, total <30min
-             *   - Case 2: 4-6 tracks, total <30min
-             * ALBUM: 7+ tracks OR total ≥30min
-             */
-
-            if (trackCount >= 7 || totalDurationMinutes >= 30) {
-                releaseType = 'Album';
-            } else if (trackCount >= 4 && trackCount <= 6 && totalDurationMinutes < 30) {
-                releaseType = 'EP';
-            } else if (trackCount >= 1 && trackCount <= 3) {
-                // Check if any track is ≥10 minutes
-                // For now, assume EP if 2-3 tracks
-                if (trackCount > 1) {
-                    releaseType = 'EP';
-                } else {
-                    releaseType = 'Single';
-                }
-            }
+            const durations = this.getTrackRows().map(row => this.getTrackDuration(row));
+            const result = this.classifyRelease(durations);
 
-            // Set hidden type field
             const typeField = document.getElementById('tsf-type-hidden');
             if (typeField) {
-                typeField.value = releaseType;
+                typeField.value = result.type;
+            }
+
+            const badge = document.getElementById('tsf-release-type');
+            if (badge) {
+                badge.dataset.releaseType = result.type.toLowerCase();
+                badge.querySelector('.tsf-release-type-value').textContent = __(result.type);
+                badge.querySelector('.tsf-release-type-reason').textContent = result.reason;
             }
 
             // VUL-22 FIX: Remove console.log from production
+            return result;
         }
 
-        addTrack() {
-            if (this.trackCount >= this.maxTracks) {
-                this.showMessage(`Maximum ${this.maxTracks} tracks allowed`, 'error');
-                return;
+        /**
+         * Classification Rules:
+         * SINGLE: 1 track, total < 30 minutes
+         * EP:
+         *   - Case 1: 1-3 tracks with at least one ≥10min, total <30min
+         *   - Case 2: 4-6 tracks, total <30min
+         * ALBUM: 7+ tracks OR total ≥30min
+         *
+         * 2-3 short tracks also count as an EP.
+         *
+         * @param {Array<number|null>} durations - Seconds per track, null when unknown
+         * @returns {{type: string, reason: string}} type is the submitted value (Single, EP
+         *          or Album), shown through the catalog; reason is already translated
+         */
+        classifyRelease(durations) {
+            const trackCount = durations.length;
+            const known = durations.filter(seconds => seconds !== null);
+            const totalDuration = known.reduce((sum, seconds) => sum + seconds, 0);
+            const longTrack = durations.findIndex(seconds => seconds !== null && seconds >= 10 * 60);
+            const total = this.formatSeconds(totalDuration);
+
+            let type;
+            let reason;
+
+            if (totalDuration >= 30 * 60) {
+                type = 'Album';
+                reason = __('Total running time {total} is 30 minutes or more', { total });
+            } else if (trackCount >= 7) {
+                type = 'Album';
+                reason = __('{count} tracks - 7 or more make an album', { count: TSFI18n.formatNumber(trackCount) });
+            } else if (trackCount >= 4) {
+                type = 'EP';
+                reason = __('{count} tracks under 30 minutes in total', { count: TSFI18n.formatNumber(trackCount) });
+            } else if (longTrack !== -1) {
+                type = 'EP';
+                reason = __('Track {number} runs {duration} - a track of 10 minutes or more makes it an EP', {
+                    number: longTrack + 1,
+                    duration: this.formatSeconds(durations[longTrack])
+                });
+            } else if (trackCount > 1) {
+                type = 'EP';
+                reason = __('{count} tracks under 30 minutes in total', { count: TSFI18n.formatNumber(trackCount) });
+            } else {
+                type = 'Single';
+                reason = known.length ? __('One track of {total}', { total }) : __('One track');
+            }
+
+            const missing = trackCount - known.length;
+            if (missing > 0) {
+                reason += ' ' + _n(
+                    '({count} track has no duration yet, so this may change)',
+                    '({count} tracks have no duration yet, so this may change)',
+                    missing
+                );
+            } else if (trackCount > 1 && totalDuration < 30 * 60) {
+                reason += __(', {total} total', { total });
+            }
+
+            return { type, reason };
+        }
+
+        /**
+         * Declared duration of a track row, or the analyzed one
+         * @returns {number|null} Seconds
+         */
+        getTrackDuration(trackRow) {
+            const input = trackRow.querySelector('input[name$="[duration]"]');
+            const declared = input ? this.parseDuration(input.value) : null;
+            if (declared !== null) return declared;
+
+            const report = this.trackReports.get(trackRow);
+            return report && report.audio && report.audio.duration_seconds ? Math.round(report.audio.duration_seconds) : null;
+        }
+
+        // "m:ss" (minutes may exceed 59) to seconds
+        parseDuration(value) {
+            const match = /^(\d{1,3}):([0-5]\d)$/.exec(String(value || '').trim());
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        }
+
+        formatSeconds(seconds) {
+            const whole = Math.round(seconds);
+            return Math.floor(whole / 60) + ':' + String(whole % 60).padStart(2, '0');
+        }
+
+        addTrack() {
+            if (this.trackCount >= this.maxTracks) {
+                this.showMessage(_n('Maximum {count} track allowed', 'Maximum {count} tracks allowed', this.maxTracks), 'error');
+                return;
             }
 
             this.trackCount++;
@@ -879,72 +2016,52 @@
             trackRow.innerHTML = `
                 <div class="tsf-track-row-header">
                     <div class="tsf-track-row-title">
+                        <button type="button" class="tsf-track-drag-handle" aria-label="${TSFSecurity.escapeAttr(__('Reorder track: drag, or use the arrow keys'))}" title="${TSFSecurity.escapeAttr(__('Drag to reorder'))}">⠿</button>
                         <span class="tsf-track-row-number">${safeIndex}</span>
-                        Track ${safeIndex}
-                    </div>
-                    <button type="button" class="tsf-track-remove-btn" data-track-index="${safeIndex}">
-                        <span>×</span> Remove
-                    </button>
-                </div>
-                <div class="tsf-track-fields">
-                    <div class="tsf-field-wrapper">
-                        <label class="tsf-label">Track Title <span class="tsf-required">*</span></label>
-                        <input
-                            type="text"
-                            name="tracks[${safeIndex}][title]"
-                            class="tsf-input"
-                            required
-                            placeholder="Enter track title"
-                        />
+                        ${TSFSecurity.escapeHtml(__('Track {number}', { number: trackIndex }))}
                     </div>
-                    <div class="tsf-field-wrapper">
-                        <label class="tsf-label">ISRC Code</label>
-                        <input
-                            type="text"
-                            name="tracks[${safeIndex}][isrc]"
-                            class="tsf-input"
-                            placeholder="USXXX1234567"
-                            pattern="[A-Z]{2}[A-Z0-9]{3}[0-9]{7}"
-                        />
-                        <div class="tsf-field-hint">Optional - International Standard Recording Code</div>
-                    </div>
-                    <div class="tsf-field-wrapper">
-                        <label class="tsf-label">Instrumental? <span class="tsf-required">*</span></label>
-                        <div class="tsf-radio-group">
-                            <label class="tsf-radio-option">
-                                <input
-                                    type="radio"
-                                    name="tracks[${safeIndex}][instrumental]"
-                                    value="no"
-                                    checked
-                                    required
-                                />
-                                <span>No</span>
-                            </label>
-                            <label class="tsf-radio-option">
-                                <input
-                                    type="radio"
-                                    name="tracks[${safeIndex}][instrumental]"
-                                    value="yes"
-                                    required
-                                />
-                                <span>Yes</span>
-                            </label>
-                        </div>
-                        <div class="tsf-field-hint">Select Yes if this track has no vocals</div>
+                    <div class="tsf-track-row-actions">
+                        <button type="button" class="tsf-track-move-btn" data-direction="up" aria-label="${TSFSecurity.escapeAttr(__('Move track up'))}" title="${TSFSecurity.escapeAttr(__('Move up'))}">↑</button>
+                        <button type="button" class="tsf-track-move-btn" data-direction="down" aria-label="${TSFSecurity.escapeAttr(__('Move track down'))}" title="${TSFSecurity.escapeAttr(__('Move down'))}">↓</button>
+                        <button type="button" class="tsf-track-remove-btn" data-track-index="${safeIndex}">
+                            <span>×</span> ${TSFSecurity.escapeHtml(__('Remove'))}
+                        </button>
                     </div>
                 </div>
+                <div class="tsf-track-fields"></div>
+                <input type="hidden" name="tracks[${safeIndex}][mp3_file_path]" />
+                <input type="hidden" name="tracks[${safeIndex}][mp3_filename]" />
             `;
 
+            // Row fields come from the repeater definition in the form layout
+            const fieldsEl = trackRow.querySelector('.tsf-track-fields');
+            const fields = (this.trackRepeater && this.trackRepeater.fields) || [];
+            fields.forEach(field => {
+                if (field.widget === 'track_upload') {
+                    fieldsEl.appendChild(this.createTrackUploadField());
+                } else if (field.widget === 'track_credits') {
+                    fieldsEl.appendChild(this.createTrackCreditsField(trackIndex));
+                } else if (field.name) {
+                    const fieldEl = this.renderField(field, `tracks[${trackIndex}][${field.name}]`);
+                    if (field.name === 'isrc') this.prepareIsrcField(fieldEl);
+                    fieldsEl.appendChild(fieldEl);
+                }
+            });
+
             container.appendChild(trackRow);
 
             // Add remove event listener
             const removeBtn = trackRow.querySelector('.tsf-track-remove-btn');
-            removeBtn.addEventListener('click', () => this.removeTrack(trackIndex));
+            removeBtn.addEventListener('click', () => this.removeTrack(removeBtn.dataset.trackIndex));
+
+            // Per-track audio drop zone
+            this.setupTrackUpload(trackRow);
 
             // Update UI
             this.updateTrackCount();
             this.updateAddButtonState();
+            this.updateTrackMoveButtons();
+            this.autoClassifyReleaseType();
 
             // Animate in
             trackRow.style.animation = 'tsf-slide-down 0.3s ease';
@@ -952,23 +2069,63 @@
             return trackRow;
         }
 
+        createTrackUploadField() {
+            const wrapper = TSFSecurity.createElement('div', 'tsf-field-wrapper tsf-track-upload-wrapper');
+            wrapper.innerHTML = `
+                <label class="tsf-label">${TSFSecurity.escapeHtml(__('Audio File'))}</label>
+                <div class="tsf-track-upload" role="button" tabindex="0">
+                    <input type="file" class="tsf-track-upload-input" accept="${TSFSecurity.escapeHtml(this.getUploadAccept())}" />
+                    <div class="tsf-track-upload-status">
+                        <span class="tsf-track-upload-icon">📁</span>
+                        <span>${TSFSecurity.escapeHtml(__('Drop this track\'s audio file here or click to select'))}</span>
+                    </div>
+                </div>
+                <div class="tsf-field-hint">${TSFSecurity.escapeHtml(__('MP3, WAV, FLAC or AIFF - analyzed right away'))}</div>
+            `;
+            return wrapper;
+        }
+
         removeTrack(trackIndex) {
             const trackRow = document.querySelector(`.tsf-track-row[data-track-index="${trackIndex}"]`);
             if (!trackRow) return;
 
+            if (this.getTrackRows().length <= this.minTracks) {
+                this.showMessage(_n('At least {count} track is required', 'At least {count} tracks are required', this.minTracks), 'error');
+                return;
+            }
+
+            // Stop an upload still running for this row
+            const dropZone = trackRow.querySelector('.tsf-track-upload');
+            const upload = dropZone ? this.activeUploads.get(dropZone) : null;
+            if (upload) upload.cancel();
+
             // Animate out
             trackRow.style.animation = 'tsf-fade-out 0.2s ease';
             setTimeout(() => {
                 trackRow.remove();
+                this.trackReports.delete(trackRow);
+                this.trackFiles.delete(trackRow);
                 this.trackCount--;
                 this.renumberTracks();
                 this.updateTrackCount();
                 this.updateAddButtonState();
+                this.syncLeadAnalysis();
+                this.autoClassifyReleaseType();
+                if (this.previewRow === trackRow) this.showLeadAudioPreview();
             }, 200);
         }
 
+        getTrackRows() {
+            return Array.from(document.querySelectorAll('.tsf-track-row'));
+        }
+
         renumberTracks() {
             const tracks = document.querySelectorAll('.tsf-track-row');
+
+            // While names change, two rows briefly share a radio group and the
+            // browser would uncheck one of them
+            const checkedRadios = Array.from(document.querySelectorAll('.tsf-track-row input[type="radio"]:checked'));
+
             tracks.forEach((track, index) => {
                 const newIndex = index + 1;
                 track.dataset.trackIndex = newIndex;
@@ -978,10 +2135,10 @@
                 if (numberEl) numberEl.textContent = newIndex;
 
                 const titleEl = track.querySelector('.tsf-track-row-title');
-                if (titleEl) titleEl.lastChild.textContent = ` Track ${newIndex}`;
+                if (titleEl) titleEl.lastChild.textContent = ' ' + __('Track {number}', { number: newIndex });
 
-                // Update input names
-                track.querySelectorAll('input').forEach(input => {
+                // Update field names
+                track.querySelectorAll('[name]').forEach(input => {
                     const name = input.name;
                     if (name) {
                         input.name = name.replace(/tracks\[\d+\]/, `tracks[${newIndex}]`);
@@ -992,6 +2149,11 @@
                 const removeBtn = track.querySelector('.tsf-track-remove-btn');
                 if (removeBtn) removeBtn.dataset.trackIndex = newIndex;
             });
+
+            checkedRadios.forEach(radio => {
+                radio.checked = true;
+            });
+            this.updateTrackMoveButtons();
         }
 
         updateTrackCount() {
@@ -1014,185 +2176,1811 @@
             }
         }
 
-        // ==================== PLATFORM AUTO-DETECTION ====================
+        // ==================== TRACK ORDER ====================
 
-        setupPlatformDetection() {
-            const urlField = document.querySelector('[name="track_url"]');
-            if (!urlField) return;
+        /**
+         * Reorder rows by dragging their handle, with the up/down buttons, or
+         * with the arrow keys (Home/End for first/last) on the focused handle.
+         * Values, uploads and analyses are keyed by the row element, so they
+         * move with it; renumberTracks() then rewrites the tracks[n] names.
+         */
+        setupTrackReordering(container) {
+            this.draggedRow = null;
 
-            urlField.addEventListener('input', (e) => {
-                this.detectPlatform(e.target.value);
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('.tsf-track-move-btn');
+                if (!button) return;
+
+                const row = button.closest('.tsf-track-row');
+                const index = this.getTrackRows().indexOf(row);
+                this.moveTrack(row, button.dataset.direction === 'up' ? index - 1 : index + 1, button);
             });
 
-            urlField.addEventListener('blur', (e) => {
-                this.detectPlatform(e.target.value);
+            container.addEventListener('keydown', (e) => {
+                const handle = e.target.closest('.tsf-track-drag-handle');
+                if (!handle) return;
+
+                const row = handle.closest('.tsf-track-row');
+                const rows = this.getTrackRows();
+                const index = rows.indexOf(row);
+                const targets = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: rows.length - 1 };
+                if (!(e.key in targets)) return;
+
+                e.preventDefault();
+                this.moveTrack(row, targets[e.key], handle);
             });
-        }
 
-        detectPlatform(url) {
-            const platformField = document.getElementById('tsf-platform-hidden');
-            const badge = document.getElementById('tsf-platform-badge');
-            const iconEl = badge?.querySelector('.tsf-platform-icon');
-            const nameEl = badge?.querySelector('.tsf-platform-name');
+            // Rows only become draggable from their handle, so text in the
+            // fields can still be selected with the mouse
+            container.addEventListener('mousedown', (e) => {
+                const row = e.target.closest('.tsf-track-row');
+                if (row) row.draggable = !!e.target.closest('.tsf-track-drag-handle');
+            });
 
-            if (!url || !platformField || !badge) return;
+            container.addEventListener('dragstart', (e) => {
+                const row = e.target.closest && e.target.closest('.tsf-track-row');
+                if (!row || !row.draggable) return;
 
-            const platforms = {
-                'spotify': { pattern: /spotify\.com\/(?:intl-[a-z]{2}\/)?track/i, icon: '🎵', name: 'Spotify' },
-                'soundcloud': { pattern: /soundcloud\.com/i, icon: '🔊', name: 'SoundCloud' },
-                'youtube': { pattern: /youtube\.com\/watch|youtu\.be/i, icon: '▶️', name: 'YouTube' },
-                'apple': { pattern: /music\.apple\.com/i, icon: '🍎', name: 'Apple Music' },
-                'deezer': { pattern: /deezer\.com/i, icon: '🎧', name: 'Deezer' },
-                'bandcamp': { pattern: /bandcamp\.com/i, icon: '🎸', name: 'Bandcamp' },
-                'tidal': { pattern: /tidal\.com/i, icon: '🌊', name: 'TIDAL' }
-            };
+                this.draggedRow = row;
+                this.dragStartIndex = this.getTrackRows().indexOf(row);
+                row.classList.add('tsf-track-dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                // Firefox only starts a drag with some data set
+                e.dataTransfer.setData('text/plain', '');
+            });
 
-            let detected = null;
-            for (const [key, platform] of Object.entries(platforms)) {
-                if (platform.pattern.test(url)) {
-                    detected = { key, ...platform };
-                    break;
+            container.addEventListener('dragover', (e) => {
+                if (!this.draggedRow) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+
+                const target = e.target.closest('.tsf-track-row');
+                if (!target || target === this.draggedRow) return;
+
+                // Upper half of a row: before it, lower half: after it
+                const rect = target.getBoundingClientRect();
+                const before = e.clientY < rect.top + rect.height / 2;
+                container.insertBefore(this.draggedRow, before ? target : target.nextSibling);
+            });
+
+            container.addEventListener('drop', (e) => {
+                if (this.draggedRow) e.preventDefault();
+            });
+
+            container.addEventListener('dragend', (e) => {
+                const row = this.draggedRow;
+                if (!row) return;
+
+                this.draggedRow = null;
+                row.draggable = false;
+                row.classList.remove('tsf-track-dragging');
+
+                // Cancelled (Escape) or dropped outside the list: put it back
+                if (e.dataTransfer.dropEffect === 'none') {
+                    const others = this.getTrackRows().filter(other => other !== row);
+                    container.insertBefore(row, others[this.dragStartIndex] || null);
+                }
+
+                if (this.getTrackRows().indexOf(row) !== this.dragStartIndex) {
+                    this.onTracksReordered(row);
                 }
+            });
+        }
+
+        /**
+         * Move a row to a position (0-based) in the list
+         * @param {HTMLElement} row
+         * @param {number} toIndex
+         * @param {HTMLElement} focusTarget - Control to keep focused after the move
+         */
+        moveTrack(row, toIndex, focusTarget = null) {
+            const rows = this.getTrackRows();
+            const fromIndex = rows.indexOf(row);
+            if (fromIndex === -1 || toIndex < 0 || toIndex >= rows.length || toIndex === fromIndex) return;
+
+            const reference = toIndex > fromIndex ? rows[toIndex].nextSibling : rows[toIndex];
+            row.parentNode.insertBefore(row, reference);
+
+            // Moving a row takes the focus out of it in some browsers
+            if (focusTarget) focusTarget.focus();
+
+            this.onTracksReordered(row);
+        }
+
+        onTracksReordered(row) {
+            this.renumberTracks();
+            this.syncLeadAnalysis();
+
+            const rows = this.getTrackRows();
+            const status = document.getElementById('tsf-track-order-status');
+            if (status) {
+                const title = row.querySelector('input[name$="[title]"]')?.value.trim() || __('Track');
+                status.textContent = __('{title} moved to position {position} of {total}', {
+                    title,
+                    position: TSFI18n.formatNumber(rows.indexOf(row) + 1),
+                    total: TSFI18n.formatNumber(rows.length)
+                });
             }
 
-            if (detected) {
-                platformField.value = detected.key;
-                if (iconEl) iconEl.textContent = detected.icon;
-                if (nameEl) nameEl.textContent = detected.name + ' detected';
-                badge.style.display = 'inline-flex';
-            } else {
-                platformField.value = 'other';
-                badge.style.display = 'none';
+            // Refresh a summary shown on the same step
+            if (document.querySelector(`.tsf-form-step[data-step="${this.currentStep}"] #tsf-summary-card`)) {
+                this.populateSummary();
             }
+
+            this.triggerAutosave();
         }
 
-        // ==================== TRACK VERIFICATION ====================
+        // First row can't move up, last row can't move down
+        updateTrackMoveButtons() {
+            const rows = this.getTrackRows();
+            rows.forEach((row, index) => {
+                const buttons = Array.from(row.querySelectorAll('.tsf-track-move-btn'));
+                const focused = buttons.find(button => button === document.activeElement);
 
-        setupTrackVerification() {
-            const verifyBtn = document.getElementById('tsf-verify-track');
-            if (verifyBtn) {
-                verifyBtn.addEventListener('click', () => this.verifyTrack());
+                buttons.forEach(button => {
+                    button.disabled = button.dataset.direction === 'up' ? index === 0 : index === rows.length - 1;
+                });
+
+                // A button that just got disabled drops the focus: hand it to the other one
+                const other = buttons.find(button => !button.disabled);
+                if (focused && focused.disabled && other) other.focus();
+            });
+        }
+
+        // ==================== TRACK IMPORT ====================
+
+        /**
+         * Import panel next to the add button: a pasted list, a CSV file or
+         * several audio files (parsed by TSFTrackImport) are shown as a preview
+         * and, once confirmed, replace the track rows through addTrack()
+         */
+        renderTrackImport() {
+            const panel = TSFSecurity.createElement('div', 'tsf-track-import');
+            panel.id = 'tsf-track-import';
+            panel.hidden = true;
+
+            const accept = ['.csv', '.txt', 'text/csv', 'text/plain'].concat(this.getUploadAccept().split(',')).join(',');
+
+            panel.innerHTML = `
+                <div class="tsf-track-import-source">
+                    <label class="tsf-label" for="tsf-track-import-text">${TSFSecurity.escapeHtml(__('Paste a track list or CSV'))}</label>
+                    <textarea id="tsf-track-import-text" class="tsf-input tsf-textarea" rows="6"
+                        placeholder="${TSFSecurity.escapeAttr(__('1. First Track – 3:45') + '\n' + __('2. Second Track – 4:02'))}"></textarea>
+                    <div class="tsf-field-hint">${TSFSecurity.escapeHtml(__('One track per line, or CSV columns title, ISRC, duration'))}</div>
+                    <div class="tsf-track-import-drop" role="button" tabindex="0">
+                        <input type="file" class="tsf-track-import-file" multiple accept="${TSFSecurity.escapeHtml(accept)}" tabindex="-1" />
+                        <span>${TSFSecurity.escapeHtml(__('Or drop a CSV file or the release\'s audio files here - their tags fill in the tracks'))}</span>
+                    </div>
+                    <div class="tsf-track-import-buttons">
+                        <button type="button" class="tsf-btn tsf-btn-primary" data-import-action="preview">${TSFSecurity.escapeHtml(__('Preview'))}</button>
+                        <button type="button" class="tsf-btn tsf-btn-secondary" data-import-action="close">${TSFSecurity.escapeHtml(__('Cancel'))}</button>
+                    </div>
+                </div>
+                <div class="tsf-track-import-preview" hidden>
+                    <p class="tsf-track-import-summary" role="status"></p>
+                    <table class="tsf-track-import-table">
+                        <thead>
+                            <tr><th scope="col">#</th><th scope="col">${TSFSecurity.escapeHtml(__('Title'))}</th><th scope="col">ISRC</th><th scope="col">${TSFSecurity.escapeHtml(__('Duration'))}</th></tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <p class="tsf-track-import-warning"></p>
+                    <div class="tsf-track-import-buttons">
+                        <button type="button" class="tsf-btn tsf-btn-primary" data-import-action="confirm">${TSFSecurity.escapeHtml(__('Replace track list'))}</button>
+                        <button type="button" class="tsf-btn tsf-btn-secondary" data-import-action="back">${TSFSecurity.escapeHtml(__('Back'))}</button>
+                    </div>
+                </div>
+            `;
+
+            return panel;
+        }
+
+        setupTrackImport() {
+            const panel = document.getElementById('tsf-track-import');
+            const toggle = document.getElementById('tsf-track-import-btn');
+            if (!panel || !toggle || typeof TSFTrackImport === 'undefined') {
+                if (toggle) toggle.hidden = true;
+                return;
             }
+
+            const drop = panel.querySelector('.tsf-track-import-drop');
+            const fileInput = panel.querySelector('.tsf-track-import-file');
+
+            toggle.addEventListener('click', () => {
+                if (panel.hidden) {
+                    this.openTrackImport();
+                } else {
+                    this.closeTrackImport();
+                }
+            });
+
+            panel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-import-action]');
+                if (!button) return;
+
+                const action = button.dataset.importAction;
+                if (action === 'preview') {
+                    this.previewTrackImport(TSFTrackImport.parse(panel.querySelector('#tsf-track-import-text').value));
+                } else if (action === 'confirm') {
+                    this.applyTrackImport();
+                } else if (action === 'back') {
+                    this.showTrackImportStep('source');
+                } else {
+                    this.closeTrackImport();
+                }
+            });
+
+            panel.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeTrackImport();
+            });
+
+            drop.addEventListener('click', (e) => {
+                if (e.target !== fileInput) fileInput.click();
+            });
+            drop.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    fileInput.click();
+                }
+            });
+            drop.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                drop.classList.add('tsf-upload-dragover');
+            });
+            drop.addEventListener('dragleave', () => drop.classList.remove('tsf-upload-dragover'));
+            drop.addEventListener('drop', (e) => {
+                e.preventDefault();
+                drop.classList.remove('tsf-upload-dragover');
+                this.readTrackImportFiles(e.dataTransfer.files);
+            });
+            fileInput.addEventListener('change', () => {
+                this.readTrackImportFiles(fileInput.files);
+                fileInput.value = '';
+            });
         }
 
-        async verifyTrack() {
-            const platformField = document.getElementById('tsf-platform-hidden');
-            const urlField = document.querySelector('[name="track_url"]');
+        openTrackImport() {
+            const panel = document.getElementById('tsf-track-import');
+            panel.hidden = false;
+            document.getElementById('tsf-track-import-btn').setAttribute('aria-expanded', 'true');
+            this.showTrackImportStep('source');
+            panel.querySelector('#tsf-track-import-text').focus();
+        }
 
-            if (!urlField || !urlField.value) {
-                this.showMessage('Please enter a track URL first', 'error');
+        closeTrackImport() {
+            const panel = document.getElementById('tsf-track-import');
+            const toggle = document.getElementById('tsf-track-import-btn');
+            panel.hidden = true;
+            this.pendingImport = null;
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.focus();
+        }
+
+        showTrackImportStep(step) {
+            const panel = document.getElementById('tsf-track-import');
+            panel.querySelector('.tsf-track-import-source').hidden = step !== 'source';
+            panel.querySelector('.tsf-track-import-preview').hidden = step !== 'preview';
+
+            if (step === 'preview') {
+                panel.querySelector('[data-import-action="confirm"]').focus();
+            }
+        }
+
+        /**
+         * A CSV or text file is parsed like pasted text; audio files are read
+         * for their tags and uploaded to their rows once the import is confirmed
+         */
+        async readTrackImportFiles(fileList) {
+            const files = Array.from(fileList || []);
+            if (!files.length) return;
+
+            const textFile = files.find(file => /\.(csv|txt)$/i.test(file.name) || /^text\//.test(file.type));
+            if (textFile) {
+                const text = await textFile.text();
+                document.getElementById('tsf-track-import-text').value = text;
+                this.previewTrackImport(TSFTrackImport.parse(text));
                 return;
             }
 
-            // Auto-detect platform if not already detected
-            if (!platformField || !platformField.value) {
-                this.detectPlatform(urlField.value);
+            const drop = document.querySelector('.tsf-track-import-drop span');
+            const label = drop.textContent;
+            drop.textContent = _n('Reading {count} file...', 'Reading {count} files...', files.length);
+
+            try {
+                this.previewTrackImport(await TSFTrackImport.readFiles(files));
+            } finally {
+                drop.textContent = label;
             }
+        }
 
-            // Check again after detection
-            if (!platformField || !platformField.value) {
-                this.showMessage('Could not detect platform from URL. Please check the URL format.', 'error');
+        previewTrackImport(result) {
+            const panel = document.getElementById('tsf-track-import');
+            const tracks = result.tracks.slice(0, this.maxTracks);
+
+            if (!tracks.length) {
+                this.showMessage(__('No tracks found - put one track per line, or drop a CSV or audio files'), 'error');
                 return;
             }
 
-            // VUL-22 FIX: Remove console.log from production
+            this.pendingImport = tracks;
+
+            const rows = tracks.map((track, index) => {
+                const title = track.error
+                    ? `${TSFSecurity.escapeHtml(track.title)} <span class="tsf-track-import-error">${TSFSecurity.escapeHtml(track.error)}</span>`
+                    : TSFSecurity.escapeHtml(track.title);
+                return `<tr>
+                    <td>${TSFI18n.formatNumber(index + 1)}</td>
+                    <td>${title}</td>
+                    <td>${TSFSecurity.escapeHtml(track.isrc || '-')}</td>
+                    <td>${TSFSecurity.escapeHtml(track.duration || '-')}</td>
+                </tr>`;
+            });
+            panel.querySelector('.tsf-track-import-table tbody').innerHTML = rows.join('');
 
-            const verifyBtn = document.getElementById('tsf-verify-track');
-            verifyBtn.disabled = true;
-            // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
-            verifyBtn.textContent = '';
-            const spinner = document.createElement('span');
-            spinner.className = 'tsf-spinner';
-            verifyBtn.appendChild(spinner);
-            verifyBtn.appendChild(document.createTextNode(' ' + (tsfFormData.i18n.verifying || 'Verifying...')));
+            const notes = [_n('{count} track found.', '{count} tracks found.', tracks.length)];
+            if (result.tracks.length > tracks.length) {
+                notes.push(_n('Only the first {count} can be imported.', 'Only the first {count} can be imported.', this.maxTracks));
+            }
+            if (result.skipped.length) {
+                const skipped = result.skipped.slice(0, 3);
+                if (result.skipped.length > 3) {
+                    skipped.push(_n('{count} more', '{count} more', result.skipped.length - 3));
+                }
+                notes.push(__('Skipped: {files}.', { files: TSFI18n.formatList(skipped) }));
+            }
+            if (result.header) {
+                notes.push(__('The first line was read as column names: {line}.', { line: result.header }));
+            }
+            panel.querySelector('.tsf-track-import-summary').textContent = notes.join(' ');
+
+            // Only warn when there is something to lose
+            const filled = this.getTrackRows().filter(row => (
+                Array.from(row.querySelectorAll('.tsf-track-fields input[name], .tsf-track-fields textarea[name]')).some(input => input.type !== 'hidden' && input.value.trim())
+                || this.trackReports.has(row)
+            ));
+            panel.querySelector('.tsf-track-import-warning').textContent = filled.length
+                ? _n(
+                    'This replaces the {count} track you entered, including its audio file.',
+                    'This replaces the {count} tracks you entered, including their audio files.',
+                    this.getTrackRows().length
+                )
+                : '';
+
+            this.showTrackImportStep('preview');
+        }
+
+        async applyTrackImport() {
+            const tracks = this.pendingImport;
+            if (!tracks || !tracks.length) return;
+
+            // Replace the current rows (without removeTrack()'s minimum and animation)
+            this.getTrackRows().forEach(row => {
+                const dropZone = row.querySelector('.tsf-track-upload');
+                const upload = dropZone ? this.activeUploads.get(dropZone) : null;
+                if (upload) upload.cancel();
+
+                row.remove();
+                this.trackReports.delete(row);
+                this.trackFiles.delete(row);
+            });
+            this.trackCount = 0;
+
+            const created = [];
+            tracks.forEach(track => {
+                const row = this.addTrack();
+                if (!row) return;
+
+                this.setTrackField(row, 'title', track.title);
+                this.setTrackField(row, 'isrc', track.isrc || '');
+                this.setTrackField(row, 'duration', track.duration || '');
+                created.push({ row, file: track.file && !track.error ? track.file : null });
+            });
+
+            this.form.querySelectorAll('[name$="[isrc]"]').forEach(input => this.updateIsrcBreakdown(input));
+            this.syncLeadAnalysis();
+            this.showLeadAudioPreview();
+            this.autoClassifyReleaseType();
+            this.triggerAutosave();
+
+            this.closeTrackImport();
+            const status = document.getElementById('tsf-track-order-status');
+            if (status) status.textContent = _n('{count} track imported', '{count} tracks imported', created.length);
+
+            const firstTitle = this.form.querySelector('.tsf-track-row input[name$="[title]"]');
+            if (firstTitle) firstTitle.focus();
+
+            // One upload at a time. Each file still costs two rate-limited
+            // requests (session and finalize); past the limit TSFChunkedUpload
+            // waits and sends them again, so the rest of the album queues up
+            for (const { row, file } of created) {
+                if (file && row.isConnected) {
+                    await this.analyzeMP3(file, row, row.querySelector('.tsf-track-upload'));
+                }
+            }
+        }
+
+        // ==================== ISRC ====================
+
+        /**
+         * Track ISRCs are normalized as they are typed, broken down into their
+         * parts, kept unique across the release and looked up in earlier
+         * submissions (the isrc_submitted rule from TSF_Validator::get_client_rules())
+         */
+        setupIsrcFields() {
+            this.isrcLookups = new Map();
+            this.validator.register('isrc_submitted', (value) => this.isIsrcNew(value));
+
+            this.form.addEventListener('input', (e) => {
+                if (!this.isIsrcField(e.target)) return;
+                this.normalizeIsrcInput(e.target);
+                this.updateIsrcBreakdown(e.target);
+            });
+
+            // Fixing (or creating) a duplicate changes the other rows' result too
+            this.form.addEventListener('change', (e) => {
+                if (!this.isIsrcField(e.target)) return;
+                this.form.querySelectorAll('[name$="[isrc]"]').forEach(other => {
+                    if (other !== e.target && other.value) this.validateField(other);
+                });
+            });
+        }
+
+        isIsrcField(element) {
+            return /^tracks\[\d+\]\[isrc\]$/.test(element.name || '');
+        }
+
+        prepareIsrcField(wrapper) {
+            const input = wrapper.querySelector('input');
+            if (!input) return;
+
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            input.setAttribute('autocapitalize', 'characters');
+
+            const breakdown = TSFSecurity.createElement('div', 'tsf-isrc-breakdown');
+            breakdown.hidden = true;
+            breakdown.setAttribute('aria-live', 'polite');
+            input.insertAdjacentElement('afterend', breakdown);
+        }
+
+        normalizeIsrc(value) {
+            return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        }
+
+        // Uppercase and drop hyphens/spaces, keeping the caret where it was
+        normalizeIsrcInput(input) {
+            const normalized = this.normalizeIsrc(input.value);
+            if (normalized === input.value) return;
+
+            const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+            const position = this.normalizeIsrc(input.value.slice(0, caret)).length;
+            input.value = normalized;
+            if (document.activeElement === input) input.setSelectionRange(position, position);
+        }
+
+        updateIsrcBreakdown(input) {
+            const breakdown = input.closest('.tsf-field-wrapper')?.querySelector('.tsf-isrc-breakdown');
+            if (!breakdown) return;
+
+            const isrc = this.normalizeIsrc(input.value);
+            breakdown.textContent = '';
+            breakdown.hidden = !isrc;
+
+            this.parseIsrc(isrc).forEach(part => {
+                const state = part.invalid ? ' tsf-isrc-part-invalid' : (part.pending ? ' tsf-isrc-part-pending' : '');
+                const element = TSFSecurity.createElement('span', 'tsf-isrc-part' + state);
+                element.appendChild(TSFSecurity.createElement('code', 'tsf-isrc-part-code', part.code));
+                element.appendChild(TSFSecurity.createElement('span', 'tsf-isrc-part-label', part.label));
+                breakdown.appendChild(element);
+            });
+        }
+
+        /**
+         * Readable parts of a (possibly partial) ISRC: CC-XXX-YY-NNNNN
+         * @returns {Array<{code: string, label: string, pending: boolean, invalid: boolean}>}
+         */
+        parseIsrc(isrc) {
+            const country = isrc.slice(0, 2);
+            const registrant = isrc.slice(2, 5);
+            const year = isrc.slice(5, 7);
+            const designation = isrc.slice(7, 12);
+
+            const part = (code, placeholder, label, invalid = false) => ({
+                code: code || placeholder,
+                label,
+                pending: code.length < placeholder.length,
+                invalid
+            });
+
+            let countryLabel = __('Country');
+            let countryInvalid = false;
+            if (country.length === 2) {
+                const codes = this.getIsrcCountryCodes();
+                countryInvalid = !/^[A-Z]{2}$/.test(country) || (codes.length > 0 && !codes.includes(country));
+                countryLabel = countryInvalid ? __('Unknown country code') : this.getIsrcCountryName(country);
+            }
+
+            let yearLabel = __('Year');
+            const yearInvalid = /\D/.test(year);
+            if (year.length === 2 && !yearInvalid) {
+                // ISRCs exist since 1986: 86-99 are 19xx
+                const century = parseInt(year, 10) <= new Date().getFullYear() % 100 ? 2000 : 1900;
+                yearLabel = __('Year {year}', { year: century + parseInt(year, 10) });
+            }
+
+            const parts = [
+                part(country, 'CC', countryLabel, countryInvalid),
+                part(registrant, 'XXX', __('Registrant')),
+                part(year, 'YY', yearLabel, yearInvalid),
+                part(designation, 'NNNNN', __('Recording'), /\D/.test(designation))
+            ];
+
+            if (isrc.length > 12) {
+                parts.push({ code: isrc.slice(12), label: __('Extra characters'), pending: false, invalid: true });
+            }
+
+            return parts;
+        }
+
+        // Allowed prefixes, from the same isrc_country rule the validator runs
+        getIsrcCountryCodes() {
+            const rule = this.validator.getRules('tracks[1][isrc]').find(({ rule }) => rule.rule === 'isrc_country');
+            return rule && Array.isArray(rule.rule.value) ? rule.rule.value : [];
+        }
+
+        getIsrcCountryName(code) {
+            const special = {
+                QM: 'US', QN: 'US', QO: 'US', QP: 'US', QT: 'US', QZ: 'US',
+                ZZ: __('International (IFPI)'), CP: __('Reserved'), DG: __('Reserved')
+            };
+            if (special[code] && special[code].length > 2) return special[code];
 
             try {
-                const response = await fetch(tsfFormData.rest_url + 'verify-track', {
+                return new Intl.DisplayNames([TSFI18n.locale], { type: 'region' }).of(special[code] || code);
+            } catch (e) {
+                return code;
+            }
+        }
+
+        /**
+         * Async rule: whether no earlier submission used this ISRC.
+         * A lookup takes every other unchecked ISRC of the release along, so
+         * the track rows share one rate-limited request. Answers are kept for
+         * the session; failed lookups are retried.
+         * @returns {Promise<boolean|string>} A message while the rate limit holds the lookup back
+         */
+        isIsrcNew(value) {
+            const isrc = this.normalizeIsrc(value);
+            const valid = (code) => /^[A-Z]{2}[A-Z0-9]{3}[0-9]{7}$/.test(code);
+            if (!valid(isrc)) return Promise.resolve(true);
+
+            if (!this.isrcLookups.has(isrc)) {
+                const isrcs = [isrc]
+                    .concat(Array.from(this.form.querySelectorAll('[name$="[isrc]"]'), input => this.normalizeIsrc(input.value)))
+                    .filter((code, index, all) => valid(code) && all.indexOf(code) === index && !this.isrcLookups.has(code));
+
+                // null when rate limited
+                const lookup = fetch(tsfFormData.rest_url + 'isrc', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'X-WP-Nonce': tsfFormData.rest_nonce
                     },
-                    body: JSON.stringify({
-                        platform: platformField.value,
-                        url: urlField.value
-                    })
+                    body: JSON.stringify({ isrcs })
+                })
+                    .then(response => {
+                        if (response.status === 429) return null;
+                        if (!response.ok) throw new Error('ISRC lookup failed');
+                        return response.json();
+                    });
+
+                const answers = new Map(isrcs.map(code => [code, lookup.then(result => {
+                    // Not checked is not new: hold the field until the lookup can run
+                    if (!result) return __('This ISRC could not be checked yet. Please try again in a minute.');
+                    return !(result.success && result.data.submitted.includes(code));
+                })]));
+
+                // Retried on the next validation. The engine lets the field
+                // through when the network fails, but not when rate limited.
+                const forget = () => answers.forEach((answer, code) => {
+                    if (this.isrcLookups.get(code) === answer) this.isrcLookups.delete(code);
                 });
+                lookup.then(result => { if (!result) forget(); }, forget);
 
-                // Check if response is OK before parsing
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    // VUL-22 FIX: Remove console.error from production
-                    throw new Error(`API Error: ${response.status} - ${response.statusText}`);
-                }
+                answers.forEach((answer, code) => {
+                    answer.catch(() => {});
+                    this.isrcLookups.set(code, answer);
+                });
+            }
 
-                const data = await response.json();
-                // VUL-22 FIX: Remove console.log from production
+            return this.isrcLookups.get(isrc);
+        }
 
-                if (data.success) {
-                    // VUL-22 FIX: Remove console.log from production
-                    this.showTrackPreview(data.data);
-                } else {
-                    // VUL-22 FIX: Remove console.error from production
-                    this.showMessage(data.message || 'Could not verify track', 'error');
-                }
-            } catch (error) {
-                // VUL-22 FIX: Remove console.error from production
-                const errorMsg = error && error.message ? error.message : 'Unknown error';
-                this.showMessage('Error verifying track: ' + errorMsg, 'error');
-            } finally {
-                verifyBtn.disabled = false;
-                // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
-                verifyBtn.textContent = '';
-                const icon = document.createElement('span');
-                icon.className = 'tsf-btn-icon';
-                icon.textContent = '🔍';
-                verifyBtn.appendChild(icon);
-                verifyBtn.appendChild(document.createTextNode(' Verify Track'));
+        // ==================== TRACK CREDITS ====================
+
+        /**
+         * Each track row can hold a credits editor (the track_credits widget).
+         * Its inputs have no names: the editor writes one JSON object to the
+         * hidden tracks[n][credits] field, which is what gets validated, saved
+         * and submitted (see TSF_Validator::sanitize_track_credits()).
+         *
+         * Writer roles: the values sanitize_track_credits() accepts
+         */
+        static get CREDIT_WRITER_ROLES() {
+            return { composer: __('Composer'), lyricist: __('Lyricist'), composer_lyricist: __('Composer & lyricist') };
+        }
+
+        static get CREDIT_EXPLICIT_OPTIONS() {
+            return [['', __('Not specified')], ['explicit', __('Explicit')], ['clean', __('Clean')]];
+        }
+
+        static get CREDIT_LANGUAGES() {
+            return ['ar', 'bn', 'cs', 'da', 'de', 'el', 'en', 'es', 'fa', 'fi', 'fr', 'he', 'hi', 'hu', 'id', 'it', 'ja', 'ko',
+                'la', 'ms', 'nl', 'no', 'pa', 'pl', 'pt', 'ro', 'ru', 'sv', 'sw', 'th', 'tl', 'tr', 'uk', 'ur', 'vi', 'yo', 'zh', 'zu'];
+        }
+
+        static get MUSICAL_KEYS() {
+            const tonics = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+            return ['major', 'minor'].flatMap(mode => tonics.map(tonic => `${tonic} ${mode}`));
+        }
+
+        setupTrackCredits() {
+            this.validator.register('track_credits', (value) => this.checkTrackCredits(value));
+        }
+
+        createTrackCreditsField(trackIndex) {
+            const wrapper = TSFSecurity.createElement('div', 'tsf-field-wrapper tsf-track-credits-wrapper');
+            const options = (list) => list.map(([value, label]) => (
+                `<option value="${TSFSecurity.escapeHtml(value)}">${TSFSecurity.escapeHtml(label)}</option>`
+            )).join('');
+
+            wrapper.innerHTML = `
+                <details class="tsf-track-credits">
+                    <summary>
+                        <span class="tsf-label">${TSFSecurity.escapeHtml(__('Credits & details'))}</span>
+                        <span class="tsf-track-credits-count"></span>
+                    </summary>
+                    <div class="tsf-track-credits-body">
+                        <fieldset class="tsf-credits-group" data-credit-list="featured">
+                            <legend>${TSFSecurity.escapeHtml(__('Featured artists'))}</legend>
+                            <div class="tsf-credits-list"></div>
+                            <button type="button" class="tsf-credits-add-btn" data-credit-add="featured">+ ${TSFSecurity.escapeHtml(__('Add featured artist'))}</button>
+                        </fieldset>
+                        <fieldset class="tsf-credits-group" data-credit-list="writers">
+                            <legend>${TSFSecurity.escapeHtml(__('Writers & publishing splits'))}</legend>
+                            <div class="tsf-credits-list"></div>
+                            <p class="tsf-credits-total" aria-live="polite"></p>
+                            <button type="button" class="tsf-credits-add-btn" data-credit-add="writers">+ ${TSFSecurity.escapeHtml(__('Add writer'))}</button>
+                        </fieldset>
+                        <fieldset class="tsf-credits-group" data-credit-list="producers">
+                            <legend>${TSFSecurity.escapeHtml(__('Producers'))}</legend>
+                            <div class="tsf-credits-list"></div>
+                            <button type="button" class="tsf-credits-add-btn" data-credit-add="producers">+ ${TSFSecurity.escapeHtml(__('Add producer'))}</button>
+                        </fieldset>
+                        <div class="tsf-credits-details">
+                            <label>${TSFSecurity.escapeHtml(__('Explicit lyrics'))}
+                                <select class="tsf-input tsf-select" data-credit="explicit">${options(TSFFormV2.CREDIT_EXPLICIT_OPTIONS)}</select>
+                            </label>
+                            <label>${TSFSecurity.escapeHtml(__('Language'))}
+                                <select class="tsf-input tsf-select" data-credit="language">${options(this.getCreditLanguageOptions())}</select>
+                            </label>
+                            <label>${TSFSecurity.escapeHtml(__('BPM'))}
+                                <input type="number" class="tsf-input" data-credit="bpm" min="20" max="300" step="1" inputmode="numeric" />
+                            </label>
+                            <label>${TSFSecurity.escapeHtml(__('Key'))}
+                                <select class="tsf-input tsf-select" data-credit="key">${options([['', __('Not specified')]].concat(TSFFormV2.MUSICAL_KEYS.map(key => [key, key])))}</select>
+                            </label>
+                        </div>
+                    </div>
+                </details>
+                <input type="hidden" class="tsf-track-credits-value" name="tracks[${TSFSecurity.escapeHtml(String(trackIndex))}][credits]" data-validate />
+                <div class="tsf-validation-feedback"></div>
+            `;
+
+            wrapper.addEventListener('click', (e) => {
+                const addBtn = e.target.closest('[data-credit-add]');
+                const removeBtn = e.target.closest('.tsf-credits-remove-btn');
+
+                if (addBtn) {
+                    const entry = this.addCreditEntry(wrapper, addBtn.dataset.creditAdd);
+                    entry.querySelector('input').focus();
+                } else if (removeBtn) {
+                    const list = removeBtn.closest('.tsf-credits-group');
+                    removeBtn.closest('.tsf-credits-entry').remove();
+                    list.querySelector('.tsf-credits-add-btn').focus();
+                } else {
+                    return;
+                }
+
+                this.syncTrackCredits(wrapper);
+                this.validateField(wrapper.querySelector('.tsf-track-credits-value'));
+            });
+
+            wrapper.addEventListener('input', () => this.syncTrackCredits(wrapper));
+            wrapper.addEventListener('change', () => {
+                this.syncTrackCredits(wrapper);
+                this.validateField(wrapper.querySelector('.tsf-track-credits-value'));
+            });
+
+            this.syncTrackCredits(wrapper);
+            return wrapper;
+        }
+
+        addCreditEntry(wrapper, type, entry = {}) {
+            const list = wrapper.querySelector(`[data-credit-list="${type}"] .tsf-credits-list`);
+            const row = TSFSecurity.createElement('div', `tsf-credits-entry tsf-credits-entry-${type}`);
+            const labels = {
+                featured: [__('Featured artist name'), __('Remove featured artist')],
+                writers: [__('Writer name'), __('Remove writer')],
+                producers: [__('Producer name'), __('Remove producer')]
+            }[type];
+
+            if (type === 'writers') {
+                const roles = Object.entries(TSFFormV2.CREDIT_WRITER_ROLES).map(([value, label]) => (
+                    `<option value="${value}">${TSFSecurity.escapeHtml(label)}</option>`
+                )).join('');
+
+                row.innerHTML = `
+                    <input type="text" class="tsf-input" data-credit="name" aria-label="${TSFSecurity.escapeAttr(labels[0])}" placeholder="${TSFSecurity.escapeAttr(labels[0])}" maxlength="200" />
+                    <select class="tsf-input tsf-select" data-credit="role" aria-label="${TSFSecurity.escapeAttr(__('Role'))}">${roles}</select>
+                    <input type="number" class="tsf-input tsf-credits-share" data-credit="share" aria-label="${TSFSecurity.escapeAttr(__('Publishing share (%)'))}" placeholder="%" min="0" max="100" step="0.01" inputmode="decimal" />
+                    <input type="text" class="tsf-input" data-credit="publisher" aria-label="${TSFSecurity.escapeAttr(__('Publisher'))}" placeholder="${TSFSecurity.escapeAttr(__('Publisher (optional)'))}" maxlength="200" />
+                `;
+                row.querySelector('[data-credit="role"]').value = TSFFormV2.CREDIT_WRITER_ROLES[entry.role] ? entry.role : 'composer_lyricist';
+                row.querySelector('[data-credit="share"]').value = entry.share ?? '';
+                row.querySelector('[data-credit="publisher"]').value = entry.publisher || '';
+            } else {
+                row.innerHTML = `<input type="text" class="tsf-input" data-credit="name" aria-label="${TSFSecurity.escapeAttr(labels[0])}" placeholder="${TSFSecurity.escapeAttr(__('Name'))}" maxlength="200" />`;
+            }
+
+            // Set as properties: names come from the user or a stored draft
+            row.querySelector('[data-credit="name"]').value = (type === 'writers' ? entry.name : entry) || '';
+
+            const removeBtn = TSFSecurity.createElement('button', 'tsf-credits-remove-btn', '×');
+            removeBtn.type = 'button';
+            removeBtn.setAttribute('aria-label', labels[1]);
+            row.appendChild(removeBtn);
+
+            list.appendChild(row);
+            return row;
+        }
+
+        /**
+         * Credits as entered, without the empty parts
+         * @returns {Object|null} null when nothing was filled in
+         */
+        readTrackCredits(wrapper) {
+            const names = (type) => Array.from(
+                wrapper.querySelectorAll(`[data-credit-list="${type}"] [data-credit="name"]`),
+                input => input.value.trim()
+            ).filter(Boolean);
+            const value = (key) => wrapper.querySelector(`.tsf-credits-details [data-credit="${key}"]`).value.trim();
+
+            const credits = {
+                featured: names('featured'),
+                writers: Array.from(wrapper.querySelectorAll('.tsf-credits-entry-writers'), row => {
+                    const share = row.querySelector('[data-credit="share"]').value.trim();
+                    return {
+                        name: row.querySelector('[data-credit="name"]').value.trim(),
+                        role: row.querySelector('[data-credit="role"]').value,
+                        share: share === '' ? null : Number(share),
+                        publisher: row.querySelector('[data-credit="publisher"]').value.trim()
+                    };
+                }).filter(writer => writer.name || writer.share !== null || writer.publisher),
+                producers: names('producers'),
+                explicit: value('explicit'),
+                language: value('language'),
+                bpm: value('bpm') === '' ? null : Number(value('bpm')),
+                key: value('key')
+            };
+
+            const filled = Object.entries(credits).filter(([, item]) => (
+                Array.isArray(item) ? item.length > 0 : item !== '' && item !== null
+            ));
+            return filled.length ? Object.fromEntries(filled) : null;
+        }
+
+        syncTrackCredits(wrapper) {
+            const credits = this.readTrackCredits(wrapper);
+            wrapper.querySelector('.tsf-track-credits-value').value = credits ? JSON.stringify(credits) : '';
+
+            const writers = (credits && credits.writers) || [];
+            const total = this.getWriterShareTotal(writers);
+            const totalEl = wrapper.querySelector('.tsf-credits-total');
+            totalEl.textContent = writers.length ? __('Total: {share}', { share: this.formatPercent(total) }) : '';
+            totalEl.classList.toggle('tsf-credits-total-off', writers.length > 0 && Math.abs(total - 100) > 0.01);
+
+            const people = credits ? ['featured', 'writers', 'producers'].reduce((sum, key) => sum + (credits[key] || []).length, 0) : 0;
+            wrapper.querySelector('.tsf-track-credits-count').textContent = people ? _n('({count} credited)', '({count} credited)', people) : '';
+        }
+
+        /**
+         * Rebuild the editor from its hidden field (after a draft is restored)
+         */
+        renderTrackCredits(wrapper) {
+            let credits = {};
+            try {
+                credits = JSON.parse(wrapper.querySelector('.tsf-track-credits-value').value || '{}') || {};
+            } catch (e) {
+                credits = {};
+            }
+
+            wrapper.querySelectorAll('.tsf-credits-entry').forEach(entry => entry.remove());
+            ['featured', 'writers', 'producers'].forEach(type => {
+                (Array.isArray(credits[type]) ? credits[type] : []).forEach(entry => this.addCreditEntry(wrapper, type, entry));
+            });
+
+            ['explicit', 'language', 'bpm', 'key'].forEach(key => {
+                const input = wrapper.querySelector(`.tsf-credits-details [data-credit="${key}"]`);
+                input.value = credits[key] ?? '';
+                // Values that are not in a select leave it on no option
+                if (input.tagName === 'SELECT' && input.selectedIndex < 0) input.value = '';
+            });
+
+            this.syncTrackCredits(wrapper);
+        }
+
+        getWriterShareTotal(writers) {
+            const total = writers.reduce((sum, writer) => sum + (Number(writer.share) || 0), 0);
+            return Math.round(total * 100) / 100;
+        }
+
+        /**
+         * The track_credits rule: same checks and messages as
+         * TSF_Validator::sanitize_track_credits()
+         * @returns {boolean|string}
+         */
+        checkTrackCredits(value) {
+            let credits;
+            try {
+                credits = JSON.parse(value);
+            } catch (e) {
+                return __('The credits could not be read, please enter them again');
+            }
+
+            const writers = Array.isArray(credits.writers) ? credits.writers : [];
+            for (const writer of writers) {
+                const name = String(writer.name || '').trim();
+                const share = writer.share === null || writer.share === '' ? NaN : Number(writer.share);
+
+                if (!name) {
+                    return __('Every writer needs a name');
+                }
+                if (isNaN(share) || share <= 0 || share > 100) {
+                    return __('Give {name} a publishing share between 0 and 100%', { name });
+                }
+            }
+
+            const total = this.getWriterShareTotal(writers);
+            if (writers.length && Math.abs(total - 100) > 0.01) {
+                return __('Writer shares add up to {share} - they need to total 100%', { share: this.formatPercent(total) });
+            }
+
+            if (credits.bpm !== undefined && credits.bpm !== null && (isNaN(credits.bpm) || credits.bpm < 20 || credits.bpm > 300)) {
+                return __('BPM must be between 20 and 300');
+            }
+
+            return true;
+        }
+
+        /**
+         * One-line description for the review summary, like the email's
+         * @returns {string} Plain text
+         */
+        formatTrackCredits(credits) {
+            const parts = [];
+
+            if (credits.featured && credits.featured.length) {
+                parts.push(__('feat. {artists}', { artists: TSFI18n.formatList(credits.featured) }));
+            }
+            if (credits.writers && credits.writers.length) {
+                const writers = credits.writers.map(writer => {
+                    const role = TSFFormV2.CREDIT_WRITER_ROLES[writer.role] || writer.role;
+                    const credit = __('{name} ({role}, {share})', {
+                        name: writer.name,
+                        role: role.toLocaleLowerCase(TSFI18n.locale),
+                        share: this.formatPercent(writer.share)
+                    });
+                    return credit + (writer.publisher ? ` - ${writer.publisher}` : '');
+                });
+                parts.push(__('Written by {writers}', { writers: TSFI18n.formatList(writers) }));
+            }
+            if (credits.producers && credits.producers.length) {
+                parts.push(__('Produced by {producers}', { producers: TSFI18n.formatList(credits.producers) }));
+            }
+            if (credits.explicit) {
+                parts.push(credits.explicit === 'explicit' ? __('Explicit') : __('Clean version'));
+            }
+            if (credits.language) {
+                parts.push(__('Language: {language}', { language: this.getCreditLanguageName(credits.language) }));
+            }
+            if (credits.bpm) {
+                parts.push(__('{bpm} BPM', { bpm: TSFI18n.formatNumber(credits.bpm) }));
+            }
+            if (credits.key) {
+                parts.push(credits.key);
+            }
+
+            return parts.join('; ');
+        }
+
+        getCreditLanguageOptions() {
+            const languages = TSFFormV2.CREDIT_LANGUAGES
+                .map(code => [code, this.getCreditLanguageName(code)])
+                .sort((a, b) => a[1].localeCompare(b[1], TSFI18n.locale));
+
+            return [['', __('Not specified')], ['zxx', __('No lyrics (instrumental)')]].concat(languages);
+        }
+
+        getCreditLanguageName(code) {
+            if (code === 'zxx') return __('No lyrics');
+
+            try {
+                const names = new Intl.DisplayNames([TSFI18n.locale], { type: 'language' });
+                return names.of(code) || code.toUpperCase();
+            } catch (e) {
+                return code.toUpperCase();
+            }
+        }
+
+        // ==================== PLATFORM AUTO-DETECTION ====================
+
+        setupPlatformDetection() {
+            const urlField = document.querySelector('[name="track_url"]');
+            if (!urlField) return;
+
+            // Pasted links are cleaned up right away, typed ones when the field is left
+            urlField.addEventListener('input', (e) => {
+                if (e.inputType === 'insertFromPaste') this.canonicalizeLinkInput(urlField);
+                this.handleTrackUrlChange(urlField);
+            });
+
+            urlField.addEventListener('blur', () => {
+                this.canonicalizeLinkInput(urlField);
+                this.handleTrackUrlChange(urlField);
+            });
+        }
+
+        /**
+         * A different URL makes the preview stale: clear it and verify the new
+         * one once typing pauses
+         */
+        handleTrackUrlChange(urlField) {
+            this.detectPlatform(urlField.value);
+
+            if (urlField.value === this.lastTrackUrl) return;
+            this.lastTrackUrl = urlField.value;
+
+            this.clearTrackPreview();
+            this.scheduleAutoVerify();
+        }
+
+        detectPlatform(url) {
+            const platformField = document.getElementById('tsf-platform-hidden');
+            const badge = document.getElementById('tsf-platform-badge');
+            const iconEl = badge?.querySelector('.tsf-platform-icon');
+            const nameEl = badge?.querySelector('.tsf-platform-name');
+            const typeEl = badge?.querySelector('.tsf-platform-type');
+
+            if (!platformField || !badge) return;
+
+            // Platform, entity type and ID of the link, for verification
+            this.trackLink = url ? TSFLinkParser.parse(url) : null;
+
+            if (this.trackLink) {
+                platformField.value = this.trackLink.platform;
+                if (iconEl) iconEl.textContent = this.trackLink.icon;
+                if (nameEl) nameEl.textContent = __('{platform} detected', { platform: this.trackLink.name });
+                if (typeEl) {
+                    const typeLabel = TSFLinkParser.TYPE_LABELS[this.trackLink.type];
+                    typeEl.textContent = typeLabel ? __(typeLabel) : '';
+                    typeEl.hidden = !this.trackLink.type;
+                }
+                badge.style.display = 'inline-flex';
+            } else {
+                platformField.value = url ? 'other' : '';
+                badge.style.display = 'none';
+            }
+        }
+
+        // ==================== STREAMING LINKS ====================
+
+        /**
+         * Links to the same release on other platforms. Each row is detected
+         * and cleaned up like track_url, and verified together with it by
+         * verifyTrack(); the results show as a status chip per link.
+         */
+        static get LINK_STATUS_LABELS() {
+            return {
+                verifying: __('Checking...'),
+                verified: __('Verified'),
+                mismatch: __('Mismatch'),
+                error: __('Error'),
+                manual: __('Not checked')
+            };
+        }
+
+        setupStreamingLinks() {
+            const list = document.getElementById('tsf-links-list');
+            const addBtn = document.getElementById('tsf-add-link-btn');
+            if (!list || !addBtn) return;
+
+            // The track URL counts as the first link
+            this.maxStreamingLinks = parseInt(tsfFormData.max_streaming_links, 10) || 10;
+
+            addBtn.addEventListener('click', () => {
+                const row = this.addStreamingLink();
+                if (row) row.querySelector('[data-link-field="url"]').focus();
+            });
+
+            list.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.tsf-link-remove-btn');
+                if (removeBtn) this.removeStreamingLink(removeBtn.closest('.tsf-link-row'));
+            });
+
+            list.addEventListener('input', (e) => {
+                if (e.target.dataset.linkField !== 'url') return;
+                const row = e.target.closest('.tsf-link-row');
+                if (e.inputType === 'insertFromPaste') this.canonicalizeLinkInput(e.target);
+                this.setLinkStatus(row, '');
+                this.updateStreamingLink(row);
+                this.scheduleAutoVerify();
+            });
+
+            // Before the form's own focusout validation sees the value
+            list.addEventListener('focusout', (e) => {
+                if (e.target.dataset.linkField !== 'url') return;
+                this.canonicalizeLinkInput(e.target);
+                this.updateStreamingLink(e.target.closest('.tsf-link-row'));
+            });
+        }
+
+        getStreamingLinkRows() {
+            return Array.from(document.querySelectorAll('#tsf-links-list .tsf-link-row'));
+        }
+
+        addStreamingLink() {
+            const list = document.getElementById('tsf-links-list');
+            if (!list) return null;
+
+            if (this.getStreamingLinkRows().length >= this.maxStreamingLinks - 1) {
+                this.showMessage(_n('Up to {count} streaming link can be added', 'Up to {count} streaming links can be added', this.maxStreamingLinks), 'error');
+                return null;
+            }
+
+            this.linkCounter = (this.linkCounter || 0) + 1;
+            const id = `tsf-link-${this.linkCounter}`;
+
+            const row = TSFSecurity.createElement('li', 'tsf-link-row');
+            row.innerHTML = `
+                <div class="tsf-field-wrapper">
+                    <label class="tsf-label tsf-sr-only" for="${id}">${TSFSecurity.escapeHtml(__('Streaming link'))}</label>
+                    <div class="tsf-link-input">
+                        <input type="url" id="${id}" class="tsf-input" data-link-field="url" inputmode="url" placeholder="https://music.apple.com/..." />
+                        <span class="tsf-link-platform" hidden></span>
+                        <span class="tsf-link-status" hidden></span>
+                        <button type="button" class="tsf-link-remove-btn" aria-label="${TSFSecurity.escapeAttr(__('Remove link'))}">×</button>
+                    </div>
+                    <input type="hidden" data-link-field="platform" />
+                    <input type="hidden" data-link-field="status" />
+                    <div class="tsf-validation-feedback"></div>
+                </div>
+            `;
+
+            list.appendChild(row);
+            this.renumberStreamingLinks();
+            this.updateAddLinkButton();
+
+            return row;
+        }
+
+        removeStreamingLink(row) {
+            row.remove();
+            this.renumberStreamingLinks();
+            this.updateAddLinkButton();
+            this.triggerAutosave();
+
+            const addBtn = document.getElementById('tsf-add-link-btn');
+            if (addBtn) addBtn.focus();
+        }
+
+        renumberStreamingLinks() {
+            this.getStreamingLinkRows().forEach((row, index) => {
+                row.querySelectorAll('[data-link-field]').forEach(input => {
+                    input.name = `links[${index + 1}][${input.dataset.linkField}]`;
+                });
+                row.querySelector('.tsf-label').textContent = __('Streaming link {number}', { number: index + 2 });
+            });
+        }
+
+        updateAddLinkButton() {
+            const addBtn = document.getElementById('tsf-add-link-btn');
+            if (addBtn) addBtn.disabled = this.getStreamingLinkRows().length >= this.maxStreamingLinks - 1;
+        }
+
+        /**
+         * Replace a link with its canonical form (TSFLinkParser) before it is
+         * validated and stored
+         * @returns {Object|null} The parsed link
+         */
+        canonicalizeLinkInput(input) {
+            const link = TSFLinkParser.parse(input.value);
+            if (link && link.canonical !== input.value) {
+                input.value = link.canonical;
+            }
+            return link;
+        }
+
+        // Platform chip and hidden platform value of a link row
+        updateStreamingLink(row) {
+            const url = row.querySelector('[data-link-field="url"]').value.trim();
+            const link = url ? TSFLinkParser.parse(url) : null;
+            const chip = row.querySelector('.tsf-link-platform');
+
+            row.querySelector('[data-link-field="platform"]').value = link ? link.platform : (url ? 'other' : '');
+            chip.textContent = link ? `${link.icon} ${link.name}` : '';
+            chip.hidden = !link;
+        }
+
+        /**
+         * @param {Element|null} row - Link row, null for the track URL
+         * @param {string} status - verifying, verified, mismatch, error, manual or '' to clear
+         */
+        setLinkStatus(row, status, message = '') {
+            const chip = row ? row.querySelector('.tsf-link-status') : document.getElementById('tsf-track-url-status');
+            const input = row ? row.querySelector('[data-link-field="status"]') : document.getElementById('tsf-track-url-status-value');
+
+            if (input) input.value = status === 'verifying' ? '' : status;
+            if (!chip) return;
+
+            chip.textContent = TSFFormV2.LINK_STATUS_LABELS[status] || '';
+            chip.className = status ? `tsf-link-status tsf-link-status-${status}` : 'tsf-link-status';
+            chip.title = message;
+            chip.hidden = !status;
+        }
+
+        // ==================== TRACK VERIFICATION ====================
+
+        /**
+         * Milliseconds without typing before a recognized link is verified
+         */
+        static get AUTO_VERIFY_DELAY() {
+            return 800;
+        }
+
+        /**
+         * Link types the server looks up per platform (TSF_API_Handler and its
+         * verifiers). Anything else waits for the Verify button.
+         */
+        static get AUTO_VERIFY_TYPES() {
+            return {
+                spotify: ['track'],
+                apple: ['track', 'album'],
+                deezer: ['track', 'album'],
+                tidal: ['track', 'album'],
+                bandcamp: ['track', 'album'],
+                soundcloud: ['track', 'playlist'],
+                youtube: ['track'],
+                youtube_music: ['track']
+            };
+        }
+
+        /**
+         * Milliseconds a link that got a 429 is left out of automatic
+         * verification; the API rate limit window
+         */
+        static get VERIFY_THROTTLE_DELAY() {
+            return 60000;
+        }
+
+        setupTrackVerification() {
+            // Verification starts by itself; the button stays as a manual retry
+            const verifyBtn = document.getElementById('tsf-verify-track');
+            if (verifyBtn) {
+                verifyBtn.addEventListener('click', () => {
+                    clearTimeout(this.autoVerifyTimer);
+                    this.verifyTrack();
+                });
+            }
+        }
+
+        /**
+         * Verify after AUTO_VERIFY_DELAY, once the track URL is a link the
+         * server can look up (not a half-typed URL or an artist page)
+         */
+        scheduleAutoVerify() {
+            clearTimeout(this.autoVerifyTimer);
+            if (!this.canAutoVerify(this.trackLink)) return;
+
+            this.autoVerifyTimer = setTimeout(() => this.verifyTrack({ auto: true }), TSFFormV2.AUTO_VERIFY_DELAY);
+        }
+
+        /**
+         * @param {Object|null} link - Result of TSFLinkParser.parse()
+         */
+        canAutoVerify(link) {
+            const types = link ? TSFFormV2.AUTO_VERIFY_TYPES[link.platform] : null;
+            return !!(types && types.includes(link.type));
+        }
+
+        isVerifyThrottled(url) {
+            return (this.verifyThrottled.get(url) || 0) > Date.now();
+        }
+
+        /**
+         * Drop the preview of a previous URL and cancel its verification
+         */
+        clearTrackPreview() {
+            if (this.verifyController) {
+                this.verifyController.abort();
+                this.verifyController = null;
+            }
+
+            this.platformTrack = null;
+            this.setLinkStatus(null, '');
+
+            const preview = document.getElementById('tsf-track-preview');
+            if (preview) preview.style.display = 'none';
+
+            const links = document.getElementById('tsf-preview-links');
+            if (links) links.textContent = '';
+
+            const trackTitleInput = document.getElementById('tsf-verified-track-title');
+            if (trackTitleInput) trackTitleInput.value = '';
+
+            this.renderReconciliation();
+        }
+
+        /**
+         * @param {Object} options
+         * @param {boolean} options.auto - Started by typing: failures only show on the status chips
+         */
+        async verifyTrack({ auto = false } = {}) {
+            const urlField = document.querySelector('[name="track_url"]');
+
+            if (!urlField || !urlField.value) {
+                if (!auto) this.showMessage(__('Please enter a track URL first'), 'error');
+                return;
+            }
+
+            this.canonicalizeLinkInput(urlField);
+            this.detectPlatform(urlField.value);
+            this.lastTrackUrl = urlField.value;
+
+            // The track URL first, then every filled-in extra link
+            let links = [{ row: null, url: urlField.value, platform: this.trackLink ? this.trackLink.platform : 'other' }]
+                .concat(this.getStreamingLinkRows().map(row => {
+                    const input = row.querySelector('[data-link-field="url"]');
+                    this.canonicalizeLinkInput(input);
+                    this.updateStreamingLink(row);
+                    return { row, url: input.value.trim(), platform: row.querySelector('[data-link-field="platform"]').value };
+                }).filter(link => link.url));
+
+            // Typing only sends what the server can look up, and nothing it just refused with a 429
+            if (auto) {
+                links = links.filter(link => this.canAutoVerify(TSFLinkParser.parse(link.url)) && !this.isVerifyThrottled(link.url));
+                if (!links.length) return;
+            }
+
+            // A newer verification replaces the one in flight
+            if (this.verifyController) this.verifyController.abort();
+            const controller = new AbortController();
+            this.verifyController = controller;
+
+            // Auto-verification also runs on layouts without the button
+            const verifyBtn = document.getElementById('tsf-verify-track');
+            if (verifyBtn) {
+                verifyBtn.disabled = true;
+                // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
+                verifyBtn.textContent = '';
+                const spinner = document.createElement('span');
+                spinner.className = 'tsf-spinner';
+                verifyBtn.appendChild(spinner);
+                verifyBtn.appendChild(document.createTextNode(' ' + __('Verifying...')));
+            }
+
+            try {
+                // One request for all links: each request counts against the API rate limit
+                const results = await this.verifyLinks(links, controller.signal);
+                if (controller.signal.aborted) return;
+
+                const merged = this.mergeLinkMetadata(results);
+                const statuses = results.map(result => this.getLinkResultStatus(result, merged));
+
+                results.forEach((result, index) => this.setLinkStatus(result.link.row, statuses[index], result.error || ''));
+
+                // Links without an automatic lookup still get the manual-check preview
+                const preview = merged || (results.find(result => result.data) || {}).data;
+                if (preview) {
+                    if (merged) merged.match_score = statuses.includes('mismatch') ? 50 : 100;
+                    this.showTrackPreview(preview);
+                    this.renderLinkResults(results, statuses);
+                } else if (!auto) {
+                    this.showMessage(__('Error verifying track: {error}', { error: results[0].error || __('Unknown error') }), 'error');
+                }
+
+                this.triggerAutosave();
+            } finally {
+                // A superseded verification leaves the button to the newer one
+                if (this.verifyController === controller || !this.verifyController) {
+                    this.verifyController = null;
+
+                    if (verifyBtn) {
+                        verifyBtn.disabled = false;
+                        // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
+                        verifyBtn.textContent = '';
+                        const icon = document.createElement('span');
+                        icon.className = 'tsf-btn-icon';
+                        icon.textContent = '🔍';
+                        verifyBtn.appendChild(icon);
+                        verifyBtn.appendChild(document.createTextNode(' ' + __('Verify Track')));
+                    }
+                }
+            }
+        }
+
+        /**
+         * Send the links not in verifyCache to /verify-links in one request.
+         * The server stops after its time budget and defers the rest, which
+         * go out again in a follow-up request.
+         * @param {Object[]} links - { row, url, platform }, url in canonical form
+         * @param {AbortSignal} signal
+         * @returns {Promise<Array<{link: Object, data: Object|null, error: string}>>} In the order of links; never rejects
+         */
+        async verifyLinks(links, signal) {
+            const results = links.map(link => this.verifyCache.has(link.url)
+                ? { link, data: this.verifyCache.get(link.url), error: '' }
+                : null);
+            let pending = links.filter((link, index) => !results[index]);
+
+            pending.forEach(link => this.setLinkStatus(link.row, 'verifying'));
+
+            while (pending.length) {
+                const answers = await this.requestLinkVerification(pending, signal);
+                const deferred = pending.filter((link, index) => answers[index] && answers[index].deferred);
+                // Nothing got through this round: report the deferred ones as they are
+                const done = deferred.length === pending.length || (signal && signal.aborted);
+
+                pending.forEach((link, index) => {
+                    const answer = answers[index] || {};
+                    if (answer.deferred && !done) return;
+
+                    // Failures are not cached, so the button can retry them
+                    if (answer.success) {
+                        this.verifyCache.set(link.url, answer.data);
+                        this.verifyThrottled.delete(link.url);
+                    }
+
+                    results[links.indexOf(link)] = {
+                        link,
+                        data: answer.success ? answer.data : null,
+                        error: answer.success ? '' : (answer.message ?? __('Unknown error'))
+                    };
+                });
+
+                pending = done ? [] : deferred;
+            }
+
+            return results;
+        }
+
+        /**
+         * @param {Object[]} links - { row, url, platform }
+         * @param {AbortSignal} signal
+         * @returns {Promise<Object[]>} One answer per link: { success, data },
+         *          { success: false, message } or { success: false, deferred: true, message }
+         */
+        async requestLinkVerification(links, signal) {
+            try {
+                const response = await fetch(tsfFormData.rest_url + 'verify-links', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-WP-Nonce': tsfFormData.rest_nonce
+                    },
+                    body: JSON.stringify({
+                        links: links.map(link => ({ platform: link.platform || 'other', url: link.url }))
+                    }),
+                    signal
+                });
+
+                const data = await response.json().catch(() => null);
+                if (response.status === 429) {
+                    const until = Date.now() + TSFFormV2.VERIFY_THROTTLE_DELAY;
+                    links.forEach(link => this.verifyThrottled.set(link.url, until));
+                }
+
+                if (!response.ok || !data || !Array.isArray(data.results)) {
+                    const message = (data && data.message) || __('API Error: {status} - {text}', { status: response.status, text: response.statusText });
+                    return links.map(() => ({ success: false, message }));
+                }
+                return data.results;
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    // Unless a newer verification already took over the chips
+                    if (!this.verifyController) links.forEach(link => this.setLinkStatus(link.row, ''));
+                    return links.map(() => ({ success: false, message: '' }));
+                }
+                const message = error && error.message ? error.message : __('Unknown error');
+                return links.map(() => ({ success: false, message }));
+            }
+        }
+
+        /**
+         * One view of the release from every verified link: per field the value
+         * most links agree on, ties going to the earliest link (the track URL)
+         * @returns {Object|null} null when no link could be verified
+         */
+        mergeLinkMetadata(results) {
+            const found = results.filter(result => result.data && result.data.verified !== false);
+            if (!found.length) return null;
+
+            const pick = (key) => {
+                const votes = new Map();
+                found.forEach(result => {
+                    const value = String(result.data[key] || '').trim();
+                    if (!value) return;
+
+                    const normalized = this.normalizeMetadataValue(value);
+                    const vote = votes.get(normalized) || { value, count: 0 };
+                    vote.count++;
+                    votes.set(normalized, vote);
+                });
+
+                let best = null;
+                votes.forEach(vote => {
+                    if (!best || vote.count > best.count) best = vote;
+                });
+                return best ? best.value : '';
+            };
+
+            const withCover = found.find(result => result.data.cover);
+
+            return {
+                title: pick('title'),
+                artist: pick('artist'),
+                album: pick('album'),
+                duration: pick('duration'),
+                year: pick('year'),
+                isrc: pick('isrc'),
+                cover: withCover ? withCover.data.cover : '',
+                url: found[0].data.url || found[0].link.url
+            };
+        }
+
+        /**
+         * verified, mismatch (low match score, or title/artist differ from the
+         * merged view), manual (platform without a lookup) or error
+         */
+        getLinkResultStatus(result, merged) {
+            if (!result.data) return 'error';
+            if (result.data.verified === false) return 'manual';
+            if ((parseInt(result.data.match_score, 10) || 0) < 80) return 'mismatch';
+
+            const same = (a, b) => !a || !b || this.normalizeMetadataValue(a) === this.normalizeMetadataValue(b);
+            return merged && same(result.data.title, merged.title) && same(result.data.artist, merged.artist) ? 'verified' : 'mismatch';
+        }
+
+        // "Song (feat. X) - Single" and "song" compare equal
+        normalizeMetadataValue(value) {
+            return String(value)
+                .toLowerCase()
+                .replace(/\s*[(\[](?:feat|ft|with)\.?\s[^)\]]*[)\]]/g, '')
+                .replace(/\s+-\s+(?:single|ep)$/, '')
+                .replace(/[^\p{L}\p{N}]+/gu, ' ')
+                .trim();
+        }
+
+        // Status per link under the preview, with what a mismatching link reported
+        renderLinkResults(results, statuses) {
+            const list = document.getElementById('tsf-preview-links');
+            if (!list) return;
+
+            list.textContent = '';
+            if (results.length < 2) return;
+
+            results.forEach((result, index) => {
+                const link = TSFLinkParser.parse(result.link.url);
+                const item = TSFSecurity.createElement('li', 'tsf-preview-link');
+                item.appendChild(TSFSecurity.createElement('span', 'tsf-preview-link-platform', link ? `${link.icon} ${link.name}` : result.link.url));
+                item.appendChild(TSFSecurity.createElement('span', `tsf-link-status tsf-link-status-${statuses[index]}`, TSFFormV2.LINK_STATUS_LABELS[statuses[index]]));
+
+                if (statuses[index] === 'mismatch' && result.data) {
+                    item.appendChild(TSFSecurity.createElement('span', 'tsf-preview-link-detail', __('"{title}" by {artist}', {
+                        title: result.data.title || '',
+                        artist: result.data.artist || __('unknown artist')
+                    })));
+                } else if (statuses[index] === 'error') {
+                    item.appendChild(TSFSecurity.createElement('span', 'tsf-preview-link-detail', result.error));
+                }
+
+                list.appendChild(item);
+            });
+        }
+
+        showTrackPreview(data) {
+            const preview = document.getElementById('tsf-track-preview');
+            if (!preview) return;
+
+            preview.style.display = 'block';
+            const cover = preview.querySelector('.tsf-preview-cover');
+            cover.src = data.cover || '';
+            cover.hidden = !data.cover;
+            preview.querySelector('.tsf-preview-title').textContent = data.title || '';
+            preview.querySelector('.tsf-preview-artist').textContent = data.artist || '';
+            preview.querySelector('.tsf-preview-album').textContent = data.album || '';
+
+            // Where the data came from, and the length when the platform gives one
+            const meta = preview.querySelector('.tsf-preview-meta');
+            if (meta) {
+                const link = TSFLinkParser.parse(data.url || '') || this.trackLink;
+                meta.textContent = [link ? link.name : '', data.duration || ''].filter(Boolean).join(' · ');
+            }
+
+            // Store verified track title in hidden field for submission
+            if (data.title) {
+                let trackTitleInput = document.getElementById('tsf-verified-track-title');
+                if (!trackTitleInput) {
+                    trackTitleInput = document.createElement('input');
+                    trackTitleInput.type = 'hidden';
+                    trackTitleInput.id = 'tsf-verified-track-title';
+                    trackTitleInput.name = 'verified_track_title';
+                    document.querySelector('.tsf-form-v2').appendChild(trackTitleInput);
+                }
+                trackTitleInput.value = data.title;
+            }
+
+            // Auto-populate artist field if verified and field is empty
+            if (data.artist) {
+                const artistField = document.querySelector('[name="artist"]');
+                if (artistField && !artistField.value) {
+                    artistField.value = data.artist;
+                }
+            }
+
+            const statusEl = preview.querySelector('.tsf-preview-status');
+            if (data.verified === false) {
+                // Platforms without a lookup are checked by the team
+                statusEl.textContent = '👀 ' + __('Checked manually after submission');
+                statusEl.className = 'tsf-preview-status';
+            } else if (data.match_score >= 80) {
+                // VUL-17 FIX: Use textContent instead of innerHTML
+                statusEl.textContent = '✅ ' + __('Track verified!');
+                statusEl.className = 'tsf-preview-status match';
+            } else {
+                // VUL-17 FIX: Use textContent instead of innerHTML
+                statusEl.textContent = '⚠️ ' + __('Info mismatch - please review');
+                statusEl.className = 'tsf-preview-status mismatch';
+            }
+
+            this.platformTrack = data;
+            this.renderReconciliation();
+        }
+
+        // ==================== RECONCILIATION ====================
+
+        /**
+         * Side-by-side view of what the form, the audio file's tags and the
+         * platform say about the verified track. Values that differ from the
+         * form are highlighted and can be copied into it.
+         */
+        static get RECONCILE_FIELDS() {
+            return [
+                { key: 'artist', label: __('Artist') },
+                { key: 'title', label: __('Title') },
+                { key: 'album', label: __('Album') },
+                { key: 'year', label: __('Year') },
+                { key: 'isrc', label: 'ISRC' },
+                { key: 'duration', label: __('Duration') }
+            ];
+        }
+
+        setupReconciliation() {
+            const panel = document.getElementById('tsf-reconcile');
+            if (!panel) return;
+
+            panel.addEventListener('click', (e) => {
+                const useBtn = e.target.closest('.tsf-reconcile-use');
+                if (useBtn) this.useReconciledValue(useBtn.dataset.field, useBtn.dataset.source);
+            });
+
+            // Values typed by hand show up in the comparison
+            this.form.addEventListener('change', (e) => {
+                if (this.platformTrack && !panel.contains(e.target)) this.renderReconciliation();
+            });
+        }
+
+        /**
+         * The track row the verified link is about: the one whose title matches
+         * the platform title, otherwise the first
+         */
+        getReconcileTrackRow() {
+            const rows = this.getTrackRows();
+            const platformTitle = this.normalizeMetadataValue((this.platformTrack && this.platformTrack.title) || '');
+
+            return rows.find(row => {
+                const input = row.querySelector('input[name$="[title]"]');
+                return platformTitle && input && this.normalizeMetadataValue(input.value) === platformTitle;
+            }) || rows[0] || null;
+        }
+
+        /**
+         * Form field a value can be copied into (year has none: it comes from the release date)
+         * @returns {HTMLInputElement|null}
+         */
+        getReconcileTarget(key, row) {
+            const trackFields = { title: 'title', isrc: 'isrc', duration: 'duration' };
+
+            if (trackFields[key]) {
+                return row ? row.querySelector(`input[name$="[${trackFields[key]}]"]`) : null;
+            }
+            if (key === 'artist') return this.form.querySelector('[name="artist"]');
+            if (key === 'album') return this.form.querySelector('[name="album_title"]');
+            return null;
+        }
+
+        /**
+         * @returns {{form: Object, id3: Object, platform: Object}} Values per source and field
+         */
+        getReconcileValues(row) {
+            const report = row ? this.trackReports.get(row) : null;
+            const tags = (report && report.metadata) || {};
+            const platform = this.platformTrack || {};
+            const year = (value) => (/\b(\d{4})\b/.exec(String(value || '')) || [])[1] || '';
+
+            const form = {};
+            TSFFormV2.RECONCILE_FIELDS.forEach(({ key }) => {
+                const target = this.getReconcileTarget(key, row);
+                form[key] = target ? target.value.trim() : '';
+            });
+            form.year = year(this.getFieldValue('release_date'));
+
+            return {
+                form,
+                id3: {
+                    artist: tags.artist || '',
+                    title: tags.title || '',
+                    album: tags.album || '',
+                    year: year(tags.year),
+                    isrc: tags.isrc || '',
+                    duration: report && report.audio ? report.audio.duration_formatted || '' : ''
+                },
+                platform: {
+                    artist: platform.artist || '',
+                    title: platform.title || '',
+                    album: platform.album || '',
+                    year: year(platform.year),
+                    isrc: platform.isrc || '',
+                    duration: platform.duration || ''
+                }
+            };
+        }
+
+        /**
+         * Whether a source value says something else than the form
+         * (an empty source value says nothing)
+         */
+        isReconcileDifference(key, value, formValue) {
+            if (!value) return false;
+            if (!formValue) return true;
+
+            if (key === 'isrc') {
+                return value.replace(/-/g, '').toUpperCase() !== formValue.replace(/-/g, '').toUpperCase();
+            }
+            if (key === 'duration') {
+                // Encoders and platforms round differently
+                const seconds = (text) => text.split(':').reduce((total, part) => (total * 60) + (parseInt(part, 10) || 0), 0);
+                return Math.abs(seconds(value) - seconds(formValue)) > 2;
             }
+            return this.normalizeMetadataValue(value) !== this.normalizeMetadataValue(formValue);
         }
 
-        showTrackPreview(data) {
-            const preview = document.getElementById('tsf-track-preview');
-            if (!preview) return;
-
-            preview.style.display = 'block';
-            preview.querySelector('.tsf-preview-cover').src = data.cover || '';
-            preview.querySelector('.tsf-preview-title').textContent = data.title || '';
-            preview.querySelector('.tsf-preview-artist').textContent = data.artist || '';
-            preview.querySelector('.tsf-preview-album').textContent = data.album || '';
+        renderReconciliation() {
+            const panel = document.getElementById('tsf-reconcile');
+            if (!panel) return;
 
-            // Store verified track title in hidden field for submission
-            if (data.title) {
-                let trackTitleInput = document.getElementById('tsf-verified-track-title');
-                if (!trackTitleInput) {
-                    trackTitleInput = document.createElement('input');
-                    trackTitleInput.type = 'hidden';
-                    trackTitleInput.id = 'tsf-verified-track-title';
-                    trackTitleInput.name = 'verified_track_title';
-                    document.querySelector('.tsf-form-v2').appendChild(trackTitleInput);
-                }
-                trackTitleInput.value = data.title;
+            if (!this.platformTrack || this.platformTrack.verified === false) {
+                panel.hidden = true;
+                return;
             }
 
-            // Auto-populate artist field if verified and field is empty
-            if (data.artist) {
-                const artistField = document.querySelector('[name="artist"]');
-                if (artistField && !artistField.value) {
-                    artistField.value = data.artist;
+            const row = this.getReconcileTrackRow();
+            const values = this.getReconcileValues(row);
+            const link = TSFLinkParser.parse(this.platformTrack.url || '') || this.trackLink;
+            const sources = [
+                { key: 'id3', label: __('Audio file tags') },
+                { key: 'platform', label: link ? link.name : __('Platform') }
+            ];
+
+            const table = TSFSecurity.createElement('table', 'tsf-reconcile-table');
+            const head = table.createTHead().insertRow();
+            ['', __('Your form')].concat(sources.map(source => source.label)).forEach(text => {
+                const th = TSFSecurity.createElement('th', '', text);
+                th.scope = 'col';
+                head.appendChild(th);
+            });
+
+            const body = table.createTBody();
+            let differences = 0;
+
+            TSFFormV2.RECONCILE_FIELDS.forEach(({ key, label }) => {
+                const tr = body.insertRow();
+                const th = TSFSecurity.createElement('th', '', label);
+                th.scope = 'row';
+                tr.appendChild(th);
+
+                const formCell = tr.insertCell();
+                formCell.textContent = values.form[key] || '—';
+
+                const target = this.getReconcileTarget(key, row);
+                let differs = false;
+
+                sources.forEach(source => {
+                    const value = values[source.key][key];
+                    const cell = tr.insertCell();
+                    cell.appendChild(TSFSecurity.createElement('span', 'tsf-reconcile-value', value || '—'));
+
+                    if (!this.isReconcileDifference(key, value, values.form[key])) return;
+
+                    differs = true;
+                    cell.classList.add('tsf-reconcile-diff');
+
+                    if (target) {
+                        const useBtn = TSFSecurity.createElement('button', 'tsf-reconcile-use', __('Use this value'));
+                        useBtn.type = 'button';
+                        useBtn.dataset.field = key;
+                        useBtn.dataset.source = source.key;
+                        useBtn.setAttribute('aria-label', __('Use {source} {field}: {value}', {
+                            source: source.label,
+                            field: label.toLocaleLowerCase(TSFI18n.locale),
+                            value
+                        }));
+                        cell.appendChild(useBtn);
+                    }
+                });
+
+                if (differs) {
+                    differences++;
+                    tr.classList.add('tsf-reconcile-row-diff');
+                    formCell.classList.add('tsf-reconcile-diff');
                 }
-            }
+            });
 
-            const statusEl = preview.querySelector('.tsf-preview-status');
-            if (data.match_score >= 80) {
-                // VUL-17 FIX: Use textContent instead of innerHTML
-                statusEl.textContent = '✅ Track verified!';
-                statusEl.className = 'tsf-preview-status tsf-status-success';
-            } else {
-                // VUL-17 FIX: Use textContent instead of innerHTML
-                statusEl.textContent = '⚠️ Info mismatch - please review';
-                statusEl.className = 'tsf-preview-status tsf-status-warning';
+            const summary = panel.querySelector('.tsf-reconcile-summary');
+            if (summary) {
+                summary.textContent = differences
+                    ? _n(
+                        '{count} field differs between the sources - review the highlighted values',
+                        '{count} fields differ between the sources - review the highlighted values',
+                        differences
+                    )
+                    : __('Your form, the audio file and the platform agree');
             }
+
+            const tableWrap = panel.querySelector('.tsf-reconcile-table-wrap');
+            tableWrap.textContent = '';
+            tableWrap.appendChild(table);
+            panel.hidden = false;
+        }
+
+        /**
+         * Copy a tag or platform value into the form field it belongs to
+         * @param {string} key - Field from RECONCILE_FIELDS
+         * @param {string} source - id3 or platform
+         */
+        useReconciledValue(key, source) {
+            const row = this.getReconcileTrackRow();
+            const target = this.getReconcileTarget(key, row);
+            const value = (this.getReconcileValues(row)[source] || {})[key];
+            if (!target || !value) return;
+
+            target.value = key === 'isrc' ? value.replace(/-/g, '').toUpperCase() : value;
+
+            // Lets validation, the ISRC breakdown and autosave react as if it was typed
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+            target.dispatchEvent(new Event('change', { bubbles: true }));
+
+            this.renderReconciliation();
         }
 
         // ==================== MP3 UPLOAD ====================
@@ -1203,6 +3991,9 @@
 
             if (!uploadArea || !fileInput) return;
 
+            // The Step 2 area always feeds the first track row
+            const analyzeLead = (file) => this.analyzeMP3(file, this.getTrackRows()[0] || null, uploadArea);
+
             // Drag & drop
             uploadArea.addEventListener('dragover', (e) => {
                 e.preventDefault();
@@ -1218,141 +4009,511 @@
                 uploadArea.classList.remove('tsf-upload-dragover');
                 const files = e.dataTransfer.files;
                 if (files.length > 0) {
-                    fileInput.files = files;
-                    this.analyzeMP3(files[0]);
+                    analyzeLead(files[0]);
                 }
             });
 
             // Click to upload
-            uploadArea.addEventListener('click', () => fileInput.click());
+            uploadArea.addEventListener('click', (e) => {
+                if (e.target !== fileInput) fileInput.click();
+            });
+            fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    analyzeLead(e.target.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+
+        setupTrackUpload(trackRow) {
+            const dropZone = trackRow.querySelector('.tsf-track-upload');
+            const fileInput = trackRow.querySelector('.tsf-track-upload-input');
+
+            if (!dropZone || !fileInput) return;
+
+            dropZone.addEventListener('dragover', (e) => {
+                // A track row being reordered, not a file
+                if (this.draggedRow) return;
+                e.preventDefault();
+                dropZone.classList.add('tsf-upload-dragover');
+            });
+
+            dropZone.addEventListener('dragleave', () => {
+                dropZone.classList.remove('tsf-upload-dragover');
+            });
+
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('tsf-upload-dragover');
+                const files = e.dataTransfer.files;
+                if (files.length > 0) {
+                    this.analyzeMP3(files[0], trackRow, dropZone);
+                }
+            });
+
+            dropZone.addEventListener('click', (e) => {
+                if (e.target !== fileInput) fileInput.click();
+            });
+
+            dropZone.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    fileInput.click();
+                }
+            });
+
             fileInput.addEventListener('change', (e) => {
                 if (e.target.files.length > 0) {
-                    this.analyzeMP3(e.target.files[0]);
+                    this.analyzeMP3(e.target.files[0], trackRow, dropZone);
                 }
+                // Allow re-selecting the same file after an error
+                fileInput.value = '';
+            });
+        }
+
+        /**
+         * Upload format definition for a file, by extension
+         * @param {File} file
+         * @returns {Object|null} Entry of tsfFormData.upload_formats
+         */
+        getUploadFormat(file) {
+            const formats = tsfFormData.upload_formats || {
+                mp3: { label: 'MP3', extensions: ['mp3'], mimes: ['audio/mpeg'], lossless: false, max_size: 50 * 1024 * 1024 }
+            };
+            const extension = file.name.split('.').pop().toLowerCase();
+            const key = Object.keys(formats).find(name => formats[name].extensions.includes(extension));
+            return key ? formats[key] : null;
+        }
+
+        getUploadAccept() {
+            const formats = tsfFormData.upload_formats || { mp3: { extensions: ['mp3'], mimes: ['audio/mpeg'] } };
+            const accept = [];
+            Object.values(formats).forEach(format => {
+                format.extensions.forEach(extension => accept.push('.' + extension));
+                accept.push(...format.mimes);
             });
+            return accept.join(',');
         }
 
-        async analyzeMP3(file) {
-            if (!file || !file.name.endsWith('.mp3')) {
-                this.showMessage('Please upload an MP3 file', 'error');
+        async analyzeMP3(file, trackRow = null, uploadArea = null) {
+            const format = file ? this.getUploadFormat(file) : null;
+            if (!format) {
+                this.showMessage(__('Please upload an MP3, WAV, FLAC or AIFF file'), 'error');
                 return;
             }
 
-            if (file.size > 50 * 1024 * 1024) {
-                this.showMessage('File too large (max 50MB)', 'error');
+            if (file.size > format.max_size) {
+                this.showMessage(__('File too large (max {size} MB for {format})', {
+                    size: TSFI18n.formatNumber(Math.round(format.max_size / 1048576)),
+                    format: format.label
+                }), 'error');
                 return;
             }
 
-            const uploadArea = document.getElementById('tsf-mp3-upload-area');
-            // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
-            uploadArea.textContent = '';
-            const spinnerDiv = document.createElement('div');
-            spinnerDiv.className = 'tsf-spinner';
-            const analyzingText = document.createElement('p');
-            analyzingText.textContent = tsfFormData.i18n.analyzing || 'Analyzing...';
-            uploadArea.appendChild(spinnerDiv);
-            uploadArea.appendChild(analyzingText);
+            uploadArea = uploadArea || document.getElementById('tsf-mp3-upload-area');
+
+            // Read the headers locally first so broken files never start uploading
+            let preview = null;
+            if (typeof TSFAudioInspector !== 'undefined') {
+                const inspection = await TSFAudioInspector.inspect(file).catch(() => null);
+                if (inspection && !inspection.valid) {
+                    this.showMessage(inspection.error, 'error');
+                    this.renderUploadState(uploadArea, 'error');
+                    return;
+                }
+                preview = inspection ? inspection.report : null;
+            }
+
+            if (preview) {
+                this.showQualityScore(preview, trackRow);
+            }
+            // Only one upload per area: a new file replaces the one in flight
+            const previous = this.activeUploads.get(uploadArea);
+            if (previous) previous.cancel();
+
+            let upload = null;
 
             try {
-                const formData = new FormData();
-                formData.append('mp3_file', file);
+                let data;
 
-                const response = await fetch(tsfFormData.rest_url + 'analyze-mp3', {
-                    method: 'POST',
-                    headers: {
-                        'X-WP-Nonce': tsfFormData.rest_nonce
-                    },
-                    body: formData
-                });
+                if (typeof TSFChunkedUpload !== 'undefined') {
+                    upload = new TSFChunkedUpload(file, {
+                        restUrl: tsfFormData.rest_url,
+                        nonce: tsfFormData.rest_nonce
+                    });
+                    this.activeUploads.set(uploadArea, upload);
 
-                const data = await response.json();
+                    const progress = this.renderUploadProgress(uploadArea, upload, preview ? preview.total_score : null);
+                    upload.onProgress = progress.update;
+                    upload.onStateChange = (state) => {
+                        if (state === 'finalizing') {
+                            this.renderUploadState(uploadArea, 'analyzing', '', preview ? preview.total_score : null);
+                        } else {
+                            progress.setState(state);
+                        }
+                    };
+
+                    data = { success: true, data: await upload.start() };
+                } else {
+                    this.renderUploadState(uploadArea, 'analyzing', '', preview ? preview.total_score : null);
+
+                    const formData = new FormData();
+                    formData.append('mp3_file', file);
+
+                    const response = await fetch(tsfFormData.rest_url + 'analyze-mp3', {
+                        method: 'POST',
+                        headers: {
+                            'X-WP-Nonce': tsfFormData.rest_nonce
+                        },
+                        body: formData
+                    });
+
+                    data = await response.json();
+                }
+
+                if (this.activeUploads.get(uploadArea) === upload) {
+                    this.activeUploads.delete(uploadArea);
+                }
 
                 if (data.success) {
-                    this.qcReport = data.data;
-                    this.showQualityScore(data.data);
-
-                    // Store MP3 file path for submission
-                    if (data.data.temp_file_path && data.data.filename) {
-                        // Make sure we're appending to the actual form element
-                        const form = document.querySelector('form.tsf-form-v2') || document.querySelector('.tsf-form-v2');
-
-                        let filePathInput = document.getElementById('tsf-mp3-file-path');
-                        if (!filePathInput) {
-                            filePathInput = document.createElement('input');
-                            filePathInput.type = 'hidden';
-                            filePathInput.id = 'tsf-mp3-file-path';
-                            filePathInput.name = 'mp3_file_path';
-                            if (form) form.appendChild(filePathInput);
-                        }
-                        filePathInput.value = data.data.temp_file_path;
-
-                        let filenameInput = document.getElementById('tsf-mp3-filename');
-                        if (!filenameInput) {
-                            filenameInput = document.createElement('input');
-                            filenameInput.type = 'hidden';
-                            filenameInput.id = 'tsf-mp3-filename';
-                            filenameInput.name = 'mp3_filename';
-                            if (form) form.appendChild(filenameInput);
-                        }
-                        filenameInput.value = data.data.filename;
-
-                        // Debug: log to verify fields are created
-                        if (window.console && window.console.log) {
-                            console.log('✅ MP3 fields created:', {
-                                path: filePathInput.value,
-                                filename: filenameInput.value,
-                                inForm: form && form.contains(filePathInput)
-                            });
-                        }
+                    const report = Object.assign({}, data.data, { original_filename: file.name });
+
+                    // The row may have been removed while the upload was running
+                    if (trackRow && trackRow.isConnected) {
+                        this.storeTrackAnalysis(trackRow, report);
+                    } else if (!trackRow) {
+                        this.setLeadAnalysis(report);
                     }
 
-                    // VUL-17 FIX: Use safe DOM manipulation + escape filename
-                    uploadArea.textContent = '';
-                    const successDiv = document.createElement('div');
-                    successDiv.className = 'tsf-upload-success';
-                    successDiv.textContent = '✅ File analyzed: ' + file.name;
-                    uploadArea.appendChild(successDiv);
+                    this.showQualityScore(report, trackRow);
+                    this.renderUploadState(uploadArea, 'success', file.name, report.total_score);
+
+                    if (trackRow && trackRow.isConnected) this.trackFiles.set(trackRow, file);
+                    this.showAudioPreview(file, trackRow);
                 } else {
-                    throw new Error(data.message || 'Analysis failed');
+                    throw new Error(data.message || __('Analysis failed'));
                 }
             } catch (error) {
-                // VUL-22 FIX: Remove console.error from production
-                const errorMsg = error && error.message ? error.message : 'Unknown error';
-                this.showMessage('Error analyzing MP3: ' + errorMsg, 'error');
-                // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
-                uploadArea.textContent = '';
-                const iconDiv = document.createElement('div');
-                iconDiv.className = 'tsf-upload-icon';
-                iconDiv.textContent = '📁';
-                const h3 = document.createElement('h3');
-                h3.textContent = 'Upload MP3 for Analysis';
-                const p = document.createElement('p');
-                p.textContent = 'Try again';
-                uploadArea.appendChild(iconDiv);
-                uploadArea.appendChild(h3);
-                uploadArea.appendChild(p);
+                const cancelled = upload && upload.state === 'cancelled';
+                if (upload && this.activeUploads.get(uploadArea) === upload) {
+                    this.activeUploads.delete(uploadArea);
+                } else if (cancelled) {
+                    // Replaced by a newer file - that upload owns the area now
+                    return;
+                }
+
+                if (cancelled) {
+                    this.showMessage(__('Upload cancelled'), 'info');
+                    // Keep showing the file analyzed before, if any
+                    const existing = trackRow ? this.trackReports.get(trackRow) : null;
+                    if (existing) {
+                        this.renderUploadState(uploadArea, 'success', existing.original_filename, existing.total_score);
+                    } else {
+                        this.renderUploadState(uploadArea, 'idle');
+                    }
+                } else {
+                    // VUL-22 FIX: Remove console.error from production
+                    const errorMsg = error && error.message ? error.message : __('Unknown error');
+                    this.showMessage(__('Error analyzing audio file: {error}', { error: errorMsg }), 'error');
+                    this.renderUploadState(uploadArea, 'error');
+                }
+
+                // Drop the provisional card, fall back to the current lead track if any
+                if (preview) {
+                    const leadRow = this.getTrackRows().find(row => this.trackReports.has(row));
+                    const scoreCard = document.getElementById('tsf-quality-score');
+                    if (leadRow) {
+                        this.showQualityScore(this.trackReports.get(leadRow), leadRow);
+                    } else if (scoreCard) {
+                        scoreCard.style.display = 'none';
+                    }
+                }
             }
         }
 
-        showQualityScore(data) {
-            const scoreCard = document.getElementById('tsf-quality-score');
-            if (!scoreCard) return;
+        // ==================== AUDIO PREVIEW ====================
 
-            scoreCard.style.display = 'block';
+        setupAudioPreview() {
+            const panel = document.getElementById('tsf-audio-preview');
+            if (!panel || typeof TSFWaveformPlayer === 'undefined') return;
 
-            // Auto-populate hidden fields from MP3 analysis
-            if (data.audio) {
-                // Populate duration
-                const durationField = document.getElementById('tsf-duration-hidden');
-                if (durationField && data.audio.duration_formatted) {
-                    durationField.value = data.audio.duration_formatted;
+            this.audioPreview = new TSFWaveformPlayer(panel.querySelector('.tsf-waveform'));
+        }
+
+        /**
+         * Waveform and player for an analyzed file, next to the score card
+         */
+        showAudioPreview(file, trackRow = null) {
+            const panel = document.getElementById('tsf-audio-preview');
+            if (!panel || !this.audioPreview) return;
+
+            const trackLabel = panel.querySelector('.tsf-audio-preview-track');
+            const trackNumber = trackRow ? this.getTrackRows().indexOf(trackRow) + 1 : 0;
+            trackLabel.textContent = trackNumber > 0 ? '— ' + __('Track {number}', { number: trackNumber }) : '';
+            panel.querySelector('.tsf-audio-preview-file').textContent = file.name;
+
+            this.previewRow = trackRow;
+            panel.style.display = 'block';
+            this.audioPreview.load(file);
+        }
+
+        // After the previewed row goes away, fall back to the first track with a file
+        showLeadAudioPreview() {
+            const leadRow = this.getTrackRows().find(row => this.trackFiles.has(row));
+            if (leadRow) {
+                this.showAudioPreview(this.trackFiles.get(leadRow), leadRow);
+                return;
+            }
+
+            const panel = document.getElementById('tsf-audio-preview');
+            if (panel) panel.style.display = 'none';
+            if (this.audioPreview) this.audioPreview.unload();
+            this.previewRow = null;
+        }
+
+        /**
+         * Redraw an upload area (Step 2 area or a track row drop zone)
+         * without dropping its file input.
+         */
+        renderUploadState(area, state, fileName = '', score = null) {
+            if (!area) return;
+
+            const isTrackZone = area.classList.contains('tsf-track-upload');
+            const target = area.querySelector('.tsf-track-upload-status') || area;
+            const anchor = target.querySelector(':scope > input[type="file"]');
+            const add = (node) => target.insertBefore(node, anchor);
+
+            // VUL-17 FIX: Use safe DOM manipulation instead of innerHTML
+            Array.from(target.children).forEach(child => {
+                if (!child.matches('input[type="file"], .tsf-upload-note')) child.remove();
+            });
+            area.classList.toggle('tsf-upload-analyzed', state === 'success');
+
+            // Provisional score from the browser-side header check
+            const addProvisionalScore = () => {
+                if (score === null) return;
+                const safeScore = parseInt(score, 10) || 0;
+                if (isTrackZone) {
+                    add(TSFSecurity.createElement('span', 'tsf-track-upload-score tsf-upload-provisional', '~' + this.formatPercent(safeScore)));
+                } else {
+                    add(TSFSecurity.createElement('p', 'tsf-upload-provisional', __('Provisional score: {score}', { score: this.formatPercent(safeScore) })));
+                }
+            };
+
+            if (state === 'analyzing') {
+                add(TSFSecurity.createElement('div', 'tsf-spinner'));
+                add(TSFSecurity.createElement('p', '', __('Analyzing...')));
+                addProvisionalScore();
+                return;
+            }
+
+            if (state === 'uploading') {
+                add(TSFSecurity.createElement('p', 'tsf-upload-filename', fileName));
+                addProvisionalScore();
+                return;
+            }
+
+            if (state === 'success') {
+                add(TSFSecurity.createElement('div', 'tsf-upload-success', '✅ ' + __('File analyzed: {file}', { file: fileName })));
+                if (isTrackZone && score !== null) {
+                    const safeScore = parseInt(score, 10) || 0;
+                    add(TSFSecurity.createElement('span', 'tsf-track-upload-score', this.formatPercent(safeScore)));
                 }
+                return;
+            }
+
+            // Idle / error
+            const retry = state === 'error';
+            if (isTrackZone) {
+                add(TSFSecurity.createElement('span', 'tsf-track-upload-icon', '📁'));
+                add(TSFSecurity.createElement('span', '', retry ? __('Try again - drop the audio file here or click to select') : __('Drop this track\'s audio file here or click to select')));
+                return;
+            }
+
+            add(TSFSecurity.createElement('div', 'tsf-upload-icon', '📁'));
+            add(TSFSecurity.createElement('h3', '', __('Upload Audio for Analysis')));
+            add(TSFSecurity.createElement('p', '', retry ? __('Try again') : __('Drag & drop or click to select')));
+        }
+
+        /**
+         * Progress bar with pause/resume and cancel for a chunked upload
+         * @returns {{update: Function, setState: Function}}
+         */
+        renderUploadProgress(area, upload, score = null) {
+            this.renderUploadState(area, 'uploading', upload.file.name, score);
+
+            const target = area.querySelector('.tsf-track-upload-status') || area;
+            const anchor = target.querySelector(':scope > input[type="file"]');
+
+            const progress = TSFSecurity.createElement('div', 'tsf-upload-progress');
+            const bar = TSFSecurity.createElement('div', 'tsf-progress-bar-wrapper');
+            const fill = TSFSecurity.createElement('div', 'tsf-upload-progress-fill');
+            const text = TSFSecurity.createElement('p', 'tsf-upload-progress-text', __('Starting upload...'));
+            const controls = TSFSecurity.createElement('div', 'tsf-upload-controls');
+            const pauseBtn = TSFSecurity.createElement('button', 'tsf-btn tsf-btn-secondary tsf-upload-pause', __('Pause'));
+            const cancelBtn = TSFSecurity.createElement('button', 'tsf-btn tsf-btn-secondary tsf-upload-cancel', __('Cancel'));
+            pauseBtn.type = 'button';
+            cancelBtn.type = 'button';
+
+            bar.appendChild(fill);
+            controls.appendChild(pauseBtn);
+            controls.appendChild(cancelBtn);
+            progress.appendChild(bar);
+            progress.appendChild(text);
+            progress.appendChild(controls);
+            target.insertBefore(progress, anchor);
+
+            // Keep clicks and Enter/Space on the controls from opening the file picker
+            controls.addEventListener('click', (e) => e.stopPropagation());
+            controls.addEventListener('keydown', (e) => e.stopPropagation());
+
+            pauseBtn.addEventListener('click', () => {
+                if (upload.state === 'paused') upload.resume();
+                else upload.pause();
+            });
+            cancelBtn.addEventListener('click', () => upload.cancel());
+
+            let percent = 0;
+            const formatBytes = (bytes) => __('{size} MB', {
+                size: TSFI18n.formatNumber(bytes / 1048576, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            });
 
-                // Populate instrumental
-                const instrumentalField = document.getElementById('tsf-instrumental-hidden');
-                if (instrumentalField && typeof data.audio.instrumental !== 'undefined') {
-                    instrumentalField.value = data.audio.instrumental ? 'Yes' : 'No';
+            return {
+                update: (sent, total) => {
+                    percent = total > 0 ? Math.floor((sent / total) * 100) : 0;
+                    fill.style.width = percent + '%';
+                    text.textContent = __('{sent} of {total} ({percent})', {
+                        sent: formatBytes(sent),
+                        total: formatBytes(total),
+                        percent: this.formatPercent(percent)
+                    });
+                },
+                setState: (state) => {
+                    pauseBtn.textContent = state === 'paused' ? __('Resume') : __('Pause');
+                    if (state === 'paused') {
+                        text.textContent = __('Paused at {percent}', { percent: this.formatPercent(percent) });
+                    } else if (state === 'retrying') {
+                        text.textContent = navigator.onLine === false
+                            ? __('Connection lost - waiting for network...')
+                            : __('Connection problem - retrying...');
+                    } else if (state === 'waiting') {
+                        text.textContent = __('Server busy - continuing in a moment...');
+                    }
                 }
+            };
+        }
+
+        storeTrackAnalysis(trackRow, report) {
+            this.trackReports.set(trackRow, report);
+
+            this.setTrackField(trackRow, 'duration', report.audio && report.audio.duration_formatted ? report.audio.duration_formatted : '');
+            this.setTrackField(trackRow, 'mp3_file_path', report.temp_file_path || '');
+            this.setTrackField(trackRow, 'mp3_filename', report.filename || '');
+
+            const dropZone = trackRow.querySelector('.tsf-track-upload');
+            this.renderUploadState(dropZone, 'success', report.original_filename, report.total_score);
+
+            this.syncLeadAnalysis();
+            this.autoClassifyReleaseType();
+
+            // New tags to compare with the platform data
+            if (this.platformTrack) this.renderReconciliation();
+        }
+
+        setTrackField(trackRow, key, value) {
+            const input = trackRow.querySelector(`input[name$="[${key}]"]`);
+            if (input) input.value = value;
+        }
+
+        /**
+         * The first track with an analysis drives the legacy single-file
+         * fields (qc_report, mp3_file_path, duration) used by the handler.
+         */
+        syncLeadAnalysis() {
+            const leadRow = this.getTrackRows().find(row => this.trackReports.has(row));
+            this.setLeadAnalysis(leadRow ? this.trackReports.get(leadRow) : null);
+        }
+
+        setLeadAnalysis(report) {
+            this.qcReport = report;
+
+            this.setHiddenField('tsf-mp3-file-path', 'mp3_file_path', report && report.temp_file_path ? report.temp_file_path : '');
+            this.setHiddenField('tsf-mp3-filename', 'mp3_filename', report && report.filename ? report.filename : '');
+
+            // Auto-populate hidden fields from MP3 analysis
+            const durationField = document.getElementById('tsf-duration-hidden');
+            if (durationField) {
+                durationField.value = report && report.audio && report.audio.duration_formatted ? report.audio.duration_formatted : '';
+            }
+
+            const instrumentalField = document.getElementById('tsf-instrumental-hidden');
+            if (instrumentalField && report && report.audio && typeof report.audio.instrumental !== 'undefined') {
+                instrumentalField.value = report.audio.instrumental ? 'Yes' : 'No';
+            }
+
+            // Keep the Step 2 area in sync with whichever track now leads
+            const uploadArea = document.getElementById('tsf-mp3-upload-area');
+            if (report) {
+                this.renderUploadState(uploadArea, 'success', report.original_filename || report.filename);
+            } else {
+                this.renderUploadState(uploadArea, 'idle');
+                const scoreCard = document.getElementById('tsf-quality-score');
+                if (scoreCard) scoreCard.style.display = 'none';
+            }
+        }
+
+        setHiddenField(id, name, value) {
+            let input = document.getElementById(id);
+
+            if (!input) {
+                if (!value) return;
+                input = document.createElement('input');
+                input.type = 'hidden';
+                input.id = id;
+                input.name = name;
+                this.form.appendChild(input);
+            }
+
+            input.value = value;
+        }
+
+        /**
+         * Analysis summary for every track that has an audio file, in row order.
+         */
+        getTrackAnalyses() {
+            return this.getTrackRows().reduce((list, row, index) => {
+                const report = this.trackReports.get(row);
+                if (!report) return list;
+
+                const titleInput = row.querySelector('input[name$="[title]"]');
+                list.push({
+                    track: index + 1,
+                    title: titleInput ? titleInput.value.trim() : '',
+                    original_filename: report.original_filename || '',
+                    filename: report.filename || '',
+                    temp_file_path: report.temp_file_path || '',
+                    duration: report.audio && report.audio.duration_formatted ? report.audio.duration_formatted : '',
+                    quality_score: report.total_score || 0,
+                    metadata_score: report.metadata_score || 0,
+                    audio_score: report.audio_score || 0,
+                    professional_score: report.professional_score || 0,
+                    recommendations: report.recommendations || []
+                });
+                return list;
+            }, []);
+        }
+
+        showQualityScore(data, trackRow = null) {
+            const scoreCard = document.getElementById('tsf-quality-score');
+            if (!scoreCard) return;
+
+            scoreCard.style.display = 'block';
+
+            // Show which track the card belongs to
+            const trackLabel = scoreCard.querySelector('.tsf-quality-score-track');
+            if (trackLabel) {
+                const trackNumber = trackRow ? this.getTrackRows().indexOf(trackRow) + 1 : 0;
+                trackLabel.textContent = trackNumber > 0 ? '— ' + __('Track {number}', { number: trackNumber }) : '';
             }
 
             // Update score circle
@@ -1367,7 +4528,7 @@
                 circle.style.strokeDashoffset = offset;
             }
 
-            if (valueEl) valueEl.textContent = score + '%';
+            if (valueEl) valueEl.textContent = this.formatPercent(score);
 
             // Update categories
             const categories = scoreCard.querySelectorAll('.tsf-score-category');
@@ -1375,31 +4536,59 @@
             if (categories[1]) categories[1].querySelector('.tsf-score-points').textContent = (data.audio_score || 0) + '/30';
             if (categories[2]) categories[2].querySelector('.tsf-score-points').textContent = (data.professional_score || 0) + '/30';
 
+            // Headers parsed in the browser give a provisional result until the server answers
+            let provisionalNote = scoreCard.querySelector('.tsf-quality-score-provisional');
+            if (!provisionalNote) {
+                provisionalNote = TSFSecurity.createElement('p', 'tsf-quality-score-provisional', __('Provisional score from the file headers - full analysis runs while the file uploads'));
+                scoreCard.querySelector('h3').insertAdjacentElement('afterend', provisionalNote);
+            }
+            provisionalNote.style.display = data.provisional ? 'block' : 'none';
+
             // Display audio information
             if (data.audio) {
+                // Analyzer keys first, older response keys as fallback
+                const bitrate = parseInt(data.audio.bitrate_kbps || data.audio.bitrate, 10) || 0;
+                const sampleRate = parseInt(data.audio.samplerate_hz || data.audio.sample_rate, 10) || 0;
+                const channels = parseInt(data.audio.channels, 10) || 0;
+                const bitrateMode = data.audio.bitrate_mode ? ' (' + TSFSecurity.escapeHtml(String(data.audio.bitrate_mode).toUpperCase()) + ')' : '';
+                const channelLabels = { 1: __('Mono'), 2: __('Stereo') };
+                const formatLabel = TSFSecurity.escapeHtml(data.audio.format_label || 'MP3');
+
+                // Lossless masters are judged on bit depth, MP3s on bitrate
+                const qualityDetail = data.audio.lossless
+                    ? `<div class="tsf-audio-detail">
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Bit Depth:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(__('{bits}-bit', { bits: parseInt(data.audio.bits_per_sample, 10) || 0 }))}</span>
+                            </div>`
+                    : `<div class="tsf-audio-detail">
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Bitrate:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(__('{bitrate} kbps', { bitrate: TSFI18n.formatNumber(bitrate) }))}${bitrateMode}</span>
+                            </div>`;
+
                 const audioInfoHtml = `
                     <div class="tsf-audio-info">
-                        <h4>🎵 Audio Information</h4>
+                        <h4>🎵 ${TSFSecurity.escapeHtml(__('Audio Information'))}</h4>
                         <div class="tsf-audio-details">
                             <div class="tsf-audio-detail">
-                                <span class="tsf-label">Bitrate:</span>
-                                <span class="tsf-value">${data.audio.bitrate} kbps ${data.audio.bitrate_mode ? '(' + data.audio.bitrate_mode.toUpperCase() + ')' : ''}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Format:'))}</span>
+                                <span class="tsf-value">${formatLabel}${data.audio.lossless ? ' ' + TSFSecurity.escapeHtml(__('(lossless)')) : ''}</span>
                             </div>
+                            ${qualityDetail}
                             <div class="tsf-audio-detail">
-                                <span class="tsf-label">Duration:</span>
-                                <span class="tsf-value">${data.audio.duration_formatted}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Duration:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(data.audio.duration_formatted || '')}</span>
                             </div>
                             <div class="tsf-audio-detail">
-                                <span class="tsf-label">Sample Rate:</span>
-                                <span class="tsf-value">${(data.audio.sample_rate / 1000).toFixed(1)} kHz</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Sample Rate:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(__('{rate} kHz', { rate: TSFI18n.formatNumber(sampleRate / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }))}</span>
                             </div>
                             <div class="tsf-audio-detail">
-                                <span class="tsf-label">Channels:</span>
-                                <span class="tsf-value">${data.audio.channels == 2 ? 'Stereo' : data.audio.channels == 1 ? 'Mono' : data.audio.channels}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Channels:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(channelLabels[channels] || TSFI18n.formatNumber(channels))}</span>
                             </div>
                             <div class="tsf-audio-detail">
-                                <span class="tsf-label">File Size:</span>
-                                <span class="tsf-value">${data.audio.filesize_formatted}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('File Size:'))}</span>
+                                <span class="tsf-value">${TSFSecurity.escapeHtml(data.audio.filesize_formatted || '')}</span>
                             </div>
                         </div>
                     </div>
@@ -1421,29 +4610,33 @@
 
             // Display metadata information
             if (data.metadata) {
+                // VUL-17 FIX: ID3 tags are user-controlled, escape before templating
+                const tag = (key) => data.metadata[key] ? TSFSecurity.escapeHtml(String(data.metadata[key])) : '';
+                const hasArtwork = data.metadata.has_artwork || data.metadata.has_cover;
+                const missing = '❌ ' + TSFSecurity.escapeHtml(__('Missing'));
                 const metadataInfoHtml = `
                     <div class="tsf-metadata-info">
-                        <h4>📋 ID3 Tags</h4>
+                        <h4>📋 ${TSFSecurity.escapeHtml(data.audio && data.audio.lossless ? __('Tags') : __('ID3 Tags'))}</h4>
                         <div class="tsf-metadata-details">
                             <div class="tsf-metadata-detail ${data.metadata.artist ? 'tsf-has-value' : 'tsf-missing-value'}">
-                                <span class="tsf-label">Artist:</span>
-                                <span class="tsf-value">${data.metadata.artist || '❌ Missing'}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Artist:'))}</span>
+                                <span class="tsf-value">${tag('artist') || missing}</span>
                             </div>
                             <div class="tsf-metadata-detail ${data.metadata.title ? 'tsf-has-value' : 'tsf-missing-value'}">
-                                <span class="tsf-label">Title:</span>
-                                <span class="tsf-value">${data.metadata.title || '❌ Missing'}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Title:'))}</span>
+                                <span class="tsf-value">${tag('title') || missing}</span>
                             </div>
                             <div class="tsf-metadata-detail ${data.metadata.album ? 'tsf-has-value' : 'tsf-missing-value'}">
-                                <span class="tsf-label">Album:</span>
-                                <span class="tsf-value">${data.metadata.album || '❌ Missing'}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Album:'))}</span>
+                                <span class="tsf-value">${tag('album') || missing}</span>
                             </div>
                             <div class="tsf-metadata-detail ${data.metadata.year ? 'tsf-has-value' : 'tsf-missing-value'}">
-                                <span class="tsf-label">Year:</span>
-                                <span class="tsf-value">${data.metadata.year || '❌ Missing'}</span>
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Year:'))}</span>
+                                <span class="tsf-value">${tag('year') || missing}</span>
                             </div>
-                            <div class="tsf-metadata-detail ${data.metadata.has_cover ? 'tsf-has-value' : 'tsf-missing-value'}">
-                                <span class="tsf-label">Artwork:</span>
-                                <span class="tsf-value">${data.metadata.has_cover ? '✅ Present' : '❌ Missing'}</span>
+                            <div class="tsf-metadata-detail ${hasArtwork ? 'tsf-has-value' : 'tsf-missing-value'}">
+                                <span class="tsf-label">${TSFSecurity.escapeHtml(__('Artwork:'))}</span>
+                                <span class="tsf-value">${hasArtwork ? '✅ ' + TSFSecurity.escapeHtml(__('Present')) : missing}</span>
                             </div>
                         </div>
                     </div>
@@ -1478,7 +4671,7 @@
                 if (data.missing_tags && data.missing_tags.length > 0) {
                     hasContent = true;
                     const h4 = document.createElement('h4');
-                    h4.textContent = '⚠️ Missing ID3 Tags:';
+                    h4.textContent = '⚠️ ' + __('Missing ID3 Tags:');
                     const ul = document.createElement('ul');
                     ul.className = 'tsf-missing-list';
                     data.missing_tags.forEach(tag => {
@@ -1493,7 +4686,7 @@
                 if (data.recommendations && data.recommendations.length > 0) {
                     hasContent = true;
                     const h4 = document.createElement('h4');
-                    h4.textContent = '💡 Recommendations:';
+                    h4.textContent = '💡 ' + __('Recommendations:');
                     const ul = document.createElement('ul');
                     ul.className = 'tsf-recommendations-list';
                     data.recommendations.forEach(rec => {
@@ -1508,7 +4701,7 @@
                 if (!hasContent) {
                     const successDiv = document.createElement('div');
                     successDiv.className = 'tsf-success-message';
-                    successDiv.textContent = '✅ Your MP3 file is perfectly tagged and optimized!';
+                    successDiv.textContent = '✅ ' + __('Your file is perfectly tagged and optimized!');
                     recommendations.appendChild(successDiv);
                 }
 
@@ -1516,46 +4709,6 @@
             }
         }
 
-        // ==================== MULTI-TRACK UPLOAD ====================
-
-        setupMultiTrackUpload() {
-            const trackCountField = document.querySelector('[name="track_count"]');
-            if (!trackCountField) return;
-
-            // Listen for track count changes
-            trackCountField.addEventListener('change', (e) => {
-                this.trackCount = parseInt(e.target.value) || 1;
-                // VUL-22 FIX: Remove console.log from production
-
-                // Reset upload state when track count changes
-                this.currentTrackUpload = 0;
-                this.uploadedTracks = {};
-            });
-
-            // Initialize track count
-            this.trackCount = parseInt(trackCountField.value) || 1;
-        }
-
-        showMultiTrackUploadProgress() {
-            const uploadArea = document.getElementById('tsf-mp3-upload-area');
-            if (!uploadArea) return;
-
-            const progressHtml = `
-                <div class="tsf-multi-track-progress">
-                    <h4>Track ${this.currentTrackUpload} of ${this.trackCount}</h4>
-                    <div class="tsf-progress-bar">
-                        <div class="tsf-progress-fill" style="width: ${(this.currentTrackUpload / this.trackCount) * 100}%"></div>
-                    </div>
-                    <p>Upload MP3 for track ${this.currentTrackUpload}</p>
-                </div>
-            `;
-
-            // Only show progress if multi-track (more than 1)
-            if (this.trackCount > 1 && this.currentTrackUpload > 0) {
-                uploadArea.insertAdjacentHTML('afterbegin', progressHtml);
-            }
-        }
-
         // ==================== FORM SUBMISSION ====================
 
         async submitForm(e) {
@@ -1569,9 +4722,9 @@
             // prompt the user and mark the submission as skipped when confirmed.
             if (tsfFormData.require_mp3_analysis && !this.qcReport) {
                 if (tsfFormData.allow_submission_without_mp3) {
-                    const proceed = confirm('MP3 analysis has not completed. Do you want to proceed without analysis?');
+                    const proceed = confirm(__('Audio analysis has not completed. Do you want to proceed without analysis?'));
                     if (!proceed) {
-                        this.showMessage('Please upload and analyze your MP3 before submitting.', 'error');
+                        this.showMessage(__('Please upload and analyze your audio file before submitting.'), 'error');
                         return;
                     }
 
@@ -1587,7 +4740,7 @@
                         skipInput.value = '1';
                     }
                 } else {
-                    this.showMessage('Please upload and analyze your MP3 before submitting.', 'error');
+                    this.showMessage(__('Please upload and analyze your audio file before submitting.'), 'error');
                     return;
                 }
             }
@@ -1599,7 +4752,7 @@
             const spinner = document.createElement('span');
             spinner.className = 'tsf-spinner';
             submitBtn.appendChild(spinner);
-            submitBtn.appendChild(document.createTextNode(' ' + (tsfFormData.i18n.saving || 'Submitting...')));
+            submitBtn.appendChild(document.createTextNode(' ' + __('Submitting...')));
 
             const formData = new FormData(this.form);
             formData.append('action', 'tsf_submit_v2');
@@ -1609,6 +4762,12 @@
                 formData.append('qc_report', JSON.stringify(this.qcReport));
             }
 
+            // Include every track's analysis (in track order)
+            const trackAnalyses = this.getTrackAnalyses();
+            if (trackAnalyses.length > 0) {
+                formData.append('track_analyses', JSON.stringify(trackAnalyses));
+            }
+
             try {
                 const response = await fetch(tsfFormData.ajax_url, {
                     method: 'POST',
@@ -1620,7 +4779,8 @@
 
                 if (data.success) {
                     localStorage.removeItem('tsf_autosave');
-                    const message = (data.data && data.data.message) || data.message || 'Track submitted successfully!';
+                    this.discardDraftRemote();
+                    const message = (data.data && data.data.message) || data.message || __('Track submitted successfully!');
                     this.showMessage(message, 'success');
 
                     const redirect = (data.data && data.data.redirect) || data.redirect;
@@ -1630,7 +4790,7 @@
                         }, 1500);
                     }
                 } else {
-                    const errorMessage = (data.data && data.data.message) || data.message || 'Submission failed';
+                    const errorMessage = (data.data && data.data.message) || data.message || __('Submission failed');
                     // If current user is allowed to bypass rate limiting, show rate-limit messages as info
                     if (tsfFormData.is_admin && /please wait/i.test(errorMessage)) {
                         this.showMessage(errorMessage, 'info');
@@ -1639,15 +4799,15 @@
                     }
                     submitBtn.disabled = false;
                     // VUL-17 FIX: Use textContent instead of innerHTML
-                    submitBtn.textContent = 'Submit Track ✓';
+                    submitBtn.textContent = __('Submit Track') + ' ✓';
                 }
             } catch (error) {
                 // VUL-22 FIX: Remove console.error from production
-                const errorMsg = error && error.message ? error.message : 'Unknown error';
-                this.showMessage('Error: ' + errorMsg, 'error');
+                const errorMsg = error && error.message ? error.message : __('Unknown error');
+                this.showMessage(__('Error: {error}', { error: errorMsg }), 'error');
                 submitBtn.disabled = false;
                 // VUL-17 FIX: Use textContent instead of innerHTML
-                submitBtn.textContent = 'Submit Track ✓';
+                submitBtn.textContent = __('Submit Track') + ' ✓';
             }
         }
 
@@ -1661,7 +4821,7 @@
             const summary = [];
 
             // Track info
-            const artist = formData.get('artist') || 'Not provided';
+            const artist = formData.get('artist') || __('Not provided');
             // Try multiple sources for track title
             let trackTitle = formData.get('verified_track_title');
             if (!trackTitle || trackTitle.trim() === '') {
@@ -1678,44 +4838,63 @@
                     trackTitle = firstTrackField.value;
                 }
             }
-            trackTitle = trackTitle || 'Not provided';
-
-            const genre = formData.get('genre') || 'Not provided';
-            const platform = formData.get('platform') || 'Not detected';
-            const trackUrl = formData.get('track_url') || 'Not provided';
+            trackTitle = trackTitle || __('Not provided');
+
+            const genre = formData.get('genre') || __('Not provided');
+            const platform = formData.get('platform') || __('Not detected');
+            const trackUrl = formData.get('track_url') || __('Not provided');
+            const release = this.autoClassifyReleaseType();
+            const alsoOn = this.getStreamingLinkRows()
+                .map(row => {
+                    const url = row.querySelector('[data-link-field="url"]').value.trim();
+                    const link = url ? TSFLinkParser.parse(url) : null;
+                    return link ? link.name : url;
+                })
+                .filter(Boolean);
 
             summary.push(`<div class="tsf-summary-section">
-                <h4>📀 Track Information</h4>
-                <p><strong>Artist:</strong> ${this.escapeHtml(artist)}</p>
-                <p><strong>Track:</strong> ${this.escapeHtml(trackTitle)}</p>
-                <p><strong>Genre:</strong> ${this.escapeHtml(genre)}</p>
-                <p><strong>Platform:</strong> ${this.escapeHtml(platform)}</p>
-                <p><strong>URL:</strong> <a href="${this.escapeHtml(trackUrl)}" target="_blank">${this.escapeHtml(trackUrl)}</a></p>
+                <h4>📀 ${this.escapeHtml(__('Track Information'))}</h4>
+                <p><strong>${this.escapeHtml(__('Artist:'))}</strong> ${this.escapeHtml(artist)}</p>
+                <p><strong>${this.escapeHtml(__('Track:'))}</strong> ${this.escapeHtml(trackTitle)}</p>
+                <p><strong>${this.escapeHtml(__('Release Type:'))}</strong> ${this.escapeHtml(__(release.type))} <span style="font-size: 13px; color: #666;">(${this.escapeHtml(release.reason)})</span></p>
+                <p><strong>${this.escapeHtml(__('Genre:'))}</strong> ${this.escapeHtml(genre)}</p>
+                <p><strong>${this.escapeHtml(__('Platform:'))}</strong> ${this.escapeHtml(platform)}</p>
+                <p><strong>${this.escapeHtml(__('URL:'))}</strong> <a href="${this.escapeHtml(trackUrl)}" target="_blank">${this.escapeHtml(trackUrl)}</a></p>
+                ${alsoOn.length ? `<p><strong>${this.escapeHtml(__('Also on:'))}</strong> ${this.escapeHtml(TSFI18n.formatList(alsoOn))}</p>` : ''}
             </div>`);
 
             // Contact info
-            const email = formData.get('email') || 'Not provided';
-            const phone = formData.get('phone') || 'Not provided';
-            const country = formData.get('country') || 'Not selected';
-            const label = formData.get('label') || 'Not selected';
+            const email = formData.get('email') || __('Not provided');
+            const phone = formData.get('phone') || __('Not provided');
+            const country = formData.get('country') || __('Not selected');
+            const label = formData.get('label') || __('Not selected');
+            const territoryPicker = this.form.querySelector('.tsf-country-select-wrapper[data-multiple]');
+            const territories = territoryPicker && territoryPicker.tsfCountrySelect
+                ? territoryPicker.tsfCountrySelect.getTerritoriesText() || __('Not specified')
+                : '';
 
             summary.push(`<div class="tsf-summary-section">
-                <h4>📧 Contact Information</h4>
-                <p><strong>Email:</strong> ${this.escapeHtml(email)}</p>
-                <p><strong>Phone:</strong> ${this.escapeHtml(phone)}</p>
-                <p><strong>Country:</strong> ${this.escapeHtml(country)}</p>
-                <p><strong>Label:</strong> ${this.escapeHtml(label)}</p>
+                <h4>📧 ${this.escapeHtml(__('Contact Information'))}</h4>
+                <p><strong>${this.escapeHtml(__('Email:'))}</strong> ${this.escapeHtml(email)}</p>
+                <p><strong>${this.escapeHtml(__('Phone:'))}</strong> ${this.escapeHtml(phone)}</p>
+                <p><strong>${this.escapeHtml(__('Country:'))}</strong> ${this.escapeHtml(country)}</p>
+                <p><strong>${this.escapeHtml(__('Label:'))}</strong> ${this.escapeHtml(label)}</p>
+                ${territories ? `<p><strong>${this.escapeHtml(__('Territories:'))}</strong> ${this.escapeHtml(territories)}</p>` : ''}
             </div>`);
 
             // Multi-track listing
             const trackInputs = this.form.querySelectorAll('input[name^="tracks["][name$="[title]"]');
             if (trackInputs.length > 0) {
-                let tracksSection = '<div class="tsf-summary-section"><h4>📀 Track Listing</h4>';
+                let tracksSection = `<div class="tsf-summary-section"><h4>📀 ${this.escapeHtml(__('Track Listing'))}</h4>`;
 
                 if (trackInputs.length === 1) {
                     // Single track
                     const trackTitle = formData.get('tracks[1][title]');
-                    tracksSection += `<p><strong>Track:</strong> ${this.escapeHtml(trackTitle || 'Not provided')}</p>`;
+                    const credits = this.getTrackCreditsText(formData.get('tracks[1][credits]'));
+                    tracksSection += `<p><strong>${this.escapeHtml(__('Track:'))}</strong> ${this.escapeHtml(trackTitle || __('Not provided'))}</p>`;
+                    if (credits) {
+                        tracksSection += `<p><strong>${this.escapeHtml(__('Credits:'))}</strong> ${this.escapeHtml(credits)}</p>`;
+                    }
                 } else {
                     // Multiple tracks
                     tracksSection += '<ol>';
@@ -1728,6 +4907,10 @@
                             if (trackDuration && trackDuration.trim() !== '') {
                                 tracksSection += ` <span style="color: #666; font-size: 0.9em;">(${this.escapeHtml(trackDuration)})</span>`;
                             }
+                            const credits = this.getTrackCreditsText(formData.get(`tracks[${i}][credits]`));
+                            if (credits) {
+                                tracksSection += `<br /><span style="color: #666; font-size: 0.9em;">${this.escapeHtml(credits)}</span>`;
+                            }
                             tracksSection += `</li>`;
                         }
                     }
@@ -1738,45 +4921,45 @@
                 summary.push(tracksSection);
             }
 
-            // MP3 upload status and quality score
-            const mp3Filename = formData.get('mp3_filename');
-            const qcReportJson = formData.get('qc_report');
-
-            if (mp3Filename) {
+            // Audio upload status and quality score per track
+            const analyses = this.getTrackAnalyses();
+            if (analyses.length > 0) {
                 let mp3Section = `<div class="tsf-summary-section">
-                    <h4>🎵 MP3 File</h4>
-                    <p><strong>Status:</strong> <span style="color: #059669;">✅ Uploaded & Analyzed</span></p>
-                    <p><strong>File:</strong> ${this.escapeHtml(mp3Filename)}</p>`;
-
-                // Add quality score if available (with proper validation to prevent XSS)
-                if (qcReportJson) {
-                    try {
-                        const qcReport = JSON.parse(qcReportJson);
-                        // Validate score is actually a number
-                        const score = parseInt(qcReport.quality_score, 10);
-                        if (!isNaN(score) && score >= 0 && score <= 100) {
-                            let scoreColor = '#dc3232'; // Red for low scores
-                            if (score >= 80) scoreColor = '#46b450'; // Green for high scores
-                            else if (score >= 60) scoreColor = '#f0b23e'; // Yellow for medium scores
-
-                            mp3Section += `<p><strong>Quality Score:</strong> <span style="color: ${scoreColor}; font-weight: 600; font-size: 16px;">${score}%</span></p>`;
-
-                            // Add score breakdown with validation
-                            const metaScore = parseInt(qcReport.metadata_score, 10);
-                            const audioScore = parseInt(qcReport.audio_score, 10);
-                            const profScore = parseInt(qcReport.professional_score, 10);
-
-                            if (!isNaN(metaScore) && !isNaN(audioScore) && !isNaN(profScore)) {
-                                mp3Section += `<p style="font-size: 13px; color: #666;">
-                                    Metadata: ${metaScore}/40 |
-                                    Audio: ${audioScore}/30 |
-                                    Professional: ${profScore}/30
-                                </p>`;
-                            }
-                        }
-                    } catch (e) {
-                        console.error('Error parsing QC report:', e);
+                    <h4>🎵 ${this.escapeHtml(__('Audio Files'))}</h4>
+                    <ul class="tsf-summary-mp3-list">`;
+
+                analyses.forEach(item => {
+                    mp3Section += `<li><strong>${this.escapeHtml(__('Track {number}:', { number: item.track }))}</strong> ${this.escapeHtml(item.original_filename || item.filename)}`;
+
+                    // Validate score is actually a number (prevents XSS through the report)
+                    const score = parseInt(item.quality_score, 10);
+                    if (!isNaN(score) && score >= 0 && score <= 100) {
+                        let scoreColor = '#dc3232'; // Red for low scores
+                        if (score >= 80) scoreColor = '#46b450'; // Green for high scores
+                        else if (score >= 60) scoreColor = '#f0b23e'; // Yellow for medium scores
+
+                        const metaScore = parseInt(item.metadata_score, 10) || 0;
+                        const audioScore = parseInt(item.audio_score, 10) || 0;
+                        const profScore = parseInt(item.professional_score, 10) || 0;
+
+                        const breakdown = __('(Metadata: {metadata}/40 | Audio: {audio}/30 | Professional: {professional}/30)', {
+                            metadata: metaScore,
+                            audio: audioScore,
+                            professional: profScore
+                        });
+                        mp3Section += ` <span style="color: ${scoreColor}; font-weight: 600;">${this.escapeHtml(this.formatPercent(score))}</span>
+                            <span style="font-size: 13px; color: #666;">${this.escapeHtml(breakdown)}</span>`;
                     }
+
+                    mp3Section += `</li>`;
+                });
+
+                mp3Section += `</ul>`;
+
+                const missing = this.getTrackRows().length - analyses.length;
+                if (missing > 0) {
+                    const note = _n('{count} track without an audio file', '{count} tracks without an audio file', missing);
+                    mp3Section += `<p style="font-size: 13px; color: #666;">${this.escapeHtml(note)}</p>`;
                 }
 
                 mp3Section += `</div>`;
@@ -1786,6 +4969,14 @@
             summaryContent.innerHTML = summary.join('');
         }
 
+        getTrackCreditsText(json) {
+            try {
+                return json ? this.formatTrackCredits(JSON.parse(json)) : '';
+            } catch (e) {
+                return '';
+            }
+        }
+
         escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
@@ -1804,6 +4995,11 @@
             );
         }
 
+        // 12.5 -> "12.5%", "12,5 %"... depending on the locale
+        formatPercent(value) {
+            return TSFI18n.formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 2 });
+        }
+
         showMessage(message, type = 'info') {
             const messageEl = document.getElementById('tsf-form-message');
             if (!messageEl) return;
@@ -9,6 +9,8 @@
  * - Loading states
  * - Error handling
  *
+ * Requires tsf-validation-engine.js (TSFValidationEngine) and tsf-i18n.js (TSFI18n).
+ *
  * @package TrackSubmissionForm
  * @since 4.0.0
  */
@@ -16,19 +18,22 @@
 (function() {
     'use strict';
 
+    const __ = (text, params) => TSFI18n.__(text, params);
+
     class TrackSubmissionForm {
         constructor(formElement) {
             this.form = formElement;
             this.submitButton = this.form.querySelector('#tsf-submit-btn');
             this.messageContainer = this.form.querySelector('#tsf-message');
             this.fields = {};
-            this.validationRules = {};
+            this.validator = null;
             this.isSubmitting = false;
 
             this.init();
         }
 
         init() {
+            TSFI18n.applyDirection(this.form);
             this.setupFields();
             this.setupValidation();
             this.setupAutosave();
@@ -54,54 +59,53 @@
         }
 
         setupValidation() {
-            this.validationRules = {
-                artist: {
-                    required: true,
-                    minLength: 2,
-                    maxLength: 200,
-                    pattern: /^[^<>{}]+$/,
-                    message: tsfData.messages?.invalid_artist || 'Invalid artist name'
-                },
-                track_title: {
-                    required: true,
-                    minLength: 2,
-                    maxLength: 200,
-                    pattern: /^[^<>{}]+$/,
-                    message: tsfData.messages?.invalid_track || 'Invalid track title'
-                },
-                email: {
-                    required: true,
-                    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                    message: tsfData.messages?.invalid_email || 'Invalid email address'
-                },
-                phone: {
-                    required: false,
-                    pattern: /^[\d\s\-\(\)\+]{8,20}$/,
-                    message: tsfData.messages?.invalid_phone || 'Invalid phone number'
-                },
-                duration: {
-                    required: true,
-                    pattern: /^[0-9]{1,3}:[0-5][0-9]$/,
-                    message: tsfData.messages?.invalid_duration || 'Duration must be in mm:ss format'
-                },
-                track_url: {
-                    required: true,
-                    url: true,
-                    message: tsfData.messages?.invalid_url || 'Invalid URL'
-                },
-                social_url: {
-                    required: false,
-                    url: true,
-                    message: tsfData.messages?.invalid_url || 'Invalid URL'
-                },
-                description: {
-                    required: true,
-                    minLength: 10,
-                    maxLength: 2000,
-                    message: tsfData.messages?.invalid_description || 'Description must be 10-2000 characters'
-                }
+            // Rules from TSF_Validator::get_client_rules(), or the same checks locally
+            // when the page doesn't provide them
+            const rules = Object.keys(tsfData.validation_rules || {}).length ? tsfData.validation_rules : {
+                artist: [
+                    { rule: 'required' },
+                    { rule: 'minlength', value: 2 },
+                    { rule: 'maxlength', value: 200 },
+                    { rule: 'not_pattern', value: '[<>{}]', message: __('Invalid artist name') }
+                ],
+                track_title: [
+                    { rule: 'required' },
+                    { rule: 'minlength', value: 2 },
+                    { rule: 'maxlength', value: 200 },
+                    { rule: 'not_pattern', value: '[<>{}]', message: __('Invalid track title') }
+                ],
+                email: [
+                    { rule: 'required' },
+                    { rule: 'email', message: __('Invalid email address') }
+                ],
+                phone: [
+                    { rule: 'phone', message: __('Invalid phone number') }
+                ],
+                duration: [
+                    { rule: 'required' },
+                    { rule: 'duration', message: __('Duration must be in mm:ss format') }
+                ],
+                track_url: [
+                    { rule: 'required' },
+                    { rule: 'url', message: __('Invalid URL') }
+                ],
+                social_url: [
+                    { rule: 'url', message: __('Invalid URL') }
+                ],
+                description: [
+                    { rule: 'required' },
+                    { rule: 'minlength', value: 10, message: __('Description must be 10-2000 characters') },
+                    { rule: 'maxlength', value: 2000, message: __('Description must be 10-2000 characters') }
+                ]
             };
 
+            this.validator = new TSFValidationEngine({
+                rules,
+                getValue: (fieldId) => this.getFieldValue(fieldId),
+                getNames: () => Object.keys(this.fields),
+                messages: Object.fromEntries(Object.entries(TSFValidationEngine.messages).map(([rule, message]) => [rule, __(message)]))
+            });
+
             // Add real-time validation listeners
             Object.keys(this.fields).forEach(fieldId => {
                 const field = this.fields[fieldId];
@@ -115,43 +119,19 @@
             });
         }
 
-        validateField(fieldId) {
+        async validateField(fieldId) {
             const field = this.fields[fieldId];
-            const rules = this.validationRules[fieldId];
-
-            if (!field || !rules) return true;
-
-            const value = field.value.trim();
-
-            // Required check
-            if (rules.required && !value) {
-                this.showFieldError(fieldId, `${this.getFieldLabel(fieldId)} is required`);
-                return false;
-            }
-
-            // Skip other validations if field is empty and not required
-            if (!value && !rules.required) return true;
+            if (!field) return true;
 
-            // Length checks
-            if (rules.minLength && value.length < rules.minLength) {
-                this.showFieldError(fieldId, `Minimum ${rules.minLength} characters required`);
-                return false;
-            }
-
-            if (rules.maxLength && value.length > rules.maxLength) {
-                this.showFieldError(fieldId, `Maximum ${rules.maxLength} characters allowed`);
-                return false;
-            }
+            const result = await this.validator.validate(fieldId, this.getFieldValue(fieldId), {
+                label: this.getFieldLabel(fieldId)
+            });
 
-            // Pattern check
-            if (rules.pattern && !rules.pattern.test(value)) {
-                this.showFieldError(fieldId, rules.message);
-                return false;
-            }
+            // A newer check of this field is running and will show its result
+            if (result.stale) return true;
 
-            // URL check
-            if (rules.url && !this.isValidUrl(value)) {
-                this.showFieldError(fieldId, rules.message);
+            if (!result.valid) {
+                this.showFieldError(fieldId, result.message);
                 return false;
             }
 
@@ -159,16 +139,19 @@
             return true;
         }
 
-        validateAll() {
-            let isValid = true;
+        async validateAll() {
+            const results = await Promise.all(
+                Object.keys(this.fields).map(fieldId => this.validateField(fieldId))
+            );
 
-            Object.keys(this.validationRules).forEach(fieldId => {
-                if (!this.validateField(fieldId)) {
-                    isValid = false;
-                }
-            });
+            return results.every(Boolean);
+        }
 
-            return isValid;
+        getFieldValue(fieldId) {
+            const field = this.fields[fieldId];
+            if (!field) return '';
+            if (field.type === 'checkbox') return field.checked ? field.value : '';
+            return field.value;
         }
 
         showFieldError(fieldId, message) {
@@ -215,15 +198,6 @@
             return label ? label.textContent.replace('*', '').trim() : fieldId;
         }
 
-        isValidUrl(string) {
-            try {
-                const url = new URL(string);
-                return url.protocol === 'http:' || url.protocol === 'https:';
-            } catch {
-                return false;
-            }
-        }
-
         setupAutosave() {
             let autosaveTimeout;
 
@@ -240,7 +214,7 @@
         saveDraft() {
             const formData = this.getFormData();
             localStorage.setItem('tsf_draft', JSON.stringify(formData));
-            this.showMessage('Draft saved automatically', 'info', 2000);
+            this.showMessage(__('Draft saved automatically'), 'info', 2000);
         }
 
         loadDraft() {
@@ -261,7 +235,7 @@
                     }
                 });
 
-                this.showMessage('Draft loaded from previous session', 'info', 3000);
+                this.showMessage(__('Draft loaded from previous session'), 'info', 3000);
             } catch (e) {
                 // VUL-22 FIX: Remove console.error from production
             }
@@ -304,8 +278,8 @@
                 if (this.isSubmitting) return;
 
                 // Validate all fields
-                if (!this.validateAll()) {
-                    this.showMessage('Please correct the errors above', 'error');
+                if (!await this.validateAll()) {
+                    this.showMessage(__('Please correct the errors above'), 'error');
                     this.focusFirstError();
                     return;
                 }
@@ -317,7 +291,7 @@
                     const response = await this.submitForm();
 
                     if (response.success) {
-                        this.showMessage(response.data.message || 'Submission successful!', 'success');
+                        this.showMessage(response.data.message || __('Submission successful!'), 'success');
                         this.clearDraft();
 
                         // Redirect if provided
@@ -329,11 +303,11 @@
                             this.form.reset();
                         }
                     } else {
-                        this.showMessage(response.data.message || 'Submission failed', 'error');
+                        this.showMessage(response.data.message || __('Submission failed'), 'error');
                     }
                 } catch (error) {
                     // VUL-22 FIX: Remove console.error from production
-                    this.showMessage(error.message || 'An error occurred. Please try again.', 'error');
+                    this.showMessage(error.message || __('An error occurred. Please try again.'), 'error');
                 } finally {
                     this.isSubmitting = false;
                     this.hideLoading();
@@ -353,7 +327,7 @@
             });
 
             if (!response.ok) {
-                throw new Error('Network response was not ok');
+                throw new Error(__('Network response was not ok'));
             }
 
             return await response.json();
@@ -366,7 +340,7 @@
 
             const originalText = this.submitButton.textContent;
             this.submitButton.setAttribute('data-original-text', originalText);
-            this.submitButton.textContent = tsfData.messages.loading || 'Processing...';
+            this.submitButton.textContent = __('Processing...');
         }
 
         hideLoading() {
@@ -412,8 +386,8 @@
                 this.form.insertBefore(progressBar, this.form.firstChild);
             }
 
-            const requiredFields = Object.keys(this.validationRules).filter(
-                key => this.validationRules[key].required
+            const requiredFields = Object.keys(this.fields).filter(
+                key => this.validator.isRequired(key)
             );
 
             const filledFields = requiredFields.filter(key => {
@@ -440,15 +414,12 @@
         setupAccessibility() {
             // Add ARIA labels
             this.form.setAttribute('novalidate', 'novalidate'); // Use custom validation
-            this.form.setAttribute('aria-label', 'Track submission form');
+            this.form.setAttribute('aria-label', __('Track submission form'));
 
             // Mark required fields
-            Object.keys(this.validationRules).forEach(fieldId => {
-                const field = this.fields[fieldId];
-                const rules = this.validationRules[fieldId];
-
-                if (field && rules.required) {
-                    field.setAttribute('aria-required', 'true');
+            Object.keys(this.fields).forEach(fieldId => {
+                if (this.validator.isRequired(fieldId)) {
+                    this.fields[fieldId].setAttribute('aria-required', 'true');
                 }
             });
         }
@@ -0,0 +1,138 @@
+/**
+ * TSF i18n - Message catalog and locale-aware formatting for the form scripts
+ *
+ * Messages are looked up by their English text, so a missing translation
+ * falls back to English. The catalog, locale and direction come from
+ * TSF_I18n::get_js_config() (localized as tsfI18n).
+ *
+ *   TSFI18n.__('Looks good!')
+ *   TSFI18n.__('Track {number}', { number: 2 })
+ *   TSFI18n._n('{count} track', '{count} tracks', 3)
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+const TSFI18n = {
+    get config() {
+        return typeof tsfI18n === 'object' && tsfI18n ? tsfI18n : {};
+    },
+
+    /**
+     * BCP 47 tag of the page: the site locale, else the document language
+     * @returns {string}
+     */
+    get locale() {
+        const locale = this.config.locale || document.documentElement.lang || 'en-US';
+        try {
+            return Intl.getCanonicalLocales(locale)[0];
+        } catch (e) {
+            return 'en-US';
+        }
+    },
+
+    /**
+     * Translate a message and fill in its {placeholders}
+     * @param {string} text - English message, the catalog key
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    __(text, params = {}) {
+        const messages = this.config.messages || {};
+        const message = typeof messages[text] === 'string' && messages[text] !== '' ? messages[text] : text;
+        return this.format(message, params);
+    },
+
+    /**
+     * Translate a message that depends on a count. Gettext plural rules can't
+     * run here, so the catalog holds the translation for a few sample counts
+     * ({ "1": "...", "2": "...", "5": "..." }); the count uses the form of the
+     * first sample in the same plural category of the locale.
+     * @param {string} single - English singular, the catalog key
+     * @param {string} plural - English plural
+     * @param {number} count - Also available as {count}, formatted for the locale
+     * @param {Object} params - Other placeholder values
+     * @returns {string}
+     */
+    _n(single, plural, count, params = {}) {
+        const forms = (this.config.messages || {})[single];
+        const category = this.pluralCategory(count);
+
+        let message;
+        if (forms && typeof forms === 'object') {
+            const sample = Object.keys(forms).find(key => this.pluralCategory(Number(key)) === category);
+            message = sample !== undefined ? forms[sample] : '';
+        }
+        if (!message) {
+            message = category === 'one' ? single : plural;
+        }
+
+        return this.format(message, Object.assign({ count: this.formatNumber(count) }, params));
+    },
+
+    pluralCategory(count) {
+        try {
+            return new Intl.PluralRules(this.locale).select(count);
+        } catch (e) {
+            return count === 1 ? 'one' : 'other';
+        }
+    },
+
+    /**
+     * Replace {name} placeholders; unknown ones are left as they are
+     */
+    format(message, params = {}) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(params, name) && params[name] !== undefined && params[name] !== null
+                ? String(params[name])
+                : match
+        ));
+    },
+
+    /**
+     * @param {Date} date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    },
+
+    /**
+     * @param {number} value
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        const number = Number(value);
+        return Number.isFinite(number) ? new Intl.NumberFormat(this.locale, options).format(number) : String(value);
+    },
+
+    /**
+     * "A, B and C" in the page language
+     * @param {string[]} items
+     * @returns {string}
+     */
+    formatList(items) {
+        try {
+            return new Intl.ListFormat(this.locale, { style: 'long', type: 'conjunction' }).format(items);
+        } catch (e) {
+            return items.join(', ');
+        }
+    },
+
+    isRtl() {
+        return Boolean(this.config.rtl) && this.config.rtl !== '0';
+    },
+
+    /**
+     * Mark a widget root with the page language and direction, so the
+     * browser lays out its text and the stylesheet can mirror it
+     * @param {HTMLElement} element
+     */
+    applyDirection(element) {
+        if (!element) return;
+        element.setAttribute('dir', this.isRtl() ? 'rtl' : 'ltr');
+        element.setAttribute('lang', this.locale);
+    }
+};
@@ -0,0 +1,284 @@
+/**
+ * TSF Link Parser - Recognizes streaming links and rewrites them to a clean,
+ * canonical URL
+ *
+ * parse() returns the platform, the entity type (track, album, artist or
+ * playlist, null when the link does not say), the platform's ID for it and
+ * the canonical URL: tracking parameters, share suffixes and locale prefixes
+ * dropped, spotify: URIs turned into web links.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+const TSFLinkParser = {
+    // Keys are the values of the form's platform field
+    PLATFORMS: {
+        spotify: { name: 'Spotify', icon: '🎵', hosts: ['open.spotify.com', 'play.spotify.com', 'spotify.com', 'spotify.link'] },
+        apple: { name: 'Apple Music', icon: '🍎', hosts: ['music.apple.com', 'itunes.apple.com', 'geo.music.apple.com'] },
+        youtube_music: { name: 'YouTube Music', icon: '🎶', hosts: ['music.youtube.com'] },
+        youtube: { name: 'YouTube', icon: '▶️', hosts: ['youtube.com', 'm.youtube.com', 'youtu.be'] },
+        soundcloud: { name: 'SoundCloud', icon: '🔊', hosts: ['soundcloud.com', 'm.soundcloud.com', 'on.soundcloud.com'] },
+        deezer: { name: 'Deezer', icon: '🎧', hosts: ['deezer.com', 'deezer.page.link', 'link.deezer.com'] },
+        tidal: { name: 'TIDAL', icon: '🌊', hosts: ['tidal.com', 'listen.tidal.com'] },
+        bandcamp: { name: 'Bandcamp', icon: '🎸', hosts: ['bandcamp.com'] },
+        amazon: { name: 'Amazon Music', icon: '📦', hosts: ['music.amazon.com', 'amazon.com'], pattern: /^(?:music\.)?amazon\.(?:com|ca|com\.mx|com\.br|co\.uk|de|fr|it|es|nl|se|pl|in|co\.jp|com\.au)$/ },
+        audiomack: { name: 'Audiomack', icon: '🎤', hosts: ['audiomack.com'] },
+        beatport: { name: 'Beatport', icon: '🎛️', hosts: ['beatport.com'] }
+    },
+
+    TYPE_LABELS: {
+        track: 'Track',
+        album: 'Album',
+        artist: 'Artist',
+        playlist: 'Playlist'
+    },
+
+    // Query parameters that only track where a link was shared
+    TRACKING_PARAMS: /^(?:utm_\w+|si|fbclid|gclid|igshid|feature|ref|ref_|nd|context|app|ls|uo|go|pp|from|_branch_match_id)$/i,
+
+    /**
+     * @param {string} input - URL or spotify: URI
+     * @returns {{platform: string, name: string, icon: string, type: string|null, id: string|null, canonical: string}|null}
+     *          null when the text is not a link to a known platform
+     */
+    parse(input) {
+        const text = String(input || '').trim();
+
+        const uri = /^spotify:(?:user:[^:]+:)?(track|album|artist|playlist):([A-Za-z0-9]{22})$/.exec(text);
+        if (uri) {
+            return this.result('spotify', uri[1], uri[2], `https://open.spotify.com/${uri[1]}/${uri[2]}`);
+        }
+
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : 'https://' + text);
+        } catch (e) {
+            return null;
+        }
+        if (!/^https?:$/.test(url.protocol)) return null;
+
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const platform = this.findPlatform(host);
+        if (!platform) return null;
+
+        const path = url.pathname.split('/').filter(Boolean);
+        const method = 'parse' + platform.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join('');
+        const entity = this[method](path, url, host);
+
+        return entity
+            ? this.result(platform, entity.type, entity.id, entity.canonical)
+            : this.result(platform, null, null, this.stripTracking(url));
+    },
+
+    findPlatform(host) {
+        return Object.keys(this.PLATFORMS).find(key => {
+            const platform = this.PLATFORMS[key];
+            if (platform.pattern && platform.pattern.test(host)) return true;
+            return platform.hosts.some(domain => host === domain || host.endsWith('.' + domain));
+        }) || null;
+    },
+
+    result(platform, type, id, canonical) {
+        const { name, icon } = this.PLATFORMS[platform];
+        return { platform, name, icon, type, id, canonical };
+    },
+
+    /**
+     * The link itself without tracking parameters or a fragment
+     * @param {URL} url
+     */
+    stripTracking(url) {
+        const clean = new URL(url.href);
+        Array.from(clean.searchParams.keys()).forEach(key => {
+            if (this.TRACKING_PARAMS.test(key)) clean.searchParams.delete(key);
+        });
+        clean.hash = '';
+        clean.protocol = 'https:';
+        return clean.href;
+    },
+
+    // ==================== PLATFORMS ====================
+    // Each returns { type, id, canonical }, or null when the path is not an entity
+
+    // /intl-de/track/{id}, /embed/album/{id}, /user/{user}/playlist/{id}
+    parseSpotify(path) {
+        const parts = path.filter(part => !/^intl-[a-z]{2}$/i.test(part) && part !== 'embed');
+        const index = parts.findIndex(part => ['track', 'album', 'artist', 'playlist'].includes(part));
+        const id = index >= 0 ? parts[index + 1] : '';
+
+        if (!/^[A-Za-z0-9]{22}$/.test(id || '')) return null;
+        return { type: parts[index], id, canonical: `https://open.spotify.com/${parts[index]}/${id}` };
+    },
+
+    // /{country}/album/{slug}/{id}?i={track id}, /{country}/song/{slug}/{id}
+    parseApple(path, url) {
+        const country = /^[a-z]{2}$/i.test(path[0] || '') ? path.shift().toLowerCase() : 'us';
+        const kind = path[0];
+        const id = path[path.length - 1] || '';
+        const slug = path.length > 2 ? path[1] + '/' : '';
+        const base = `https://music.apple.com/${country}`;
+
+        if (kind === 'album' && /^\d+$/.test(id)) {
+            const trackId = url.searchParams.get('i');
+            return /^\d+$/.test(trackId || '')
+                ? { type: 'track', id: trackId, canonical: `${base}/album/${slug}${id}?i=${trackId}` }
+                : { type: 'album', id, canonical: `${base}/album/${slug}${id}` };
+        }
+        if (kind === 'song' && /^\d+$/.test(id)) {
+            return { type: 'track', id, canonical: `${base}/song/${slug}${id}` };
+        }
+        if (kind === 'artist' && /^\d+$/.test(id)) {
+            return { type: 'artist', id, canonical: `${base}/artist/${slug}${id}` };
+        }
+        if (kind === 'playlist' && /^pl\.[\w-]+$/.test(id)) {
+            return { type: 'playlist', id, canonical: `${base}/playlist/${slug}${id}` };
+        }
+        return null;
+    },
+
+    // /watch?v={id}, /playlist?list={id}, /browse/{id}, /channel/{id}
+    parseYoutubeMusic(path, url) {
+        const video = url.searchParams.get('v');
+        const list = url.searchParams.get('list');
+
+        if (path[0] === 'watch' && /^[\w-]{11}$/.test(video || '')) {
+            return { type: 'track', id: video, canonical: `https://music.youtube.com/watch?v=${video}` };
+        }
+        if (path[0] === 'playlist' && /^[\w-]+$/.test(list || '')) {
+            // Album playlists carry the OLAK5uy_ prefix
+            return { type: list.startsWith('OLAK5uy_') ? 'album' : 'playlist', id: list, canonical: `https://music.youtube.com/playlist?list=${list}` };
+        }
+        if (path[0] === 'browse' && /^MPREb_[\w-]+$/.test(path[1] || '')) {
+            return { type: 'album', id: path[1], canonical: `https://music.youtube.com/browse/${path[1]}` };
+        }
+        if (path[0] === 'channel' && /^UC[\w-]{22}$/.test(path[1] || '')) {
+            return { type: 'artist', id: path[1], canonical: `https://music.youtube.com/channel/${path[1]}` };
+        }
+        return null;
+    },
+
+    // /watch?v={id}, youtu.be/{id}, /shorts/{id}, /playlist?list={id}, /channel/{id}, /@handle
+    parseYoutube(path, url, host) {
+        const video = host === 'youtu.be' ? path[0] : (['shorts', 'embed', 'live'].includes(path[0]) ? path[1] : url.searchParams.get('v'));
+        const list = url.searchParams.get('list');
+
+        if (/^[\w-]{11}$/.test(video || '')) {
+            return { type: 'track', id: video, canonical: `https://www.youtube.com/watch?v=${video}` };
+        }
+        if (path[0] === 'playlist' && /^[\w-]+$/.test(list || '')) {
+            return { type: 'playlist', id: list, canonical: `https://www.youtube.com/playlist?list=${list}` };
+        }
+        if (path[0] === 'channel' && /^UC[\w-]{22}$/.test(path[1] || '')) {
+            return { type: 'artist', id: path[1], canonical: `https://www.youtube.com/channel/${path[1]}` };
+        }
+        if (/^@[\w.-]+$/.test(path[0] || '')) {
+            return { type: 'artist', id: path[0], canonical: `https://www.youtube.com/${path[0]}` };
+        }
+        return null;
+    },
+
+    // /{user}, /{user}/{track}, /{user}/sets/{set}; the permalink is the ID
+    parseSoundcloud(path, url, host) {
+        const reserved = ['discover', 'search', 'stream', 'you', 'upload', 'charts', 'stations', 'settings', 'messages', 'notifications', 'pages', 'terms-of-use', 'mobile'];
+        if (host === 'on.soundcloud.com' || !path.length || reserved.includes(path[0])) return null;
+
+        const user = path[0].toLowerCase();
+        if (path.length === 1) {
+            return { type: 'artist', id: user, canonical: `https://soundcloud.com/${user}` };
+        }
+        if (path[1] === 'sets' && path[2]) {
+            const id = `${user}/sets/${path[2].toLowerCase()}`;
+            return { type: 'playlist', id, canonical: `https://soundcloud.com/${id}` };
+        }
+        if (!['tracks', 'albums', 'sets', 'reposts', 'likes', 'followers', 'following', 'popular-tracks'].includes(path[1])) {
+            const id = `${user}/${path[1].toLowerCase()}`;
+            return { type: 'track', id, canonical: `https://soundcloud.com/${id}` };
+        }
+        return null;
+    },
+
+    // /{locale}/track/{id}
+    parseDeezer(path) {
+        const parts = /^[a-z]{2}(?:-[a-z]{2})?$/i.test(path[0] || '') ? path.slice(1) : path;
+        if (['track', 'album', 'artist', 'playlist'].includes(parts[0]) && /^\d+$/.test(parts[1] || '')) {
+            return { type: parts[0], id: parts[1], canonical: `https://www.deezer.com/${parts[0]}/${parts[1]}` };
+        }
+        return null;
+    },
+
+    // /browse/track/{id}, /track/{id}, playlists use a UUID
+    parseTidal(path) {
+        const parts = path[0] === 'browse' ? path.slice(1) : path;
+        const pattern = parts[0] === 'playlist' ? /^[0-9a-f-]{36}$/i : /^\d+$/;
+
+        if (['track', 'album', 'artist', 'playlist'].includes(parts[0]) && pattern.test(parts[1] || '')) {
+            return { type: parts[0], id: parts[1], canonical: `https://tidal.com/browse/${parts[0]}/${parts[1]}` };
+        }
+        return null;
+    },
+
+    // {artist}.bandcamp.com/track/{slug}, /album/{slug}, or the artist page itself
+    parseBandcamp(path, url, host) {
+        const subdomain = host.slice(0, -'.bandcamp.com'.length);
+        if (!host.endsWith('.bandcamp.com') || ['www', 'daily', 'm'].includes(subdomain)) return null;
+
+        if (['track', 'album'].includes(path[0]) && path[1]) {
+            const slug = path[1].toLowerCase();
+            return { type: path[0], id: `${subdomain}/${path[0]}/${slug}`, canonical: `https://${host}/${path[0]}/${slug}` };
+        }
+        if (!path.length || path[0] === 'music') {
+            return { type: 'artist', id: subdomain, canonical: `https://${host}/` };
+        }
+        return null;
+    },
+
+    // music.amazon.{tld}/albums/{asin}?trackAsin={asin}, /tracks/{asin}, /artists/{asin}/{slug}, /playlists/{asin}
+    parseAmazon(path, url, host) {
+        const base = `https://${host.startsWith('music.') ? host : 'music.' + host}`;
+        const kinds = { albums: 'album', tracks: 'track', artists: 'artist', playlists: 'playlist', 'user-playlists': 'playlist' };
+        const type = kinds[path[0]];
+        const id = path[1] || '';
+
+        if (!type || !/^[A-Z0-9]{10}$|^[a-f0-9]{32}$/i.test(id)) return null;
+
+        const trackAsin = url.searchParams.get('trackAsin');
+        if (type === 'album' && /^[A-Z0-9]{10}$/i.test(trackAsin || '')) {
+            return { type: 'track', id: trackAsin, canonical: `${base}/albums/${id}?trackAsin=${trackAsin}` };
+        }
+        return { type, id, canonical: `${base}/${path[0]}/${id}` };
+    },
+
+    // /{artist}/song/{slug}, /{artist}/album/{slug}, /{artist}/playlist/{slug}, /{artist}
+    // (older links put the kind first: /song/{artist}/{slug})
+    parseAudiomack(path) {
+        const kinds = { song: 'track', album: 'album', playlist: 'playlist' };
+        let [artist, kind, slug] = path;
+
+        if (kinds[artist] && slug) {
+            [kind, artist] = [artist, kind];
+        }
+        if (!artist || ['search', 'trending-now', 'top', 'dashboard', 'upload'].includes(artist)) return null;
+
+        artist = artist.toLowerCase();
+        if (kinds[kind] && slug) {
+            const id = `${artist}/${kind}/${slug.toLowerCase()}`;
+            return { type: kinds[kind], id, canonical: `https://audiomack.com/${id}` };
+        }
+        if (path.length === 1) {
+            return { type: 'artist', id: artist, canonical: `https://audiomack.com/${artist}` };
+        }
+        return null;
+    },
+
+    // /track/{slug}/{id}, /release/{slug}/{id}, /artist/{slug}/{id}, /chart/{slug}/{id}
+    parseBeatport(path) {
+        const parts = /^[a-z]{2}$/i.test(path[0] || '') ? path.slice(1) : path;
+        const kinds = { track: 'track', release: 'album', artist: 'artist', chart: 'playlist' };
+
+        if (kinds[parts[0]] && parts[1] && /^\d+$/.test(parts[2] || '')) {
+            return { type: kinds[parts[0]], id: parts[2], canonical: `https://www.beatport.com/${parts[0]}/${parts[1].toLowerCase()}/${parts[2]}` };
+        }
+        return null;
+    }
+};
@@ -0,0 +1,301 @@
+/**
+ * TSF Track Import - Turns a pasted track list, a CSV file or a set of audio
+ * files into rows for the V2 form's track repeater
+ *
+ * Text: one track per line, like "1. Title – 3:45", "01 - Title (3:45)" or
+ * just "Title"; an ISRC anywhere on the line is picked up. CSV: comma,
+ * semicolon or tab separated, with a header naming the title, ISRC and
+ * duration columns, or without one (cells are recognized by their content).
+ * Audio: title, track number, ISRC and duration come from TSFAudioInspector.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+const TSFTrackImport = {
+    // Header names accepted for each column (lowercase)
+    COLUMNS: {
+        title: ['title', 'track', 'track title', 'track name', 'song', 'song title', 'name'],
+        isrc: ['isrc', 'isrc code'],
+        duration: ['duration', 'length', 'time', 'runtime']
+    },
+
+    DELIMITERS: [',', ';', '\t'],
+
+    // ISRC with or without the dashes of its printed form
+    ISRC_PATTERN: /\b([A-Z]{2})-?([A-Z0-9]{3})-?(\d{2})-?(\d{5})\b/i,
+
+    // m:ss or h:mm:ss
+    DURATION_PATTERN: /^(?:(\d{1,2}):)?(\d{1,3}):([0-5]\d)$/,
+
+    /**
+     * Parse pasted text or the contents of a CSV/text file
+     * @param {string} text
+     * @returns {{tracks: Array<{title: string, isrc: string, duration: string}>, skipped: string[], header?: string}}
+     *     header is the line read as column names, if any
+     */
+    parse(text) {
+        const lines = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .split(/\r\n|\r|\n/)
+            .filter(line => line.trim() !== '');
+
+        if (!lines.length) {
+            return { tracks: [], skipped: [] };
+        }
+
+        const delimiter = this.detectDelimiter(lines);
+        return delimiter ? this.parseCsv(lines, delimiter) : this.parseList(lines);
+    },
+
+    /**
+     * CSV when the first row is a known header (and, when it has several
+     * cells, other rows split too: "Song, with comma" over a plain list is a
+     * title), or when every row splits into cells and ISRCs or durations sit
+     * in cells of their own
+     * @returns {string|null}
+     */
+    detectDelimiter(lines) {
+        for (const delimiter of this.DELIMITERS) {
+            const cells = this.splitCsvLine(lines[0], delimiter);
+            const split = cells.length < 2 || lines.length < 2
+                || lines.slice(1).some(line => this.splitCsvLine(line, delimiter).length > 1);
+
+            if (split && this.mapHeader(cells)) {
+                return delimiter;
+            }
+        }
+
+        for (const delimiter of this.DELIMITERS) {
+            const rows = lines.map(line => this.splitCsvLine(line, delimiter));
+            if (rows.some(cells => cells.length < 2)) continue;
+
+            const typed = rows.filter(cells => cells.some(cell => this.isIsrc(cell) || this.parseDuration(cell)));
+            if (delimiter === '\t' || typed.length === rows.length) {
+                return delimiter;
+            }
+        }
+
+        return null;
+    },
+
+    parseCsv(lines, delimiter) {
+        const rows = lines.map(line => this.splitCsvLine(line, delimiter));
+        const header = this.mapHeader(rows[0]);
+        const tracks = [];
+        const skipped = [];
+
+        rows.slice(header ? 1 : 0).forEach((cells, index) => {
+            const track = header ? {
+                title: (cells[header.title] || '').trim(),
+                isrc: header.isrc !== undefined ? this.normalizeIsrc(cells[header.isrc]) : '',
+                duration: header.duration !== undefined ? this.parseDuration(cells[header.duration]) : ''
+            } : this.classifyCells(cells);
+
+            if (track.title) {
+                tracks.push(track);
+            } else {
+                skipped.push(lines[index + (header ? 1 : 0)]);
+            }
+        });
+
+        return { tracks, skipped, header: header ? lines[0] : '' };
+    },
+
+    parseList(lines) {
+        const tracks = [];
+        const skipped = [];
+
+        lines.forEach(line => {
+            const track = this.parseLine(line);
+            if (track) {
+                tracks.push(track);
+            } else {
+                skipped.push(line);
+            }
+        });
+
+        return { tracks, skipped };
+    },
+
+    /**
+     * One line of a pasted list: position, title, duration and ISRC
+     * @returns {Object|null} null when no title is left
+     */
+    parseLine(line) {
+        let rest = line.trim();
+        let isrc = '';
+        let duration = '';
+
+        const isrcMatch = rest.match(this.ISRC_PATTERN);
+        if (isrcMatch) {
+            isrc = this.normalizeIsrc(isrcMatch[0]);
+            rest = rest.replace(isrcMatch[0], ' ');
+        }
+
+        // Trailing "– 3:45", "(3:45)" or "[3:45]"
+        const durationMatch = rest.match(/[\s(\[]*(\d{1,2}:\d{1,3}:[0-5]\d|\d{1,3}:[0-5]\d)[\s)\]]*$/);
+        if (durationMatch) {
+            duration = this.parseDuration(durationMatch[1]);
+            rest = rest.slice(0, durationMatch.index);
+        }
+
+        const title = rest
+            // Leading position: "1.", "01 -", "1)", "Track 1:" (a bare "99 Problems" stays a title)
+            .replace(/^\s*(?:track\s*\d{1,3}\s*[.):\-–—]?|\d{1,3}\s*[.):\-–—])\s*/i, '')
+            .replace(/^[\s\-–—|•*]+|[\s\-–—|,;]+$/g, '')
+            .replace(/^["“'](.*)["”']$/, '$1')
+            .trim();
+
+        return title ? { title, isrc, duration } : null;
+    },
+
+    /**
+     * Headerless CSV row: the ISRC and duration cells are recognized by their
+     * content, the first other text cell (not a bare track number) is the title
+     */
+    classifyCells(cells) {
+        const track = { title: '', isrc: '', duration: '' };
+
+        cells.map(cell => cell.trim()).forEach(cell => {
+            if (!track.isrc && this.isIsrc(cell)) {
+                track.isrc = this.normalizeIsrc(cell);
+            } else if (!track.duration && this.parseDuration(cell)) {
+                track.duration = this.parseDuration(cell);
+            } else if (!track.title && cell && !/^\d{1,3}\.?$/.test(cell)) {
+                track.title = cell;
+            }
+        });
+
+        return track;
+    },
+
+    /**
+     * Column positions from a header row. A row naming one column only counts
+     * when none of its cells holds a number, duration or ISRC, so a first
+     * track like "1, Song, 3:45" is not taken for a header.
+     * @returns {Object|null} { title, isrc, duration } indexes, null without a title column
+     */
+    mapHeader(cells) {
+        const names = cells.map(cell => cell.trim().toLowerCase());
+        const columns = {};
+
+        const known = names.filter(name => Object.values(this.COLUMNS).some(aliases => aliases.includes(name)));
+        const data = names.some(name => /^\d+\.?$/.test(name) || this.isIsrc(name) || this.parseDuration(name));
+        if (known.length < 2 && data) {
+            return null;
+        }
+
+        // Aliases in order of preference: "Track, Title" takes the title from "Title"
+        Object.keys(this.COLUMNS).forEach(column => {
+            const alias = this.COLUMNS[column].find(name => names.includes(name));
+            if (alias) columns[column] = names.indexOf(alias);
+        });
+
+        return columns.title !== undefined ? columns : null;
+    },
+
+    /**
+     * Split one CSV line, honoring double-quoted cells ("Title, Part 2")
+     * @returns {string[]}
+     */
+    splitCsvLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+
+        return cells;
+    },
+
+    /**
+     * Read the tags of dropped audio files, in album order: the track numbers
+     * from the tags first, then the file names
+     * @param {FileList|File[]} files
+     * @returns {Promise<{tracks: Array, skipped: string[]}>}
+     */
+    async readFiles(files) {
+        const tracks = [];
+        const skipped = [];
+
+        for (const file of Array.from(files)) {
+            if (!TSFAudioInspector.formatForExtension(file.name)) {
+                skipped.push(file.name);
+                continue;
+            }
+
+            const inspection = await TSFAudioInspector.inspect(file).catch(() => null);
+            const report = inspection && inspection.valid ? inspection.report : null;
+            const metadata = report ? report.metadata : {};
+
+            tracks.push({
+                title: metadata.title || this.titleFromFilename(file.name),
+                isrc: this.normalizeIsrc(metadata.isrc),
+                duration: report ? report.audio.duration_formatted : '',
+                position: parseInt(metadata.track_number, 10) || null,
+                file,
+                error: inspection && !inspection.valid ? inspection.error : ''
+            });
+        }
+
+        tracks.sort((a, b) => ((a.position || Infinity) - (b.position || Infinity))
+            || a.file.name.localeCompare(b.file.name, undefined, { numeric: true }));
+
+        return { tracks, skipped };
+    },
+
+    /**
+     * "03 - My Song.mp3" and "03_my_song.wav" become "My Song" and "my song"
+     */
+    titleFromFilename(name) {
+        return String(name)
+            .replace(/\.[^.]+$/, '')
+            .replace(/_/g, ' ')
+            .replace(/^\s*\d{1,3}\s*[.\-–)]?\s+/, '')
+            .trim();
+    },
+
+    isIsrc(value) {
+        return /^[A-Z]{2}-?[A-Z0-9]{3}-?\d{2}-?\d{5}$/i.test(String(value || '').trim());
+    },
+
+    normalizeIsrc(value) {
+        const text = String(value || '').trim();
+        return this.isIsrc(text) ? text.replace(/-/g, '').toUpperCase() : '';
+    },
+
+    /**
+     * Duration as the form's m:ss, hours folded into the minutes
+     * @returns {string} Empty when the value is not a duration
+     */
+    parseDuration(value) {
+        const match = this.DURATION_PATTERN.exec(String(value || '').trim());
+        if (!match) return '';
+
+        const minutes = (parseInt(match[1] || '0', 10) * 60) + parseInt(match[2], 10);
+        return `${minutes}:${match[3]}`;
+    }
+};
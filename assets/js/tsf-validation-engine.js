@@ -0,0 +1,368 @@
+/**
+ * TSF Validation Engine - Rule-based field validation shared by both forms
+ *
+ * Rules are plain JSON so the server can send them (TSF_Validator::get_client_rules()):
+ *
+ *   {
+ *     "artist": [{ "rule": "required" }, { "rule": "minlength", "value": 2 }],
+ *     "tracks[*][isrc]": [{ "rule": "isrc" }, { "rule": "unique", "message": "..." }],
+ *     "label_manager_email": [{ "rule": "required", "when": { "field": "label", "equals": "Label" } }]
+ *   }
+ *
+ * "*" in a field name matches one repeater index. A rule's "when" makes it
+ * conditional on another field (equals, not_equals, in, filled); inside a
+ * repeater, "*" in that field name means "the same row". Validators may be
+ * async: register() accepts functions returning a Promise.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+class TSFValidationEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.rules - Rule definitions keyed by field name
+     * @param {Function} options.getValue - name => current value
+     * @param {Function} options.getNames - () => names of every field in the form
+     * @param {Object} options.messages - Default messages to replace, keyed by rule (e.g. translations)
+     */
+    constructor(options = {}) {
+        this.getValue = options.getValue || (() => '');
+        this.getNames = options.getNames || (() => []);
+        this.rules = {};
+        this.validators = Object.assign({}, TSFValidationEngine.validators);
+        this.messages = Object.assign({}, TSFValidationEngine.messages, options.messages || {});
+        this.runs = {};
+
+        if (options.rules) this.addRules(options.rules);
+    }
+
+    /**
+     * Validators available to every engine. A validator gets (value, params, context)
+     * and returns true when valid, false to use the rule's message, or a message.
+     */
+    static register(name, validator, message = '') {
+        TSFValidationEngine.validators[name] = validator;
+        if (message) TSFValidationEngine.messages[name] = message;
+    }
+
+    /**
+     * Validator for this engine only
+     */
+    register(name, validator, message = '') {
+        this.validators[name] = validator;
+        if (message) this.messages[name] = message;
+    }
+
+    /**
+     * Add rules, after any already defined for the same field
+     * @param {Object} definitions - { fieldName: [rule, ...] }
+     */
+    addRules(definitions) {
+        Object.entries(definitions || {}).forEach(([field, rules]) => {
+            if (!Array.isArray(rules)) return;
+            this.rules[field] = (this.rules[field] || []).concat(rules.filter(rule => rule && rule.rule));
+        });
+    }
+
+    /**
+     * Rules that apply to a field name, wildcard definitions included
+     * @returns {Array<{rule: Object, pattern: string}>}
+     */
+    getRules(name) {
+        const matches = [];
+        Object.entries(this.rules).forEach(([pattern, rules]) => {
+            if (pattern === name || TSFValidationEngine.patternToRegExp(pattern).test(name)) {
+                rules.forEach(rule => matches.push({ rule, pattern }));
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Whether a required rule currently applies (its condition, if any, holds)
+     */
+    isRequired(name) {
+        return this.getRules(name).some(({ rule }) => rule.rule === 'required' && this.conditionHolds(rule.when, name));
+    }
+
+    /**
+     * Check a value against the field's rules plus any extra ones.
+     * Only the latest run per field counts: an older one still waiting on an
+     * async validator resolves with stale: true.
+     *
+     * @param {string} name - Field name
+     * @param {string} value
+     * @param {Object} options - { label, rules: extra rules (e.g. from HTML attributes) }
+     * @returns {Promise<{valid: boolean, rule?: string, message?: string, stale?: boolean}>}
+     */
+    async validate(name, value, options = {}) {
+        const run = (this.runs[name] || 0) + 1;
+        this.runs[name] = run;
+
+        const rules = (options.rules || []).map(rule => ({ rule, pattern: name })).concat(this.getRules(name));
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        const context = {
+            name,
+            label: options.label || name,
+            engine: this,
+            getValue: (field) => this.getValue(field),
+            // Values of the other fields matching a name pattern (for unique)
+            getValues: (pattern) => this.getNames()
+                .filter(other => other !== name && TSFValidationEngine.patternToRegExp(pattern).test(other))
+                .map(other => String(this.getValue(other) || '').trim())
+        };
+
+        for (const { rule, pattern } of rules) {
+            if (!this.conditionHolds(rule.when, name, pattern)) continue;
+
+            // Only "required" looks at empty values
+            if (!text && rule.rule !== 'required') continue;
+
+            const validator = this.validators[rule.rule];
+            if (!validator) continue;
+
+            let result;
+            try {
+                result = await validator(text, rule.value, Object.assign({ pattern }, context));
+            } catch (e) {
+                // A failing async check (network) should not block the form
+                result = true;
+            }
+
+            if (this.runs[name] !== run) {
+                return { valid: true, stale: true };
+            }
+
+            if (result !== true) {
+                return {
+                    valid: false,
+                    rule: rule.rule,
+                    message: this.formatMessage(typeof result === 'string' ? result : (rule.message || this.messages[rule.rule] || this.messages.invalid), rule.value, context.label)
+                };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * @param {Object} when - { field, equals | not_equals | in | filled }
+     * @param {string} name - Field being validated
+     * @param {string} pattern - Rule's field pattern, to resolve "*" to the same row
+     */
+    conditionHolds(when, name, pattern = name) {
+        if (!when || !when.field) return true;
+
+        let field = when.field;
+        if (field.includes('*')) {
+            const rows = (TSFValidationEngine.patternToRegExp(pattern).exec(name) || []).slice(1);
+            field = field.replace(/\*/g, () => rows.shift() || '*');
+        }
+
+        const value = String(this.getValue(field) || '').trim();
+        const lower = value.toLowerCase();
+
+        if ('equals' in when) return lower === String(when.equals).toLowerCase();
+        if ('not_equals' in when) return lower !== String(when.not_equals).toLowerCase();
+        if (Array.isArray(when.in)) return when.in.map(item => String(item).toLowerCase()).includes(lower);
+        if ('filled' in when) return !!value === !!when.filled;
+        return true;
+    }
+
+    // Placeholders: {label}, {value}, and {min}/{max} for object params
+    formatMessage(message, params, label) {
+        const values = Object.assign(
+            { label, value: params !== null && typeof params !== 'object' ? params : '' },
+            params && typeof params === 'object' && !Array.isArray(params) ? TSFValidationEngine.resolveParams(params) : {}
+        );
+        return String(message).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    // ==================== HELPERS ====================
+
+    // "tracks[*][isrc]" -> /^tracks\[(\d+)\]\[isrc\]$/
+    static patternToRegExp(pattern) {
+        const cache = TSFValidationEngine.patternCache;
+        if (!cache[pattern]) {
+            const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(\\d+)');
+            cache[pattern] = new RegExp('^' + source + '$');
+        }
+        return cache[pattern];
+    }
+
+    /**
+     * A date in YYYY-MM-DD, or relative to today: "today", "+30 days", "-2 years"
+     * @returns {Date|null} Local midnight
+     */
+    static resolveDate(value) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (value === 'today') return today;
+
+        const absolute = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+        if (absolute) {
+            return new Date(parseInt(absolute[1], 10), parseInt(absolute[2], 10) - 1, parseInt(absolute[3], 10));
+        }
+
+        const relative = /^([+-]\d+)\s*(day|week|month|year)s?$/.exec(String(value || '').trim());
+        if (!relative) return null;
+
+        const amount = parseInt(relative[1], 10);
+        const date = new Date(today);
+        switch (relative[2]) {
+            case 'day': date.setDate(date.getDate() + amount); break;
+            case 'week': date.setDate(date.getDate() + amount * 7); break;
+            case 'month': date.setMonth(date.getMonth() + amount); break;
+            case 'year': date.setFullYear(date.getFullYear() + amount); break;
+        }
+        return date;
+    }
+
+    static formatDate(date) {
+        return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+    }
+
+    // Relative dates in { min, max } shown as real dates in messages
+    static resolveParams(params) {
+        const resolved = Object.assign({}, params);
+        ['min', 'max'].forEach(key => {
+            const date = typeof params[key] === 'string' ? TSFValidationEngine.resolveDate(params[key]) : null;
+            if (date) resolved[key] = TSFValidationEngine.formatDate(date);
+        });
+        return resolved;
+    }
+
+    // GTIN check digit (UPC-A, EAN-8, EAN-13, GTIN-14)
+    static isValidGtin(code) {
+        if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+
+        const digits = code.split('').map(Number);
+        const check = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10 === check;
+    }
+}
+
+TSFValidationEngine.patternCache = {};
+
+// Default messages; {label}, {value}, {min} and {max} are filled in
+TSFValidationEngine.messages = {
+    invalid: 'Please check this value',
+    required: '{label} is required to continue',
+    minlength: 'Please enter at least {value} characters',
+    maxlength: 'Please keep this to {value} characters or fewer',
+    pattern: 'Please use the format shown in the example',
+    not_pattern: '{label} contains content that is not allowed',
+    email: 'Please enter a valid email address (e.g., you@example.com)',
+    email_domain_not_in: 'Please use a permanent email address',
+    url: 'Please enter a complete URL starting with https://',
+    url_domains: 'Please use a link from a supported platform',
+    phone: 'Please enter a valid phone number (at least 8 digits)',
+    duration: 'Use minutes and seconds, e.g. 3:45',
+    duration_range: 'Duration must be between {min} and {max} seconds',
+    date: 'Please enter a valid date',
+    date_window: 'Please choose a date between {min} and {max}',
+    min: 'Please enter {value} or more',
+    max: 'Please enter {value} or less',
+    in: 'Please choose one of the listed options',
+    isrc: 'An ISRC is 12 characters: country, registrant, year and number (e.g. USXXX2400001)',
+    isrc_country: 'This ISRC starts with a country code that does not exist',
+    upc: 'This is not a valid UPC/EAN barcode - check the digits',
+    unique: 'This value is already used by another entry'
+};
+
+TSFValidationEngine.validators = {
+    required: (value) => value !== '',
+
+    minlength: (value, length) => value.length >= Number(length),
+
+    maxlength: (value, length) => value.length <= Number(length),
+
+    // value: regex source, or { pattern, flags }
+    pattern: (value, params) => {
+        const rule = typeof params === 'object' && params ? params : { pattern: params };
+        return new RegExp('^(?:' + rule.pattern + ')$', rule.flags || '').test(value);
+    },
+
+    // Fails when the value contains any of the patterns (same shape as pattern, or a list)
+    not_pattern: (value, params) => {
+        const list = Array.isArray(params) ? params : [params];
+        return !list.some(item => {
+            const rule = typeof item === 'object' && item ? item : { pattern: item };
+            return new RegExp(rule.pattern, rule.flags || '').test(value);
+        });
+    },
+
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+
+    email_domain_not_in: (value, domains) => !(domains || []).includes(value.split('@').pop().toLowerCase()),
+
+    url: (value) => {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    url_domains: (value, domains) => {
+        try {
+            const host = new URL(value).hostname.replace(/^www\./, '');
+            return (domains || []).some(domain => host === domain || host.endsWith('.' + domain));
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // 8-20 digits once spaces, dashes, brackets and + are removed
+    phone: (value) => /^[0-9]{8,20}$/.test(value.replace(/[\s\-()+]/g, '')),
+
+    duration: (value) => /^[0-9]{1,3}:[0-5][0-9]$/.test(value),
+
+    // { min, max } in seconds
+    duration_range: (value, range) => {
+        const match = /^(\d{1,3}):([0-5]\d)$/.exec(value);
+        if (!match) return true;
+        const seconds = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        return !(range.min !== undefined && seconds < range.min) && !(range.max !== undefined && seconds > range.max);
+    },
+
+    date: (value) => TSFValidationEngine.resolveDate(value) !== null && /^\d{4}-\d{2}-\d{2}$/.test(value),
+
+    // { min, max }: YYYY-MM-DD or relative ("today", "+2 years"), both inclusive
+    date_window: (value, window) => {
+        const date = TSFValidationEngine.resolveDate(value);
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return TSFValidationEngine.messages.date;
+
+        const min = window.min ? TSFValidationEngine.resolveDate(window.min) : null;
+        const max = window.max ? TSFValidationEngine.resolveDate(window.max) : null;
+        if (min && date < min) return window.min_message || false;
+        if (max && date > max) return window.max_message || false;
+        return true;
+    },
+
+    min: (value, min) => !isNaN(Number(value)) && Number(value) >= Number(min),
+
+    max: (value, max) => !isNaN(Number(value)) && Number(value) <= Number(max),
+
+    in: (value, options) => (options || []).map(String).includes(value),
+
+    // Hyphens and spaces are common in printed ISRCs and ignored here
+    isrc: (value) => /^[A-Z]{2}[A-Z0-9]{3}[0-9]{7}$/.test(value.replace(/[\s-]/g, '').toUpperCase()),
+
+    // value: the allowed country prefixes (TSF_Validator::ISRC_COUNTRY_CODES)
+    isrc_country: (value, codes) => (codes || []).includes(value.replace(/[\s-]/g, '').toUpperCase().slice(0, 2)),
+
+    upc: (value) => TSFValidationEngine.isValidGtin(value.replace(/[\s-]/g, '')),
+
+    // Unique among the fields matching the rule's own pattern (e.g. all tracks[*][isrc]),
+    // or the pattern given as value. Compared case-insensitively, ignoring hyphens and spaces.
+    unique: (value, scope, context) => {
+        const normalize = (text) => text.replace(/[\s-]/g, '').toLowerCase();
+        const mine = normalize(value);
+        return !context.getValues(scope || context.pattern).some(other => other && normalize(other) === mine);
+    }
+};
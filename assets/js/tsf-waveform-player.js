@@ -0,0 +1,297 @@
+/**
+ * TSF Waveform Player - Waveform preview and playback for a local audio file
+ *
+ * The waveform is drawn from the File decoded with the Web Audio API; playback
+ * goes through an <audio> element on an object URL, so nothing is re-uploaded.
+ * Click or use the arrow keys on the waveform to seek.
+ *
+ * Requires tsf-i18n.js (TSFI18n) for its messages.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+class TSFWaveformPlayer {
+    constructor(container) {
+        this.container = container;
+        this.audio = new Audio();
+        this.audio.preload = 'metadata';
+        this.objectUrl = null;
+        this.peaks = null;
+        this.loadId = 0;
+        this.frame = null;
+
+        this.build();
+        this.bindEvents();
+    }
+
+    // Decoding needs the whole file plus its PCM in memory, skip it for huge files
+    static get MAX_DECODE_BYTES() {
+        return 100 * 1024 * 1024;
+    }
+
+    // Number of min/max pairs kept; drawing scales them to the canvas width
+    static get PEAK_COUNT() {
+        return 1000;
+    }
+
+    /**
+     * Show a file: start decoding the waveform and make it playable
+     * @param {File} file
+     */
+    async load(file) {
+        const loadId = ++this.loadId;
+
+        this.unload();
+        this.objectUrl = URL.createObjectURL(file);
+        this.audio.src = this.objectUrl;
+        this.status.textContent = TSFI18n.__('Drawing waveform...');
+        this.draw();
+
+        if (file.size > TSFWaveformPlayer.MAX_DECODE_BYTES) {
+            this.status.textContent = TSFI18n.__('Waveform not shown for files this large - playback still works');
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            this.status.textContent = '';
+            return;
+        }
+
+        const context = new AudioContextClass();
+        try {
+            const buffer = await context.decodeAudioData(await file.arrayBuffer());
+            // A newer file replaced this one while decoding
+            if (loadId !== this.loadId) return;
+
+            this.peaks = this.computePeaks(buffer);
+            this.status.textContent = '';
+            this.draw();
+        } catch (e) {
+            if (loadId === this.loadId) {
+                this.status.textContent = TSFI18n.__('This browser cannot decode the file - waveform unavailable');
+            }
+        } finally {
+            context.close();
+        }
+    }
+
+    /**
+     * Stop playback and release the current file
+     */
+    unload() {
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.peaks = null;
+        this.updateTime();
+        this.updateButton();
+    }
+
+    // ==================== DOM ====================
+
+    build() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tsf-waveform-canvas';
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'slider');
+        this.canvas.setAttribute('aria-label', TSFI18n.__('Seek'));
+        this.canvas.setAttribute('aria-valuemin', '0');
+
+        this.status = document.createElement('p');
+        this.status.className = 'tsf-waveform-status';
+
+        const controls = document.createElement('div');
+        controls.className = 'tsf-waveform-controls';
+
+        this.playBtn = document.createElement('button');
+        this.playBtn.type = 'button';
+        this.playBtn.className = 'tsf-btn tsf-btn-secondary tsf-waveform-play';
+
+        this.time = document.createElement('span');
+        this.time.className = 'tsf-waveform-time';
+
+        controls.appendChild(this.playBtn);
+        controls.appendChild(this.time);
+
+        this.container.appendChild(this.canvas);
+        this.container.appendChild(this.status);
+        this.container.appendChild(controls);
+
+        this.updateButton();
+        this.updateTime();
+    }
+
+    bindEvents() {
+        this.playBtn.addEventListener('click', () => this.toggle());
+
+        this.audio.addEventListener('play', () => {
+            this.updateButton();
+            this.tick();
+        });
+        this.audio.addEventListener('pause', () => this.updateButton());
+        this.audio.addEventListener('ended', () => this.updateButton());
+        this.audio.addEventListener('loadedmetadata', () => this.updateTime());
+        this.audio.addEventListener('timeupdate', () => {
+            this.updateTime();
+            if (this.audio.paused) this.draw();
+        });
+
+        this.canvas.addEventListener('click', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.seekTo(((e.clientX - rect.left) / rect.width) * this.getDuration());
+        });
+
+        this.canvas.addEventListener('keydown', (e) => {
+            const steps = { ArrowLeft: -5, ArrowRight: 5, ArrowDown: -5, ArrowUp: 5 };
+            if (steps[e.key]) {
+                this.seekTo(this.audio.currentTime + steps[e.key]);
+            } else if (e.key === 'Home') {
+                this.seekTo(0);
+            } else if (e.key === 'End') {
+                this.seekTo(this.getDuration());
+            } else if (e.key === ' ' || e.key === 'Enter') {
+                this.toggle();
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    // ==================== PLAYBACK ====================
+
+    toggle() {
+        if (!this.audio.src) return;
+        if (this.audio.paused) {
+            this.audio.play().catch(() => {
+                this.status.textContent = TSFI18n.__('This browser cannot play the file');
+            });
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    seekTo(seconds) {
+        const duration = this.getDuration();
+        if (!duration) return;
+        this.audio.currentTime = Math.max(0, Math.min(duration, seconds));
+        this.updateTime();
+        this.draw();
+    }
+
+    getDuration() {
+        return isFinite(this.audio.duration) ? this.audio.duration : 0;
+    }
+
+    // Redraw the played part every frame while playing
+    tick() {
+        cancelAnimationFrame(this.frame);
+        this.draw();
+        if (!this.audio.paused) {
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+
+    updateButton() {
+        const playing = !this.audio.paused;
+        this.playBtn.textContent = playing ? '⏸ ' + TSFI18n.__('Pause') : '▶ ' + TSFI18n.__('Play');
+        this.playBtn.setAttribute('aria-pressed', playing ? 'true' : 'false');
+        this.playBtn.disabled = !this.objectUrl;
+    }
+
+    updateTime() {
+        const duration = this.getDuration();
+        const current = this.objectUrl ? this.audio.currentTime : 0;
+        this.time.textContent = this.formatTime(current) + ' / ' + this.formatTime(duration);
+        this.canvas.setAttribute('aria-valuemax', String(Math.round(duration)));
+        this.canvas.setAttribute('aria-valuenow', String(Math.round(current)));
+        this.canvas.setAttribute('aria-valuetext', this.time.textContent);
+    }
+
+    formatTime(seconds) {
+        const whole = Math.floor(seconds || 0);
+        return Math.floor(whole / 60) + ':' + String(whole % 60).padStart(2, '0');
+    }
+
+    // ==================== WAVEFORM ====================
+
+    /**
+     * Min/max sample per bucket, channels mixed down
+     * @param {AudioBuffer} buffer
+     * @returns {Float32Array} PEAK_COUNT pairs of [min, max]
+     */
+    computePeaks(buffer) {
+        const count = TSFWaveformPlayer.PEAK_COUNT;
+        const peaks = new Float32Array(count * 2);
+        const bucket = Math.max(1, Math.floor(buffer.length / count));
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+
+        for (let i = 0; i < count; i++) {
+            let min = 0;
+            let max = 0;
+            const end = Math.min(buffer.length, (i + 1) * bucket);
+            for (let s = i * bucket; s < end; s++) {
+                let value = 0;
+                for (let c = 0; c < channels.length; c++) value += channels[c][s];
+                value /= channels.length;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            peaks[i * 2] = min;
+            peaks[i * 2 + 1] = max;
+        }
+
+        return peaks;
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (!width || !height) return;
+
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        // Colors come from the stylesheet (color / border-color of the canvas)
+        const style = getComputedStyle(this.canvas);
+        const middle = height / 2;
+        const duration = this.getDuration();
+        const playedX = duration ? (this.audio.currentTime / duration) * width : 0;
+
+        if (!this.peaks) {
+            ctx.fillStyle = style.borderTopColor;
+            ctx.fillRect(0, middle - ratio / 2, width, ratio);
+        } else {
+            const count = TSFWaveformPlayer.PEAK_COUNT;
+            const barWidth = Math.max(1, Math.floor(2 * ratio));
+            for (let x = 0; x < width; x += barWidth + ratio) {
+                const i = Math.min(count - 1, Math.floor((x / width) * count));
+                const top = middle - Math.max(ratio / 2, -this.peaks[i * 2] * middle);
+                const bottom = middle + Math.max(ratio / 2, this.peaks[i * 2 + 1] * middle);
+                ctx.fillStyle = x < playedX ? style.color : style.borderTopColor;
+                ctx.fillRect(x, top, barWidth, bottom - top);
+            }
+        }
+
+        // Playhead
+        if (duration) {
+            ctx.fillStyle = style.color;
+            ctx.fillRect(Math.min(width - ratio, playedX), 0, ratio, height);
+        }
+    }
+}
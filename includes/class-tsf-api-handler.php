@@ -1,7 +1,8 @@
 <?php
 /**
  * API Handler for Track Verification
- * Handles Spotify, SoundCloud, YouTube Music, and Bandcamp API calls
+ * Handles Spotify, SoundCloud and YouTube API calls; Apple Music, Deezer,
+ * TIDAL and Bandcamp go through TSF_Track_Verifier implementations
  *
  * @package TrackSubmissionForm
  */
@@ -24,6 +25,22 @@ class TSF_API_Handler {
     private $spotify_client_secret;
     private $spotify_access_token;
 
+    /**
+     * TSF_Track_Verifier per platform, built on first use
+     */
+    private $verifiers = null;
+
+    /**
+     * Seconds one verification request may spend on remote lookups, kept
+     * under the usual 30 s max_execution_time
+     */
+    const VERIFY_TIME_BUDGET = 20;
+
+    /**
+     * microtime(true) by which the lookups of the current request must be done
+     */
+    private $verify_deadline = 0;
+
     /**
      * Get singleton instance
      */
@@ -63,11 +80,89 @@ class TSF_API_Handler {
             'permission_callback' => [$this, 'verify_api_permission'],
         ]);
 
+        // The track URL and its streaming links in one request, so a release
+        // with many links costs one request against the rate limit
+        register_rest_route('tsf/v1', '/verify-links', [
+            'methods' => 'POST',
+            'callback' => [$this, 'verify_links'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
+
         register_rest_route('tsf/v1', '/analyze-mp3', [
             'methods' => 'POST',
             'callback' => [$this, 'analyze_mp3'],
             'permission_callback' => [$this, 'verify_api_permission'],
         ]);
+
+        // Which of a release's ISRCs were already sent in earlier submissions
+        register_rest_route('tsf/v1', '/isrc', [
+            'methods' => 'POST',
+            'callback' => [$this, 'check_isrcs'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
+
+        // Chunked, resumable uploads: create session -> send chunks -> finalize (runs analysis)
+        register_rest_route('tsf/v1', '/uploads', [
+            'methods' => 'POST',
+            'callback' => [$this, 'create_upload_session'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
+
+        register_rest_route('tsf/v1', '/uploads/(?P<id>[A-Za-z0-9]{32})', [
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_upload_session'],
+                'permission_callback' => [$this, 'verify_upload_permission'],
+            ],
+            [
+                'methods' => 'DELETE',
+                'callback' => [$this, 'cancel_upload_session'],
+                'permission_callback' => [$this, 'verify_upload_permission'],
+            ],
+        ]);
+
+        register_rest_route('tsf/v1', '/uploads/(?P<id>[A-Za-z0-9]{32})/chunk', [
+            'methods' => 'POST',
+            'callback' => [$this, 'upload_chunk'],
+            'permission_callback' => [$this, 'verify_upload_permission'],
+        ]);
+
+        register_rest_route('tsf/v1', '/uploads/(?P<id>[A-Za-z0-9]{32})/finalize', [
+            'methods' => 'POST',
+            'callback' => [$this, 'finalize_upload_session'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
+
+        // Server-side drafts, resumable from another device via an emailed link
+        register_rest_route('tsf/v1', '/drafts', [
+            'methods' => 'POST',
+            'callback' => [$this, 'create_draft'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
+
+        register_rest_route('tsf/v1', '/drafts/(?P<token>[A-Za-z0-9]{32})', [
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_draft'],
+                'permission_callback' => [$this, 'verify_api_permission'],
+            ],
+            [
+                'methods' => 'POST',
+                'callback' => [$this, 'update_draft'],
+                'permission_callback' => [$this, 'verify_upload_permission'],
+            ],
+            [
+                'methods' => 'DELETE',
+                'callback' => [$this, 'delete_draft'],
+                'permission_callback' => [$this, 'verify_upload_permission'],
+            ],
+        ]);
+
+        register_rest_route('tsf/v1', '/drafts/(?P<token>[A-Za-z0-9]{32})/email', [
+            'methods' => 'POST',
+            'callback' => [$this, 'email_draft_link'],
+            'permission_callback' => [$this, 'verify_api_permission'],
+        ]);
     }
 
     /**
@@ -95,6 +190,23 @@ class TSF_API_Handler {
         return true;
     }
 
+    /**
+     * Verify permission for chunk and draft update requests
+     *
+     * Chunks are not counted against the per-IP rate limit (a 50MB file is
+     * 25+ requests), neither are draft autosaves; the random 32-char session
+     * ID or draft token scopes them instead.
+     */
+    public function verify_upload_permission($request) {
+        $nonce = $request->get_header('X-WP-Nonce');
+        if (!$nonce || !wp_verify_nonce($nonce, 'wp_rest')) {
+            error_log('TSF API: Invalid nonce from IP ' . $this->get_client_ip());
+            return new WP_Error('rest_forbidden', __('Invalid security token', 'tsf'), ['status' => 403]);
+        }
+
+        return true;
+    }
+
     /**
      * Get client IP address
      */
@@ -117,6 +229,81 @@ class TSF_API_Handler {
         return '0.0.0.0';
     }
 
+    /**
+     * Whether a URL is http(s) on a host that resolves only to public addresses
+     *
+     * Keeps the verifiers from being pointed at localhost, the cloud metadata
+     * address or the intranet. wp_safe_remote_get() checks again, redirects included.
+     *
+     * @param string $url
+     * @return bool
+     */
+    private function is_public_url($url) {
+        $parts = wp_parse_url($url);
+        if (empty($parts['scheme']) || !in_array(strtolower($parts['scheme']), ['http', 'https'], true) || empty($parts['host'])) {
+            return false;
+        }
+
+        $host = strtolower(trim($parts['host'], '[]'));
+        if ($host === 'localhost' || substr($host, -10) === '.localhost') {
+            return false;
+        }
+
+        if (filter_var($host, FILTER_VALIDATE_IP)) {
+            $addresses = [$host];
+        } else {
+            $addresses = gethostbynamel($host) ?: [];
+        }
+        if (empty($addresses)) {
+            return false;
+        }
+
+        foreach ($addresses as $address) {
+            if (!filter_var($address, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Look up a release's ISRCs in earlier submissions
+     *
+     * Body: isrcs => [...], up to tsf_max_tracks. Only says which were
+     * seen, not by whom.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function check_isrcs(WP_REST_Request $request) {
+        $isrcs = $request->get_param('isrcs');
+        $max_tracks = (int) apply_filters('tsf_max_tracks', 50);
+
+        if (!is_array($isrcs) || empty($isrcs) || count($isrcs) > $max_tracks || !class_exists('TSF_Validator')) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Invalid request', 'tsf')
+            ], 400);
+        }
+
+        foreach ($isrcs as $isrc) {
+            if (!is_string($isrc) || !TSF_Validator::is_valid_isrc($isrc)) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => sprintf(__('%s is not a valid ISRC', 'tsf'), is_string($isrc) ? sanitize_text_field($isrc) : '')
+                ], 400);
+            }
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'submitted' => TSF_Validator::get_submitted_isrcs($isrcs),
+            ]
+        ], 200);
+    }
+
     /**
      * Verify track from streaming platform
      *
@@ -127,28 +314,106 @@ class TSF_API_Handler {
         // Log request for debugging
         error_log('TSF: verify_track called');
 
-        $platform = $request->get_param('platform');
-        $url = $request->get_param('url');
+        $this->verify_deadline = microtime(true) + self::VERIFY_TIME_BUDGET;
+        $result = $this->verify_link($request->get_param('platform'), $request->get_param('url'));
+
+        if ($result['success']) {
+            return new WP_REST_Response($result, 200);
+        } else {
+            return new WP_REST_Response($result, 400);
+        }
+    }
+
+    /**
+     * Verify several links at once
+     *
+     * Body: links => [{platform, url}, ...], at most MAX_STREAMING_LINKS.
+     * Each result has the shape of a verify-track response, in request order.
+     * Links are looked up one after another within VERIFY_TIME_BUDGET; those
+     * not reached in time come back with deferred => true for the form to
+     * send again.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function verify_links(WP_REST_Request $request) {
+        $links = $request->get_param('links');
+        $max = class_exists('TSF_Validator') ? TSF_Validator::MAX_STREAMING_LINKS : 10;
+
+        if (!is_array($links) || empty($links)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Platform and URL are required', 'tsf')
+            ], 400);
+        }
+
+        if (count($links) > $max) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => sprintf(__('Please add at most %d streaming links', 'tsf'), $max)
+            ], 400);
+        }
+
+        $this->verify_deadline = microtime(true) + self::VERIFY_TIME_BUDGET;
+
+        $results = [];
+        foreach (array_values($links) as $link) {
+            if ($this->verify_deadline - microtime(true) < 2) {
+                $results[] = [
+                    'success' => false,
+                    'deferred' => true,
+                    'message' => __('Not checked yet, please try again', 'tsf')
+                ];
+                continue;
+            }
+
+            $results[] = is_array($link)
+                ? $this->verify_link($link['platform'] ?? '', $link['url'] ?? '')
+                : $this->verify_link('', '');
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'results' => $results
+        ], 200);
+    }
 
-        // Log parameters
-        error_log('TSF: Platform=' . $platform . ', URL=' . $url);
+    /**
+     * Verify one link with the verifier of its platform
+     *
+     * @param string $platform
+     * @param string $url
+     * @return array success plus data, or message on failure
+     */
+    private function verify_link($platform, $url) {
+        $platform = is_string($platform) ? $platform : '';
+        $url = is_string($url) ? $url : '';
 
         // Validate parameters
         if (empty($platform) || empty($url)) {
             error_log('TSF: Missing parameters');
-            return new WP_REST_Response([
+            return [
                 'success' => false,
                 'message' => __('Platform and URL are required', 'tsf')
-            ], 400);
+            ];
         }
 
         // Verify URL format
         if (!filter_var($url, FILTER_VALIDATE_URL)) {
             error_log('TSF: Invalid URL format');
-            return new WP_REST_Response([
+            return [
                 'success' => false,
                 'message' => __('Invalid URL format', 'tsf')
-            ], 400);
+            ];
+        }
+
+        // Verifiers fetch the URL from this server: only public http(s) hosts
+        if (!$this->is_public_url($url)) {
+            error_log('TSF: Refused non-public URL');
+            return [
+                'success' => false,
+                'message' => __('Invalid URL format', 'tsf')
+            ];
         }
 
         // Normalize platform name (convert to lowercase)
@@ -156,41 +421,52 @@ class TSF_API_Handler {
         error_log('TSF: Normalized platform=' . $platform);
 
         // Route to appropriate handler
-        switch ($platform) {
-            case 'spotify':
-                $result = $this->verify_spotify($url);
-                break;
-            case 'soundcloud':
-                $result = $this->verify_soundcloud($url);
-                break;
-            case 'youtube':
-            case 'youtube music':
-                $result = $this->verify_youtube($url);
-                break;
-            case 'bandcamp':
-                $result = $this->verify_bandcamp($url);
-                break;
-            case 'other':
-                $result = [
-                    'success' => true,
-                    'data' => [
-                        'title' => __('Manual Verification Required', 'tsf'),
-                        'artist' => '',
-                        'album' => '',
-                        'cover' => '',
-                        'duration' => '',
-                        'url' => $url,
-                        'match_score' => 0,
-                        'verified' => false
-                    ]
-                ];
-                break;
-            default:
-                error_log('TSF: Unsupported platform: ' . $platform);
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => sprintf(__('Unsupported platform: %s. Please select a valid platform.', 'tsf'), $platform)
-                ], 400);
+        $verifier = $this->get_verifier($platform);
+
+        if ($verifier) {
+            if ($verifier instanceof TSF_Remote_Track_Verifier) {
+                $verifier->set_deadline($this->verify_deadline);
+            }
+            $result = $verifier->verify($url);
+        } else {
+            switch ($platform) {
+                case 'spotify':
+                    $result = $this->verify_spotify($url);
+                    break;
+                case 'soundcloud':
+                    $result = $this->verify_soundcloud($url);
+                    break;
+                case 'youtube':
+                case 'youtube music':
+                case 'youtube_music':
+                    $result = $this->verify_youtube($url);
+                    break;
+                // Recognized by the link parser, but without a public lookup
+                case 'amazon':
+                case 'audiomack':
+                case 'beatport':
+                case 'other':
+                    $result = [
+                        'success' => true,
+                        'data' => [
+                            'title' => __('Manual Verification Required', 'tsf'),
+                            'artist' => '',
+                            'album' => '',
+                            'cover' => '',
+                            'duration' => '',
+                            'url' => $url,
+                            'match_score' => 0,
+                            'verified' => false
+                        ]
+                    ];
+                    break;
+                default:
+                    error_log('TSF: Unsupported platform: ' . $platform);
+                    return [
+                        'success' => false,
+                        'message' => sprintf(__('Unsupported platform: %s. Please select a valid platform.', 'tsf'), $platform)
+                    ];
+            }
         }
 
         // Log result
@@ -199,11 +475,91 @@ class TSF_API_Handler {
             error_log('TSF: Error message=' . ($result['message'] ?? 'No message'));
         }
 
-        if ($result['success']) {
-            return new WP_REST_Response($result, 200);
-        } else {
-            return new WP_REST_Response($result, 400);
+        // What get_link_statuses() reads back when the release is submitted
+        set_transient($this->get_link_cache_key($url), [
+            'success' => !empty($result['success']),
+            'title' => $result['data']['title'] ?? '',
+            'artist' => $result['data']['artist'] ?? '',
+            'match_score' => (int) ($result['data']['match_score'] ?? 0),
+            'verified' => ($result['data']['verified'] ?? true) !== false,
+        ], DAY_IN_SECONDS);
+
+        return $result;
+    }
+
+    /**
+     * Verification status of submitted streaming links
+     *
+     * Taken from this server's own verify_link() results, never from the
+     * form: verified, mismatch (low match score, or title/artist differ from
+     * the first verified link), manual (no lookup for the platform), error,
+     * or '' for links that were not checked.
+     *
+     * @param array $links Entries of TSF_Validator::sanitize_streaming_links()
+     * @return array The links with their status set
+     */
+    public function get_link_statuses($links) {
+        $results = [];
+        $reference = null;
+
+        foreach ($links as $index => $link) {
+            $results[$index] = get_transient($this->get_link_cache_key($link['url']));
+            if (!$reference && !empty($results[$index]['success']) && $results[$index]['verified']) {
+                $reference = $results[$index];
+            }
+        }
+
+        foreach ($links as $index => $link) {
+            $result = $results[$index];
+
+            if (!is_array($result)) {
+                $status = '';
+            } elseif (!$result['success']) {
+                $status = 'error';
+            } elseif (!$result['verified']) {
+                $status = 'manual';
+            } elseif ($result['match_score'] < 80
+                || !$this->same_metadata($result['title'], $reference['title'])
+                || !$this->same_metadata($result['artist'], $reference['artist'])) {
+                $status = 'mismatch';
+            } else {
+                $status = 'verified';
+            }
+
+            $links[$index]['status'] = $status;
         }
+
+        return $links;
+    }
+
+    /**
+     * Transient holding the last verification of a URL, keyed like the
+     * URL is stored with the submission
+     *
+     * @param string $url
+     * @return string
+     */
+    private function get_link_cache_key($url) {
+        return 'tsf_link_' . md5(esc_url_raw(trim($url), ['http', 'https']));
+    }
+
+    /**
+     * Whether two titles or artist names agree, the way the form compares
+     * them: "Song (feat. X) - Single" and "song" are the same. Empty matches anything.
+     *
+     * @param string $a
+     * @param string $b
+     * @return bool
+     */
+    private function same_metadata($a, $b) {
+        $normalize = function ($value) {
+            $value = mb_strtolower((string) $value);
+            $value = preg_replace('/\s*[(\[](?:feat|ft|with)\.?\s[^)\]]*[)\]]/u', '', $value);
+            $value = preg_replace('/\s+-\s+(?:single|ep)$/u', '', $value);
+            return trim(preg_replace('/[^\p{L}\p{N}]+/u', ' ', $value));
+        };
+
+        return $a === '' || $b === '' || $normalize($a) === $normalize($b);
     }
 
     /**
@@ -249,7 +605,7 @@ class TSF_API_Handler {
             'headers' => [
                 'Authorization' => "Bearer {$access_token}"
             ],
-            'timeout' => 15,
+            'timeout' => $this->get_verify_timeout(15),
             'sslverify' => true // Enforce SSL certificate validation
         ]);
 
@@ -288,6 +644,8 @@ class TSF_API_Handler {
             'album' => $body['album']['name'] ?? '',
             'cover' => !empty($body['album']['images']) ? $body['album']['images'][0]['url'] : '',
             'duration' => isset($body['duration_ms']) ? $this->format_duration($body['duration_ms']) : '',
+            'year' => substr($body['album']['release_date'] ?? '', 0, 4),
+            'isrc' => $body['external_ids']['isrc'] ?? '',
             'url' => $body['external_urls']['spotify'] ?? $url,
             'match_score' => 100,
             'verified' => true
@@ -332,7 +690,7 @@ class TSF_API_Handler {
             'body' => [
                 'grant_type' => 'client_credentials'
             ],
-            'timeout' => 15,
+            'timeout' => $this->get_verify_timeout(15),
             'sslverify' => true // Enforce SSL certificate validation
         ]);
 
@@ -375,7 +733,7 @@ class TSF_API_Handler {
 
         // VUL-15 FIX: Enable SSL verification
         $response = wp_remote_get($oembed_url, [
-            'timeout' => 15,
+            'timeout' => $this->get_verify_timeout(15),
             'sslverify' => true
         ]);
 
@@ -440,7 +798,7 @@ class TSF_API_Handler {
 
         // VUL-15 FIX: Enable SSL verification
         $response = wp_remote_get($oembed_url, [
-            'timeout' => 15,
+            'timeout' => $this->get_verify_timeout(15),
             'sslverify' => true
         ]);
 
@@ -483,72 +841,41 @@ class TSF_API_Handler {
     }
 
     /**
-     * Verify Bandcamp track
+     * Verifier for a platform
      *
-     * @param string $url Bandcamp URL
-     * @return array
+     * Plugins and tests can swap one through the 'tsf_track_verifiers' filter,
+     * e.g. for a stand-in that answers without network access.
+     *
+     * @param string $platform Platform key from the form
+     * @return TSF_Track_Verifier|null
      */
-    private function verify_bandcamp($url) {
-        // Bandcamp doesn't have an official API, so we'll do basic scraping
-        // VUL-15 FIX: Enable SSL verification
-        $response = wp_remote_get($url, [
-            'timeout' => 15,
-            'user-agent' => 'WordPress/' . get_bloginfo('version') . '; ' . home_url(),
-            'sslverify' => true
-        ]);
-
-        if (is_wp_error($response)) {
-            return [
-                'success' => false,
-                'message' => __('Failed to connect to Bandcamp', 'tsf')
-            ];
-        }
-
-        $html = wp_remote_retrieve_body($response);
-        $status_code = wp_remote_retrieve_response_code($response);
-
-        if ($status_code !== 200) {
-            return [
-                'success' => false,
-                'message' => __('Track not found on Bandcamp', 'tsf')
-            ];
-        }
-
-        // Extract data from HTML (basic parsing)
-        $title = '';
-        $artist = '';
-        $cover = '';
-
-        // Try to extract title from meta tags
-        if (preg_match('/<meta property="og:title" content="([^"]+)"/', $html, $matches)) {
-            $title = html_entity_decode($matches[1]);
+    private function get_verifier($platform) {
+        if (null === $this->verifiers) {
+            $defaults = class_exists('TSF_Apple_Music_Verifier') ? [
+                'apple' => new TSF_Apple_Music_Verifier(),
+                'deezer' => new TSF_Deezer_Verifier(),
+                'tidal' => new TSF_Tidal_Verifier(),
+                'bandcamp' => new TSF_Bandcamp_Verifier(),
+            ] : [];
+
+            $this->verifiers = (array) apply_filters('tsf_track_verifiers', $defaults);
         }
 
-        // Try to extract artist
-        if (preg_match('/<meta property="og:site_name" content="([^"]+)"/', $html, $matches)) {
-            $artist = html_entity_decode($matches[1]);
-        }
+        $verifier = $this->verifiers[$platform] ?? null;
+        return $verifier instanceof TSF_Track_Verifier ? $verifier : null;
+    }
 
-        // Try to extract cover image
-        if (preg_match('/<meta property="og:image" content="([^"]+)"/', $html, $matches)) {
-            $cover = $matches[1];
+    /**
+     * Remote request timeout, shortened to what is left of VERIFY_TIME_BUDGET
+     *
+     * @param int $seconds Timeout without a deadline
+     * @return float
+     */
+    private function get_verify_timeout($seconds) {
+        if (!$this->verify_deadline) {
+            return $seconds;
         }
-
-        $track_data = [
-            'title' => $title,
-            'artist' => $artist,
-            'album' => '',
-            'cover' => $cover,
-            'duration' => '',
-            'url' => $url,
-            'match_score' => 75,
-            'verified' => true
-        ];
-
-        return [
-            'success' => true,
-            'data' => $track_data
-        ];
+        return max(1, min($seconds, $this->verify_deadline - microtime(true)));
     }
 
     /**
@@ -566,7 +893,7 @@ class TSF_API_Handler {
     }
 
     /**
-     * Analyze MP3 file using getID3
+     * Analyze an uploaded audio file (MP3, WAV, FLAC or AIFF) using getID3
      *
      * @param WP_REST_Request $request
      * @return WP_REST_Response
@@ -577,37 +904,32 @@ class TSF_API_Handler {
         if (empty($files['mp3_file'])) {
             return new WP_REST_Response([
                 'success' => false,
-                'message' => __('No MP3 file uploaded', 'tsf')
+                'message' => __('No audio file uploaded', 'tsf')
             ], 400);
         }
 
         $file = $files['mp3_file'];
 
-        // Validate file type
-        $allowed_types = ['audio/mpeg', 'audio/mp3'];
-        if (!in_array($file['type'], $allowed_types)) {
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => __('Invalid file type. Please upload an MP3 file.', 'tsf')
-            ], 400);
-        }
-
         // Validate file extension (additional security layer)
         $file_ext = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
-        if ($file_ext !== 'mp3') {
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => __('Invalid file extension. Only .mp3 files are allowed.', 'tsf')
-            ], 400);
+        $format = TSF_MP3_Analyzer::get_format_for_extension($file_ext);
+        if (!$format) {
+            return $this->unsupported_format_response();
+        }
+
+        // Validate file type (browsers often send no type for FLAC/AIFF, finfo below is authoritative)
+        $allowed_types = TSF_MP3_Analyzer::FORMATS[$format]['mimes'];
+        if (TSF_MP3_Analyzer::FORMATS[$format]['lossless']) {
+            $allowed_types = array_merge($allowed_types, ['', 'application/octet-stream']);
+        }
+        if (!in_array($file['type'], $allowed_types, true)) {
+            return $this->unsupported_format_response();
         }
 
-        // Validate file size (50MB max)
-        $max_size = 50 * 1024 * 1024;
+        // Validate file size (per format)
+        $max_size = TSF_MP3_Analyzer::get_max_file_size($format);
         if ($file['size'] > $max_size) {
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => __('File too large. Maximum size is 50MB.', 'tsf')
-            ], 400);
+            return $this->file_too_large_response($max_size);
         }
 
         // Check for upload errors
@@ -619,30 +941,81 @@ class TSF_API_Handler {
         }
 
         // SECURITY: Validate MIME type before processing
-        $finfo = finfo_open(FILEINFO_MIME_TYPE);
-        $mime_type = finfo_file($finfo, $file['tmp_name']);
-        finfo_close($finfo);
-
-        $allowed_mimes = ['audio/mpeg', 'audio/mp3', 'audio/mpeg3', 'audio/x-mpeg-3'];
-        if (!in_array($mime_type, $allowed_mimes, true)) {
-            error_log('TSF: Invalid MIME type detected: ' . $mime_type);
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => __('Invalid file type. Only MP3 files are allowed.', 'tsf')
-            ], 400);
+        if (!$this->is_allowed_mime($file['tmp_name'], $format)) {
+            return $this->unsupported_format_response();
         }
 
-        // SECURITY: Enforce maximum file size (50MB)
-        $max_size = 50 * 1024 * 1024;
+        // SECURITY: Enforce maximum file size
         if (filesize($file['tmp_name']) > $max_size) {
             error_log('TSF: File too large: ' . filesize($file['tmp_name']) . ' bytes');
+            return $this->file_too_large_response($max_size);
+        }
+
+        // Save the file to WordPress uploads directory temporarily
+        $tsf_upload_dir = $this->get_submissions_dir();
+
+        // SECURITY: Generate completely random filename (don't trust user input)
+        $unique_filename = $this->generate_stored_filename($file_ext);
+        $destination = $tsf_upload_dir . '/' . $unique_filename;
+
+        // Move uploaded file to permanent location
+        if (!move_uploaded_file($file['tmp_name'], $destination)) {
             return new WP_REST_Response([
                 'success' => false,
-                'message' => __('File too large. Maximum size is 50MB.', 'tsf')
-            ], 400);
+                'message' => __('Failed to save audio file.', 'tsf')
+            ], 500);
         }
 
-        // Save MP3 to WordPress uploads directory temporarily
+        return $this->analyze_stored_file($destination);
+    }
+
+    /**
+     * Check the real MIME type (finfo) against the format's allowed list
+     *
+     * @param string $path   File to inspect
+     * @param string $format Format key from TSF_MP3_Analyzer::FORMATS
+     * @return bool
+     */
+    private function is_allowed_mime($path, $format) {
+        $finfo = finfo_open(FILEINFO_MIME_TYPE);
+        $mime_type = finfo_file($finfo, $path);
+        finfo_close($finfo);
+
+        if (!in_array($mime_type, TSF_MP3_Analyzer::FORMATS[$format]['mimes'], true)) {
+            error_log('TSF: Invalid MIME type detected: ' . $mime_type);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Random stored filename keeping the (validated) extension
+     */
+    private function generate_stored_filename($extension) {
+        return 'tsf_' . time() . '_' . wp_generate_password(16, false) . '.' . strtolower($extension);
+    }
+
+    private function unsupported_format_response() {
+        return new WP_REST_Response([
+            'success' => false,
+            'message' => __('Invalid file type. Only MP3, WAV, FLAC and AIFF files are allowed.', 'tsf')
+        ], 400);
+    }
+
+    private function file_too_large_response($max_size) {
+        return new WP_REST_Response([
+            'success' => false,
+            'message' => sprintf(__('File too large. Maximum size is %s.', 'tsf'), size_format($max_size))
+        ], 400);
+    }
+
+    /**
+     * Get the protected submissions directory, creating it on first use
+     *
+     * @return string Absolute path without trailing slash
+     */
+    private function get_submissions_dir() {
         $upload_dir = wp_upload_dir();
         $tsf_upload_dir = $upload_dir['basedir'] . '/tsf-submissions';
 
@@ -653,19 +1026,22 @@ class TSF_API_Handler {
             file_put_contents($tsf_upload_dir . '/.htaccess', 'deny from all');
         }
 
-        // SECURITY: Generate completely random filename (don't trust user input)
-        $unique_filename = 'tsf_' . time() . '_' . wp_generate_password(16, false) . '.mp3';
-        $destination = $tsf_upload_dir . '/' . $unique_filename;
+        return $tsf_upload_dir;
+    }
 
-        // Move uploaded file to permanent location
-        if (!move_uploaded_file($file['tmp_name'], $destination)) {
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => __('Failed to save MP3 file.', 'tsf')
-            ], 500);
-        }
+    /**
+     * Analyze a file already saved in the submissions directory
+     *
+     * The file is deleted when analysis fails.
+     *
+     * @param string $destination Absolute path of the saved file
+     * @return WP_REST_Response
+     */
+    private function analyze_stored_file($destination) {
+        $upload_dir = wp_upload_dir();
+        $unique_filename = basename($destination);
 
-        // Analyze using our MP3 Analyzer class
+        // Analyze using our audio analyzer class
         try {
             $analyzer = new TSF_MP3_Analyzer();
             $analysis = $analyzer->analyze($destination);
@@ -676,7 +1052,7 @@ class TSF_API_Handler {
                 @unlink($destination);
                 return new WP_REST_Response([
                     'success' => false,
-                    'message' => $analysis['error'] ?? __('Failed to analyze MP3', 'tsf')
+                    'message' => $analysis['error'] ?? __('Failed to analyze audio file', 'tsf')
                 ], 400);
             }
 
@@ -705,9 +1081,579 @@ class TSF_API_Handler {
 
             return new WP_REST_Response([
                 'success' => false,
-                'message' => __('Error analyzing MP3. Please try a different file or contact support.', 'tsf')
+                'message' => __('Error analyzing audio file. Please try a different file or contact support.', 'tsf')
+            ], 500);
+        }
+    }
+
+    /**
+     * Start a chunked upload session
+     *
+     * @param WP_REST_Request $request Expects filename and size
+     * @return WP_REST_Response
+     */
+    public function create_upload_session(WP_REST_Request $request) {
+        $filename = sanitize_file_name((string) $request->get_param('filename'));
+        $size = absint($request->get_param('size'));
+
+        $file_ext = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+        $format = TSF_MP3_Analyzer::get_format_for_extension($file_ext);
+        if (!$format) {
+            return $this->unsupported_format_response();
+        }
+
+        $max_size = TSF_MP3_Analyzer::get_max_file_size($format);
+        if ($size < 1 || $size > $max_size) {
+            return $this->file_too_large_response($max_size);
+        }
+
+        $this->purge_stale_uploads();
+
+        $upload_id = wp_generate_password(32, false);
+        $part_file = $this->get_upload_part_path($upload_id);
+
+        if (false === file_put_contents($part_file, '')) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Failed to save audio file.', 'tsf')
+            ], 500);
+        }
+
+        set_transient('tsf_upload_' . $upload_id, [
+            'filename' => $filename,
+            'size' => $size,
+            'created' => time(),
+        ], DAY_IN_SECONDS);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'upload_id' => $upload_id,
+                'chunk_size' => $this->get_upload_chunk_size(),
+                'received' => 0,
+                'size' => $size,
+            ]
+        ], 200);
+    }
+
+    /**
+     * Report how many bytes of a session have been stored (used to resume)
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_upload_session(WP_REST_Request $request) {
+        $upload_id = $request->get_param('id');
+        $session = $this->get_upload_session_data($upload_id);
+
+        if (!$session) {
+            return $this->upload_session_expired();
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'upload_id' => $upload_id,
+                'chunk_size' => $this->get_upload_chunk_size(),
+                'received' => $this->get_upload_received($upload_id),
+                'size' => $session['size'],
+            ]
+        ], 200);
+    }
+
+    /**
+     * Append one chunk (raw request body) at the given offset
+     *
+     * A mismatched offset returns 409 with the server's byte count so the
+     * client can continue from there.
+     *
+     * @param WP_REST_Request $request Expects offset query param
+     * @return WP_REST_Response
+     */
+    public function upload_chunk(WP_REST_Request $request) {
+        $upload_id = $request->get_param('id');
+        $session = $this->get_upload_session_data($upload_id);
+
+        if (!$session) {
+            return $this->upload_session_expired();
+        }
+
+        $offset = absint($request->get_param('offset'));
+        $chunk = $request->get_body();
+        $length = strlen($chunk);
+
+        if ($length === 0 || $length > $this->get_upload_chunk_size()) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Invalid chunk size.', 'tsf')
+            ], 400);
+        }
+
+        // A retried chunk can race the original request: the size check and
+        // the write happen under one lock, so only one of them lands
+        $handle = fopen($this->get_upload_part_path($upload_id), 'c');
+        if (!$handle || !flock($handle, LOCK_EX)) {
+            if ($handle) {
+                fclose($handle);
+            }
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Failed to save audio file.', 'tsf')
+            ], 500);
+        }
+
+        $stat = fstat($handle);
+        $received = (int) $stat['size'];
+
+        if ($offset !== $received) {
+            $response = new WP_REST_Response([
+                'success' => false,
+                'message' => __('Chunk offset does not match the stored data.', 'tsf'),
+                'data' => ['received' => $received]
+            ], 409);
+        } elseif ($received + $length > $session['size']) {
+            $response = new WP_REST_Response([
+                'success' => false,
+                'message' => __('Chunk exceeds the declared file size.', 'tsf')
+            ], 400);
+        } elseif (fseek($handle, $received) !== 0 || fwrite($handle, $chunk) !== $length || !fflush($handle)) {
+            // Drop a partial write so the client can send the chunk again
+            ftruncate($handle, $received);
+            $response = new WP_REST_Response([
+                'success' => false,
+                'message' => __('Failed to save audio file.', 'tsf')
+            ], 500);
+        } else {
+            $response = new WP_REST_Response([
+                'success' => true,
+                'data' => ['received' => $received + $length]
+            ], 200);
+        }
+
+        flock($handle, LOCK_UN);
+        fclose($handle);
+
+        return $response;
+    }
+
+    /**
+     * Assemble a completed session and analyze it like /analyze-mp3
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function finalize_upload_session(WP_REST_Request $request) {
+        $upload_id = $request->get_param('id');
+        $session = $this->get_upload_session_data($upload_id);
+
+        if (!$session) {
+            return $this->upload_session_expired();
+        }
+
+        $received = $this->get_upload_received($upload_id);
+        if ($received !== (int) $session['size']) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Upload is incomplete.', 'tsf'),
+                'data' => ['received' => $received]
+            ], 409);
+        }
+
+        $part_file = $this->get_upload_part_path($upload_id);
+        $file_ext = strtolower(pathinfo($session['filename'], PATHINFO_EXTENSION));
+        $format = TSF_MP3_Analyzer::get_format_for_extension($file_ext);
+
+        // SECURITY: Validate MIME type of the assembled file
+        if (!$format || !$this->is_allowed_mime($part_file, $format)) {
+            $this->delete_upload_session($upload_id);
+            return $this->unsupported_format_response();
+        }
+
+        // SECURITY: Generate completely random filename (don't trust user input)
+        $unique_filename = $this->generate_stored_filename($file_ext);
+        $destination = $this->get_submissions_dir() . '/' . $unique_filename;
+
+        if (!rename($part_file, $destination)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Failed to save audio file.', 'tsf')
+            ], 500);
+        }
+
+        delete_transient('tsf_upload_' . $upload_id);
+
+        return $this->analyze_stored_file($destination);
+    }
+
+    /**
+     * Cancel a session and delete its partial data
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function cancel_upload_session(WP_REST_Request $request) {
+        $this->delete_upload_session($request->get_param('id'));
+
+        return new WP_REST_Response(['success' => true], 200);
+    }
+
+    private function get_upload_session_data($upload_id) {
+        $session = get_transient('tsf_upload_' . $upload_id);
+        if (!is_array($session) || !file_exists($this->get_upload_part_path($upload_id))) {
+            return null;
+        }
+        return $session;
+    }
+
+    private function upload_session_expired() {
+        return new WP_REST_Response([
+            'success' => false,
+            'message' => __('Upload session expired. Please select the file again.', 'tsf')
+        ], 404);
+    }
+
+    private function get_upload_received($upload_id) {
+        $part_file = $this->get_upload_part_path($upload_id);
+        clearstatcache(true, $part_file);
+        return file_exists($part_file) ? (int) filesize($part_file) : 0;
+    }
+
+    private function delete_upload_session($upload_id) {
+        delete_transient('tsf_upload_' . $upload_id);
+        @unlink($this->get_upload_part_path($upload_id));
+    }
+
+    /**
+     * Partial files live in a subfolder of the protected submissions directory
+     */
+    private function get_upload_part_path($upload_id) {
+        $partial_dir = $this->get_submissions_dir() . '/partial';
+        if (!file_exists($partial_dir)) {
+            wp_mkdir_p($partial_dir);
+        }
+        return $partial_dir . '/' . $upload_id . '.part';
+    }
+
+    /**
+     * Largest chunk we accept, kept under post_max_size
+     */
+    private function get_upload_chunk_size() {
+        $chunk_size = 2 * 1024 * 1024;
+        $post_max_size = wp_convert_hr_to_bytes(ini_get('post_max_size'));
+        if ($post_max_size > 0) {
+            $chunk_size = min($chunk_size, $post_max_size - 64 * 1024);
+        }
+        return (int) apply_filters('tsf_upload_chunk_size', max(256 * 1024, $chunk_size));
+    }
+
+    /**
+     * Delete partial files abandoned for more than a day
+     */
+    private function purge_stale_uploads() {
+        $partials = glob($this->get_submissions_dir() . '/partial/*.part');
+        if (!$partials) {
+            return;
+        }
+
+        foreach ($partials as $partial) {
+            if (filemtime($partial) < time() - DAY_IN_SECONDS) {
+                @unlink($partial);
+            }
+        }
+    }
+
+    /**
+     * Create a draft from the form's current state
+     *
+     * @param WP_REST_Request $request Expects step, fields and analyses
+     * @return WP_REST_Response
+     */
+    public function create_draft(WP_REST_Request $request) {
+        $draft = $this->read_draft_payload($request);
+        if (!$draft) {
+            return $this->draft_too_large();
+        }
+
+        $token = wp_generate_password(32, false);
+        $draft['email'] = '';
+        $draft['emails_sent'] = 0;
+        $this->save_draft_data($token, $draft);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'token' => $token,
+                'expires' => time() + $this->get_draft_lifetime(),
+            ]
+        ], 200);
+    }
+
+    /**
+     * Replace the saved state of an existing draft (autosave)
+     *
+     * @param WP_REST_Request $request Expects step, fields and analyses
+     * @return WP_REST_Response
+     */
+    public function update_draft(WP_REST_Request $request) {
+        $token = $request->get_param('token');
+        $existing = $this->get_draft_data($token);
+
+        if (!$existing) {
+            return $this->draft_expired();
+        }
+
+        $draft = $this->read_draft_payload($request);
+        if (!$draft) {
+            return $this->draft_too_large();
+        }
+
+        $draft['email'] = $existing['email'];
+        $draft['emails_sent'] = $existing['emails_sent'];
+        $this->save_draft_data($token, $draft);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'token' => $token,
+                'expires' => time() + $this->get_draft_lifetime(),
+            ]
+        ], 200);
+    }
+
+    /**
+     * Return a draft for rehydration
+     *
+     * Analyses whose stored file has been removed or is past the retention
+     * window are left out, the artist has to upload those files again.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_draft(WP_REST_Request $request) {
+        $draft = $this->get_draft_data($request->get_param('token'));
+
+        if (!$draft) {
+            return $this->draft_expired();
+        }
+
+        $upload_dir = wp_upload_dir();
+        $cutoff = time() - $this->get_draft_lifetime();
+        $analyses = array_values(array_filter($draft['analyses'], function ($item) use ($upload_dir, $cutoff) {
+            $path = $upload_dir['basedir'] . $item['report']['temp_file_path'];
+            return file_exists($path) && filemtime($path) >= $cutoff;
+        }));
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'step' => $draft['step'],
+                'fields' => $draft['fields'],
+                'analyses' => $analyses,
+                'expired_analyses' => count($draft['analyses']) - count($analyses),
+                'updated' => $draft['updated'],
+            ]
+        ], 200);
+    }
+
+    /**
+     * Drop a draft once the submission went through
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function delete_draft(WP_REST_Request $request) {
+        delete_transient('tsf_draft_' . $request->get_param('token'));
+
+        return new WP_REST_Response(['success' => true], 200);
+    }
+
+    /**
+     * Email the artist a magic link that reopens the draft
+     *
+     * @param WP_REST_Request $request Expects email and page_url
+     * @return WP_REST_Response
+     */
+    public function email_draft_link(WP_REST_Request $request) {
+        $token = $request->get_param('token');
+        $draft = $this->get_draft_data($token);
+
+        if (!$draft) {
+            return $this->draft_expired();
+        }
+
+        $email = sanitize_email((string) $request->get_param('email'));
+        if (!is_email($email)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Please enter a valid email address.', 'tsf')
+            ], 400);
+        }
+
+        // Links go out by email, so cap them per draft on top of the IP limit
+        if ($draft['emails_sent'] >= 5) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('Too many links sent for this draft. Please use one of the links already in your inbox.', 'tsf')
+            ], 429);
+        }
+
+        // Only link back to pages on this site
+        $page_url = wp_validate_redirect(esc_url_raw((string) $request->get_param('page_url')), home_url('/'));
+        $resume_url = add_query_arg('tsf_draft', $token, remove_query_arg('tsf_draft', $page_url));
+        $lifetime_days = max(1, (int) round($this->get_draft_lifetime() / DAY_IN_SECONDS));
+
+        $subject = sprintf(__('Continue your track submission on %s', 'tsf'), wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES));
+
+        $body_parts = [
+            __('Hi,', 'tsf'),
+            '',
+            __('Here is your link to continue your track submission where you left off, on any device:', 'tsf'),
+            '',
+            $resume_url,
+            '',
+            sprintf(_n(
+                'The link stays valid for %d day after your last change. Anyone with this link can open your draft, so please do not share it.',
+                'The link stays valid for %d days after your last change. Anyone with this link can open your draft, so please do not share it.',
+                $lifetime_days,
+                'tsf'
+            ), $lifetime_days),
+        ];
+
+        $headers = ['Content-Type: text/plain; charset=UTF-8'];
+        if (!wp_mail($email, $subject, implode("\n", $body_parts), $headers)) {
+            error_log('TSF Drafts: Failed to send resume link');
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => __('The email could not be sent. Please try again later.', 'tsf')
             ], 500);
         }
+
+        $draft['email'] = $email;
+        $draft['emails_sent']++;
+        $this->save_draft_data($token, $draft);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'message' => __('Link sent! Check your inbox.', 'tsf')
+        ], 200);
+    }
+
+    /**
+     * Sanitized draft state from a request, null when it is too large
+     */
+    private function read_draft_payload(WP_REST_Request $request) {
+        $fields = $request->get_param('fields');
+        $analyses = $request->get_param('analyses');
+
+        // Plenty for 20 tracks with full analysis reports
+        if (strlen((string) wp_json_encode([$fields, $analyses])) > 512 * 1024) {
+            return null;
+        }
+
+        $steps = class_exists('TSF_Form_V2') ? count(TSF_Form_V2::get_instance()->get_form_schema()['steps']) : 1;
+
+        return [
+            'step' => min(max(1, $steps), max(1, absint($request->get_param('step')))),
+            'fields' => $this->sanitize_draft_fields(is_array($fields) ? $fields : []),
+            'analyses' => $this->sanitize_draft_analyses(is_array($analyses) ? $analyses : []),
+            'updated' => time(),
+        ];
+    }
+
+    /**
+     * Field name => value pairs, as posted by the form
+     */
+    private function sanitize_draft_fields($fields) {
+        $clean = [];
+
+        foreach (array_slice($fields, 0, 500, true) as $name => $value) {
+            if (!is_string($name) || !preg_match('/^[A-Za-z0-9_\-\[\]]{1,100}$/', $name) || !is_scalar($value)) {
+                continue;
+            }
+            if (in_array($name, ['tsf_nonce', 'tsf_hp', '_wp_http_referer'], true)) {
+                continue;
+            }
+            $clean[$name] = sanitize_textarea_field((string) $value);
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Per-track analysis reports; entries without a valid stored file are dropped
+     */
+    private function sanitize_draft_analyses($analyses) {
+        $clean = [];
+        $max_tracks = (int) apply_filters('tsf_max_tracks', 50);
+
+        foreach (array_slice($analyses, 0, $max_tracks) as $item) {
+            if (!is_array($item) || !isset($item['report']) || !is_array($item['report'])) {
+                continue;
+            }
+
+            $report = $this->sanitize_draft_value($item['report']);
+            $temp_file_path = isset($report['temp_file_path']) ? $report['temp_file_path'] : '';
+            if (!preg_match('#^/tsf-submissions/tsf_[0-9]+_[A-Za-z0-9]+\.(mp3|wav|flac|aiff?)$#', $temp_file_path)) {
+                continue;
+            }
+
+            $clean[] = [
+                'track' => max(1, absint($item['track'] ?? 1)),
+                'report' => $report,
+            ];
+        }
+
+        return $clean;
+    }
+
+    private function sanitize_draft_value($value, $depth = 0) {
+        if (is_array($value)) {
+            if ($depth >= 4) {
+                return [];
+            }
+            $clean = [];
+            foreach (array_slice($value, 0, 100, true) as $key => $item) {
+                $clean[is_int($key) ? $key : sanitize_key($key)] = $this->sanitize_draft_value($item, $depth + 1);
+            }
+            return $clean;
+        }
+
+        if (is_bool($value) || is_int($value) || is_float($value)) {
+            return $value;
+        }
+
+        return is_string($value) ? sanitize_text_field($value) : '';
+    }
+
+    private function get_draft_data($token) {
+        $draft = get_transient('tsf_draft_' . $token);
+        return is_array($draft) ? $draft : null;
+    }
+
+    // Every save restarts the lifetime
+    private function save_draft_data($token, $draft) {
+        set_transient('tsf_draft_' . $token, $draft, $this->get_draft_lifetime());
+    }
+
+    /**
+     * How long drafts (and the analyzed files they refer to) are kept
+     */
+    private function get_draft_lifetime() {
+        return (int) apply_filters('tsf_draft_lifetime', 7 * DAY_IN_SECONDS);
+    }
+
+    private function draft_expired() {
+        return new WP_REST_Response([
+            'success' => false,
+            'message' => __('This draft has expired or no longer exists.', 'tsf')
+        ], 404);
+    }
+
+    private function draft_too_large() {
+        return new WP_REST_Response([
+            'success' => false,
+            'message' => __('The draft is too large to be saved.', 'tsf')
+        ], 413);
     }
 
     /**
@@ -44,6 +44,7 @@ class TSF_Core {
     private function load_dependencies() {
         require_once TSF_PLUGIN_DIR . 'includes/class-tsf-logger.php';
         require_once TSF_PLUGIN_DIR . 'includes/class-tsf-validator.php';
+        require_once TSF_PLUGIN_DIR . 'includes/class-tsf-i18n.php';
         require_once TSF_PLUGIN_DIR . 'includes/class-tsf-workflow.php';
         require_once TSF_PLUGIN_DIR . 'includes/class-tsf-mailer.php';
         require_once TSF_PLUGIN_DIR . 'includes/class-tsf-submission.php';
@@ -165,16 +166,14 @@ class TSF_Core {
             return;
         }
 
-        wp_enqueue_script('tsf-form', TSF_PLUGIN_URL . 'assets/js/tsf-form.js', [], TSF_VERSION, true);
+        // Messages, locale and direction (tsfI18n)
+        TSF_I18n::enqueue_script();
+
+        wp_enqueue_script('tsf-form', TSF_PLUGIN_URL . 'assets/js/tsf-form.js', ['tsf-i18n'], TSF_VERSION, true);
         wp_localize_script('tsf-form', 'tsfData', [
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('tsf_nonce'),
             'dropbox' => esc_url(get_option('tsf_dropbox_url')),
-            'messages' => [
-                'error' => __('An error occurred. Please try again.', 'tsf'),
-                'loading' => __('Processing...', 'tsf'),
-                'success' => __('Submission successful!', 'tsf'),
-            ]
         ]);
 
         // Legacy CSS removed - Form V2 handles its own styling (tsf-form-v2.css)
@@ -14,6 +14,29 @@ class TSF_Form_V2 {
 
     private static $instance = null;
 
+    // Field types a form layout may use
+    const SCHEMA_FIELD_TYPES = ['text', 'email', 'url', 'tel', 'number', 'date', 'select', 'textarea', 'checkbox', 'radio'];
+
+    // Widgets a form layout may place, with the fields each one posts
+    const SCHEMA_WIDGETS = [
+        'track_lookup' => [],
+        'release_date' => ['release_date', 'release_status', 'release_date_method'],
+        'audio_upload' => [],
+        'country' => ['country'],
+        'territories' => ['territories'],
+        'newsletter_optin' => ['optin'],
+        'summary' => [],
+    ];
+
+    // Widgets the track repeater may place in each row
+    const TRACK_WIDGETS = ['track_upload', 'track_credits'];
+
+    // Fields the submission handler requires, so no layout may drop them
+    const REQUIRED_SCHEMA_FIELDS = ['track_url', 'artist', 'genre', 'release_date', 'tracks', 'email', 'label', 'country', 'description'];
+
+    // Fields the submission handler stores itself; any other layout field is kept as an extra field
+    const CORE_FIELDS = ['artist', 'album_title', 'genre', 'release_date', 'email', 'phone', 'track_url', 'social_url', 'label', 'country', 'territories', 'description', 'optin'];
+
     public static function get_instance() {
         if (null === self::$instance) {
             self::$instance = new self();
@@ -37,15 +60,78 @@ class TSF_Form_V2 {
             return;
         }
 
-        // JS - Country select (load first, no dependencies)
+        // JS - Message catalog and locale formatting (load first, no dependencies)
+        TSF_I18n::enqueue_script();
+
+        // JS - Country select
         wp_enqueue_script(
             'tsf-country-select',
             TSF_PLUGIN_URL . 'assets/js/tsf-country-select.js',
+            ['tsf-i18n'],
+            TSF_VERSION,
+            true
+        );
+
+        // Country suggestion: a hint the server already has, and whether the admin allows an IP lookup
+        wp_localize_script('tsf-country-select', 'tsfCountryConfig', [
+            'hint' => $this->get_country_hint(),
+            'ipLookup' => (bool) get_option('tsf_country_ip_lookup', 0),
+        ]);
+
+        // JS - Browser-side MP3 header check (messages from the i18n catalog)
+        wp_enqueue_script(
+            'tsf-audio-inspector',
+            TSF_PLUGIN_URL . 'assets/js/tsf-audio-inspector.js',
+            ['tsf-i18n'],
+            TSF_VERSION,
+            true
+        );
+
+        // JS - Chunked, resumable upload client (messages from the i18n catalog)
+        wp_enqueue_script(
+            'tsf-chunked-upload',
+            TSF_PLUGIN_URL . 'assets/js/tsf-chunked-upload.js',
+            ['tsf-i18n'],
+            TSF_VERSION,
+            true
+        );
+
+        // JS - Waveform preview and player (messages from the i18n catalog)
+        wp_enqueue_script(
+            'tsf-waveform-player',
+            TSF_PLUGIN_URL . 'assets/js/tsf-waveform-player.js',
+            ['tsf-i18n'],
+            TSF_VERSION,
+            true
+        );
+
+        // JS - Validation rule engine (no dependencies)
+        wp_enqueue_script(
+            'tsf-validation-engine',
+            TSF_PLUGIN_URL . 'assets/js/tsf-validation-engine.js',
             [],
             TSF_VERSION,
             true
         );
 
+        // JS - Streaming link parser (no dependencies)
+        wp_enqueue_script(
+            'tsf-link-parser',
+            TSF_PLUGIN_URL . 'assets/js/tsf-link-parser.js',
+            [],
+            TSF_VERSION,
+            true
+        );
+
+        // JS - Track list import (reads audio tags with the audio inspector)
+        wp_enqueue_script(
+            'tsf-track-import',
+            TSF_PLUGIN_URL . 'assets/js/tsf-track-import.js',
+            ['tsf-audio-inspector'],
+            TSF_VERSION,
+            true
+        );
+
         // JS - Multi-step form
         // Get cache buster for JS too
         $cache_buster = get_option('tsf_cache_buster', TSF_VERSION);
@@ -53,7 +139,7 @@ class TSF_Form_V2 {
         wp_enqueue_script(
             'tsf-form-v2',
             TSF_PLUGIN_URL . 'assets/js/tsf-form-v2.js',
-            ['tsf-country-select'],
+            ['tsf-i18n', 'tsf-country-select', 'tsf-audio-inspector', 'tsf-chunked-upload', 'tsf-waveform-player', 'tsf-validation-engine', 'tsf-track-import', 'tsf-link-parser'],
             $cache_buster,
             true
         );
@@ -64,25 +150,22 @@ class TSF_Form_V2 {
             'nonce' => wp_create_nonce('tsf_form_v2'),
             'rest_url' => rest_url('tsf/v1/'),
             'rest_nonce' => wp_create_nonce('wp_rest'),
-            'i18n' => [
-                'step1_title' => __('Find Your Track', 'tsf'),
-                'step2_title' => __('Upload Your Track', 'tsf'),
-                'step3_title' => __('How Can We Reach You?', 'tsf'),
-                'step4_title' => __('Almost Done!', 'tsf'),
-                'verifying' => __('Verifying...', 'tsf'),
-                'analyzing' => __('Analyzing MP3...', 'tsf'),
-                'saving' => __('Saving...', 'tsf'),
-                'prev' => __('Previous', 'tsf'),
-                'next' => __('Next', 'tsf'),
-                'submit' => __('Submit Track', 'tsf'),
-                'restore_draft' => __('You have an unsaved submission. Would you like to restore it?', 'tsf'),
-            ]
-            ,
             // Server-side flags to control MP3 analysis requirement and fallback
             'require_mp3_analysis' => (bool) get_option('tsf_require_mp3_analysis', true),
             'allow_submission_without_mp3' => (bool) get_option('tsf_allow_submission_without_mp3', false),
             // Whether current user can bypass rate limiting (useful for admin QA)
             'is_admin' => current_user_can('tsf_bypass_rate_limit'),
+            // Accepted audio formats with their size limits (mirrors TSF_MP3_Analyzer)
+            'upload_formats' => $this->get_upload_formats(),
+            // Steps, fields and repeaters to render (see get_default_form_schema())
+            'form_schema' => [
+                'steps' => $this->resolve_schema_options($this->get_form_schema()['steps']),
+            ],
+            // Rules mirroring TSF_Validator, run by TSFValidationEngine
+            'validation_rules' => class_exists('TSF_Validator') ? TSF_Validator::get_client_rules() : [],
+            'max_streaming_links' => class_exists('TSF_Validator') ? TSF_Validator::MAX_STREAMING_LINKS : 10,
+            // Lead time, preferred weekday, blackout dates and maximum age for the date picker
+            'release_policy' => class_exists('TSF_Validator') ? TSF_Validator::get_release_date_policy() : null,
         ]);
 
         // CSS - Modern design with cache busting
@@ -95,16 +178,557 @@ class TSF_Form_V2 {
         );
     }
 
+    /**
+     * Accepted formats for the front-end: extensions, MIME types and size limit
+     *
+     * @return array
+     */
+    private function get_upload_formats() {
+        $formats = [];
+        foreach (TSF_MP3_Analyzer::FORMATS as $format => $definition) {
+            $formats[$format] = [
+                'label' => $definition['label'],
+                'extensions' => $definition['extensions'],
+                'mimes' => $definition['mimes'],
+                'lossless' => $definition['lossless'],
+                'max_size' => TSF_MP3_Analyzer::get_max_file_size($format),
+            ];
+        }
+        return $formats;
+    }
+
+    /**
+     * Value for the file inputs' accept attribute
+     *
+     * @return string
+     */
+    private function get_upload_accept() {
+        $accept = [];
+        foreach (TSF_MP3_Analyzer::FORMATS as $definition) {
+            foreach ($definition['extensions'] as $extension) {
+                $accept[] = '.' . $extension;
+            }
+            $accept = array_merge($accept, $definition['mimes']);
+        }
+        return implode(',', array_unique($accept));
+    }
+
+    /**
+     * Form layout used when no custom layout is saved in the settings
+     *
+     * Steps hold items rendered in order by TSFFormV2:
+     * - Fields: name, type (text, email, url, tel, number, date, select, textarea,
+     *   checkbox, radio), label, required, placeholder, hint, pattern,
+     *   pattern_message, minlength, maxlength, min, max, rows, autocomplete,
+     *   inputmode, options (list or option key: genres, labels, platforms, types),
+     *   default, text (checkbox), width (4, 6 or 12), rules (extra
+     *   TSFValidationEngine rules: { rule, value, message, when })
+     * - Dividers: { type: divider, label }
+     * - Groups shown for one value of another field: { type: group, title,
+     *   show_if: { field, equals }, items }
+     * - The track repeater: { type: repeater, name: tracks, label, description,
+     *   min, max, add_label, fields }; besides fields, a row can hold the
+     *   widgets { widget: track_upload } and { widget: track_credits }
+     * - Widgets with their own markup: { widget: track_lookup | release_date |
+     *   audio_upload | country | territories | newsletter_optin | summary, width }
+     *
+     * @return array
+     */
+    public static function get_default_form_schema() {
+        return [
+            'steps' => [
+                [
+                    'id' => 'track',
+                    'label' => __('Find Track', 'tsf'),
+                    'title' => __('Find Your Track', 'tsf'),
+                    'description' => __('Paste your track link from Spotify, SoundCloud, or any streaming platform', 'tsf'),
+                    'items' => [
+                        [
+                            'name' => 'track_url',
+                            'label' => __('Track URL', 'tsf'),
+                            'type' => 'url',
+                            'required' => true,
+                            'placeholder' => 'https://open.spotify.com/track/... or https://soundcloud.com/...',
+                            'hint' => __('Paste your track link - we\'ll automatically verify it and fill in details', 'tsf'),
+                        ],
+                        ['widget' => 'track_lookup'],
+                        ['type' => 'divider', 'label' => __('Additional Details', 'tsf')],
+                        [
+                            'name' => 'artist',
+                            'label' => __('Artist Name', 'tsf'),
+                            'type' => 'text',
+                            'required' => true,
+                            'maxlength' => 200,
+                            'placeholder' => __('e.g., Taylor Swift, The Beatles', 'tsf'),
+                            'hint' => __('Your official artist name exactly as it appears on streaming platforms', 'tsf'),
+                            'autocomplete' => 'name',
+                        ],
+                        [
+                            'name' => 'genre',
+                            'label' => __('Genre', 'tsf'),
+                            'type' => 'select',
+                            'options' => 'genres',
+                            'required' => true,
+                        ],
+                        [
+                            'name' => 'album_title',
+                            'label' => __('Album / Project Name', 'tsf'),
+                            'type' => 'text',
+                            'maxlength' => 200,
+                            'hint' => __('Leave blank to use the first track name as release title', 'tsf'),
+                            'placeholder' => __('Optional - e.g., "Summer Vibes EP" or "Midnight Sessions"', 'tsf'),
+                        ],
+                        ['widget' => 'release_date'],
+                        [
+                            'type' => 'repeater',
+                            'name' => 'tracks',
+                            'label' => __('Track Details', 'tsf'),
+                            'description' => __('Add track titles and ISRC codes below. Your release will be automatically categorized (Single, EP, or Album) based on track count and duration.', 'tsf'),
+                            'min' => 1,
+                            'max' => 20,
+                            'add_label' => __('Add Another Track', 'tsf'),
+                            'fields' => [
+                                [
+                                    'name' => 'title',
+                                    'label' => __('Track Title', 'tsf'),
+                                    'type' => 'text',
+                                    'required' => true,
+                                    'placeholder' => __('Enter track title', 'tsf'),
+                                ],
+                                [
+                                    'name' => 'isrc',
+                                    'label' => __('ISRC Code', 'tsf'),
+                                    'type' => 'text',
+                                    'placeholder' => 'USXXX1234567',
+                                    'hint' => __('Optional - International Standard Recording Code', 'tsf'),
+                                ],
+                                [
+                                    'name' => 'instrumental',
+                                    'label' => __('Instrumental?', 'tsf'),
+                                    'type' => 'radio',
+                                    'required' => true,
+                                    'options' => ['no' => __('No', 'tsf'), 'yes' => __('Yes', 'tsf')],
+                                    'default' => 'no',
+                                    'hint' => __('Select Yes if this track has no vocals', 'tsf'),
+                                ],
+                                [
+                                    'name' => 'duration',
+                                    'label' => __('Duration', 'tsf'),
+                                    'type' => 'text',
+                                    'placeholder' => 'mm:ss',
+                                    'pattern' => '[0-9]{1,3}:[0-5][0-9]',
+                                    'pattern_message' => __('Use minutes and seconds, e.g. 3:45', 'tsf'),
+                                    'inputmode' => 'numeric',
+                                    'hint' => __('Filled in from the audio file, or enter it yourself', 'tsf'),
+                                ],
+                                ['widget' => 'track_credits'],
+                                ['widget' => 'track_upload'],
+                            ],
+                        ],
+                        [
+                            'name' => 'social_url',
+                            'label' => __('Instagram, Facebook, or Website', 'tsf'),
+                            'type' => 'url',
+                            'placeholder' => 'https://instagram.com/yourname',
+                            'hint' => __('Your social media profile or website (optional)', 'tsf'),
+                        ],
+                    ],
+                ],
+                [
+                    'id' => 'upload',
+                    'label' => __('Upload', 'tsf'),
+                    'title' => __('Upload Your Track', 'tsf'),
+                    'description' => __('Upload your MP3 or lossless master and we\'ll check its quality for you', 'tsf'),
+                    'items' => [
+                        ['widget' => 'audio_upload'],
+                    ],
+                ],
+                [
+                    'id' => 'contact',
+                    'label' => __('Contact', 'tsf'),
+                    'title' => __('How Can We Reach You?', 'tsf'),
+                    'description' => __('Share your contact details so we can get back to you', 'tsf'),
+                    'items' => [
+                        [
+                            'name' => 'email',
+                            'label' => __('Email', 'tsf'),
+                            'type' => 'email',
+                            'required' => true,
+                            'autocomplete' => 'email',
+                            'width' => 6,
+                        ],
+                        [
+                            'name' => 'phone',
+                            'label' => __('Phone', 'tsf'),
+                            'type' => 'tel',
+                            'maxlength' => 20,
+                            'placeholder' => '+32 xxx xx xx xx',
+                            'autocomplete' => 'tel',
+                            'width' => 6,
+                        ],
+                        [
+                            'name' => 'label',
+                            'label' => __('Label', 'tsf'),
+                            'type' => 'select',
+                            'options' => 'labels',
+                            'required' => true,
+                            'width' => 6,
+                        ],
+                        ['widget' => 'country', 'width' => 6],
+                        ['widget' => 'territories'],
+                        [
+                            'type' => 'group',
+                            'title' => '🏢 ' . __('Label Manager Contact', 'tsf'),
+                            'show_if' => ['field' => 'label', 'equals' => 'Label'],
+                            'items' => [
+                                [
+                                    'name' => 'label_manager_name',
+                                    'label' => __('Manager Full Name', 'tsf'),
+                                    'type' => 'text',
+                                    'required' => true,
+                                    'autocomplete' => 'name',
+                                    'width' => 6,
+                                ],
+                                [
+                                    'name' => 'label_manager_email',
+                                    'label' => __('Manager Email', 'tsf'),
+                                    'type' => 'email',
+                                    'required' => true,
+                                    'autocomplete' => 'email',
+                                    'width' => 6,
+                                ],
+                                [
+                                    'name' => 'label_manager_phone',
+                                    'label' => __('Manager Phone', 'tsf'),
+                                    'type' => 'tel',
+                                    'placeholder' => '+32 xxx xx xx xx',
+                                    'autocomplete' => 'tel',
+                                    'width' => 6,
+                                ],
+                                [
+                                    'name' => 'label_website',
+                                    'label' => __('Label Website', 'tsf'),
+                                    'type' => 'url',
+                                    'placeholder' => 'https://...',
+                                    'width' => 6,
+                                ],
+                                [
+                                    'name' => 'label_vat',
+                                    'label' => __('VAT Number', 'tsf'),
+                                    'type' => 'text',
+                                    'placeholder' => 'BE0123456789',
+                                    'hint' => __('Optional - for invoicing purposes', 'tsf'),
+                                    'width' => 6,
+                                ],
+                                [
+                                    'name' => 'label_manager_optin',
+                                    'label' => __('Newsletter Subscription (Manager)', 'tsf'),
+                                    'type' => 'checkbox',
+                                    'text' => __('I agree to receive the newsletter and occasional promotional emails.', 'tsf'),
+                                    'hint' => __('You can unsubscribe anytime.', 'tsf'),
+                                ],
+                            ],
+                        ],
+                    ],
+                ],
+                [
+                    'id' => 'review',
+                    'label' => __('Submit', 'tsf'),
+                    'title' => __('Almost Done!', 'tsf'),
+                    'description' => __('One last thing - tell us about your track and review your submission', 'tsf'),
+                    'items' => [
+                        ['widget' => 'newsletter_optin'],
+                        [
+                            'name' => 'description',
+                            'label' => __('Tell us about your track', 'tsf'),
+                            'type' => 'textarea',
+                            'required' => true,
+                            'maxlength' => 2000,
+                            'rows' => 5,
+                            'placeholder' => __('Share the story behind your music, your inspiration, or anything you\'d like us to know...', 'tsf'),
+                            'hint' => __('Please provide a short description — this field is required to complete your submission', 'tsf'),
+                        ],
+                        ['widget' => 'summary'],
+                    ],
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Active form layout: the one saved in the settings, or the default
+     *
+     * @return array
+     */
+    public function get_form_schema() {
+        $schema = null;
+
+        $saved = get_option('tsf_form_schema', '');
+        if ($saved) {
+            $decoded = json_decode($saved, true);
+            if (is_array($decoded) && !is_wp_error(self::validate_form_schema($decoded))) {
+                $schema = $decoded;
+            }
+        }
+
+        if (!$schema) {
+            $schema = self::get_default_form_schema();
+        }
+
+        return apply_filters('tsf_form_schema', $schema);
+    }
+
+    /**
+     * Check a form layout before it is saved
+     *
+     * Beyond the shape, the layout must keep every field the submission
+     * handler requires, each at most once.
+     *
+     * @param mixed $schema Decoded JSON
+     * @return true|WP_Error
+     */
+    public static function validate_form_schema($schema) {
+        if (!is_array($schema) || empty($schema['steps']) || !is_array($schema['steps'])) {
+            return new WP_Error('tsf_schema', __('The layout needs a "steps" list.', 'tsf'));
+        }
+
+        $names = [];
+        foreach (array_values($schema['steps']) as $index => $step) {
+            $where = sprintf(__('Step %d', 'tsf'), $index + 1);
+            if (!is_array($step) || empty($step['title']) || !isset($step['items']) || !is_array($step['items'])) {
+                return new WP_Error('tsf_schema', sprintf(__('%s needs a title and an "items" list.', 'tsf'), $where));
+            }
+
+            $result = self::validate_schema_items($step['items'], $where, $names);
+            if (is_wp_error($result)) {
+                return $result;
+            }
+        }
+
+        foreach (self::REQUIRED_SCHEMA_FIELDS as $name) {
+            if (!in_array($name, $names, true)) {
+                return new WP_Error('tsf_schema', sprintf(__('The layout must contain the "%s" field.', 'tsf'), $name));
+            }
+        }
+
+        $duplicates = array_unique(array_diff_assoc($names, array_unique($names)));
+        if ($duplicates) {
+            return new WP_Error('tsf_schema', sprintf(__('The field "%s" appears more than once.', 'tsf'), reset($duplicates)));
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate a list of step or group items, collecting the field names they post
+     *
+     * @param array  $items
+     * @param string $where Location for error messages
+     * @param array  $names Collected field names
+     * @return true|WP_Error
+     */
+    private static function validate_schema_items($items, $where, &$names) {
+        foreach ($items as $item) {
+            if (!is_array($item)) {
+                return new WP_Error('tsf_schema', sprintf(__('%s contains an item that is not an object.', 'tsf'), $where));
+            }
+
+            if (isset($item['widget'])) {
+                if (!isset(self::SCHEMA_WIDGETS[$item['widget']])) {
+                    return new WP_Error('tsf_schema', sprintf(__('%1$s uses the unknown widget "%2$s".', 'tsf'), $where, $item['widget']));
+                }
+                $names = array_merge($names, self::SCHEMA_WIDGETS[$item['widget']]);
+                continue;
+            }
+
+            $type = $item['type'] ?? 'text';
+
+            if ($type === 'divider') {
+                continue;
+            }
+
+            if ($type === 'group') {
+                if (isset($item['show_if']) && (!is_array($item['show_if']) || empty($item['show_if']['field']))) {
+                    return new WP_Error('tsf_schema', sprintf(__('%s has a group whose "show_if" names no field.', 'tsf'), $where));
+                }
+                $result = self::validate_schema_items($item['items'] ?? [], $where, $names);
+                if (is_wp_error($result)) {
+                    return $result;
+                }
+                continue;
+            }
+
+            if ($type === 'repeater') {
+                if (($item['name'] ?? '') !== 'tracks') {
+                    return new WP_Error('tsf_schema', sprintf(__('%s has a repeater other than "tracks", which is the only one supported.', 'tsf'), $where));
+                }
+                $fields = isset($item['fields']) && is_array($item['fields']) ? $item['fields'] : [];
+                if (!in_array('title', array_column($fields, 'name'), true)) {
+                    return new WP_Error('tsf_schema', sprintf(__('%s has a track repeater without a "title" field.', 'tsf'), $where));
+                }
+                foreach ($fields as $field) {
+                    if (isset($field['widget']) ? !in_array($field['widget'], self::TRACK_WIDGETS, true) : !self::is_valid_schema_field($field)) {
+                        return new WP_Error('tsf_schema', sprintf(__('%s has an invalid track field.', 'tsf'), $where));
+                    }
+                }
+                $names[] = 'tracks';
+                continue;
+            }
+
+            if (!self::is_valid_schema_field($item)) {
+                return new WP_Error('tsf_schema', sprintf(__('%s has a field with a missing or invalid name or type.', 'tsf'), $where));
+            }
+            $names[] = $item['name'];
+        }
+
+        return true;
+    }
+
+    private static function is_valid_schema_field($field) {
+        return !empty($field['name'])
+            && preg_match('/^[a-z][a-z0-9_]*$/', $field['name'])
+            && in_array($field['type'] ?? 'text', self::SCHEMA_FIELD_TYPES, true)
+            && (!isset($field['width']) || in_array((int) $field['width'], [4, 6, 12], true))
+            && (!isset($field['rules']) || self::is_valid_schema_rules($field['rules']));
+    }
+
+    private static function is_valid_schema_rules($rules) {
+        if (!is_array($rules)) {
+            return false;
+        }
+        foreach ($rules as $rule) {
+            if (!is_array($rule) || empty($rule['rule']) || !is_string($rule['rule'])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Layout for the front-end, with option keys ("genres") swapped for their lists
+     *
+     * @param array $items Items of a step, a group or a repeater
+     * @return array
+     */
+    private function resolve_schema_options($items) {
+        foreach ($items as &$item) {
+            if (isset($item['options']) && is_string($item['options'])) {
+                $item['options'] = $this->get_option_list($item['options']);
+            }
+            foreach (['items', 'fields'] as $key) {
+                if (isset($item[$key]) && is_array($item[$key])) {
+                    $item[$key] = $this->resolve_schema_options($item[$key]);
+                }
+            }
+        }
+        return $items;
+    }
+
+    /**
+     * Choices managed under Settings > Form Options
+     *
+     * @param string $key genres, labels, platforms or types
+     * @return array
+     */
+    private function get_option_list($key) {
+        $defaults = [
+            'genres' => ['Pop', 'Rock', 'Electronic/Dance', 'Folk', 'Alternative', 'Metal', 'Jazz', 'R&B', 'Hip-Hop/Rap', 'Autre'],
+            'labels' => ['Indie', 'Label'],
+            'platforms' => ['Spotify', 'SoundCloud', 'YouTube Music', 'Apple Music', 'Deezer', 'Bandcamp', 'Other'],
+            'types' => ['Album', 'EP', 'Single'],
+        ];
+
+        return isset($defaults[$key]) ? array_values(get_option('tsf_' . $key, $defaults[$key])) : [];
+    }
+
+    /**
+     * Values of the layout's fields that the submission handler does not store itself
+     *
+     * Fields of groups hidden by their show_if rule are left out; the others
+     * marked required must have a value, as the browser already checks.
+     *
+     * @param array $source Posted data
+     * @return array|WP_Error List of ['name', 'label', 'value'], or the first missing required field
+     */
+    public function get_extra_field_values($source) {
+        $values = [];
+
+        foreach ($this->get_schema_fields($this->get_form_schema()['steps'], $source) as $field) {
+            if (in_array($field['name'], self::CORE_FIELDS, true)) {
+                continue;
+            }
+
+            $raw = isset($source[$field['name']]) ? wp_unslash($source[$field['name']]) : '';
+            if (!is_string($raw)) {
+                $raw = '';
+            }
+
+            switch ($field['type'] ?? 'text') {
+                case 'email':
+                    $value = sanitize_email($raw);
+                    break;
+                case 'url':
+                    $value = esc_url_raw($raw);
+                    break;
+                case 'textarea':
+                    $value = sanitize_textarea_field($raw);
+                    break;
+                case 'checkbox':
+                    $value = $raw ? __('Yes', 'tsf') : '';
+                    break;
+                default:
+                    $value = sanitize_text_field($raw);
+            }
+
+            if ($value === '') {
+                if (!empty($field['required'])) {
+                    return new WP_Error('tsf_required_field', sprintf(__('%s is required', 'tsf'), $field['label'] ?? $field['name']));
+                }
+                continue;
+            }
+
+            $values[] = [
+                'name' => $field['name'],
+                'label' => $field['label'] ?? $field['name'],
+                'value' => mb_substr($value, 0, 2000),
+            ];
+        }
+
+        return $values;
+    }
+
+    /**
+     * Plain fields of a layout, groups flattened, repeaters and widgets left out
+     *
+     * @param array      $items
+     * @param array|null $source Posted data; when given, groups whose show_if
+     *                           rule it does not meet are left out too
+     * @return array
+     */
+    private function get_schema_fields($items, $source = null) {
+        $fields = [];
+        foreach ($items as $item) {
+            if (isset($item['items']) && is_array($item['items'])) {
+                if ($source !== null && !empty($item['show_if']['field'])) {
+                    // Same comparison as TSFFormV2.applyConditions()
+                    $value = wp_unslash($source[$item['show_if']['field']] ?? '');
+                    if (!is_string($value) || strtolower($value) !== strtolower((string) ($item['show_if']['equals'] ?? ''))) {
+                        continue;
+                    }
+                }
+                $fields = array_merge($fields, $this->get_schema_fields($item['items'], $source));
+            } elseif (!empty($item['name']) && !isset($item['widget']) && !in_array($item['type'] ?? 'text', ['repeater', 'divider', 'group'], true)) {
+                $fields[] = $item;
+            }
+        }
+        return $fields;
+    }
+
     public function render($atts = []) {
         $atts = shortcode_atts([
             'class' => 'tsf-form-v2'
         ], $atts);
 
-        // Get options
-        $genres = get_option('tsf_genres', ['Pop', 'Rock', 'Electronic/Dance', 'Folk', 'Alternative', 'Metal', 'Jazz', 'R&B', 'Hip-Hop/Rap', 'Autre']);
-        $platforms = get_option('tsf_platforms', ['Spotify', 'SoundCloud', 'YouTube Music', 'Apple Music', 'Deezer', 'Bandcamp', 'Other']);
-        $types = get_option('tsf_types', ['Album', 'EP', 'Single']);
-        $labels = get_option('tsf_labels', ['Indie', 'Label']);
         $max_future_years = get_option('tsf_max_future_years', 2);
         $max_date = date('Y-m-d', strtotime("+{$max_future_years} years"));
 
@@ -112,31 +736,14 @@ class TSF_Form_V2 {
         ?>
         <div class="<?php echo esc_attr($atts['class']); ?>" id="tsf-form-wrapper">
 
-            <!-- Progress Bar -->
-            <div class="tsf-progress-container" role="progressbar" aria-valuenow="25" aria-valuemin="0" aria-valuemax="100">
-                <div class="tsf-progress-steps">
-                    <div class="tsf-step active" data-step="1">
-                        <div class="tsf-step-number">1</div>
-                        <div class="tsf-step-label"><?php _e('Find Track', 'tsf'); ?></div>
-                    </div>
-                    <div class="tsf-step" data-step="2">
-                        <div class="tsf-step-number">2</div>
-                        <div class="tsf-step-label"><?php _e('Upload', 'tsf'); ?></div>
-                    </div>
-                    <div class="tsf-step" data-step="3">
-                        <div class="tsf-step-number">3</div>
-                        <div class="tsf-step-label"><?php _e('Contact', 'tsf'); ?></div>
-                    </div>
-                    <div class="tsf-step" data-step="4">
-                        <div class="tsf-step-number">4</div>
-                        <div class="tsf-step-label"><?php _e('Submit', 'tsf'); ?></div>
-                    </div>
-                </div>
+            <!-- Progress Bar (steps are added from the form layout) -->
+            <div class="tsf-progress-container" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
+                <div class="tsf-progress-steps"></div>
                 <div class="tsf-progress-bar">
-                    <div class="tsf-progress-fill" style="width: 25%;"></div>
+                    <div class="tsf-progress-fill" style="width: 0%;"></div>
                 </div>
                 <div class="tsf-progress-footer">
-                    <div class="tsf-progress-text">25% <?php _e('Complete', 'tsf'); ?></div>
+                    <div class="tsf-progress-text"></div>
                     <div class="tsf-autosave-indicator" id="tsf-autosave-indicator">
                         <span class="tsf-autosave-icon">💾</span>
                         <span class="tsf-autosave-text"><?php _e('Draft saved', 'tsf'); ?></span>
@@ -144,6 +751,21 @@ class TSF_Form_V2 {
                 </div>
             </div>
 
+            <!-- Resume on another device (outside the form, so it is not autosaved) -->
+            <div class="tsf-draft-link">
+                <button type="button" class="tsf-draft-link-toggle" id="tsf-draft-link-toggle" aria-expanded="false" aria-controls="tsf-draft-link-panel">
+                    📧 <?php _e('Continue on another device', 'tsf'); ?>
+                </button>
+                <div class="tsf-draft-link-panel" id="tsf-draft-link-panel" hidden>
+                    <p><?php _e('We\'ll email you a link that reopens this submission where you left off, including files already analyzed.', 'tsf'); ?></p>
+                    <div class="tsf-draft-link-row">
+                        <input type="email" id="tsf-draft-link-email" class="tsf-input" placeholder="you@example.com" autocomplete="email" aria-label="<?php esc_attr_e('Email', 'tsf'); ?>" />
+                        <button type="button" class="tsf-btn tsf-btn-secondary" id="tsf-draft-link-send"><?php _e('Email me a link', 'tsf'); ?></button>
+                    </div>
+                    <p class="tsf-draft-link-status" id="tsf-draft-link-status" aria-live="polite"></p>
+                </div>
+            </div>
+
             <!-- Form -->
             <form id="tsf-multi-step-form" method="post" enctype="multipart/form-data">
                 <?php wp_nonce_field('tsf_form_v2', 'tsf_nonce'); ?>
@@ -151,39 +773,61 @@ class TSF_Form_V2 {
                 <!-- Honeypot -->
                 <input type="text" name="tsf_hp" style="position:absolute;left:-9999px;" tabindex="-1" autocomplete="off" />
 
-                <!-- Step 1: Find Your Track (Merged: Track URL + Basic Info) -->
-                <div class="tsf-form-step active" data-step="1">
-                    <h2 class="tsf-step-title"><?php _e('Find Your Track', 'tsf'); ?></h2>
-                    <p class="tsf-step-description"><?php _e('Paste your track link from Spotify, SoundCloud, or any streaming platform', 'tsf'); ?></p>
+                <!-- Filled in by the form itself: platform from the URL, duration and
+                     instrumental from the audio file, type (Single/EP/Album) from the tracks -->
+                <input type="hidden" name="platform" id="tsf-platform-hidden" />
+                <input type="hidden" name="duration" id="tsf-duration-hidden" />
+                <input type="hidden" name="instrumental" id="tsf-instrumental-hidden" value="No" />
+                <input type="hidden" name="type" id="tsf-type-hidden" value="" />
 
-                    <!-- Platform auto-detected from URL -->
-                    <input type="hidden" name="platform" id="tsf-platform-hidden" />
+                <!-- Steps are rendered from the form layout (tsfFormData.form_schema) -->
+                <div class="tsf-form-steps" id="tsf-form-steps"></div>
 
-                    <!-- Track URL - PRIMARY FIELD -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'track_url',
-                                'label' => __('Track URL', 'tsf'),
-                                'type' => 'url',
-                                'required' => true,
-                                'placeholder' => 'https://open.spotify.com/track/... or https://soundcloud.com/...',
-                                'hint' => __('Paste your track link - we\'ll automatically verify it and fill in details', 'tsf')
-                            ]); ?>
-
-                            <!-- Platform detection badge -->
-                            <div id="tsf-platform-badge" class="tsf-platform-badge" style="display:none;">
-                                <span class="tsf-platform-icon"></span>
-                                <span class="tsf-platform-name"></span>
-                            </div>
+                <!-- Navigation Buttons -->
+                <div class="tsf-form-navigation">
+                    <button type="button" class="tsf-btn tsf-btn-secondary" id="tsf-prev-btn" style="display:none;">
+                        <span class="tsf-nav-arrow" aria-hidden="true">←</span> <?php _e('Previous', 'tsf'); ?>
+                    </button>
+                    <button type="button" class="tsf-btn tsf-btn-primary" id="tsf-next-btn">
+                        <?php _e('Next', 'tsf'); ?> <span class="tsf-nav-arrow" aria-hidden="true">→</span>
+                    </button>
+                    <button type="button" class="tsf-btn tsf-btn-success" id="tsf-submit-btn" style="display:none;">
+                        <?php _e('Submit Track', 'tsf'); ?> ✓
+                    </button>
+                </div>
 
-                            <button type="button" class="tsf-btn tsf-btn-secondary" id="tsf-verify-track">
-                                <span class="tsf-btn-icon">🔍</span>
-                                <?php _e('Verify Track', 'tsf'); ?>
-                            </button>
-                        </div>
+                <!-- Messages -->
+                <div id="tsf-form-message" class="tsf-form-message" role="alert" aria-live="polite"></div>
+            </form>
+
+            <!-- Widgets placed by the form layout -->
+            <div class="tsf-widget-templates">
+                <!-- Track lookup: platform badge, verify button, preview and empty state -->
+                <template data-tsf-widget="track_lookup">
+                    <!-- Platform detection badge -->
+                    <div id="tsf-platform-badge" class="tsf-platform-badge" style="display:none;">
+                        <span class="tsf-platform-icon"></span>
+                        <span class="tsf-platform-name"></span>
+                        <span class="tsf-platform-type" hidden></span>
+                        <span class="tsf-link-status" id="tsf-track-url-status" hidden></span>
+                    </div>
+                    <input type="hidden" name="track_url_status" id="tsf-track-url-status-value" />
+
+                    <!-- More streaming links, verified together with the track URL -->
+                    <div class="tsf-streaming-links" id="tsf-streaming-links">
+                        <p class="tsf-streaming-links-title"><?php _e('Also available on', 'tsf'); ?></p>
+                        <p class="tsf-field-hint"><?php _e('Add the same release on other platforms - all links are checked at once', 'tsf'); ?></p>
+                        <ul class="tsf-links-list" id="tsf-links-list"></ul>
+                        <button type="button" class="tsf-btn tsf-btn-secondary tsf-add-link-btn" id="tsf-add-link-btn">
+                            + <?php _e('Add a streaming link', 'tsf'); ?>
+                        </button>
                     </div>
 
+                    <button type="button" class="tsf-btn tsf-btn-secondary" id="tsf-verify-track">
+                        <span class="tsf-btn-icon">🔍</span>
+                        <?php _e('Verify Track', 'tsf'); ?>
+                    </button>
+
                     <!-- Track Preview (shown after verification) -->
                     <div id="tsf-track-preview" class="tsf-track-preview" style="display:none;">
                         <h3><?php _e('Track Preview', 'tsf'); ?></h3>
@@ -193,9 +837,19 @@ class TSF_Form_V2 {
                                 <div class="tsf-preview-title"></div>
                                 <div class="tsf-preview-artist"></div>
                                 <div class="tsf-preview-album"></div>
+                                <div class="tsf-preview-meta"></div>
                             </div>
                             <div class="tsf-preview-status"></div>
                         </div>
+                        <!-- Result per streaming link -->
+                        <ul class="tsf-preview-links" id="tsf-preview-links"></ul>
+
+                        <!-- Form vs. audio file tags vs. platform, per field -->
+                        <div class="tsf-reconcile" id="tsf-reconcile" hidden>
+                            <h4 class="tsf-reconcile-title"><?php _e('Compare details', 'tsf'); ?></h4>
+                            <p class="tsf-reconcile-summary" aria-live="polite"></p>
+                            <div class="tsf-reconcile-table-wrap"></div>
+                        </div>
                     </div>
 
                     <!-- Empty State - Before Track Verification -->
@@ -209,74 +863,10 @@ class TSF_Form_V2 {
                             <code>https://soundcloud.com/artist/track</code>
                         </div>
                     </div>
+                </template>
 
-                    <div class="tsf-step-divider">
-                        <span><?php _e('Additional Details', 'tsf'); ?></span>
-                    </div>
-
-                    <!-- Artist Name - Full Width -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'artist',
-                                'label' => __('Artist Name', 'tsf'),
-                                'type' => 'text',
-                                'required' => true,
-                                'placeholder' => __('e.g., Taylor Swift, The Beatles', 'tsf'),
-                                'hint' => __('Your official artist name exactly as it appears on streaming platforms', 'tsf'),
-                                'autocomplete' => 'name'
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <!-- Genre -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'genre',
-                                'label' => __('Genre', 'tsf'),
-                                'type' => 'select',
-                                'options' => $genres,
-                                'required' => true
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <!-- Album/Project Name - Full Width, Optional (moved down after Genre) -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'album_title',
-                                'label' => __('Album / Project Name', 'tsf'),
-                                'type' => 'text',
-                                'required' => false,
-                                'hint' => __('Leave blank to use the first track name as release title', 'tsf'),
-                                'placeholder' => __('Optional - e.g., "Summer Vibes EP" or "Midnight Sessions"', 'tsf')
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <!-- Number of Tracks -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'track_count',
-                                'label' => __('Number of Tracks', 'tsf'),
-                                'type' => 'number',
-                                'required' => true,
-                                'value' => '1',
-                                'min' => '1',
-                                'max' => '20',
-                                'hint' => __('How many tracks are in this release? (1 for single, 2-6 for EP, 7+ for album)', 'tsf')
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <!-- Duration and instrumental will be auto-detected from MP3 upload -->
-                    <input type="hidden" name="duration" id="tsf-duration-hidden" />
-                    <input type="hidden" name="instrumental" id="tsf-instrumental-hidden" value="No" />
-
-                    <!-- Release Date - Hybrid Quick Select System -->
+                <!-- Release date quick select -->
+                <template data-tsf-widget="release_date">
                     <div class="tsf-release-date-wrapper">
                         <label class="tsf-label">
                             <?php _e('Release Date', 'tsf'); ?> <span class="tsf-required">*</span>
@@ -380,6 +970,7 @@ class TSF_Form_V2 {
                             <div id="tsf-month-calendar-grid" class="tsf-month-calendar-grid">
                                 <!-- Calendar will be generated by JavaScript -->
                             </div>
+                            <p id="tsf-month-calendar-legend" class="tsf-month-calendar-legend" hidden></p>
                         </div>
 
                         <!-- Standard Date Picker Fallback (for "Pick Date" button) -->
@@ -402,225 +993,92 @@ class TSF_Form_V2 {
                             </div>
                         </div>
 
+                        <!-- Why a date can't be picked, or a warning with an offer to move it -->
+                        <div id="tsf-release-date-policy" class="tsf-date-policy" role="status" hidden></div>
+
                         <input type="hidden" name="release_date" id="tsf-release-date-hidden" required />
                         <input type="hidden" name="release_date_method" id="tsf-release-date-method" />
                     </div>
+                </template>
 
-                    <!-- Type will be auto-determined (Single/EP/Album) based on track count and duration -->
-                    <input type="hidden" name="type" id="tsf-type-hidden" value="" />
-
-                    <!-- Track Repeater - Always Visible -->
-                    <div id="tsf-tracks-repeater" class="tsf-tracks-repeater">
-                        <div class="tsf-tracks-repeater-header">
-                            <h4>
-                                🎵 <?php _e('Track Details', 'tsf'); ?>
-                                <span class="tsf-track-count-badge" id="tsf-track-count">1</span>
-                            </h4>
-                            <p class="tsf-auto-classification-notice">
-                                <?php _e('Add track titles and ISRC codes below. Your release will be automatically categorized (Single, EP, or Album) based on track count.', 'tsf'); ?>
-                            </p>
-                        </div>
-
-                        <!-- Visual Track Preview Cards -->
-                        <div id="tsf-tracks-preview" class="tsf-tracks-preview" style="display:none;">
-                            <div class="tsf-tracks-preview-header">
-                                <span class="tsf-tracks-preview-label"><?php _e('Track Order', 'tsf'); ?></span>
-                                <span class="tsf-tracks-preview-hint"><?php _e('Drag to reorder', 'tsf'); ?></span>
-                            </div>
-                            <div id="tsf-tracks-preview-list" class="tsf-tracks-preview-list">
-                                <!-- Preview cards added dynamically -->
-                            </div>
-                        </div>
-
-                        <div id="tsf-tracks-container">
-                            <!-- Tracks will be added dynamically (starts with 1) -->
-                        </div>
-                        <button type="button" class="tsf-add-track-btn" id="tsf-add-track-btn">
-                            <span>+</span>
-                            <?php _e('Add Another Track', 'tsf'); ?>
-                        </button>
-                        <p class="tsf-track-limit-notice" id="tsf-track-limit-notice" style="display:none;">
-                            <?php _e('Maximum 20 tracks allowed', 'tsf'); ?>
-                        </p>
-                    </div>
-
-                    <!-- Social URL (Optional) -->
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'social_url',
-                                'label' => __('Instagram, Facebook, or Website', 'tsf'),
-                                'type' => 'url',
-                                'placeholder' => 'https://instagram.com/yourname',
-                                'hint' => __('Your social media profile or website (optional)', 'tsf')
-                            ]); ?>
-                        </div>
-                    </div>
-                </div>
-
-                <!-- Step 2: MP3 Upload & Quality (was Step 3) -->
-                <div class="tsf-form-step" data-step="2">
-                    <h2 class="tsf-step-title"><?php _e('Upload Your Track', 'tsf'); ?></h2>
-                    <p class="tsf-step-description"><?php _e('Upload your MP3 file and we\'ll check its quality for you', 'tsf'); ?></p>
-
+                <!-- Audio upload, preview player and quality score -->
+                <template data-tsf-widget="audio_upload">
                     <div class="tsf-quality-info-box">
                         <h4>💡 <?php _e('Why Check Quality?', 'tsf'); ?></h4>
-                        <p><?php _e('We\'ll analyze your MP3\'s metadata (artist, title, artwork) and audio quality (bitrate, sample rate) to ensure it meets professional standards. You\'ll get instant feedback with tips to improve if needed.', 'tsf'); ?></p>
+                        <p><?php _e('We\'ll analyze your file\'s metadata (artist, title, artwork) and audio quality (bitrate or bit depth, sample rate) to ensure it meets professional standards. You\'ll get instant feedback with tips to improve if needed.', 'tsf'); ?></p>
                     </div>
 
                     <div class="tsf-form-row">
                         <div class="tsf-form-col-12">
                             <div class="tsf-upload-area" id="tsf-mp3-upload-area">
                                 <div class="tsf-upload-icon">📁</div>
-                                <h3><?php _e('Upload MP3 for Analysis', 'tsf'); ?></h3>
+                                <h3><?php _e('Upload Audio for Analysis', 'tsf'); ?></h3>
                                 <p><?php _e('Drag & drop or click to select', 'tsf'); ?></p>
-                                <input type="file" name="tsf_mp3_file" id="tsf-mp3-file" accept=".mp3,audio/mpeg" />
-                                <p class="tsf-upload-note"><?php _e('Max 50MB • MP3 format only', 'tsf'); ?></p>
+                                <input type="file" name="tsf_mp3_file" id="tsf-mp3-file" accept="<?php echo esc_attr($this->get_upload_accept()); ?>" />
+                                <p class="tsf-upload-note"><?php
+                                    printf(
+                                        /* translators: 1: MP3 size limit, 2: lossless size limit */
+                                        esc_html__('MP3 up to %1$s • WAV, FLAC or AIFF up to %2$s', 'tsf'),
+                                        esc_html(size_format(TSF_MP3_Analyzer::get_max_file_size('mp3'))),
+                                        esc_html(size_format(TSF_MP3_Analyzer::get_max_file_size('wav')))
+                                    );
+                                ?></p>
+                                <p class="tsf-upload-note"><?php _e('This file is attached to Track 1 - further tracks can be attached from their rows in Step 1', 'tsf'); ?></p>
                             </div>
                         </div>
                     </div>
 
-                    <!-- Quality Score (shown after analysis) -->
-                    <div id="tsf-quality-score" class="tsf-quality-score" style="display:none;">
-                        <h3><?php _e('Quality Score', 'tsf'); ?></h3>
-                        <div class="tsf-score-card">
-                            <div class="tsf-score-circle">
-                                <svg viewBox="0 0 100 100">
-                                    <circle cx="50" cy="50" r="45" class="tsf-score-bg"></circle>
-                                    <circle cx="50" cy="50" r="45" class="tsf-score-fill"></circle>
-                                </svg>
-                                <div class="tsf-score-value">0%</div>
-                            </div>
-                            <div class="tsf-score-details">
-                                <div class="tsf-score-category">
-                                    <span class="tsf-score-label"><?php _e('Metadata', 'tsf'); ?></span>
-                                    <span class="tsf-score-points">0/40</span>
-                                </div>
-                                <div class="tsf-score-category">
-                                    <span class="tsf-score-label"><?php _e('Audio Quality', 'tsf'); ?></span>
-                                    <span class="tsf-score-points">0/30</span>
+                    <div class="tsf-analysis-panel">
+                        <!-- Listen back to the analyzed file -->
+                        <div id="tsf-audio-preview" class="tsf-audio-preview" style="display:none;">
+                            <h3><?php _e('Preview', 'tsf'); ?> <span class="tsf-audio-preview-track"></span></h3>
+                            <p class="tsf-audio-preview-file"></p>
+                            <div class="tsf-waveform"></div>
+                        </div>
+
+                        <!-- Quality Score (shown after analysis) -->
+                        <div id="tsf-quality-score" class="tsf-quality-score" style="display:none;">
+                            <h3><?php _e('Quality Score', 'tsf'); ?> <span class="tsf-quality-score-track"></span></h3>
+                            <div class="tsf-score-card">
+                                <div class="tsf-score-circle">
+                                    <svg viewBox="0 0 100 100">
+                                        <circle cx="50" cy="50" r="45" class="tsf-score-bg"></circle>
+                                        <circle cx="50" cy="50" r="45" class="tsf-score-fill"></circle>
+                                    </svg>
+                                    <div class="tsf-score-value">0%</div>
                                 </div>
-                                <div class="tsf-score-category">
-                                    <span class="tsf-score-label"><?php _e('Professional', 'tsf'); ?></span>
-                                    <span class="tsf-score-points">0/30</span>
+                                <div class="tsf-score-details">
+                                    <div class="tsf-score-category">
+                                        <span class="tsf-score-label"><?php _e('Metadata', 'tsf'); ?></span>
+                                        <span class="tsf-score-points">0/40</span>
+                                    </div>
+                                    <div class="tsf-score-category">
+                                        <span class="tsf-score-label"><?php _e('Audio Quality', 'tsf'); ?></span>
+                                        <span class="tsf-score-points">0/30</span>
+                                    </div>
+                                    <div class="tsf-score-category">
+                                        <span class="tsf-score-label"><?php _e('Professional', 'tsf'); ?></span>
+                                        <span class="tsf-score-points">0/30</span>
+                                    </div>
                                 </div>
                             </div>
-                        </div>
-                        <div class="tsf-score-recommendations"></div>
-                    </div>
-                </div>
-
-                <!-- Step 3: Contact & Label (was Step 4) -->
-                <div class="tsf-form-step" data-step="3">
-                    <h2 class="tsf-step-title"><?php _e('How Can We Reach You?', 'tsf'); ?></h2>
-                    <p class="tsf-step-description"><?php _e('Share your contact details so we can get back to you', 'tsf'); ?></p>
-
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-6">
-                            <?php echo $this->render_field([
-                                'name' => 'email',
-                                'label' => __('Email', 'tsf'),
-                                'type' => 'email',
-                                'required' => true,
-                                'autocomplete' => 'email'
-                            ]); ?>
-                        </div>
-                        <div class="tsf-form-col-6">
-                            <?php echo $this->render_field([
-                                'name' => 'phone',
-                                'label' => __('Phone', 'tsf'),
-                                'type' => 'tel',
-                                'placeholder' => '+32 xxx xx xx xx',
-                                'autocomplete' => 'tel'
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-6">
-                            <?php echo $this->render_field([
-                                'name' => 'label',
-                                'label' => __('Label', 'tsf'),
-                                'type' => 'select',
-                                'options' => $labels,
-                                'required' => true
-                            ]); ?>
-                        </div>
-                        <div class="tsf-form-col-6">
-                            <?php echo $this->render_country_field(); ?>
+                            <div class="tsf-score-recommendations"></div>
                         </div>
                     </div>
+                </template>
 
-                    <!-- Label Manager Section (shown when label = "Label") -->
-                    <div id="tsf-label-manager-section" class="tsf-label-manager-section" style="display:none;">
-                        <div class="tsf-label-manager-header">
-                            <h4>🏢 <?php _e('Label Manager Contact', 'tsf'); ?></h4>
-                        </div>
-                        <div class="tsf-label-manager-fields">
-                            <?php echo $this->render_field([
-                                'name' => 'label_manager_name',
-                                'label' => __('Manager Full Name', 'tsf'),
-                                'type' => 'text',
-                                'autocomplete' => 'name'
-                            ]); ?>
-
-                            <?php echo $this->render_field([
-                                'name' => 'label_manager_email',
-                                'label' => __('Manager Email', 'tsf'),
-                                'type' => 'email',
-                                'autocomplete' => 'email'
-                            ]); ?>
-
-                            <?php echo $this->render_field([
-                                'name' => 'label_manager_phone',
-                                'label' => __('Manager Phone', 'tsf'),
-                                'type' => 'tel',
-                                'placeholder' => '+32 xxx xx xx xx',
-                                'autocomplete' => 'tel'
-                            ]); ?>
-
-                            <?php echo $this->render_field([
-                                'name' => 'label_website',
-                                'label' => __('Label Website', 'tsf'),
-                                'type' => 'url',
-                                'placeholder' => 'https://...'
-                            ]); ?>
-
-                            <?php echo $this->render_field([
-                                'name' => 'label_vat',
-                                'label' => __('VAT Number', 'tsf'),
-                                'type' => 'text',
-                                'placeholder' => 'BE0123456789',
-                                'hint' => __('Optional - for invoicing purposes', 'tsf')
-                            ]); ?>
-                        </div>
-
-                        <!-- Manager Newsletter Opt-in -->
-                        <div class="tsf-label-manager-optin" style="margin-top: 1.5rem; padding: 1.25rem; background: white; border-radius: 8px;">
-                            <h5><?php _e('Newsletter Subscription (Manager)', 'tsf'); ?></h5>
-                            <label class="tsf-label-optin-label">
-                                <input
-                                    type="checkbox"
-                                    name="label_manager_optin"
-                                    value="1"
-                                    id="tsf-label-manager-optin"
-                                />
-                                <span class="tsf-label-optin-text">
-                                    <strong><?php _e('I agree to receive the newsletter and occasional promotional emails.', 'tsf'); ?></strong>
-                                    <br>
-                                    <small><?php _e('You can unsubscribe anytime.', 'tsf'); ?></small>
-                                </span>
-                            </label>
-                        </div>
-                    </div>
-                </div>
+                <!-- Searchable country dropdown -->
+                <template data-tsf-widget="country">
+                    <?php echo $this->render_country_field(); ?>
+                </template>
 
-                <!-- Step 4: Review & Submit (was Step 5) -->
-                <div class="tsf-form-step" data-step="4">
-                    <h2 class="tsf-step-title"><?php _e('Almost Done!', 'tsf'); ?></h2>
-                    <p class="tsf-step-description"><?php _e('One last thing - tell us about your track and review your submission', 'tsf'); ?></p>
+                <!-- Release territories: country chips and region presets -->
+                <template data-tsf-widget="territories">
+                    <?php echo $this->render_territories_field(); ?>
+                </template>
 
-                    <!-- Newsletter Opt-in (Prominent GDPR-compliant card) -->
+                <!-- Newsletter opt-in card -->
+                <template data-tsf-widget="newsletter_optin">
                     <div class="tsf-newsletter-optin-card">
                         <div class="tsf-optin-header">
                             <span class="tsf-optin-icon">📬</span>
@@ -646,132 +1104,46 @@ class TSF_Form_V2 {
                             <?php _e('We\'ll never share your email with third parties', 'tsf'); ?>
                         </p>
                     </div>
+                </template>
 
-                    <div class="tsf-form-row">
-                        <div class="tsf-form-col-12">
-                            <?php echo $this->render_field([
-                                'name' => 'description',
-                                'label' => __('Tell us about your track', 'tsf'),
-                                'type' => 'textarea',
-                                'required' => true,
-                                'rows' => 5,
-                                'placeholder' => __('Share the story behind your music, your inspiration, or anything you\'d like us to know...', 'tsf'),
-                                'hint' => __('Please provide a short description — this field is required to complete your submission', 'tsf')
-                            ]); ?>
-                        </div>
-                    </div>
-
-                    <!-- Summary Card -->
+                <!-- Submission summary (filled in when its step is shown) -->
+                <template data-tsf-widget="summary">
                     <div id="tsf-summary-card" class="tsf-summary-card">
                         <h3><?php _e('Submission Summary', 'tsf'); ?></h3>
                         <div class="tsf-summary-content"></div>
                     </div>
-                </div>
-
-                <!-- Navigation Buttons -->
-                <div class="tsf-form-navigation">
-                    <button type="button" class="tsf-btn tsf-btn-secondary" id="tsf-prev-btn" style="display:none;">
-                        ← <?php _e('Previous', 'tsf'); ?>
-                    </button>
-                    <button type="button" class="tsf-btn tsf-btn-primary" id="tsf-next-btn">
-                        <?php _e('Next', 'tsf'); ?> →
-                    </button>
-                    <button type="button" class="tsf-btn tsf-btn-success" id="tsf-submit-btn" style="display:none;">
-                        <?php _e('Submit Track', 'tsf'); ?> ✓
-                    </button>
-                </div>
-
-                <!-- Messages -->
-                <div id="tsf-form-message" class="tsf-form-message" role="alert" aria-live="polite"></div>
-            </form>
+                </template>
+            </div>
         </div>
         <?php
         return ob_get_clean();
     }
 
     /**
-     * Render a form field
+     * Visitor country from the site's own CDN or proxy, when it sends one
+     *
+     * Nothing is looked up here; the header is only read. The hint ends up in
+     * the page HTML, where a full-page cache would serve it to everyone, so
+     * it is only read when the admin turns it on (tsf_country_header_hint).
+     *
+     * @return string ISO 3166-1 alpha-2 code, or empty
      */
-    private function render_field($args) {
-        $defaults = [
-            'name' => '',
-            'label' => '',
-            'type' => 'text',
-            'value' => '',
-            'placeholder' => '',
-            'required' => false,
-            'hint' => '',
-            'options' => [],
-            'rows' => 4,
-            'pattern' => '',
-            'min' => '',
-            'max' => '',
-            'autocomplete' => ''
-        ];
-
-        $args = wp_parse_args($args, $defaults);
-        extract($args);
-
-        $required_attr = $required ? 'required' : '';
-        $required_label = $required ? ' <span class="tsf-required">*</span>' : '';
-
-        ob_start();
-        ?>
-        <div class="tsf-field-wrapper" data-field="<?php echo esc_attr($name); ?>">
-            <label for="tsf-<?php echo esc_attr($name); ?>" class="tsf-label">
-                <?php echo esc_html($label); ?><?php echo $required_label; ?>
-            </label>
-
-            <?php if ($type === 'select'): ?>
-                <select
-                    id="tsf-<?php echo esc_attr($name); ?>"
-                    name="<?php echo esc_attr($name); ?>"
-                    class="tsf-input tsf-select"
-                    <?php echo $required_attr; ?>
-                >
-                    <option value=""><?php _e('Select...', 'tsf'); ?></option>
-                    <?php foreach ($options as $opt_value => $opt_label): ?>
-                        <?php if (is_numeric($opt_value)): $opt_value = $opt_label; endif; ?>
-                        <option value="<?php echo esc_attr($opt_value); ?>">
-                            <?php echo esc_html($opt_label); ?>
-                        </option>
-                    <?php endforeach; ?>
-                </select>
-
-            <?php elseif ($type === 'textarea'): ?>
-                <textarea
-                    id="tsf-<?php echo esc_attr($name); ?>"
-                    name="<?php echo esc_attr($name); ?>"
-                    class="tsf-input tsf-textarea"
-                    rows="<?php echo esc_attr($rows); ?>"
-                    placeholder="<?php echo esc_attr($placeholder); ?>"
-                    <?php echo $required_attr; ?>
-                ><?php echo esc_textarea($value); ?></textarea>
-
-            <?php else: ?>
-                <input
-                    type="<?php echo esc_attr($type); ?>"
-                    id="tsf-<?php echo esc_attr($name); ?>"
-                    name="<?php echo esc_attr($name); ?>"
-                    class="tsf-input"
-                    value="<?php echo esc_attr($value); ?>"
-                    placeholder="<?php echo esc_attr($placeholder); ?>"
-                    <?php if ($pattern): ?>pattern="<?php echo esc_attr($pattern); ?>"<?php endif; ?>
-                    <?php if ($min): ?>min="<?php echo esc_attr($min); ?>"<?php endif; ?>
-                    <?php if ($max): ?>max="<?php echo esc_attr($max); ?>"<?php endif; ?>
-                    <?php if ($autocomplete): ?>autocomplete="<?php echo esc_attr($autocomplete); ?>"<?php endif; ?>
-                    <?php echo $required_attr; ?>
-                />
-            <?php endif; ?>
-
-            <div class="tsf-validation-feedback"></div>
+    private function get_country_hint() {
+        $hint = '';
+        $header_keys = get_option('tsf_country_header_hint', 0)
+            ? ['HTTP_CF_IPCOUNTRY', 'HTTP_CLOUDFRONT_VIEWER_COUNTRY', 'HTTP_X_COUNTRY_CODE']
+            : [];
+
+        foreach ($header_keys as $key) {
+            $value = strtoupper(sanitize_text_field(wp_unslash($_SERVER[$key] ?? '')));
+            // Cloudflare sends XX for unknown and T1 for Tor
+            if (preg_match('/^[A-Z]{2}$/', $value) && !in_array($value, ['XX', 'T1'], true)) {
+                $hint = $value;
+                break;
+            }
+        }
 
-            <?php if ($hint): ?>
-                <div class="tsf-field-hint"><?php echo esc_html($hint); ?></div>
-            <?php endif; ?>
-        </div>
-        <?php
-        return ob_get_clean();
+        return apply_filters('tsf_country_hint', $hint);
     }
 
     /**
@@ -821,6 +1193,64 @@ class TSF_Form_V2 {
         <?php
         return ob_get_clean();
     }
+
+    /**
+     * Render the release territories picker, the country dropdown in multi-select mode
+     */
+    private function render_territories_field() {
+        $presets = [
+            'worldwide' => '🌍 ' . __('Worldwide', 'tsf'),
+            'eu' => '🇪🇺 ' . __('EU', 'tsf'),
+            'north_america' => __('North America', 'tsf'),
+            'latam' => __('LATAM', 'tsf'),
+            'worldwide_except' => __('Worldwide except…', 'tsf'),
+        ];
+
+        ob_start();
+        ?>
+        <div class="tsf-field-wrapper" data-field="territories">
+            <label for="tsf-territories-search" class="tsf-label">
+                <?php _e('Release Territories', 'tsf'); ?>
+            </label>
+
+            <div class="tsf-country-select-wrapper tsf-territory-select" data-multiple="true">
+                <div class="tsf-territory-presets" role="group" aria-label="<?php esc_attr_e('Region presets', 'tsf'); ?>">
+                    <?php foreach ($presets as $preset => $label): ?>
+                    <button type="button" class="tsf-territory-preset" data-preset="<?php echo esc_attr($preset); ?>"><?php echo esc_html($label); ?></button>
+                    <?php endforeach; ?>
+                </div>
+
+                <div class="tsf-territory-chips" aria-live="polite"></div>
+
+                <input
+                    type="text"
+                    id="tsf-territories-search"
+                    class="tsf-country-search"
+                    placeholder="<?php esc_attr_e('🔍 Add a country...', 'tsf'); ?>"
+                    autocomplete="off"
+                    aria-label="<?php esc_attr_e('Search countries', 'tsf'); ?>"
+                    aria-autocomplete="list"
+                    aria-controls="tsf-territories-dropdown"
+                />
+
+                <input
+                    type="hidden"
+                    name="territories"
+                    id="tsf-territories-value"
+                    class="tsf-country-value"
+                />
+
+                <div class="tsf-country-dropdown" id="tsf-territories-dropdown" role="listbox" aria-multiselectable="true">
+                    <!-- Populated by JavaScript -->
+                </div>
+            </div>
+
+            <p class="tsf-field-hint"><?php _e('Where the release will be available. Pick a region, then add or remove countries.', 'tsf'); ?></p>
+            <div class="tsf-validation-feedback"></div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
 }
 
 // Initialize
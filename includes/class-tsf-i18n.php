@@ -0,0 +1,400 @@
+<?php
+/**
+ * JavaScript i18n
+ *
+ * Message catalog, locale and text direction for the form scripts, read by
+ * TSFI18n (assets/js/tsf-i18n.js). Messages are keyed by their English text;
+ * {name} placeholders are filled in by the script and must be kept as they
+ * are in translations.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class TSF_I18n {
+
+    /**
+     * Counts a plural message is translated for. TSFI18n picks the first one
+     * in the same CLDR plural category as the count it formats.
+     */
+    const PLURAL_SAMPLES = [0, 1, 2, 3, 5, 11, 21, 22, 100, 101, 1000000];
+
+    /**
+     * Enqueue tsf-i18n with its catalog (once, whichever form asks first)
+     */
+    public static function enqueue_script() {
+        if (wp_script_is('tsf-i18n', 'enqueued')) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'tsf-i18n',
+            TSF_PLUGIN_URL . 'assets/js/tsf-i18n.js',
+            [],
+            TSF_VERSION,
+            true
+        );
+        wp_localize_script('tsf-i18n', 'tsfI18n', self::get_js_config());
+    }
+
+    /**
+     * @return array Locale (BCP 47), direction and messages for TSFI18n
+     */
+    public static function get_js_config() {
+        return [
+            'locale' => str_replace('_', '-', determine_locale()),
+            'rtl' => is_rtl(),
+            'messages' => self::get_js_messages(),
+        ];
+    }
+
+    /**
+     * Translations of the scripts' messages. Plain messages map to a string,
+     * plural ones to their translation per sample count.
+     *
+     * @return array
+     */
+    public static function get_js_messages() {
+        $messages = [
+            // Multi-step form (TSFFormV2)
+            'Select...' => __('Select...', 'tsf'),
+            'Tracks' => __('Tracks', 'tsf'),
+            'Release type:' => __('Release type:', 'tsf'),
+            'Single' => __('Single', 'tsf'),
+            'Add Another Track' => __('Add Another Track', 'tsf'),
+            'Import track list' => __('Import track list', 'tsf'),
+            '{percent} complete' => __('{percent} complete', 'tsf'),
+            'This field' => __('This field', 'tsf'),
+            '{field} is required to continue' => __('{field} is required to continue', 'tsf'),
+            'Please enter a valid number' => __('Please enter a valid number', 'tsf'),
+            'Looks good!' => __('Looks good!', 'tsf'),
+            'Please enter a valid email address.' => __('Please enter a valid email address.', 'tsf'),
+            'Saving...' => __('Saving...', 'tsf'),
+            'Your draft could not be saved. Please try again.' => __('Your draft could not be saved. Please try again.', 'tsf'),
+            'The email could not be sent.' => __('The email could not be sent.', 'tsf'),
+            'Link sent! Check your inbox.' => __('Link sent! Check your inbox.', 'tsf'),
+            'Your draft could not be loaded.' => __('Your draft could not be loaded.', 'tsf'),
+            'Your draft has been restored.' => __('Your draft has been restored.', 'tsf'),
+            'You have an unsaved submission. Would you like to restore it?' => __('You have an unsaved submission. Would you like to restore it?', 'tsf'),
+            'Select a day this week' => __('Select a day this week', 'tsf'),
+            'Select a day next week' => __('Select a day next week', 'tsf'),
+            'Select a day this month' => __('Select a day this month', 'tsf'),
+            'Select a day last month' => __('Select a day last month', 'tsf'),
+            'Select a day next month' => __('Select a day next month', 'tsf'),
+            'Move to {date}' => __('Move to {date}', 'tsf'),
+            'No releases are scheduled on this date' => __('No releases are scheduled on this date', 'tsf'),
+            'Releases here usually go out on a {weekday}' => __('Releases here usually go out on a {weekday}', 'tsf'),
+            'Preferred release day: {weekday}' => __('Preferred release day: {weekday}', 'tsf'),
+            'Some dates are blocked' => __('Some dates are blocked', 'tsf'),
+            'Total running time {total} is 30 minutes or more' => __('Total running time {total} is 30 minutes or more', 'tsf'),
+            '{count} tracks - 7 or more make an album' => __('{count} tracks - 7 or more make an album', 'tsf'),
+            '{count} tracks under 30 minutes in total' => __('{count} tracks under 30 minutes in total', 'tsf'),
+            'Track {number} runs {duration} - a track of 10 minutes or more makes it an EP' => __('Track {number} runs {duration} - a track of 10 minutes or more makes it an EP', 'tsf'),
+            'One track of {total}' => __('One track of {total}', 'tsf'),
+            'One track' => __('One track', 'tsf'),
+            ', {total} total' => __(', {total} total', 'tsf'),
+            'Reorder track: drag, or use the arrow keys' => __('Reorder track: drag, or use the arrow keys', 'tsf'),
+            'Drag to reorder' => __('Drag to reorder', 'tsf'),
+            'Track {number}' => __('Track {number}', 'tsf'),
+            'Move track up' => __('Move track up', 'tsf'),
+            'Move up' => __('Move up', 'tsf'),
+            'Move track down' => __('Move track down', 'tsf'),
+            'Move down' => __('Move down', 'tsf'),
+            'Remove' => __('Remove', 'tsf'),
+            'Audio File' => __('Audio File', 'tsf'),
+            'Drop this track\'s audio file here or click to select' => __('Drop this track\'s audio file here or click to select', 'tsf'),
+            'MP3, WAV, FLAC or AIFF - analyzed right away' => __('MP3, WAV, FLAC or AIFF - analyzed right away', 'tsf'),
+            'Track' => __('Track', 'tsf'),
+            '{title} moved to position {position} of {total}' => __('{title} moved to position {position} of {total}', 'tsf'),
+            'Paste a track list or CSV' => __('Paste a track list or CSV', 'tsf'),
+            '1. First Track – 3:45' => __('1. First Track – 3:45', 'tsf'),
+            '2. Second Track – 4:02' => __('2. Second Track – 4:02', 'tsf'),
+            'One track per line, or CSV columns title, ISRC, duration' => __('One track per line, or CSV columns title, ISRC, duration', 'tsf'),
+            'Or drop a CSV file or the release\'s audio files here - their tags fill in the tracks' => __('Or drop a CSV file or the release\'s audio files here - their tags fill in the tracks', 'tsf'),
+            'Preview' => __('Preview', 'tsf'),
+            'Cancel' => __('Cancel', 'tsf'),
+            'Title' => __('Title', 'tsf'),
+            'Duration' => __('Duration', 'tsf'),
+            'Replace track list' => __('Replace track list', 'tsf'),
+            'Back' => __('Back', 'tsf'),
+            'No tracks found - put one track per line, or drop a CSV or audio files' => __('No tracks found - put one track per line, or drop a CSV or audio files', 'tsf'),
+            'Skipped: {files}.' => __('Skipped: {files}.', 'tsf'),
+            'The first line was read as column names: {line}.' => __('The first line was read as column names: {line}.', 'tsf'),
+            'Country' => __('Country', 'tsf'),
+            'Unknown country code' => __('Unknown country code', 'tsf'),
+            'Year' => __('Year', 'tsf'),
+            'Year {year}' => __('Year {year}', 'tsf'),
+            'Registrant' => __('Registrant', 'tsf'),
+            'Recording' => __('Recording', 'tsf'),
+            'Extra characters' => __('Extra characters', 'tsf'),
+            'International (IFPI)' => __('International (IFPI)', 'tsf'),
+            'This ISRC could not be checked yet. Please try again in a minute.' => __('This ISRC could not be checked yet. Please try again in a minute.', 'tsf'),
+            'Reserved' => __('Reserved', 'tsf'),
+            'Composer' => __('Composer', 'tsf'),
+            'Lyricist' => __('Lyricist', 'tsf'),
+            'Composer & lyricist' => __('Composer & lyricist', 'tsf'),
+            'Not specified' => __('Not specified', 'tsf'),
+            'Explicit' => __('Explicit', 'tsf'),
+            'Clean' => __('Clean', 'tsf'),
+            'Credits & details' => __('Credits & details', 'tsf'),
+            'Featured artists' => __('Featured artists', 'tsf'),
+            'Add featured artist' => __('Add featured artist', 'tsf'),
+            'Writers & publishing splits' => __('Writers & publishing splits', 'tsf'),
+            'Add writer' => __('Add writer', 'tsf'),
+            'Producers' => __('Producers', 'tsf'),
+            'Add producer' => __('Add producer', 'tsf'),
+            'Explicit lyrics' => __('Explicit lyrics', 'tsf'),
+            'Language' => __('Language', 'tsf'),
+            'BPM' => __('BPM', 'tsf'),
+            'Key' => __('Key', 'tsf'),
+            'Featured artist name' => __('Featured artist name', 'tsf'),
+            'Remove featured artist' => __('Remove featured artist', 'tsf'),
+            'Writer name' => __('Writer name', 'tsf'),
+            'Remove writer' => __('Remove writer', 'tsf'),
+            'Producer name' => __('Producer name', 'tsf'),
+            'Remove producer' => __('Remove producer', 'tsf'),
+            'Role' => __('Role', 'tsf'),
+            'Publishing share (%)' => __('Publishing share (%)', 'tsf'),
+            'Publisher' => __('Publisher', 'tsf'),
+            'Publisher (optional)' => __('Publisher (optional)', 'tsf'),
+            'Name' => __('Name', 'tsf'),
+            'Total: {share}' => __('Total: {share}', 'tsf'),
+            'The credits could not be read, please enter them again' => __('The credits could not be read, please enter them again', 'tsf'),
+            'Every writer needs a name' => __('Every writer needs a name', 'tsf'),
+            'Give {name} a publishing share between 0 and 100%' => __('Give {name} a publishing share between 0 and 100%', 'tsf'),
+            'Writer shares add up to {share} - they need to total 100%' => __('Writer shares add up to {share} - they need to total 100%', 'tsf'),
+            'BPM must be between 20 and 300' => __('BPM must be between 20 and 300', 'tsf'),
+            'feat. {artists}' => __('feat. {artists}', 'tsf'),
+            '{name} ({role}, {share})' => __('{name} ({role}, {share})', 'tsf'),
+            'Written by {writers}' => __('Written by {writers}', 'tsf'),
+            'Produced by {producers}' => __('Produced by {producers}', 'tsf'),
+            'Clean version' => __('Clean version', 'tsf'),
+            'Language: {language}' => __('Language: {language}', 'tsf'),
+            '{bpm} BPM' => __('{bpm} BPM', 'tsf'),
+            'No lyrics (instrumental)' => __('No lyrics (instrumental)', 'tsf'),
+            'No lyrics' => __('No lyrics', 'tsf'),
+            '{platform} detected' => __('{platform} detected', 'tsf'),
+            'Checking...' => __('Checking...', 'tsf'),
+            'Verified' => __('Verified', 'tsf'),
+            'Mismatch' => __('Mismatch', 'tsf'),
+            'Error' => __('Error', 'tsf'),
+            'Not checked' => __('Not checked', 'tsf'),
+            'Streaming link' => __('Streaming link', 'tsf'),
+            'Remove link' => __('Remove link', 'tsf'),
+            'Streaming link {number}' => __('Streaming link {number}', 'tsf'),
+            'Please enter a track URL first' => __('Please enter a track URL first', 'tsf'),
+            'Verifying...' => __('Verifying...', 'tsf'),
+            'Error verifying track: {error}' => __('Error verifying track: {error}', 'tsf'),
+            'Unknown error' => __('Unknown error', 'tsf'),
+            'Verify Track' => __('Verify Track', 'tsf'),
+            'API Error: {status} - {text}' => __('API Error: {status} - {text}', 'tsf'),
+            '"{title}" by {artist}' => __('"{title}" by {artist}', 'tsf'),
+            'unknown artist' => __('unknown artist', 'tsf'),
+            'Checked manually after submission' => __('Checked manually after submission', 'tsf'),
+            'Track verified!' => __('Track verified!', 'tsf'),
+            'Info mismatch - please review' => __('Info mismatch - please review', 'tsf'),
+            'Artist' => __('Artist', 'tsf'),
+            'Album' => __('Album', 'tsf'),
+            'Audio file tags' => __('Audio file tags', 'tsf'),
+            'Platform' => __('Platform', 'tsf'),
+            'Your form' => __('Your form', 'tsf'),
+            'Use this value' => __('Use this value', 'tsf'),
+            'Use {source} {field}: {value}' => __('Use {source} {field}: {value}', 'tsf'),
+            'Your form, the audio file and the platform agree' => __('Your form, the audio file and the platform agree', 'tsf'),
+            'Please upload an MP3, WAV, FLAC or AIFF file' => __('Please upload an MP3, WAV, FLAC or AIFF file', 'tsf'),
+            'File too large (max {size} MB for {format})' => __('File too large (max {size} MB for {format})', 'tsf'),
+            'Analysis failed' => __('Analysis failed', 'tsf'),
+            'Upload cancelled' => __('Upload cancelled', 'tsf'),
+            'Error analyzing audio file: {error}' => __('Error analyzing audio file: {error}', 'tsf'),
+            'Provisional score: {score}' => __('Provisional score: {score}', 'tsf'),
+            'Analyzing...' => __('Analyzing...', 'tsf'),
+            'File analyzed: {file}' => __('File analyzed: {file}', 'tsf'),
+            'Try again - drop the audio file here or click to select' => __('Try again - drop the audio file here or click to select', 'tsf'),
+            'Upload Audio for Analysis' => __('Upload Audio for Analysis', 'tsf'),
+            'Try again' => __('Try again', 'tsf'),
+            'Drag & drop or click to select' => __('Drag & drop or click to select', 'tsf'),
+            'Starting upload...' => __('Starting upload...', 'tsf'),
+            'Pause' => __('Pause', 'tsf'),
+            '{size} MB' => __('{size} MB', 'tsf'),
+            '{sent} of {total} ({percent})' => __('{sent} of {total} ({percent})', 'tsf'),
+            'Resume' => __('Resume', 'tsf'),
+            'Paused at {percent}' => __('Paused at {percent}', 'tsf'),
+            'Connection lost - waiting for network...' => __('Connection lost - waiting for network...', 'tsf'),
+            'Connection problem - retrying...' => __('Connection problem - retrying...', 'tsf'),
+            'Server busy - continuing in a moment...' => __('Server busy - continuing in a moment...', 'tsf'),
+            'Provisional score from the file headers - full analysis runs while the file uploads' => __('Provisional score from the file headers - full analysis runs while the file uploads', 'tsf'),
+            'Mono' => __('Mono', 'tsf'),
+            'Stereo' => __('Stereo', 'tsf'),
+            'Bit Depth:' => __('Bit Depth:', 'tsf'),
+            '{bits}-bit' => __('{bits}-bit', 'tsf'),
+            'Bitrate:' => __('Bitrate:', 'tsf'),
+            '{bitrate} kbps' => __('{bitrate} kbps', 'tsf'),
+            'Audio Information' => __('Audio Information', 'tsf'),
+            'Format:' => __('Format:', 'tsf'),
+            '(lossless)' => __('(lossless)', 'tsf'),
+            'Duration:' => __('Duration:', 'tsf'),
+            'Sample Rate:' => __('Sample Rate:', 'tsf'),
+            '{rate} kHz' => __('{rate} kHz', 'tsf'),
+            'Channels:' => __('Channels:', 'tsf'),
+            'File Size:' => __('File Size:', 'tsf'),
+            'Missing' => __('Missing', 'tsf'),
+            'Tags' => __('Tags', 'tsf'),
+            'ID3 Tags' => __('ID3 Tags', 'tsf'),
+            'Artist:' => __('Artist:', 'tsf'),
+            'Title:' => __('Title:', 'tsf'),
+            'Album:' => __('Album:', 'tsf'),
+            'Year:' => __('Year:', 'tsf'),
+            'Artwork:' => __('Artwork:', 'tsf'),
+            'Present' => __('Present', 'tsf'),
+            'Missing ID3 Tags:' => __('Missing ID3 Tags:', 'tsf'),
+            'Recommendations:' => __('Recommendations:', 'tsf'),
+            'Your file is perfectly tagged and optimized!' => __('Your file is perfectly tagged and optimized!', 'tsf'),
+            'Audio analysis has not completed. Do you want to proceed without analysis?' => __('Audio analysis has not completed. Do you want to proceed without analysis?', 'tsf'),
+            'Please upload and analyze your audio file before submitting.' => __('Please upload and analyze your audio file before submitting.', 'tsf'),
+            'Submitting...' => __('Submitting...', 'tsf'),
+            'Track submitted successfully!' => __('Track submitted successfully!', 'tsf'),
+            'Submission failed' => __('Submission failed', 'tsf'),
+            'Submit Track' => __('Submit Track', 'tsf'),
+            'Error: {error}' => __('Error: {error}', 'tsf'),
+            'Not provided' => __('Not provided', 'tsf'),
+            'Not detected' => __('Not detected', 'tsf'),
+            'Track Information' => __('Track Information', 'tsf'),
+            'Track:' => __('Track:', 'tsf'),
+            'Release Type:' => __('Release Type:', 'tsf'),
+            'Genre:' => __('Genre:', 'tsf'),
+            'Platform:' => __('Platform:', 'tsf'),
+            'URL:' => __('URL:', 'tsf'),
+            'Also on:' => __('Also on:', 'tsf'),
+            'Not selected' => __('Not selected', 'tsf'),
+            'Contact Information' => __('Contact Information', 'tsf'),
+            'Email:' => __('Email:', 'tsf'),
+            'Phone:' => __('Phone:', 'tsf'),
+            'Country:' => __('Country:', 'tsf'),
+            'Label:' => __('Label:', 'tsf'),
+            'Territories:' => __('Territories:', 'tsf'),
+            'Not specified' => __('Not specified', 'tsf'),
+            'Track Listing' => __('Track Listing', 'tsf'),
+            'Credits:' => __('Credits:', 'tsf'),
+            'Audio Files' => __('Audio Files', 'tsf'),
+            'Track {number}:' => __('Track {number}:', 'tsf'),
+            '(Metadata: {metadata}/40 | Audio: {audio}/30 | Professional: {professional}/30)' => __('(Metadata: {metadata}/40 | Audio: {audio}/30 | Professional: {professional}/30)', 'tsf'),
+            'EP' => __('EP', 'tsf'),
+            'Playlist' => __('Playlist', 'tsf'),
+            // Country picker (TSFCountrySelect)
+            'No countries found' => __('No countries found', 'tsf'),
+            'Selected: {country}' => __('Selected: {country}', 'tsf'),
+            'Search your country...' => __('Search your country...', 'tsf'),
+            'Use {country}?' => __('Use {country}?', 'tsf'),
+            'Add a country...' => __('Add a country...', 'tsf'),
+            'Exclude a country...' => __('Exclude a country...', 'tsf'),
+            'Remove {country}' => __('Remove {country}', 'tsf'),
+            'Worldwide' => __('Worldwide', 'tsf'),
+            'except' => _x('except', 'territories', 'tsf'),
+            'Worldwide except {countries}' => __('Worldwide except {countries}', 'tsf'),
+            // Audio inspector (TSFAudioInspector)
+            'The file is empty' => __('The file is empty', 'tsf'),
+            '{format} files are not accepted - please export MP3, WAV, FLAC or AIFF' => __('{format} files are not accepted - please export MP3, WAV, FLAC or AIFF', 'tsf'),
+            'This file is {format} audio with a .{extension} extension - rename it to .{expected}' => __('This file is {format} audio with a .{extension} extension - rename it to .{expected}', 'tsf'),
+            'The audio is shorter than one second - the file looks truncated' => __('The audio is shorter than one second - the file looks truncated', 'tsf'),
+            'The ID3 tag is corrupt or the file is truncated' => __('The ID3 tag is corrupt or the file is truncated', 'tsf'),
+            'No MP3 audio frames were found - the file looks damaged' => __('No MP3 audio frames were found - the file looks damaged', 'tsf'),
+            'The WAV file is truncated - the audio data is incomplete' => __('The WAV file is truncated - the audio data is incomplete', 'tsf'),
+            'The WAV file has no audio format or data chunk - the file looks damaged' => __('The WAV file has no audio format or data chunk - the file looks damaged', 'tsf'),
+            'The AIFF file is truncated - the audio data is incomplete' => __('The AIFF file is truncated - the audio data is incomplete', 'tsf'),
+            'The AIFF file has no audio format or sound chunk - the file looks damaged' => __('The AIFF file has no audio format or sound chunk - the file looks damaged', 'tsf'),
+            'The FLAC file has no stream information - the file looks damaged' => __('The FLAC file has no stream information - the file looks damaged', 'tsf'),
+            // Chunked upload (TSFChunkedUpload)
+            'Upload could not be started' => __('Upload could not be started', 'tsf'),
+            'Upload session expired' => __('Upload session expired', 'tsf'),
+            'Upload failed' => __('Upload failed', 'tsf'),
+            'Network error' => __('Network error', 'tsf'),
+            // Waveform player (TSFWaveformPlayer)
+            'Drawing waveform...' => __('Drawing waveform...', 'tsf'),
+            'Waveform not shown for files this large - playback still works' => __('Waveform not shown for files this large - playback still works', 'tsf'),
+            'This browser cannot decode the file - waveform unavailable' => __('This browser cannot decode the file - waveform unavailable', 'tsf'),
+            'This browser cannot play the file' => __('This browser cannot play the file', 'tsf'),
+            'Seek' => __('Seek', 'tsf'),
+            'Play' => __('Play', 'tsf'),
+            // Classic form (TrackSubmissionForm)
+            'Invalid artist name' => __('Invalid artist name', 'tsf'),
+            'Invalid track title' => __('Invalid track title', 'tsf'),
+            'Invalid email address' => __('Invalid email address', 'tsf'),
+            'Invalid phone number' => __('Invalid phone number', 'tsf'),
+            'Duration must be in mm:ss format' => __('Duration must be in mm:ss format', 'tsf'),
+            'Invalid URL' => __('Invalid URL', 'tsf'),
+            'Description must be 10-2000 characters' => __('Description must be 10-2000 characters', 'tsf'),
+            'Draft saved automatically' => __('Draft saved automatically', 'tsf'),
+            'Draft loaded from previous session' => __('Draft loaded from previous session', 'tsf'),
+            'Please correct the errors above' => __('Please correct the errors above', 'tsf'),
+            'Submission successful!' => __('Submission successful!', 'tsf'),
+            'An error occurred. Please try again.' => __('An error occurred. Please try again.', 'tsf'),
+            'Network response was not ok' => __('Network response was not ok', 'tsf'),
+            'Processing...' => __('Processing...', 'tsf'),
+            'Track submission form' => __('Track submission form', 'tsf'),
+            // Validation engine defaults (TSFValidationEngine.messages)
+            'Please check this value' => __('Please check this value', 'tsf'),
+            '{label} is required to continue' => __('{label} is required to continue', 'tsf'),
+            'Please enter at least {value} characters' => __('Please enter at least {value} characters', 'tsf'),
+            'Please keep this to {value} characters or fewer' => __('Please keep this to {value} characters or fewer', 'tsf'),
+            'Please use the format shown in the example' => __('Please use the format shown in the example', 'tsf'),
+            '{label} contains content that is not allowed' => __('{label} contains content that is not allowed', 'tsf'),
+            'Please enter a valid email address (e.g., you@example.com)' => __('Please enter a valid email address (e.g., you@example.com)', 'tsf'),
+            'Please use a permanent email address' => __('Please use a permanent email address', 'tsf'),
+            'Please enter a complete URL starting with https://' => __('Please enter a complete URL starting with https://', 'tsf'),
+            'Please use a link from a supported platform' => __('Please use a link from a supported platform', 'tsf'),
+            'Please enter a valid phone number (at least 8 digits)' => __('Please enter a valid phone number (at least 8 digits)', 'tsf'),
+            'Use minutes and seconds, e.g. 3:45' => __('Use minutes and seconds, e.g. 3:45', 'tsf'),
+            'Duration must be between {min} and {max} seconds' => __('Duration must be between {min} and {max} seconds', 'tsf'),
+            'Please enter a valid date' => __('Please enter a valid date', 'tsf'),
+            'Please choose a date between {min} and {max}' => __('Please choose a date between {min} and {max}', 'tsf'),
+            'Please enter {value} or more' => __('Please enter {value} or more', 'tsf'),
+            'Please enter {value} or less' => __('Please enter {value} or less', 'tsf'),
+            'Please choose one of the listed options' => __('Please choose one of the listed options', 'tsf'),
+            'An ISRC is 12 characters: country, registrant, year and number (e.g. USXXX2400001)' => __('An ISRC is 12 characters: country, registrant, year and number (e.g. USXXX2400001)', 'tsf'),
+            'This ISRC starts with a country code that does not exist' => __('This ISRC starts with a country code that does not exist', 'tsf'),
+            'This is not a valid UPC/EAN barcode - check the digits' => __('This is not a valid UPC/EAN barcode - check the digits', 'tsf'),
+            'This value is already used by another entry' => __('This value is already used by another entry', 'tsf'),
+        ];
+
+        $plurals = [
+            // Multi-step form (TSFFormV2)
+            _n_noop('Maximum {count} track allowed', 'Maximum {count} tracks allowed', 'tsf'),
+            _n_noop('Your draft has been restored. {count} analyzed file expired - please upload it again.', 'Your draft has been restored. {count} analyzed files expired - please upload them again.', 'tsf'),
+            _n_noop('({count} track has no duration yet, so this may change)', '({count} tracks have no duration yet, so this may change)', 'tsf'),
+            _n_noop('At least {count} track is required', 'At least {count} tracks are required', 'tsf'),
+            _n_noop('Reading {count} file...', 'Reading {count} files...', 'tsf'),
+            _n_noop('{count} track found.', '{count} tracks found.', 'tsf'),
+            _n_noop('Only the first {count} can be imported.', 'Only the first {count} can be imported.', 'tsf'),
+            _n_noop('{count} more', '{count} more', 'tsf'),
+            _n_noop('This replaces the {count} track you entered, including its audio file.', 'This replaces the {count} tracks you entered, including their audio files.', 'tsf'),
+            _n_noop('{count} track imported', '{count} tracks imported', 'tsf'),
+            _n_noop('Upcoming releases need at least {count} day of notice for pitching', 'Upcoming releases need at least {count} days of notice for pitching', 'tsf'),
+            _n_noop('Released tracks can be at most {count} day old', 'Released tracks can be at most {count} days old', 'tsf'),
+            _n_noop('Upcoming releases: at least {count} day ahead', 'Upcoming releases: at least {count} days ahead', 'tsf'),
+            _n_noop('Released tracks: at most {count} day old', 'Released tracks: at most {count} days old', 'tsf'),
+            _n_noop('({count} credited)', '({count} credited)', 'tsf'),
+            _n_noop('Up to {count} streaming link can be added', 'Up to {count} streaming links can be added', 'tsf'),
+            _n_noop('{count} field differs between the sources - review the highlighted values', '{count} fields differ between the sources - review the highlighted values', 'tsf'),
+            _n_noop('{count} track without an audio file', '{count} tracks without an audio file', 'tsf'),
+        ];
+
+        foreach ($plurals as $plural) {
+            $forms = [];
+            foreach (self::PLURAL_SAMPLES as $count) {
+                $forms[$count] = translate_nooped_plural($plural, $count, 'tsf');
+            }
+            $messages[$plural['singular']] = $forms;
+        }
+
+        /**
+         * Filter the messages sent to the form scripts
+         *
+         * @param array $messages English text => translation (or forms per sample count)
+         */
+        return apply_filters('tsf_js_messages', $messages);
+    }
+}
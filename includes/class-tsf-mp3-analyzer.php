@@ -1,6 +1,6 @@
 <?php
 /**
- * MP3 Quality Analyzer using getID3
+ * Audio Quality Analyzer using getID3 (MP3, plus WAV/FLAC/AIFF masters)
  *
  * @package TrackSubmissionForm
  * @since 3.4.0
@@ -12,6 +12,39 @@ if (!defined('ABSPATH')) {
 
 class TSF_MP3_Analyzer {
 
+    /**
+     * Accepted upload formats
+     *
+     * Browser MIME types vary, so 'mimes' lists every type we accept from both
+     * the browser and finfo. Lossless files are scored on bit depth instead of bitrate.
+     */
+    const FORMATS = [
+        'mp3' => [
+            'label' => 'MP3',
+            'extensions' => ['mp3'],
+            'mimes' => ['audio/mpeg', 'audio/mp3', 'audio/mpeg3', 'audio/x-mpeg-3'],
+            'lossless' => false,
+        ],
+        'wav' => [
+            'label' => 'WAV',
+            'extensions' => ['wav'],
+            'mimes' => ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+            'lossless' => true,
+        ],
+        'flac' => [
+            'label' => 'FLAC',
+            'extensions' => ['flac'],
+            'mimes' => ['audio/flac', 'audio/x-flac'],
+            'lossless' => true,
+        ],
+        'aiff' => [
+            'label' => 'AIFF',
+            'extensions' => ['aif', 'aiff'],
+            'mimes' => ['audio/aiff', 'audio/x-aiff'],
+            'lossless' => true,
+        ],
+    ];
+
     private $getID3;
 
     public function __construct() {
@@ -21,9 +54,41 @@ class TSF_MP3_Analyzer {
     }
 
     /**
-     * Analyze MP3 file and generate QC report
+     * Resolve a file extension to its format key
+     *
+     * @param string $extension Extension without the dot
+     * @return string|null Format key (mp3, wav, flac, aiff) or null when unsupported
+     */
+    public static function get_format_for_extension($extension) {
+        $extension = strtolower($extension);
+        foreach (self::FORMATS as $format => $definition) {
+            if (in_array($extension, $definition['extensions'], true)) {
+                return $format;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Maximum upload size for a format
+     *
+     * Lossless masters get a separate limit; the default stays under
+     * Dropbox's 150MB single-request upload cap.
+     *
+     * @param string $format Format key
+     * @return int Bytes
+     */
+    public static function get_max_file_size($format) {
+        if (!empty(self::FORMATS[$format]['lossless'])) {
+            return (int) apply_filters('tsf_max_lossless_file_size', 150 * 1024 * 1024);
+        }
+        return (int) apply_filters('tsf_max_file_size', 50 * 1024 * 1024); // 50MB default
+    }
+
+    /**
+     * Analyze audio file and generate QC report
      *
-     * @param string $file_path Full path to MP3 file
+     * @param string $file_path Full path to the audio file
      * @return array QC report with metadata, audio info, and recommendations
      */
     public function analyze($file_path) {
@@ -31,16 +96,17 @@ class TSF_MP3_Analyzer {
             return $this->error_response('File not found');
         }
 
-        // VUL-13 FIX: Validate MP3 file magic bytes before processing
-        // This prevents malicious non-MP3 files from being analyzed by getID3
-        if (!$this->validate_mp3_magic_bytes($file_path)) {
-            error_log('TSF Security: Invalid MP3 file detected - ' . basename($file_path));
-            return $this->error_response('Invalid MP3 file format. File does not contain valid MP3 magic bytes.');
+        // VUL-13 FIX: Validate magic bytes before processing
+        // This prevents malicious non-audio files from being analyzed by getID3
+        $format = $this->detect_format($file_path);
+        if (!$format) {
+            error_log('TSF Security: Invalid audio file detected - ' . basename($file_path));
+            return $this->error_response('Invalid audio file format. Only MP3, WAV, FLAC and AIFF files are accepted.');
         }
 
-        // Additional file size validation (50MB max)
+        // Additional file size validation
         $filesize = filesize($file_path);
-        $max_size = apply_filters('tsf_max_file_size', 50 * 1024 * 1024); // 50MB default
+        $max_size = self::get_max_file_size($format);
         if ($filesize > $max_size) {
             return $this->error_response(sprintf(
                 'File too large. Maximum size is %s MB.',
@@ -58,7 +124,7 @@ class TSF_MP3_Analyzer {
             $report = [
                 'success' => true,
                 'metadata' => $this->extract_metadata($info),
-                'audio' => $this->extract_audio_info($info),
+                'audio' => $this->extract_audio_info($info, $format),
                 'quality_score' => 0,
                 'recommendations' => []
             ];
@@ -81,14 +147,19 @@ class TSF_MP3_Analyzer {
         $id3v2 = isset($tags['id3v2']) ? $tags['id3v2'] : [];
         $id3v1 = isset($tags['id3v1']) ? $tags['id3v1'] : [];
 
-        // Prefer ID3v2, fallback to ID3v1
+        // Merged tags: Vorbis comments (FLAC) and RIFF INFO chunks (WAV) end up here
+        $comments = isset($info['comments']) ? $info['comments'] : [];
+
+        // Prefer ID3v2, fallback to ID3v1, then the merged tags
         $metadata = [
-            'title' => $this->get_tag($id3v2, 'title', $id3v1),
-            'artist' => $this->get_tag($id3v2, 'artist', $id3v1),
-            'album' => $this->get_tag($id3v2, 'album', $id3v1),
-            'year' => $this->get_tag($id3v2, 'year', $id3v1),
-            'genre' => $this->get_tag($id3v2, 'genre', $id3v1),
-            'comment' => $this->get_tag($id3v2, 'comment', $id3v1),
+            'title' => $this->get_tag($id3v2, 'title', $id3v1) ?: $this->get_tag($comments, 'title'),
+            'artist' => $this->get_tag($id3v2, 'artist', $id3v1) ?: $this->get_tag($comments, 'artist'),
+            'album' => $this->get_tag($id3v2, 'album', $id3v1) ?: $this->get_tag($comments, 'album'),
+            'year' => $this->get_tag($id3v2, 'year', $id3v1) ?: $this->get_tag($comments, 'year', ['year' => $comments['date'] ?? []]),
+            'genre' => $this->get_tag($id3v2, 'genre', $id3v1) ?: $this->get_tag($comments, 'genre'),
+            'comment' => $this->get_tag($id3v2, 'comment', $id3v1) ?: $this->get_tag($comments, 'comment'),
+            // TSRC frame in ID3v2, ISRC comment in Vorbis
+            'isrc' => $this->get_tag($id3v2, 'isrc') ?: $this->get_tag($comments, 'isrc'),
         ];
 
         // Check for artwork
@@ -103,7 +174,7 @@ class TSF_MP3_Analyzer {
     /**
      * Extract audio technical info
      */
-    private function extract_audio_info($info) {
+    private function extract_audio_info($info, $format = 'mp3') {
         $audio = isset($info['audio']) ? $info['audio'] : [];
 
         $bitrate = isset($info['bitrate']) ? round($info['bitrate'] / 1000) : 0;
@@ -119,13 +190,21 @@ class TSF_MP3_Analyzer {
         $filesize = isset($info['filesize']) ? $info['filesize'] : 0;
         $filesize_formatted = $this->format_filesize($filesize);
 
-        // Bitrate type (CBR/VBR)
+        $lossless = !empty(self::FORMATS[$format]['lossless']);
+
+        // Bitrate type (CBR/VBR) - meaningless for lossless masters
         $bitrate_mode = 'CBR';
-        if (isset($audio['bitrate_mode']) && $audio['bitrate_mode'] === 'vbr') {
+        if ($lossless) {
+            $bitrate_mode = 'Lossless';
+        } elseif (isset($audio['bitrate_mode']) && $audio['bitrate_mode'] === 'vbr') {
             $bitrate_mode = 'VBR';
         }
 
         return [
+            'format' => $format,
+            'format_label' => self::FORMATS[$format]['label'],
+            'lossless' => $lossless,
+            'bits_per_sample' => isset($audio['bits_per_sample']) ? (int) $audio['bits_per_sample'] : 0,
             'bitrate_kbps' => $bitrate,
             'bitrate_mode' => $bitrate_mode,
             'samplerate_hz' => $sample_rate,
@@ -176,8 +255,17 @@ class TSF_MP3_Analyzer {
         }
 
         // Audio Quality scoring (30 points total)
-        // Bitrate (30 points)
-        if ($audio['bitrate_kbps'] >= 320) {
+        if (!empty($audio['lossless'])) {
+            // Bit depth (30 points) - bitrate only follows from depth and rate here,
+            // 16-bit is already CD quality so it gets the full points
+            if ($audio['bits_per_sample'] >= 16) {
+                $audio_score += 30;
+            } else {
+                $audio_score += 10;
+                $recommendations[] = 'Bit depth too low - use at least 16-bit, prefer 24-bit';
+            }
+        } elseif ($audio['bitrate_kbps'] >= 320) {
+            // Bitrate (30 points)
             $audio_score += 30;
         } elseif ($audio['bitrate_kbps'] >= 256) {
             $audio_score += 25;
@@ -209,7 +297,7 @@ class TSF_MP3_Analyzer {
             $recommendations[] = 'Stereo (2 channels) preferred over mono';
         }
 
-        // Bitrate mode preference
+        // Bitrate mode preference (lossy only)
         if ($audio['bitrate_mode'] === 'VBR') {
             $recommendations[] = 'CBR (Constant Bitrate) is preferred over VBR for streaming';
         }
@@ -260,6 +348,39 @@ class TSF_MP3_Analyzer {
         return $bytes . ' bytes';
     }
 
+    /**
+     * Detect the format from the file's magic bytes
+     *
+     * @param string $file_path Full path to file
+     * @return string|null Format key, or null when not a supported audio file
+     */
+    private function detect_format($file_path) {
+        $handle = fopen($file_path, 'rb');
+        if (!$handle) {
+            return null;
+        }
+
+        $header = fread($handle, 12);
+        fclose($handle);
+
+        if (strlen($header) >= 12) {
+            $container = substr($header, 0, 4);
+            $type = substr($header, 8, 4);
+
+            if ($container === 'RIFF' && $type === 'WAVE') {
+                return 'wav';
+            }
+            if ($container === 'FORM' && ($type === 'AIFF' || $type === 'AIFC')) {
+                return 'aiff';
+            }
+            if ($container === 'fLaC') {
+                return 'flac';
+            }
+        }
+
+        return $this->validate_mp3_magic_bytes($file_path) ? 'mp3' : null;
+    }
+
     /**
      * Validate MP3 file magic bytes
      * MP3 files start with either:
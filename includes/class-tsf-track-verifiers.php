@@ -0,0 +1,425 @@
+<?php
+/**
+ * Track verifiers for streaming platforms with a public lookup
+ *
+ * Each verifier turns a link into the preview data of the verify-track
+ * endpoint. TSF_API_Handler picks one per platform; the 'tsf_track_verifiers'
+ * filter can replace any of them, e.g. with a local stand-in in tests.
+ *
+ * @package TrackSubmissionForm
+ * @since 3.4.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+interface TSF_Track_Verifier {
+
+    /**
+     * Look up a track (or release) link
+     *
+     * @param string $url Link as entered, usually in its canonical form
+     * @return array ['success' => true, 'data' => [title, artist, album, cover,
+     *               duration, year, isrc, url, match_score, verified]] or
+     *               ['success' => false, 'message' => string]
+     */
+    public function verify($url);
+}
+
+/**
+ * Shared HTTP and result helpers
+ */
+abstract class TSF_Remote_Track_Verifier implements TSF_Track_Verifier {
+
+    /**
+     * microtime(true) by which requests must be done, 0 for no limit
+     */
+    protected $deadline = 0;
+
+    /**
+     * Cap the remaining requests of verify() at a point in time
+     *
+     * @param float $deadline microtime(true) value, 0 for no limit
+     */
+    public function set_deadline($deadline) {
+        $this->deadline = (float) $deadline;
+    }
+
+    /**
+     * Platform name for messages
+     */
+    abstract protected function get_platform_name();
+
+    /**
+     * GET a URL and decode its JSON body
+     *
+     * @param string $url
+     * @return array|WP_Error Decoded body, or an error for network failures and non-200 answers
+     */
+    protected function get_json($url) {
+        $body = $this->get_body($url, ['headers' => ['Accept' => 'application/json']]);
+        if (is_wp_error($body)) {
+            return $body;
+        }
+
+        $data = json_decode($body, true);
+        if (!is_array($data)) {
+            return new WP_Error('tsf_verify_response', sprintf(__('Unexpected answer from %s', 'tsf'), $this->get_platform_name()));
+        }
+
+        return $data;
+    }
+
+    /**
+     * GET a URL and return its body
+     *
+     * @param string $url
+     * @param array  $args Extra wp_safe_remote_get() arguments
+     * @return string|WP_Error
+     */
+    protected function get_body($url, $args = []) {
+        // The URL can come from the visitor (Bandcamp), so refuse local and private hosts, redirects included
+        $response = wp_safe_remote_get($url, array_merge([
+            'timeout' => $this->get_timeout(15),
+            'sslverify' => true
+        ], $args));
+
+        if (is_wp_error($response)) {
+            error_log('TSF: ' . $this->get_platform_name() . ' request failed: ' . $response->get_error_message());
+            return new WP_Error('tsf_verify_connect', sprintf(__('Failed to connect to %s', 'tsf'), $this->get_platform_name()));
+        }
+
+        if (wp_remote_retrieve_response_code($response) !== 200) {
+            return new WP_Error('tsf_verify_not_found', sprintf(__('Track not found on %s', 'tsf'), $this->get_platform_name()));
+        }
+
+        return wp_remote_retrieve_body($response);
+    }
+
+    /**
+     * Request timeout, shortened to what is left before the deadline
+     *
+     * @param int $seconds Timeout without a deadline
+     * @return float
+     */
+    protected function get_timeout($seconds) {
+        if (!$this->deadline) {
+            return $seconds;
+        }
+        return max(1, min($seconds, $this->deadline - microtime(true)));
+    }
+
+    /**
+     * @param array $data Track fields; missing ones are filled with defaults
+     * @return array
+     */
+    protected function success($data) {
+        return [
+            'success' => true,
+            'data' => array_merge([
+                'title' => '',
+                'artist' => '',
+                'album' => '',
+                'cover' => '',
+                'duration' => '',
+                'year' => '',
+                'isrc' => '',
+                'url' => '',
+                'match_score' => 100,
+                'verified' => true
+            ], $data)
+        ];
+    }
+
+    /**
+     * @param string|WP_Error $message
+     * @return array
+     */
+    protected function failure($message) {
+        return [
+            'success' => false,
+            'message' => is_wp_error($message) ? $message->get_error_message() : $message
+        ];
+    }
+
+    /**
+     * Seconds as M:SS
+     *
+     * @param int $seconds
+     * @return string
+     */
+    protected function format_seconds($seconds) {
+        $seconds = (int) $seconds;
+        return $seconds > 0 ? sprintf('%d:%02d', floor($seconds / 60), $seconds % 60) : '';
+    }
+}
+
+/**
+ * Apple Music through the iTunes Lookup API
+ *
+ * Handles /song/{slug}/{id}, /album/{slug}/{id}?i={track id} and whole albums.
+ */
+class TSF_Apple_Music_Verifier extends TSF_Remote_Track_Verifier {
+
+    protected function get_platform_name() {
+        return 'Apple Music';
+    }
+
+    public function verify($url) {
+        $parts = wp_parse_url($url);
+        $path = array_values(array_filter(explode('/', $parts['path'] ?? '')));
+        parse_str($parts['query'] ?? '', $query);
+
+        // Storefront: /us/album/... (the lookup only finds releases available there)
+        $country = isset($path[0]) && preg_match('/^[a-z]{2}$/i', $path[0]) ? strtolower(array_shift($path)) : 'us';
+        $kind = $path[0] ?? '';
+        $id = preg_replace('/^id/', '', (string) end($path));
+
+        if ($kind === 'album' && !empty($query['i']) && ctype_digit((string) $query['i'])) {
+            $id = $query['i'];
+            $kind = 'song';
+        }
+
+        if (!in_array($kind, ['song', 'album'], true) || !ctype_digit($id)) {
+            return $this->failure(__('Invalid Apple Music URL format. Expected a song or album link', 'tsf'));
+        }
+
+        $body = $this->get_json(add_query_arg([
+            'id' => $id,
+            'country' => $country
+        ], 'https://itunes.apple.com/lookup'));
+
+        if (is_wp_error($body)) {
+            return $this->failure($body);
+        }
+
+        $item = $body['results'][0] ?? null;
+        if (!$item) {
+            return $this->failure(__('Track not found on Apple Music', 'tsf'));
+        }
+
+        $is_album = ($item['wrapperType'] ?? '') === 'collection';
+
+        return $this->success([
+            'title' => $is_album ? ($item['collectionName'] ?? '') : ($item['trackName'] ?? ''),
+            'artist' => $item['artistName'] ?? '',
+            'album' => $item['collectionName'] ?? '',
+            // The lookup returns a 100px thumbnail, the same image exists at any size
+            'cover' => isset($item['artworkUrl100']) ? str_replace('100x100bb', '600x600bb', $item['artworkUrl100']) : '',
+            'duration' => isset($item['trackTimeMillis']) ? $this->format_seconds($item['trackTimeMillis'] / 1000) : '',
+            'year' => substr($item['releaseDate'] ?? '', 0, 4),
+            'url' => $item[$is_album ? 'collectionViewUrl' : 'trackViewUrl'] ?? $url
+        ]);
+    }
+}
+
+/**
+ * Deezer through its public API (api.deezer.com/track/{id}, /album/{id})
+ */
+class TSF_Deezer_Verifier extends TSF_Remote_Track_Verifier {
+
+    protected function get_platform_name() {
+        return 'Deezer';
+    }
+
+    public function verify($url) {
+        $url = $this->resolve_short_link($url);
+
+        if (!preg_match('#deezer\.com/(?:[a-z]{2}(?:-[a-z]{2})?/)?(track|album)/(\d+)#i', $url, $matches)) {
+            return $this->failure(__('Invalid Deezer URL format. Expected a track or album link', 'tsf'));
+        }
+
+        $kind = strtolower($matches[1]);
+        $body = $this->get_json("https://api.deezer.com/{$kind}/{$matches[2]}");
+
+        if (is_wp_error($body)) {
+            return $this->failure($body);
+        }
+
+        // Unknown IDs still answer 200, with an error object
+        if (isset($body['error']) || empty($body['title'])) {
+            return $this->failure(__('Track not found on Deezer', 'tsf'));
+        }
+
+        $album = $kind === 'album' ? $body : ($body['album'] ?? []);
+
+        return $this->success([
+            'title' => $body['title'],
+            'artist' => $body['artist']['name'] ?? '',
+            'album' => $album['title'] ?? '',
+            'cover' => $album['cover_xl'] ?? ($album['cover_big'] ?? ''),
+            'duration' => isset($body['duration']) ? $this->format_seconds($body['duration']) : '',
+            'year' => substr($body['release_date'] ?? ($album['release_date'] ?? ''), 0, 4),
+            'isrc' => $body['isrc'] ?? '',
+            'url' => $body['link'] ?? $url
+        ]);
+    }
+
+    /**
+     * deezer.page.link and link.deezer.com redirect to the deezer.com page
+     *
+     * @param string $url
+     * @return string The target, or the URL itself
+     */
+    private function resolve_short_link($url) {
+        for ($hop = 0; $hop < 3 && preg_match('#^https?://(?:deezer\.page\.link|link\.deezer\.com)/#i', $url); $hop++) {
+            $response = wp_safe_remote_head($url, [
+                'timeout' => $this->get_timeout(10),
+                'redirection' => 0,
+                'sslverify' => true
+            ]);
+
+            $location = is_wp_error($response) ? '' : wp_remote_retrieve_header($response, 'location');
+            if (!$location) {
+                break;
+            }
+            $url = $location;
+        }
+
+        return $url;
+    }
+}
+
+/**
+ * TIDAL through its oEmbed endpoint
+ *
+ * oEmbed has no album or duration, so the result scores lower than an API lookup.
+ */
+class TSF_Tidal_Verifier extends TSF_Remote_Track_Verifier {
+
+    protected function get_platform_name() {
+        return 'TIDAL';
+    }
+
+    public function verify($url) {
+        if (!preg_match('#tidal\.com/(?:browse/)?(track|album)/(\d+)#i', $url, $matches)) {
+            return $this->failure(__('Invalid TIDAL URL format. Expected a track or album link', 'tsf'));
+        }
+
+        $canonical = 'https://tidal.com/browse/' . strtolower($matches[1]) . '/' . $matches[2];
+        $body = $this->get_json('https://oembed.tidal.com/?url=' . rawurlencode($canonical));
+
+        if (is_wp_error($body)) {
+            return $this->failure($body);
+        }
+
+        if (empty($body['title'])) {
+            return $this->failure(__('Track not found on TIDAL', 'tsf'));
+        }
+
+        // Titles come as "Title" with author_name, or as "Artist - Title"
+        $title = $body['title'];
+        $artist = $body['author_name'] ?? '';
+        if (!$artist && strpos($title, ' - ') !== false) {
+            list($artist, $title) = explode(' - ', $title, 2);
+        }
+
+        return $this->success([
+            'title' => trim($title),
+            'artist' => trim($artist),
+            'cover' => $body['thumbnail_url'] ?? '',
+            'url' => $canonical,
+            'match_score' => 80
+        ]);
+    }
+}
+
+/**
+ * Bandcamp from the page itself: it has no API, but track and album pages
+ * carry JSON-LD (with album and duration) and Open Graph tags
+ */
+class TSF_Bandcamp_Verifier extends TSF_Remote_Track_Verifier {
+
+    protected function get_platform_name() {
+        return 'Bandcamp';
+    }
+
+    public function verify($url) {
+        // Only Bandcamp's own pages, so the verifier cannot be pointed at any other site
+        $host = strtolower((string) wp_parse_url($url, PHP_URL_HOST));
+        if ($host !== 'bandcamp.com' && substr($host, -strlen('.bandcamp.com')) !== '.bandcamp.com') {
+            return $this->failure(__('Invalid Bandcamp URL format. Expected a link on bandcamp.com', 'tsf'));
+        }
+
+        // Fetched over HTTPS without following redirects, which could lead off Bandcamp
+        $html = $this->get_body(set_url_scheme($url, 'https'), [
+            'user-agent' => 'WordPress/' . get_bloginfo('version') . '; ' . home_url(),
+            'redirection' => 0
+        ]);
+
+        if (is_wp_error($html)) {
+            return $this->failure($html);
+        }
+
+        $ld = $this->read_json_ld($html);
+        if ($ld && !empty($ld['name'])) {
+            $album = $ld['inAlbum']['name'] ?? (($ld['@type'] ?? '') === 'MusicAlbum' ? $ld['name'] : '');
+
+            return $this->success([
+                'title' => $ld['name'],
+                'artist' => $ld['byArtist']['name'] ?? '',
+                'album' => $album,
+                'cover' => is_array($ld['image'] ?? null) ? reset($ld['image']) : ($ld['image'] ?? ''),
+                'duration' => isset($ld['duration']) ? $this->parse_iso_duration($ld['duration']) : '',
+                'year' => preg_match('/\b(\d{4})\b/', $ld['datePublished'] ?? '', $year) ? $year[1] : '',
+                'url' => $ld['@id'] ?? $url,
+                'match_score' => 90
+            ]);
+        }
+
+        // Open Graph only: og:title is "Title, by Artist", og:site_name the artist
+        $og = [];
+        foreach (['title', 'site_name', 'image'] as $property) {
+            if (preg_match('/<meta property="og:' . $property . '" content="([^"]+)"/', $html, $matches)) {
+                $og[$property] = html_entity_decode($matches[1], ENT_QUOTES);
+            }
+        }
+
+        if (empty($og['title'])) {
+            return $this->failure(__('Track not found on Bandcamp', 'tsf'));
+        }
+
+        return $this->success([
+            'title' => preg_replace('/, by .+$/', '', $og['title']),
+            'artist' => $og['site_name'] ?? '',
+            'cover' => $og['image'] ?? '',
+            'url' => $url,
+            'match_score' => 75
+        ]);
+    }
+
+    /**
+     * @param string $html
+     * @return array|null The first MusicRecording or MusicAlbum object
+     */
+    private function read_json_ld($html) {
+        if (!preg_match_all('#<script type="application/ld\+json"[^>]*>(.*?)</script>#s', $html, $matches)) {
+            return null;
+        }
+
+        foreach ($matches[1] as $json) {
+            $data = json_decode(trim($json), true);
+            if (is_array($data) && in_array($data['@type'] ?? '', ['MusicRecording', 'MusicAlbum'], true)) {
+                return $data;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * "P00H03M45S" as 3:45
+     *
+     * @param string $duration ISO 8601 duration
+     * @return string
+     */
+    private function parse_iso_duration($duration) {
+        if (!preg_match('/^P(?:T)?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/', $duration, $matches)) {
+            return '';
+        }
+
+        $seconds = ((int) ($matches[1] ?? 0)) * 3600 + ((int) ($matches[2] ?? 0)) * 60 + (int) ($matches[3] ?? 0);
+        return $this->format_seconds($seconds);
+    }
+}
@@ -14,6 +14,80 @@ if (!defined('ABSPATH')) {
 
 class TSF_Validator {
 
+    /**
+     * Disposable email domains that are rejected
+     */
+    const DISPOSABLE_EMAIL_DOMAINS = ['tempmail.com', '10minutemail.com', 'guerrillamail.com', 'mailinator.com'];
+
+    /**
+     * Platforms a track URL may point to
+     */
+    const TRACK_URL_DOMAINS = [
+        'spotify.com', 'spotify.link', 'bandcamp.com', 'youtube.com', 'youtu.be', 'soundcloud.com', 'apple.com', 'music.apple.com',
+        'deezer.com', 'deezer.page.link', 'tidal.com', 'audiomack.com', 'beatport.com',
+        'amazon.com', 'amazon.ca', 'amazon.com.mx', 'amazon.com.br', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it',
+        'amazon.es', 'amazon.nl', 'amazon.se', 'amazon.pl', 'amazon.in', 'amazon.co.jp', 'amazon.com.au',
+    ];
+
+    /**
+     * Streaming links a release may list, the main track URL included
+     */
+    const MAX_STREAMING_LINKS = 10;
+
+    /**
+     * Spam patterns for descriptions, case-insensitive. Kept without delimiters
+     * so the same source works as a JavaScript RegExp.
+     */
+    const SPAM_PATTERNS = [
+        '\\b(?:viagra|cialis|casino|lottery|winner)\\b',
+        '\\b(?:click here|buy now)\\b',
+        'https?://[^\\s]+\\s+https?://', // Multiple URLs
+    ];
+
+    /**
+     * ISRC country prefixes: ISO 3166-1 alpha-2 codes, plus the prefixes the
+     * IFPI allocates outside that list (QM, QN, QO, QP, QT, QZ for the US,
+     * XK for Kosovo, ZZ for the IFPI itself, CP and DG reserved).
+     */
+    const ISRC_COUNTRY_CODES = [
+        'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX', 'AZ',
+        'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY', 'BZ',
+        'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ',
+        'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ',
+        'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET',
+        'FI', 'FJ', 'FK', 'FM', 'FO', 'FR',
+        'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY',
+        'HK', 'HM', 'HN', 'HR', 'HT', 'HU',
+        'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR', 'IS', 'IT',
+        'JE', 'JM', 'JO', 'JP',
+        'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KP', 'KR', 'KW', 'KY', 'KZ',
+        'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY',
+        'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ',
+        'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ',
+        'OM',
+        'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY',
+        'QA',
+        'RE', 'RO', 'RS', 'RU', 'RW',
+        'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ',
+        'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ',
+        'UA', 'UG', 'UM', 'US', 'UY', 'UZ',
+        'VA', 'VC', 'VE', 'VG', 'VI', 'VN', 'VU',
+        'WF', 'WS',
+        'YE', 'YT',
+        'ZA', 'ZM', 'ZW',
+        'CP', 'DG', 'QM', 'QN', 'QO', 'QP', 'QT', 'QZ', 'XK', 'ZZ',
+    ];
+
+    /**
+     * Writer roles in a track's credits
+     */
+    const CREDIT_WRITER_ROLES = ['composer', 'lyricist', 'composer_lyricist'];
+
+    /**
+     * Musical keys as "<tonic> major|minor", e.g. "F# minor"
+     */
+    const MUSICAL_KEY_PATTERN = '/^(?:C|C#|Db|D|D#|Eb|E|F|F#|Gb|G|G#|Ab|A|A#|Bb|B) (?:major|minor)$/';
+
     private $errors = [];
     private $logger;
 
@@ -74,6 +148,13 @@ class TSF_Validator {
             $this->validate_country($data['country']);
         }
 
+        if (!empty($data['tracks']) && is_array($data['tracks'])) {
+            $isrcs = self::sanitize_release_isrcs($data['tracks']);
+            if (is_wp_error($isrcs)) {
+                $this->add_error('tracks', $isrcs->get_error_message());
+            }
+        }
+
         // Validate against allowed options (only user-visible fields)
         $this->validate_genre($data['genre'] ?? '');
         $this->validate_label($data['label'] ?? '');
@@ -164,10 +245,9 @@ class TSF_Validator {
         }
 
         // Check for disposable email domains
-        $disposable_domains = ['tempmail.com', '10minutemail.com', 'guerrillamail.com', 'mailinator.com'];
         $domain = substr(strrchr($email, "@"), 1);
 
-        if (in_array($domain, $disposable_domains, true)) {
+        if (in_array(strtolower($domain), self::DISPOSABLE_EMAIL_DOMAINS, true)) {
             $this->add_error('email', __('Please use a permanent email address', 'tsf'));
         }
     }
@@ -233,6 +313,12 @@ class TSF_Validator {
                 $max_future_years
             ));
         }
+
+        // Lead time, blackout dates and maximum age from the settings
+        $policy_check = self::check_release_date_policy($date);
+        if (is_wp_error($policy_check)) {
+            $this->add_error('release_date', $policy_check->get_error_message());
+        }
     }
 
     /**
@@ -253,20 +339,8 @@ class TSF_Validator {
 
         // Validate track URL platforms
         if ($field === 'track_url') {
-            $valid_domains = ['spotify.com', 'bandcamp.com', 'youtube.com', 'youtu.be', 'soundcloud.com', 'apple.com', 'music.apple.com', 'deezer.com'];
-            $host = $parsed['host'] ?? '';
-            $host = str_replace('www.', '', $host);
-
-            $is_valid_platform = false;
-            foreach ($valid_domains as $domain) {
-                if (strpos($host, $domain) !== false) {
-                    $is_valid_platform = true;
-                    break;
-                }
-            }
-
-            if (!$is_valid_platform) {
-                $this->add_error($field, __('Track URL must be from a supported platform (Spotify, Bandcamp, YouTube, SoundCloud, Apple Music, Deezer)', 'tsf'));
+            if (!self::is_supported_track_url($url)) {
+                $this->add_error($field, __('Track URL must be from a supported platform (Spotify, Apple Music, YouTube, Amazon Music, Deezer, TIDAL, SoundCloud, Bandcamp, Audiomack, Beatport)', 'tsf'));
             }
         }
     }
@@ -284,14 +358,8 @@ class TSF_Validator {
         }
 
         // Check for spam patterns
-        $spam_patterns = [
-            '/\b(?:viagra|cialis|casino|lottery|winner)\b/i',
-            '/\b(?:click here|buy now)\b/i',
-            '/https?:\/\/[^\s]+\s+https?:\/\//i', // Multiple URLs
-        ];
-
-        foreach ($spam_patterns as $pattern) {
-            if (preg_match($pattern, $description)) {
+        foreach (self::SPAM_PATTERNS as $pattern) {
+            if (preg_match('#' . $pattern . '#i', $description)) {
                 $this->add_error('description', __('Description contains prohibited content', 'tsf'));
                 break;
             }
@@ -360,6 +428,428 @@ class TSF_Validator {
         }
     }
 
+    /**
+     * ISRC as stored: uppercase, without the hyphens and spaces of printed codes
+     *
+     * @param string $isrc
+     * @return string
+     */
+    public static function normalize_isrc($isrc) {
+        return strtoupper(preg_replace('/[^A-Za-z0-9]/', '', (string) $isrc));
+    }
+
+    /**
+     * Check a normalized ISRC: country, registrant, year, designation
+     *
+     * @param string $isrc
+     * @return bool
+     */
+    public static function is_valid_isrc($isrc) {
+        return (bool) preg_match('/^[A-Z]{2}[A-Z0-9]{3}[0-9]{7}$/', $isrc)
+            && in_array(substr($isrc, 0, 2), self::ISRC_COUNTRY_CODES, true);
+    }
+
+    /**
+     * Normalize the ISRCs of a release's tracks, rejecting invalid ones and
+     * codes used by two tracks
+     *
+     * @param array $tracks Posted track rows
+     * @return array|WP_Error ISRCs keyed like the track rows
+     */
+    public static function sanitize_release_isrcs($tracks) {
+        $isrcs = [];
+
+        foreach ((array) $tracks as $key => $track) {
+            if (!is_array($track) || empty($track['isrc']) || !is_string($track['isrc'])) {
+                continue;
+            }
+
+            $isrc = self::normalize_isrc($track['isrc']);
+            if (!self::is_valid_isrc($isrc)) {
+                return new WP_Error('tsf_isrc', sprintf(__('%s is not a valid ISRC', 'tsf'), sanitize_text_field($track['isrc'])));
+            }
+            if (in_array($isrc, $isrcs, true)) {
+                return new WP_Error('tsf_isrc', sprintf(__('ISRC %s is used for more than one track', 'tsf'), $isrc));
+            }
+
+            $isrcs[$key] = $isrc;
+        }
+
+        return $isrcs;
+    }
+
+    /**
+     * Which of a list of ISRCs earlier submissions already listed
+     *
+     * @param string[] $isrcs Normalized ISRCs
+     * @return string[]
+     */
+    public static function get_submitted_isrcs($isrcs) {
+        $isrcs = array_values(array_unique((array) $isrcs));
+        if (empty($isrcs)) {
+            return [];
+        }
+
+        global $wpdb;
+
+        // A submission has one tsf_isrc row per track, so match the rows
+        // themselves rather than the first ISRC of each post
+        $placeholders = implode(', ', array_fill(0, count($isrcs), '%s'));
+        $submitted = $wpdb->get_col($wpdb->prepare(
+            "SELECT DISTINCT pm.meta_value FROM {$wpdb->postmeta} pm
+            INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+            WHERE pm.meta_key = 'tsf_isrc'
+            AND p.post_type = 'track_submission'
+            AND p.post_status NOT IN ('trash', 'auto-draft')
+            AND pm.meta_value IN ($placeholders)",
+            $isrcs
+        ));
+
+        return array_values(array_intersect($isrcs, $submitted));
+    }
+
+    /**
+     * Whether a URL points to one of the supported streaming platforms
+     *
+     * @param string $url
+     * @return bool
+     */
+    public static function is_supported_track_url($url) {
+        $host = preg_replace('/^www\./', '', strtolower((string) wp_parse_url($url, PHP_URL_HOST)));
+
+        // The domain itself or a subdomain of it, like the url_domains rule in the browser
+        foreach (self::TRACK_URL_DOMAINS as $domain) {
+            if ($host === $domain || substr($host, -strlen('.' . $domain)) === '.' . $domain) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Sanitize a release's streaming links
+     *
+     * Each link is { url, platform }; a status sent by the form is ignored.
+     * Empty rows and repeated URLs are dropped.
+     *
+     * @param array $links Main track URL first, then the links repeater rows
+     * @return array|WP_Error
+     */
+    public static function sanitize_streaming_links($links) {
+        $clean = [];
+
+        foreach ((array) $links as $link) {
+            if (!is_array($link)) {
+                continue;
+            }
+
+            $url = esc_url_raw(trim(wp_unslash($link['url'] ?? '')), ['http', 'https']);
+            if ($url === '' || in_array($url, array_column($clean, 'url'), true)) {
+                continue;
+            }
+            if (!self::is_supported_track_url($url)) {
+                return new WP_Error('tsf_links', sprintf(__('%s is not a link to a supported streaming platform', 'tsf'), $url));
+            }
+            if (count($clean) >= self::MAX_STREAMING_LINKS) {
+                return new WP_Error('tsf_links', sprintf(__('Please add at most %d streaming links', 'tsf'), self::MAX_STREAMING_LINKS));
+            }
+
+            // Status is set by the server from its own verification (TSF_API_Handler::get_link_statuses())
+            $clean[] = [
+                'platform' => sanitize_key($link['platform'] ?? '') ?: 'other',
+                'url' => $url,
+                'status' => '',
+            ];
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Release scheduling rules set under Settings
+     *
+     * @return array min_lead_days, preferred_weekday (0 = Sunday, null for
+     *               none), blackout_dates (list of [from, to] as Y-m-d) and
+     *               max_age_days (0 = no limit)
+     */
+    public static function get_release_date_policy() {
+        $weekday = (string) get_option('tsf_release_weekday', '');
+
+        $blackout_dates = [];
+        foreach ((array) get_option('tsf_release_blackout_dates', []) as $line) {
+            $range = self::parse_blackout_range($line);
+            if ($range) {
+                $blackout_dates[] = $range;
+            }
+        }
+
+        return apply_filters('tsf_release_date_policy', [
+            'min_lead_days' => absint(get_option('tsf_release_min_lead_days', 0)),
+            'preferred_weekday' => preg_match('/^[0-6]$/', $weekday) ? (int) $weekday : null,
+            'blackout_dates' => $blackout_dates,
+            'max_age_days' => absint(get_option('tsf_release_max_age_days', 0)),
+        ]);
+    }
+
+    /**
+     * A blackout date ("2026-12-25") or range ("2026-12-20/2027-01-03")
+     *
+     * @param string $text
+     * @return array|null [from, to] as Y-m-d, or null when the text is not a date
+     */
+    public static function parse_blackout_range($text) {
+        $parts = array_map('trim', explode('/', (string) $text));
+        if (count($parts) > 2) {
+            return null;
+        }
+
+        foreach ($parts as $part) {
+            $date = DateTime::createFromFormat('!Y-m-d', $part);
+            if (!$date || $date->format('Y-m-d') !== $part) {
+                return null;
+            }
+        }
+
+        $from = $parts[0];
+        $to = $parts[1] ?? $parts[0];
+        return $from <= $to ? [$from, $to] : [$to, $from];
+    }
+
+    /**
+     * Check a release date against the scheduling rules that exclude dates:
+     * lead time and blackout dates for releases from today on, maximum age
+     * for released ones. The preferred weekday is only advice.
+     *
+     * Lead time and age allow a day of slack, for visitors whose "today" is
+     * ahead of or behind the site's.
+     *
+     * @param string $date Y-m-d
+     * @return true|WP_Error
+     */
+    public static function check_release_date_policy($date) {
+        $policy = self::get_release_date_policy();
+        $days = (int) round((strtotime($date . ' 00:00:00 UTC') - strtotime(wp_date('Y-m-d') . ' 00:00:00 UTC')) / DAY_IN_SECONDS);
+
+        if ($days >= 0 && $days < $policy['min_lead_days'] - 1) {
+            return new WP_Error('tsf_release_date', sprintf(
+                _n('Upcoming releases need at least %d day of notice for pitching', 'Upcoming releases need at least %d days of notice for pitching', $policy['min_lead_days'], 'tsf'),
+                $policy['min_lead_days']
+            ));
+        }
+
+        if ($days >= 0) {
+            foreach ($policy['blackout_dates'] as $range) {
+                if ($date >= $range[0] && $date <= $range[1]) {
+                    return new WP_Error('tsf_release_date', __('No releases are scheduled on this date', 'tsf'));
+                }
+            }
+        }
+
+        if ($days < 0 && $policy['max_age_days'] > 0 && -$days > $policy['max_age_days'] + 1) {
+            return new WP_Error('tsf_release_date', sprintf(
+                _n('Released tracks can be at most %d day old', 'Released tracks can be at most %d days old', $policy['max_age_days'], 'tsf'),
+                $policy['max_age_days']
+            ));
+        }
+
+        return true;
+    }
+
+    /**
+     * Sanitize the release territories, posted as JSON by the V2 territory picker
+     *
+     * Unknown and repeated country codes are dropped.
+     *
+     * @param string|array $raw { worldwide: true, except: [codes] } or { countries: [codes] }
+     * @return array The same shape, or empty when no territory was chosen
+     */
+    public static function sanitize_territories($raw) {
+        if (is_string($raw)) {
+            $raw = json_decode(wp_unslash($raw), true);
+        }
+        if (empty($raw) || !is_array($raw)) {
+            return [];
+        }
+
+        // ISO 3166-1 codes and XK, without the prefixes only ISRCs use
+        $valid = array_diff(self::ISRC_COUNTRY_CODES, ['CP', 'DG', 'QM', 'QN', 'QO', 'QP', 'QT', 'QZ', 'ZZ']);
+        $codes = function ($list) use ($valid) {
+            $list = array_map('strtoupper', array_filter((array) $list, 'is_string'));
+            return array_values(array_unique(array_intersect($list, $valid)));
+        };
+
+        if (!empty($raw['worldwide'])) {
+            return ['worldwide' => true, 'except' => $codes($raw['except'] ?? [])];
+        }
+
+        $countries = $codes($raw['countries'] ?? []);
+        return $countries ? ['countries' => $countries] : [];
+    }
+
+    /**
+     * Sanitize one track's credits, posted as JSON by the V2 credits editor
+     *
+     * Writers need a name and a publishing share, and the shares of all
+     * writers must add up to 100%. Empty parts are left out.
+     *
+     * @param string|array $raw JSON object (or decoded array)
+     * @return array|WP_Error featured, writers, producers, explicit, language, bpm, key
+     */
+    public static function sanitize_track_credits($raw) {
+        if (is_string($raw)) {
+            $raw = json_decode(wp_unslash($raw), true);
+        }
+        if (empty($raw) || !is_array($raw)) {
+            return [];
+        }
+
+        $names = function ($list) {
+            $list = array_map('sanitize_text_field', array_filter((array) $list, 'is_string'));
+            return array_slice(array_values(array_filter($list, 'strlen')), 0, 20);
+        };
+
+        $credits = [
+            'featured' => $names($raw['featured'] ?? []),
+            'writers' => [],
+            'producers' => $names($raw['producers'] ?? []),
+            'explicit' => in_array($raw['explicit'] ?? '', ['explicit', 'clean'], true) ? $raw['explicit'] : '',
+            'language' => is_string($raw['language'] ?? null) && preg_match('/^[a-z]{2,3}$/', $raw['language']) ? $raw['language'] : '',
+            'bpm' => null,
+            'key' => is_string($raw['key'] ?? null) && preg_match(self::MUSICAL_KEY_PATTERN, $raw['key']) ? $raw['key'] : '',
+        ];
+
+        $total = 0;
+        foreach (array_slice((array) ($raw['writers'] ?? []), 0, 20) as $writer) {
+            if (!is_array($writer)) {
+                continue;
+            }
+
+            $name = sanitize_text_field($writer['name'] ?? '');
+            $share = isset($writer['share']) && is_numeric($writer['share']) ? round((float) $writer['share'], 2) : null;
+
+            if ($name === '') {
+                return new WP_Error('tsf_credits', __('Every writer needs a name', 'tsf'));
+            }
+            if ($share === null || $share <= 0 || $share > 100) {
+                return new WP_Error('tsf_credits', sprintf(__('Give %s a publishing share between 0 and 100%%', 'tsf'), $name));
+            }
+
+            $credits['writers'][] = [
+                'name' => $name,
+                'role' => in_array($writer['role'] ?? '', self::CREDIT_WRITER_ROLES, true) ? $writer['role'] : 'composer_lyricist',
+                'share' => $share,
+                'publisher' => sanitize_text_field($writer['publisher'] ?? ''),
+            ];
+            $total += $share;
+        }
+
+        if (!empty($credits['writers']) && abs($total - 100) > 0.01) {
+            return new WP_Error('tsf_credits', sprintf(__('Writer shares add up to %s%% - they need to total 100%%', 'tsf'), round($total, 2)));
+        }
+
+        if (isset($raw['bpm']) && $raw['bpm'] !== '' && $raw['bpm'] !== null) {
+            if (!is_numeric($raw['bpm']) || $raw['bpm'] < 20 || $raw['bpm'] > 300) {
+                return new WP_Error('tsf_credits', __('BPM must be between 20 and 300', 'tsf'));
+            }
+            $credits['bpm'] = (int) round($raw['bpm']);
+        }
+
+        return array_filter($credits);
+    }
+
+    /**
+     * Rule definitions for the client-side validation engine (TSFValidationEngine)
+     *
+     * Mirrors the checks above so the browser reports the same problems before
+     * submitting. The server still validates everything on its own.
+     *
+     * @return array Rules keyed by field name
+     */
+    public static function get_client_rules() {
+        $max_future_years = (int) get_option('tsf_max_future_years', 2);
+        $text_rules = function ($label) {
+            return [
+                ['rule' => 'minlength', 'value' => 2, 'message' => sprintf(__('%s must be at least 2 characters', 'tsf'), $label)],
+                ['rule' => 'maxlength', 'value' => 200, 'message' => sprintf(__('%s must not exceed 200 characters', 'tsf'), $label)],
+                ['rule' => 'not_pattern', 'value' => '[<>{}]', 'message' => sprintf(__('%s contains invalid characters', 'tsf'), $label)],
+            ];
+        };
+
+        $rules = [
+            'artist' => $text_rules(__('Artist name', 'tsf')),
+            'track_title' => $text_rules(__('Track title', 'tsf')),
+            'tracks[*][title]' => $text_rules(__('Track title', 'tsf')),
+            // isrc_submitted is checked by the V2 form against GET /tsf/v1/isrc/{isrc}
+            'tracks[*][isrc]' => [
+                ['rule' => 'isrc', 'message' => __('An ISRC is 12 characters, e.g. USXXX1234567', 'tsf')],
+                ['rule' => 'isrc_country', 'value' => self::ISRC_COUNTRY_CODES, 'message' => __('This ISRC starts with a country code that does not exist', 'tsf')],
+                ['rule' => 'unique', 'message' => __('Each track needs its own ISRC', 'tsf')],
+                ['rule' => 'isrc_submitted', 'message' => __('This ISRC was already sent in an earlier submission', 'tsf')],
+            ],
+            // Checked by the V2 credits editor, mirrors sanitize_track_credits()
+            'tracks[*][credits]' => [
+                ['rule' => 'track_credits'],
+            ],
+            'email' => [
+                ['rule' => 'email', 'message' => __('Invalid email address', 'tsf')],
+                ['rule' => 'email_domain_not_in', 'value' => self::DISPOSABLE_EMAIL_DOMAINS, 'message' => __('Please use a permanent email address', 'tsf')],
+            ],
+            'phone' => [
+                ['rule' => 'phone', 'message' => __('Invalid phone number format', 'tsf')],
+            ],
+            'duration' => [
+                ['rule' => 'duration', 'message' => __('Duration must be in mm:ss format (e.g., 3:45)', 'tsf')],
+                ['rule' => 'duration_range', 'value' => ['min' => 30, 'max' => 3600], 'message' => __('Track duration must be between 30 seconds and 60 minutes', 'tsf')],
+            ],
+            'release_date' => [
+                ['rule' => 'date_window', 'value' => [
+                    'min' => '1900-01-01',
+                    'max' => '+' . $max_future_years . ' years',
+                    'min_message' => __('Release date is too far in the past', 'tsf'),
+                    'max_message' => sprintf(__('Release date cannot be more than %d years in the future', 'tsf'), $max_future_years),
+                ]],
+            ],
+            'track_url' => [
+                ['rule' => 'url', 'message' => sprintf(__('%s is not a valid URL', 'tsf'), __('Track URL', 'tsf'))],
+                ['rule' => 'url_domains', 'value' => self::TRACK_URL_DOMAINS, 'message' => __('Track URL must be from a supported platform (Spotify, Apple Music, YouTube, Amazon Music, Deezer, TIDAL, SoundCloud, Bandcamp, Audiomack, Beatport)', 'tsf')],
+            ],
+            // Extra streaming links (V2 links repeater)
+            'links[*][url]' => [
+                ['rule' => 'url_domains', 'value' => self::TRACK_URL_DOMAINS, 'message' => __('Please use a link to a supported streaming platform', 'tsf')],
+                ['rule' => 'unique', 'message' => __('This link is already in the list', 'tsf')],
+                ['rule' => 'unique', 'value' => 'track_url', 'message' => __('This is already your main track link', 'tsf')],
+            ],
+            'social_url' => [
+                ['rule' => 'url', 'message' => sprintf(__('%s is not a valid URL', 'tsf'), __('Social media URL', 'tsf'))],
+            ],
+            'description' => [
+                ['rule' => 'minlength', 'value' => 10, 'message' => __('Description must be at least 10 characters', 'tsf')],
+                ['rule' => 'maxlength', 'value' => 2000, 'message' => __('Description must not exceed 2000 characters', 'tsf')],
+                ['rule' => 'not_pattern', 'value' => array_map(function ($pattern) {
+                    return ['pattern' => $pattern, 'flags' => 'i'];
+                }, self::SPAM_PATTERNS), 'message' => __('Description contains prohibited content', 'tsf')],
+            ],
+            'country' => [
+                ['rule' => 'minlength', 'value' => 2, 'message' => __('Country name must be at least 2 characters', 'tsf')],
+                ['rule' => 'maxlength', 'value' => 100, 'message' => __('Country name must not exceed 100 characters', 'tsf')],
+            ],
+            'genre' => [
+                ['rule' => 'in', 'value' => array_values((array) get_option('tsf_genres', [])), 'message' => __('Invalid genre selected', 'tsf')],
+            ],
+            'label' => [
+                ['rule' => 'in', 'value' => array_values((array) get_option('tsf_labels', [])), 'message' => __('Invalid label selected', 'tsf')],
+            ],
+        ];
+
+        // Same list as validate_required_fields(); required rules go first
+        foreach (['artist', 'genre', 'release_date', 'email', 'track_url', 'label', 'country', 'description'] as $field) {
+            array_unshift($rules[$field], ['rule' => 'required']);
+        }
+
+        return apply_filters('tsf_client_validation_rules', $rules);
+    }
+
     /**
      * Add validation error
      */
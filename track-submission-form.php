@@ -122,6 +122,12 @@ class TrackSubmissionForm {
      * Load Form V2 and additional modules
      */
     private function load_form_v2() {
+        // Message catalog for the form scripts (enqueued by Form V2)
+        $i18n_file = TSF_PLUGIN_DIR . 'includes/class-tsf-i18n.php';
+        if (file_exists($i18n_file)) {
+            require_once $i18n_file;
+        }
+
         // Form V2
         $form_v2_file = TSF_PLUGIN_DIR . 'includes/class-tsf-form-v2.php';
         if (file_exists($form_v2_file)) {
@@ -130,6 +136,12 @@ class TrackSubmissionForm {
             TSF_Form_V2::get_instance();
         }
 
+        // Track verifiers (used by the API handler)
+        $verifiers_file = TSF_PLUGIN_DIR . 'includes/class-tsf-track-verifiers.php';
+        if (file_exists($verifiers_file)) {
+            require_once $verifiers_file;
+        }
+
         // API Handler
         $api_handler_file = TSF_PLUGIN_DIR . 'includes/class-tsf-api-handler.php';
         if (file_exists($api_handler_file)) {
@@ -144,6 +156,12 @@ class TrackSubmissionForm {
             require_once $mp3_analyzer_file;
         }
 
+        // Validator (rule definitions for the client-side validation engine)
+        $validator_file = TSF_PLUGIN_DIR . 'includes/class-tsf-validator.php';
+        if (file_exists($validator_file)) {
+            require_once $validator_file;
+        }
+
         // Dashboard Analytics - Load dependencies in correct order
         // 1. Logger (required by Workflow)
         $logger_file = TSF_PLUGIN_DIR . 'includes/class-tsf-logger.php';
@@ -422,6 +440,8 @@ class TrackSubmissionForm {
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('tsf_nonce'),
             'dropbox' => esc_url(get_option('tsf_dropbox_url')),
+            // Rules for TSFValidationEngine, mirroring TSF_Validator
+            'validation_rules' => class_exists('TSF_Validator') ? TSF_Validator::get_client_rules() : [],
             'messages' => [
                 'error' => __('An error occurred. Please try again.', 'tsf'),
                 'loading' => __('Processing...', 'tsf')
@@ -1290,6 +1310,12 @@ Total: <?php echo esc_html($stats['total']); ?>
             wp_send_json_error(['message' => __('Release date is too far in the future', 'tsf')], 400);
         }
 
+        // Scheduling rules from the settings (lead time, blackout dates, maximum age)
+        $release_policy_check = class_exists('TSF_Validator') ? TSF_Validator::check_release_date_policy($data['release_date']) : true;
+        if (is_wp_error($release_policy_check)) {
+            wp_send_json_error(['message' => $release_policy_check->get_error_message()], 400);
+        }
+
         // Validate against allowed options (only user-visible fields)
         $allowed_genres = get_option('tsf_genres', []);
         $allowed_labels = get_option('tsf_labels', []);
@@ -1323,6 +1349,55 @@ Total: <?php echo esc_html($stats['total']); ?>
             wp_send_json_error(['message' => __('Phone number is too long', 'tsf')], 400);
         }
 
+        // ISRCs: valid and not shared between two tracks of the release
+        $isrcs = class_exists('TSF_Validator') ? TSF_Validator::sanitize_release_isrcs($tracks) : [];
+        if (is_wp_error($isrcs)) {
+            wp_send_json_error(['message' => $isrcs->get_error_message()], 400);
+        }
+        $data['isrcs'] = array_values($isrcs);
+
+        // Per-track credits (JSON from the V2 credits editor), in track order
+        $track_credits = [];
+        $position = 0;
+        foreach ((array) $tracks as $track) {
+            $position++;
+            if (!is_array($track) || empty($track['credits']) || !class_exists('TSF_Validator')) {
+                continue;
+            }
+
+            $credits = TSF_Validator::sanitize_track_credits($track['credits']);
+            if (is_wp_error($credits)) {
+                wp_send_json_error(['message' => sprintf(__('Track %1$d: %2$s', 'tsf'), $position, $credits->get_error_message())], 400);
+            }
+            if (!empty($credits)) {
+                $track_credits[] = [
+                    'track' => $position,
+                    'title' => sanitize_text_field($track['title'] ?? ''),
+                    'credits' => $credits,
+                ];
+            }
+        }
+        $data['track_credits'] = $track_credits;
+
+        // Streaming links: the main track URL, then the V2 links repeater in form order
+        $link_rows = isset($_POST['links']) && is_array($_POST['links']) ? $_POST['links'] : [];
+        ksort($link_rows);
+        $streaming_links = class_exists('TSF_Validator') ? TSF_Validator::sanitize_streaming_links(array_merge(
+            [['url' => $_POST['track_url'] ?? '', 'platform' => $platform]],
+            array_values($link_rows)
+        )) : [];
+        if (is_wp_error($streaming_links)) {
+            wp_send_json_error(['message' => $streaming_links->get_error_message()], 400);
+        }
+        // Verification status from what this server checked, not what the form claims
+        if (class_exists('TSF_API_Handler')) {
+            $streaming_links = TSF_API_Handler::get_instance()->get_link_statuses($streaming_links);
+        }
+        $data['streaming_links'] = $streaming_links;
+
+        // Where the release is available (JSON from the V2 territory picker)
+        $data['territories'] = class_exists('TSF_Validator') ? TSF_Validator::sanitize_territories($_POST['territories'] ?? '') : [];
+
         // Get MP3 file info if uploaded
         $mp3_file_path = sanitize_text_field($_POST['mp3_file_path'] ?? '');
         $mp3_filename = sanitize_text_field($_POST['mp3_filename'] ?? '');
@@ -1345,6 +1420,16 @@ Total: <?php echo esc_html($stats['total']); ?>
             $qc_report_data = json_decode(stripslashes($_POST['qc_report']), true);
         }
 
+        // Per-track MP3 analyses (one entry per track row that had a file attached)
+        $track_analyses = $this->sanitize_track_analyses($_POST['track_analyses'] ?? '');
+
+        // Fields added through a custom form layout (Settings > Form Layout)
+        $extra_fields = class_exists('TSF_Form_V2') ? TSF_Form_V2::get_instance()->get_extra_field_values($_POST) : [];
+        if (is_wp_error($extra_fields)) {
+            wp_send_json_error(['message' => $extra_fields->get_error_message()], 400);
+        }
+        $data['extra_fields'] = $extra_fields;
+
         // Debug logging
         if (defined('WP_DEBUG') && WP_DEBUG) {
             error_log('TSF DEBUG - MP3 Data Received: path=' . $mp3_file_path . ', filename=' . $mp3_filename);
@@ -1378,6 +1463,11 @@ Total: <?php echo esc_html($stats['total']); ?>
                 'tsf_mp3_file_path' => $mp3_file_path,
                 'tsf_mp3_filename' => $mp3_filename,
                 'tsf_qc_report'    => $qc_report_data ? wp_json_encode($qc_report_data) : '',
+                'tsf_track_analyses' => !empty($track_analyses) ? wp_json_encode($track_analyses) : '',
+                'tsf_extra_fields' => !empty($extra_fields) ? wp_json_encode($extra_fields) : '',
+                'tsf_track_credits' => !empty($track_credits) ? wp_json_encode($track_credits) : '',
+                'tsf_streaming_links' => !empty($streaming_links) ? wp_json_encode($streaming_links) : '',
+                'tsf_territories'  => !empty($data['territories']) ? wp_json_encode($data['territories']) : '',
                 'tsf_created_at'   => current_time('mysql'),
             ],
         ];
@@ -1389,6 +1479,11 @@ Total: <?php echo esc_html($stats['total']); ?>
             wp_send_json_error(['message' => __('Failed to save submission', 'tsf')], 500);
         }
 
+        // One meta row per ISRC, so later submissions can be matched against them
+        foreach ($data['isrcs'] as $isrc) {
+            add_post_meta($post_id, 'tsf_isrc', $isrc);
+        }
+
         // Verify what was saved
         $saved_qc = get_post_meta($post_id, 'tsf_qc_report', true);
         error_log('TSF DEBUG - Post #' . $post_id . ' created. QC Report saved: ' . ($saved_qc ? 'YES (' . strlen($saved_qc) . ' bytes)' : 'NO'));
@@ -1435,6 +1530,64 @@ Total: <?php echo esc_html($stats['total']); ?>
         ]);
     }
 
+    /**
+     * Sanitize the per-track analysis list posted by the V2 form
+     *
+     * Only keeps files that live in the protected tsf-submissions folder.
+     *
+     * @param string $raw JSON-encoded list of track analyses
+     * @return array
+     */
+    private function sanitize_track_analyses($raw) {
+        if (empty($raw) || !is_string($raw)) {
+            return [];
+        }
+
+        $decoded = json_decode(stripslashes($raw), true);
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        $max_tracks = (int) apply_filters('tsf_max_tracks', 50);
+        $analyses = [];
+
+        foreach (array_slice($decoded, 0, $max_tracks) as $item) {
+            if (!is_array($item)) {
+                continue;
+            }
+
+            $temp_file_path = sanitize_text_field($item['temp_file_path'] ?? '');
+            if (!preg_match('#^/tsf-submissions/tsf_[0-9]+_[A-Za-z0-9]+\.(mp3|wav|flac|aiff?)$#', $temp_file_path)) {
+                $temp_file_path = '';
+            }
+
+            $duration = sanitize_text_field($item['duration'] ?? '');
+            if (!preg_match('/^\d{1,3}:[0-5]\d$/', $duration)) {
+                $duration = '';
+            }
+
+            $recommendations = isset($item['recommendations']) && is_array($item['recommendations'])
+                ? array_map('sanitize_text_field', array_slice($item['recommendations'], 0, 20))
+                : [];
+
+            $analyses[] = [
+                'track'              => absint($item['track'] ?? 0),
+                'title'              => sanitize_text_field($item['title'] ?? ''),
+                'original_filename'  => sanitize_file_name($item['original_filename'] ?? ''),
+                'filename'           => sanitize_file_name($item['filename'] ?? ''),
+                'temp_file_path'     => $temp_file_path,
+                'duration'           => $duration,
+                'quality_score'      => min(100, absint($item['quality_score'] ?? 0)),
+                'metadata_score'     => min(40, absint($item['metadata_score'] ?? 0)),
+                'audio_score'        => min(30, absint($item['audio_score'] ?? 0)),
+                'professional_score' => min(30, absint($item['professional_score'] ?? 0)),
+                'recommendations'    => $recommendations,
+            ];
+        }
+
+        return $analyses;
+    }
+
     /**
      * Send MP3 file to Dropbox File Request
      */
@@ -1598,6 +1751,23 @@ Total: <?php echo esc_html($stats['total']); ?>
             sprintf(__("Track URL: %s", 'tsf'), $data['track_url']),
         ];
 
+        if (!empty($data['isrcs'])) {
+            $body_parts[] = sprintf(__("ISRC: %s", 'tsf'), implode(', ', $data['isrcs']));
+        }
+
+        // The first link is the track URL above
+        foreach (array_slice($data['streaming_links'] ?? [], 1) as $link) {
+            $body_parts[] = sprintf(__('Also on: %s', 'tsf'), $this->format_streaming_link($link));
+        }
+
+        foreach ($data['extra_fields'] ?? [] as $field) {
+            $body_parts[] = sprintf('%s: %s', $field['label'], $field['value']);
+        }
+
+        foreach ($data['track_credits'] ?? [] as $item) {
+            $body_parts[] = sprintf(__('Credits, track %1$d (%2$s): %3$s', 'tsf'), $item['track'], $item['title'], $this->format_track_credits($item['credits']));
+        }
+
         // Add direct link to submission in admin
         if ($post_id) {
             $admin_url = admin_url('post.php?post=' . $post_id . '&action=edit');
@@ -1617,6 +1787,133 @@ Total: <?php echo esc_html($stats['total']); ?>
         return $result;
     }
 
+    /**
+     * Platform, URL and verification result of a streaming link, as plain text
+     *
+     * @param array $link Entry of TSF_Validator::sanitize_streaming_links()
+     * @return string
+     */
+    private function format_streaming_link($link) {
+        $text = sprintf('%s - %s', $this->get_platform_label($link['platform']), $link['url']);
+        $status = $this->get_link_status_label($link['status']);
+
+        return $status !== '' ? sprintf('%s (%s)', $text, $status) : $text;
+    }
+
+    /**
+     * @param string $status verified, mismatch, error or manual
+     * @return string Empty for links that were not verified
+     */
+    private function get_link_status_label($status) {
+        $labels = [
+            'verified' => __('verified', 'tsf'),
+            'mismatch' => __('details did not match', 'tsf'),
+            'error' => __('could not be checked', 'tsf'),
+            'manual' => __('not checked automatically', 'tsf'),
+        ];
+
+        return $labels[$status] ?? '';
+    }
+
+    /**
+     * Display name for a platform key of the V2 link parser
+     *
+     * @param string $platform
+     * @return string
+     */
+    private function get_platform_label($platform) {
+        $labels = [
+            'spotify' => 'Spotify',
+            'apple' => 'Apple Music',
+            'youtube_music' => 'YouTube Music',
+            'youtube' => 'YouTube',
+            'soundcloud' => 'SoundCloud',
+            'deezer' => 'Deezer',
+            'tidal' => 'TIDAL',
+            'bandcamp' => 'Bandcamp',
+            'amazon' => 'Amazon Music',
+            'audiomack' => 'Audiomack',
+            'beatport' => 'Beatport',
+        ];
+
+        return $labels[$platform] ?? ucfirst($platform);
+    }
+
+    /**
+     * Release territories as text, e.g. "Worldwide except China (CN)"
+     *
+     * @param array $territories Output of TSF_Validator::sanitize_territories()
+     * @return string
+     */
+    private function format_territories($territories) {
+        $names = function ($codes) {
+            return implode(', ', array_map([$this, 'get_country_label'], (array) $codes));
+        };
+
+        if (!empty($territories['worldwide'])) {
+            return empty($territories['except'])
+                ? __('Worldwide', 'tsf')
+                : sprintf(__('Worldwide except %s', 'tsf'), $names($territories['except']));
+        }
+
+        return $names($territories['countries'] ?? []);
+    }
+
+    /**
+     * Country name in the admin language with its code, e.g. "Belgium (BE)"
+     *
+     * @param string $code ISO 3166-1 alpha-2 code
+     * @return string The code alone without the intl extension
+     */
+    private function get_country_label($code) {
+        $name = class_exists('Locale') ? Locale::getDisplayRegion('und-' . $code, determine_locale()) : '';
+
+        return $name !== '' && $name !== $code ? sprintf('%s (%s)', $name, $code) : $code;
+    }
+
+    /**
+     * One-line description of a track's credits, for the email and the metabox
+     *
+     * @param array $credits Output of TSF_Validator::sanitize_track_credits()
+     * @return string
+     */
+    private function format_track_credits($credits) {
+        $roles = [
+            'composer' => __('composer', 'tsf'),
+            'lyricist' => __('lyricist', 'tsf'),
+            'composer_lyricist' => __('composer & lyricist', 'tsf'),
+        ];
+        $parts = [];
+
+        if (!empty($credits['featured'])) {
+            $parts[] = sprintf(__('feat. %s', 'tsf'), implode(', ', $credits['featured']));
+        }
+        if (!empty($credits['writers'])) {
+            $writers = array_map(function ($writer) use ($roles) {
+                $text = sprintf('%s (%s, %s%%)', $writer['name'], $roles[$writer['role']] ?? $writer['role'], $writer['share']);
+                return !empty($writer['publisher']) ? $text . ' - ' . $writer['publisher'] : $text;
+            }, $credits['writers']);
+            $parts[] = sprintf(__('Written by %s', 'tsf'), implode(', ', $writers));
+        }
+        if (!empty($credits['producers'])) {
+            $parts[] = sprintf(__('Produced by %s', 'tsf'), implode(', ', $credits['producers']));
+        }
+        if (!empty($credits['explicit'])) {
+            $parts[] = $credits['explicit'] === 'explicit' ? __('Explicit', 'tsf') : __('Clean version', 'tsf');
+        }
+        if (!empty($credits['language'])) {
+            $parts[] = sprintf(__('Language: %s', 'tsf'), $credits['language'] === 'zxx' ? __('no lyrics', 'tsf') : strtoupper($credits['language']));
+        }
+        if (!empty($credits['bpm'])) {
+            $parts[] = sprintf(__('%d BPM', 'tsf'), $credits['bpm']);
+        }
+        if (!empty($credits['key'])) {
+            $parts[] = $credits['key'];
+        }
+
+        return implode('; ', $parts);
+    }
+
     private function log_error($message) {
         if (defined('WP_DEBUG') && WP_DEBUG) {
             error_log('TSF Error: ' . $message);
@@ -1653,8 +1950,15 @@ Total: <?php echo esc_html($stats['total']); ?>
             wp_die(__('MP3 file not found on server.', 'tsf'));
         }
 
-        // Serve file for download
-        header('Content-Type: audio/mpeg');
+        // Serve file for download (lossless masters keep their own type)
+        $filetype = wp_check_filetype($full_path, [
+            'mp3' => 'audio/mpeg',
+            'wav' => 'audio/wav',
+            'flac' => 'audio/flac',
+            'aif' => 'audio/aiff',
+            'aiff' => 'audio/aiff',
+        ]);
+        header('Content-Type: ' . ($filetype['type'] ?: 'application/octet-stream'));
         header('Content-Disposition: attachment; filename="' . $mp3_filename . '"');
         header('Content-Length: ' . filesize($full_path));
         header('Cache-Control: no-cache');
@@ -1850,6 +2154,15 @@ Total: <?php echo esc_html($stats['total']); ?>
         register_setting('tsf_settings', 'tsf_platforms');
         register_setting('tsf_settings', 'tsf_types');
         register_setting('tsf_settings', 'tsf_labels');
+        register_setting('tsf_settings', 'tsf_form_schema');
+        register_setting('tsf_settings', 'tsf_country_ip_lookup');
+        register_setting('tsf_settings', 'tsf_country_header_hint');
+
+        // Release scheduling rules for the date picker
+        register_setting('tsf_settings', 'tsf_release_min_lead_days');
+        register_setting('tsf_settings', 'tsf_release_weekday');
+        register_setting('tsf_settings', 'tsf_release_blackout_dates');
+        register_setting('tsf_settings', 'tsf_release_max_age_days');
 
         // API credentials for track verification
         register_setting('tsf_settings', 'tsf_spotify_client_id');
@@ -1942,6 +2255,41 @@ Total: <?php echo esc_html($stats['total']); ?>
                 update_option('tsf_file_retention_days', $retention_days);
             }
 
+            update_option('tsf_country_ip_lookup', !empty($_POST['tsf_country_ip_lookup']) ? 1 : 0);
+            update_option('tsf_country_header_hint', !empty($_POST['tsf_country_header_hint']) ? 1 : 0);
+
+            // Release scheduling rules
+            $min_lead_days = isset($_POST['tsf_release_min_lead_days']) ? absint($_POST['tsf_release_min_lead_days']) : 0;
+            if ($min_lead_days <= 365) {
+                update_option('tsf_release_min_lead_days', $min_lead_days);
+            }
+
+            $release_weekday = isset($_POST['tsf_release_weekday']) ? sanitize_text_field($_POST['tsf_release_weekday']) : '';
+            if ($release_weekday === '' || preg_match('/^[0-6]$/', $release_weekday)) {
+                update_option('tsf_release_weekday', $release_weekday);
+            }
+
+            $max_age_days = isset($_POST['tsf_release_max_age_days']) ? absint($_POST['tsf_release_max_age_days']) : 0;
+            if ($max_age_days <= 36500) {
+                update_option('tsf_release_max_age_days', $max_age_days);
+            }
+
+            $blackout_dates = [];
+            $skipped_blackout_lines = [];
+            $blackout_lines = isset($_POST['tsf_release_blackout_dates']) ? preg_split('/\R/', sanitize_textarea_field(wp_unslash($_POST['tsf_release_blackout_dates']))) : [];
+            foreach (array_filter(array_map('trim', $blackout_lines), 'strlen') as $line) {
+                $range = TSF_Validator::parse_blackout_range($line);
+                if ($range) {
+                    $blackout_dates[] = $range[0] === $range[1] ? $range[0] : $range[0] . '/' . $range[1];
+                } else {
+                    $skipped_blackout_lines[] = $line;
+                }
+            }
+            update_option('tsf_release_blackout_dates', $blackout_dates);
+            if ($skipped_blackout_lines) {
+                echo '<div class="notice notice-warning"><p>' . esc_html(sprintf(__('Skipped blackout dates that are not YYYY-MM-DD or YYYY-MM-DD/YYYY-MM-DD: %s', 'tsf'), implode(', ', $skipped_blackout_lines))) . '</p></div>';
+            }
+
             // Handle arrays with validation
             if (isset($_POST['tsf_genres']) && is_array($_POST['tsf_genres'])) {
                 $genres = array_filter(array_map('sanitize_text_field', $_POST['tsf_genres']));
@@ -1960,6 +2308,26 @@ Total: <?php echo esc_html($stats['total']); ?>
                 update_option('tsf_labels', array_values($labels));
             }
 
+            // Form layout: empty, the default or the reset box all fall back to the built-in layout
+            $form_schema_raw = isset($_POST['tsf_form_schema']) ? trim(wp_unslash($_POST['tsf_form_schema'])) : '';
+            if (!empty($_POST['tsf_form_schema_reset']) || $form_schema_raw === '') {
+                delete_option('tsf_form_schema');
+            } else {
+                $form_schema = json_decode($form_schema_raw, true);
+                $schema_check = json_last_error() === JSON_ERROR_NONE
+                    ? TSF_Form_V2::validate_form_schema($form_schema)
+                    : new WP_Error('tsf_schema', sprintf(__('Invalid JSON: %s', 'tsf'), json_last_error_msg()));
+
+                if (is_wp_error($schema_check)) {
+                    echo '<div class="notice notice-error"><p>' . esc_html__('Form layout not saved:', 'tsf') . ' ' . esc_html($schema_check->get_error_message()) . '</p></div>';
+                } elseif ($form_schema == TSF_Form_V2::get_default_form_schema()) {
+                    // Unchanged default: keep following the translated, built-in layout
+                    delete_option('tsf_form_schema');
+                } else {
+                    update_option('tsf_form_schema', wp_json_encode($form_schema));
+                }
+            }
+
             // Handle API credentials
             $spotify_client_id = isset($_POST['tsf_spotify_client_id']) ? sanitize_text_field($_POST['tsf_spotify_client_id']) : '';
             update_option('tsf_spotify_client_id', $spotify_client_id);
@@ -1979,12 +2347,22 @@ Total: <?php echo esc_html($stats['total']); ?>
         $report_time = get_option('tsf_report_time', '09:00');
         $max_future_years = get_option('tsf_max_future_years', 2);
         $file_retention_days = get_option('tsf_file_retention_days', 90);
+        $country_ip_lookup = get_option('tsf_country_ip_lookup', 0);
+        $country_header_hint = get_option('tsf_country_header_hint', 0);
+        $release_min_lead_days = get_option('tsf_release_min_lead_days', 0);
+        $release_weekday = (string) get_option('tsf_release_weekday', '');
+        $release_blackout_dates = (array) get_option('tsf_release_blackout_dates', []);
+        $release_max_age_days = get_option('tsf_release_max_age_days', 0);
         $genres = get_option('tsf_genres', ['Pop', 'Rock', 'Electronic/Dance', 'Folk', 'Alternative', 'Metal', 'Jazz', 'R&B', 'Hip-Hop/Rap', 'Autre']);
         $platforms = get_option('tsf_platforms', ['Spotify', 'Bandcamp', 'Youtube Music', 'Apple Music', 'Deezer', 'Soundcloud', 'Other']);
         $types = get_option('tsf_types', ['Album', 'EP', 'Single']);
         $labels = get_option('tsf_labels', ['Indie', 'Label']);
         $spotify_client_id = get_option('tsf_spotify_client_id', '');
         $spotify_client_secret = get_option('tsf_spotify_client_secret', '');
+        $form_schema_json = get_option('tsf_form_schema', '');
+        $form_schema_json = $form_schema_json
+            ? wp_json_encode(json_decode($form_schema_json, true), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)
+            : wp_json_encode(TSF_Form_V2::get_default_form_schema(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
         ?>
         
         <div class="wrap">
@@ -2113,6 +2491,60 @@ Total: <?php echo esc_html($stats['total']); ?>
                             <p class="description"><?php esc_html_e('Number of days to keep generated CSV files', 'tsf'); ?></p>
                         </td>
                     </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Country Suggestion', 'tsf'); ?></th>
+                        <td>
+                            <label>
+                                <input type="checkbox" name="tsf_country_ip_lookup" value="1" <?php checked($country_ip_lookup, 1); ?> />
+                                <?php esc_html_e('Look up the visitor\'s country from their IP address (ipapi.co)', 'tsf'); ?>
+                            </label>
+                            <p class="description"><?php esc_html_e('Off by default. The form then suggests a country from the browser\'s language and time zone only. When on, every visitor\'s IP address is sent to ipapi.co - mention it in your privacy policy.', 'tsf'); ?></p>
+                            <label>
+                                <input type="checkbox" name="tsf_country_header_hint" value="1" <?php checked($country_header_hint, 1); ?> />
+                                <?php esc_html_e('Use the country header sent by the site\'s CDN or proxy (Cloudflare, CloudFront)', 'tsf'); ?>
+                            </label>
+                            <p class="description"><?php esc_html_e('Off by default. The country is written into the form page, so leave this off when pages are cached: every visitor would get the country of the first one.', 'tsf'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+
+                <h2><?php esc_html_e('Release Scheduling', 'tsf'); ?></h2>
+                <p><?php esc_html_e('Dates the release date picker accepts. Dates outside these rules are disabled in the calendar, with the reason shown.', 'tsf'); ?></p>
+
+                <table class="form-table">
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Minimum Lead Time', 'tsf'); ?></th>
+                        <td>
+                            <input type="number" name="tsf_release_min_lead_days" value="<?php echo esc_attr($release_min_lead_days); ?>" min="0" max="365" /> <?php esc_html_e('days', 'tsf'); ?>
+                            <p class="description"><?php esc_html_e('How far ahead an upcoming release must be submitted, so there is time to pitch it. 0 for no minimum.', 'tsf'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Preferred Release Day', 'tsf'); ?></th>
+                        <td>
+                            <select name="tsf_release_weekday">
+                                <option value="" <?php selected($release_weekday, ''); ?>><?php esc_html_e('Any day', 'tsf'); ?></option>
+                                <?php for ($weekday = 0; $weekday <= 6; $weekday++): ?>
+                                <option value="<?php echo esc_attr($weekday); ?>" <?php selected($release_weekday, (string) $weekday); ?>><?php echo esc_html($GLOBALS['wp_locale']->get_weekday($weekday)); ?></option>
+                                <?php endfor; ?>
+                            </select>
+                            <p class="description"><?php esc_html_e('Upcoming releases on another day get a warning and an offer to move to this day.', 'tsf'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Blackout Dates', 'tsf'); ?></th>
+                        <td>
+                            <textarea name="tsf_release_blackout_dates" rows="4" class="regular-text" placeholder="2026-12-25&#10;2026-12-20/2027-01-03"><?php echo esc_textarea(implode("\n", $release_blackout_dates)); ?></textarea>
+                            <p class="description"><?php esc_html_e('Days no upcoming release may be scheduled on, one per line: a date (YYYY-MM-DD) or a range (YYYY-MM-DD/YYYY-MM-DD).', 'tsf'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Maximum Age of Released Tracks', 'tsf'); ?></th>
+                        <td>
+                            <input type="number" name="tsf_release_max_age_days" value="<?php echo esc_attr($release_max_age_days); ?>" min="0" max="36500" /> <?php esc_html_e('days', 'tsf'); ?>
+                            <p class="description"><?php esc_html_e('Oldest release date accepted for tracks that are already out. 0 for no limit.', 'tsf'); ?></p>
+                        </td>
+                    </tr>
                 </table>
 
                 <h2><?php esc_html_e('API Credentials', 'tsf'); ?></h2>
@@ -2179,6 +2611,23 @@ Total: <?php echo esc_html($stats['total']); ?>
                     </tr>
                 </table>
 
+                <h2><?php esc_html_e('Form Layout', 'tsf'); ?></h2>
+                <p><?php esc_html_e('Steps, fields and the track repeater of the submission form, as JSON. Select options can name a list above ("genres", "labels", "platforms", "types").', 'tsf'); ?></p>
+
+                <table class="form-table">
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Layout (JSON)', 'tsf'); ?></th>
+                        <td>
+                            <textarea name="tsf_form_schema" rows="20" class="large-text code"><?php echo esc_textarea($form_schema_json); ?></textarea>
+                            <p class="description"><?php esc_html_e('Fields the submission needs (track URL, artist, genre, release date, tracks, email, label, country, description) must stay in the layout. Other fields you add are saved with each submission and listed in the notification email.', 'tsf'); ?></p>
+                            <label>
+                                <input type="checkbox" name="tsf_form_schema_reset" value="1" />
+                                <?php esc_html_e('Reset to the default layout', 'tsf'); ?>
+                            </label>
+                        </td>
+                    </tr>
+                </table>
+
                 <?php submit_button(); ?>
             </form>
 
@@ -2696,6 +3145,17 @@ Total: <?php echo esc_html($stats['total']); ?>
         $mp3_filename = get_post_meta($post->ID, 'tsf_mp3_filename', true);
         $qc_report_json = get_post_meta($post->ID, 'tsf_qc_report', true);
         $qc_report = $qc_report_json ? json_decode($qc_report_json, true) : null;
+        $track_analyses_json = get_post_meta($post->ID, 'tsf_track_analyses', true);
+        $track_analyses = $track_analyses_json ? json_decode($track_analyses_json, true) : [];
+        $extra_fields_json = get_post_meta($post->ID, 'tsf_extra_fields', true);
+        $extra_fields = $extra_fields_json ? json_decode($extra_fields_json, true) : [];
+        $isrcs = get_post_meta($post->ID, 'tsf_isrc');
+        $track_credits_json = get_post_meta($post->ID, 'tsf_track_credits', true);
+        $track_credits = $track_credits_json ? json_decode($track_credits_json, true) : [];
+        $streaming_links_json = get_post_meta($post->ID, 'tsf_streaming_links', true);
+        $streaming_links = $streaming_links_json ? json_decode($streaming_links_json, true) : [];
+        $territories_json = get_post_meta($post->ID, 'tsf_territories', true);
+        $territories = $territories_json ? json_decode($territories_json, true) : [];
         $dropbox_status = get_post_meta($post->ID, 'tsf_dropbox_status', true);
         $dropbox_uploaded_at = get_post_meta($post->ID, 'tsf_dropbox_uploaded_at', true);
         $dropbox_error = get_post_meta($post->ID, 'tsf_dropbox_error', true);
@@ -2819,6 +3279,13 @@ Total: <?php echo esc_html($stats['total']); ?>
                 </div>
             </div>
 
+            <?php if (!empty($isrcs)): ?>
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php _e('ISRC:', 'tsf'); ?></div>
+                <div class="tsf-field-value"><code><?php echo esc_html(implode(', ', $isrcs)); ?></code></div>
+            </div>
+            <?php endif; ?>
+
             <div class="tsf-field-row">
                 <div class="tsf-field-label"><?php _e('Label:', 'tsf'); ?></div>
                 <div class="tsf-field-value">
@@ -2875,6 +3342,68 @@ Total: <?php echo esc_html($stats['total']); ?>
             </div>
         </div>
 
+        <?php if (!empty($territories)): ?>
+        <!-- Where the release is available (read-only) -->
+        <div class="tsf-metabox-section">
+            <h3><?php _e('Territories', 'tsf'); ?></h3>
+
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php _e('Available in:', 'tsf'); ?></div>
+                <div class="tsf-field-value"><?php echo esc_html($this->format_territories($territories)); ?></div>
+            </div>
+        </div>
+        <?php endif; ?>
+
+        <?php if (count((array) $streaming_links) > 1): ?>
+        <!-- Every streaming link of the release, main track URL first (read-only) -->
+        <div class="tsf-metabox-section">
+            <h3><?php _e('Streaming Links', 'tsf'); ?></h3>
+
+            <?php foreach ($streaming_links as $link): ?>
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php echo esc_html($this->get_platform_label($link['platform']) . ':'); ?></div>
+                <div class="tsf-field-value">
+                    <a href="<?php echo esc_url($link['url']); ?>" target="_blank" rel="noopener noreferrer"><?php echo esc_html($link['url']); ?></a>
+                    <?php if (!empty($link['status'])): ?>
+                    <span class="tsf-link-status tsf-link-status-<?php echo esc_attr($link['status']); ?>"><?php echo esc_html($this->get_link_status_label($link['status'])); ?></span>
+                    <?php endif; ?>
+                </div>
+            </div>
+            <?php endforeach; ?>
+        </div>
+        <?php endif; ?>
+
+        <?php if (!empty($track_credits)): ?>
+        <!-- Per-track credits (read-only) -->
+        <div class="tsf-metabox-section">
+            <h3><?php _e('Track Credits', 'tsf'); ?></h3>
+
+            <?php foreach ($track_credits as $item): ?>
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php echo esc_html(sprintf(__('Track %d:', 'tsf'), $item['track'])); ?></div>
+                <div class="tsf-field-value">
+                    <?php if (!empty($item['title'])): ?><strong><?php echo esc_html($item['title']); ?></strong><br /><?php endif; ?>
+                    <?php echo esc_html($this->format_track_credits($item['credits'])); ?>
+                </div>
+            </div>
+            <?php endforeach; ?>
+        </div>
+        <?php endif; ?>
+
+        <?php if (!empty($extra_fields)): ?>
+        <!-- Fields from a custom form layout (read-only) -->
+        <div class="tsf-metabox-section">
+            <h3><?php _e('Additional Fields', 'tsf'); ?></h3>
+
+            <?php foreach ($extra_fields as $field): ?>
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php echo esc_html($field['label']); ?>:</div>
+                <div class="tsf-field-value"><?php echo nl2br(esc_html($field['value'])); ?></div>
+            </div>
+            <?php endforeach; ?>
+        </div>
+        <?php endif; ?>
+
         <!-- URLs & Platform -->
         <div class="tsf-metabox-section">
             <h3><?php _e('URLs & Platform', 'tsf'); ?></h3>
@@ -3040,6 +3569,38 @@ Total: <?php echo esc_html($stats['total']); ?>
             </div>
             <?php endif; ?>
 
+            <?php if (is_array($track_analyses) && count($track_analyses) > 0): ?>
+            <div class="tsf-field-row">
+                <div class="tsf-field-label"><?php _e('Track Files:', 'tsf'); ?></div>
+                <div class="tsf-field-value">
+                    <ol style="margin: 5px 0 0 20px;">
+                        <?php foreach ($track_analyses as $analysis): ?>
+                            <?php
+                            $track_score = isset($analysis['quality_score']) ? (int) $analysis['quality_score'] : 0;
+                            if ($track_score >= 80) $track_score_color = '#46b450';
+                            elseif ($track_score >= 60) $track_score_color = '#f0b23e';
+                            else $track_score_color = '#dc3232';
+                            ?>
+                            <li style="margin-bottom: 8px;">
+                                <strong><?php echo esc_html(!empty($analysis['title']) ? $analysis['title'] : sprintf(__('Track %d', 'tsf'), (int) ($analysis['track'] ?? 0))); ?></strong>
+                                <?php if (!empty($analysis['duration'])): ?>
+                                    <span style="color: #666;">(<?php echo esc_html($analysis['duration']); ?>)</span>
+                                <?php endif; ?>
+                                <strong style="color: <?php echo esc_attr($track_score_color); ?>; margin-left: 5px;"><?php echo esc_html($track_score); ?>%</strong>
+                                <br>
+                                <small style="color: #666;">
+                                    <?php echo esc_html($analysis['original_filename'] ?? ''); ?>
+                                    <?php if (!empty($analysis['temp_file_path'])): ?>
+                                        — <code><?php echo esc_html($analysis['temp_file_path']); ?></code>
+                                    <?php endif; ?>
+                                </small>
+                            </li>
+                        <?php endforeach; ?>
+                    </ol>
+                </div>
+            </div>
+            <?php endif; ?>
+
             <?php endif; ?>
         </div>
 